@@ -6,24 +6,39 @@
  *  - removeTrigger(id) decrements if present
  *  - active() returns boolean (count > 0)
  *  - snapshot() returns { active, count, kinds: {speech: n, video: n} }
+ *
+ * onChange (optional) is called whenever a trigger is added, removed or cleared.
  */
 class DuckLifecycle {
-    constructor() {
+    /**
+     * @param {Function} [onChange] - Called after the set of triggers changed
+     */
+    constructor(onChange = null) {
         this._triggers = new Map(); // id -> kind ('speech' | 'video' | other)
+        this._onChange = onChange;
     }
 
     addTrigger(id, kind = 'speech') {
         if (!id) return;
+        const changed = this._triggers.get(id) !== kind;
         this._triggers.set(id, kind);
+        if (changed) this._changed();
     }
 
     removeTrigger(id) {
         if (!id) return;
-        this._triggers.delete(id);
+        if (this._triggers.delete(id)) this._changed();
     }
 
     clear() {
+        if (this._triggers.size === 0) return;
         this._triggers.clear();
+        this._changed();
+    }
+
+    /** @private */
+    _changed() {
+        if (this._onChange) this._onChange();
     }
 
     count() {
@@ -1,18 +1,40 @@
 /**
- * Philips Hue Controller (Placeholder)
- * 
- * Controller for Philips Hue lights and bridges.
- * To be implemented with Hue API integration.
+ * Philips Hue Controller
+ *
+ * Controller for Philips Hue lights and groups via the bridge's local REST API (v1).
+ *
+ * - Pairing: POST /api with a devicetype while the bridge link button is pressed.
+ *   The returned app key is stored in a small JSON key file (keyed by bridge address)
+ *   so later starts don't need the button again. An explicit `username` always wins.
+ * - Colors are accepted in any format Utils.parseColor() understands and sent as CIE xy.
+ * - Brightness is 0-100 on our side and 1-254 on the bridge; 0 turns the light off.
+ * - Transitions are given in ms and sent as `transitiontime` (deciseconds).
  */
 
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const Logger = require('../utils/logger');
+const Utils = require('../utils/utils');
+
+const DEFAULT_KEY_FILE = path.join(os.homedir(), '.config', 'pfx', 'hue-keys.json');
+const DISCOVERY_URL = 'https://discovery.meethue.com/';
+
+// Bridge error types we react to (see Hue API "error messages")
+const HUE_ERROR_UNAUTHORIZED = 1;
+const HUE_ERROR_LINK_BUTTON = 101;
 
 class HueController {
     constructor(config) {
-        this.config = config;
+        this.config = config || {};
         this.logger = new Logger('HueController');
         this.connected = false;
-        this.bridge = null;
+        this.bridge = this.config.bridgeIp || null;
+        this.username = this.config.username || null;
+        this.keyFile = this.config.appKeyFile || DEFAULT_KEY_FILE;
+        this.timeout = parseInt(this.config.timeout) || 5000;
         this.lights = new Map();
         this.groups = new Map();
     }
@@ -20,135 +42,375 @@ class HueController {
     async initialize() {
         this.logger.info('Initializing Hue controller...');
 
-        // TODO: Implement Hue bridge discovery and connection
-        // 1. Discover bridges on network
-        // 2. Connect to bridge (may require button press for first time)
-        // 3. Authenticate with bridge
-        // 4. Load available lights and groups
+        if (!this.bridge) {
+            const bridges = await HueController.discoverBridges(this.timeout);
+            if (!bridges.length) {
+                throw new Error('No Hue bridge configured (bridge_ip) and none found via discovery');
+            }
+            this.bridge = bridges[0].ip;
+            this.logger.info(`Discovered Hue bridge at ${this.bridge}`);
+        }
+
+        if (!this.username) {
+            this.username = this._loadStoredKey();
+        }
+        if (!this.username) {
+            try {
+                await this.pair();
+            } catch (error) {
+                if (error.code === HUE_ERROR_LINK_BUTTON) {
+                    throw new Error(`Hue bridge ${this.bridge} is not paired: press the link button on the bridge and restart pfx`);
+                }
+                throw error;
+            }
+        }
+
+        // Validates the key and fills the light cache
+        await this.discoverLights();
 
         this.connected = true;
-        this.logger.info('Hue controller initialized (placeholder)');
+        this.logger.info(`Hue controller connected to ${this.bridge} (${this.lights.size} lights)`);
     }
 
     async shutdown() {
         this.logger.info('Shutting down Hue controller...');
-
-        // TODO: Cleanup connections
         this.connected = false;
-
         this.logger.info('Hue controller shutdown complete');
     }
 
-    async setLightColor(lightId, color, brightness) {
-        this.logger.debug(`Setting light ${lightId} to color ${color}, brightness ${brightness}`);
-
-        // TODO: Implement Hue light color setting
-        // 1. Convert color format (RGB, HSV, XY, etc.)
-        // 2. Send command to bridge
-        // 3. Handle response and errors
+    /**
+     * Request an app key from the bridge. The link button must have been pressed
+     * within the last 30 seconds; otherwise the bridge answers with error 101.
+     * @param {Object} [options]
+     * @param {number} [options.attempts=1] - Number of tries
+     * @param {number} [options.intervalMs=2000] - Delay between tries
+     * @returns {Promise<string>} The new app key (also stored in the key file)
+     */
+    async pair({ attempts = 1, intervalMs = 2000 } = {}) {
+        const devicetype = `pfx#${(this.config.deviceName || os.hostname()).slice(0, 19)}`;
+        let lastError = null;
+
+        for (let i = 0; i < attempts; i++) {
+            try {
+                const result = await this._request('POST', '/api', { devicetype });
+                const username = result[0]?.success?.username;
+                if (!username) {
+                    throw new Error('Hue bridge returned no username');
+                }
+                this.username = username;
+                this._storeKey(username);
+                this.logger.info(`Paired with Hue bridge ${this.bridge}`);
+                return username;
+            } catch (error) {
+                lastError = error;
+                if (error.code !== HUE_ERROR_LINK_BUTTON) throw error;
+                if (i < attempts - 1) {
+                    this.logger.info('Waiting for Hue bridge link button...');
+                    await new Promise(resolve => setTimeout(resolve, intervalMs));
+                }
+            }
+        }
+        throw lastError;
+    }
 
+    async setLightColor(lightId, color, brightness, transition) {
+        this.logger.debug(`Setting light ${lightId} to color ${color}, brightness ${brightness}`);
+        const state = { ...this._colorState(color), ...this._brightnessState(brightness, true), ...this._transitionState(transition) };
+        await this._put(`/lights/${lightId}/state`, state);
         return { success: true, lightId, color, brightness };
     }
 
-    async setLightBrightness(lightId, brightness) {
+    async setLightBrightness(lightId, brightness, transition) {
         this.logger.debug(`Setting light ${lightId} brightness to ${brightness}`);
-
-        // TODO: Implement brightness setting
-
+        await this._put(`/lights/${lightId}/state`, { ...this._brightnessState(brightness), ...this._transitionState(transition) });
         return { success: true, lightId, brightness };
     }
 
-    async turnLightOn(lightId) {
+    async turnLightOn(lightId, brightness, transition) {
         this.logger.debug(`Turning light ${lightId} on`);
-
-        // TODO: Implement turn on
-
+        await this._put(`/lights/${lightId}/state`, { on: true, ...this._brightnessState(brightness, true), ...this._transitionState(transition) });
         return { success: true, lightId, state: 'on' };
     }
 
-    async turnLightOff(lightId) {
+    async turnLightOff(lightId, transition) {
         this.logger.debug(`Turning light ${lightId} off`);
-
-        // TODO: Implement turn off
-
+        await this._put(`/lights/${lightId}/state`, { on: false, ...this._transitionState(transition) });
         return { success: true, lightId, state: 'off' };
     }
 
-    async setGroupColor(groupId, color, brightness) {
-        this.logger.debug(`Setting group ${groupId} to color ${color}, brightness ${brightness}`);
-
-        // TODO: Implement group color setting
+    /**
+     * Native bridge effects: 'colorloop', 'alert'/'blink' (15s breathe), 'flash' (single), 'none'
+     */
+    async setLightEffect(lightId, effect, parameters = {}, transition) {
+        this.logger.debug(`Setting light ${lightId} effect ${effect}`);
+        await this._put(`/lights/${lightId}/state`, this._effectState(effect));
+        return { success: true, lightId, effect };
+    }
 
+    async setGroupColor(groupId, color, brightness, transition) {
+        this.logger.debug(`Setting group ${groupId} to color ${color}, brightness ${brightness}`);
+        const action = { ...this._colorState(color), ...this._brightnessState(brightness, true), ...this._transitionState(transition) };
+        await this._put(`/groups/${groupId}/action`, action);
         return { success: true, groupId, color, brightness };
     }
 
-    async setGroupBrightness(groupId, brightness) {
+    async setGroupBrightness(groupId, brightness, transition) {
         this.logger.debug(`Setting group ${groupId} brightness to ${brightness}`);
-
-        // TODO: Implement group brightness setting
-
+        await this._put(`/groups/${groupId}/action`, { ...this._brightnessState(brightness), ...this._transitionState(transition) });
         return { success: true, groupId, brightness };
     }
 
-    async turnGroupOn(groupId) {
+    async turnGroupOn(groupId, brightness, transition) {
         this.logger.debug(`Turning group ${groupId} on`);
-
-        // TODO: Implement group turn on
-
+        await this._put(`/groups/${groupId}/action`, { on: true, ...this._brightnessState(brightness, true), ...this._transitionState(transition) });
         return { success: true, groupId, state: 'on' };
     }
 
-    async turnGroupOff(groupId) {
+    async turnGroupOff(groupId, transition) {
         this.logger.debug(`Turning group ${groupId} off`);
-
-        // TODO: Implement group turn off
-
+        await this._put(`/groups/${groupId}/action`, { on: false, ...this._transitionState(transition) });
         return { success: true, groupId, state: 'off' };
     }
 
     async getLightStatus(lightId) {
         this.logger.debug(`Getting status for light ${lightId}`);
-
-        // TODO: Implement status retrieval
-
+        const light = await this._get(`/lights/${lightId}`);
+        const state = light.state || {};
         return {
             lightId,
-            state: 'unknown',
-            brightness: 0,
-            color: null,
-            reachable: false
+            name: light.name,
+            state: state.on ? 'on' : 'off',
+            brightness: state.bri !== undefined ? briToPercent(state.bri) : 0,
+            color: Array.isArray(state.xy) ? xyToHex(state.xy) : null,
+            reachable: state.reachable !== false
         };
     }
 
     async getGroupStatus(groupId) {
         this.logger.debug(`Getting status for group ${groupId}`);
-
-        // TODO: Implement group status retrieval
-
+        const group = await this._get(`/groups/${groupId}`);
+        const action = group.action || {};
         return {
             groupId,
-            state: 'unknown',
-            brightness: 0,
-            color: null,
-            lightCount: 0
+            name: group.name,
+            state: group.state?.any_on ? 'on' : 'off',
+            allOn: !!group.state?.all_on,
+            brightness: action.bri !== undefined ? briToPercent(action.bri) : 0,
+            color: Array.isArray(action.xy) ? xyToHex(action.xy) : null,
+            lightCount: (group.lights || []).length,
+            lights: group.lights || []
         };
     }
 
-    async discoverLights() {
+    /**
+     * List lights known to the bridge and refresh the local cache.
+     * @param {Object} [options]
+     * @param {boolean} [options.search=false] - Ask the bridge to scan for new lights first
+     */
+    async discoverLights({ search = false } = {}) {
         this.logger.info('Discovering Hue lights...');
 
-        // TODO: Implement light discovery
-
-        return [];
+        if (search) {
+            await this._request('POST', this._apiPath('/lights'), {});
+        }
+
+        const lights = await this._get('/lights');
+        this.lights.clear();
+        const result = Object.entries(lights || {}).map(([id, light]) => {
+            const entry = {
+                id,
+                name: light.name,
+                type: light.type,
+                modelId: light.modelid,
+                uniqueId: light.uniqueid,
+                reachable: light.state ? light.state.reachable !== false : false
+            };
+            this.lights.set(id, entry);
+            return entry;
+        });
+        return result;
     }
 
     async createGroup(name, lightIds) {
         this.logger.info(`Creating group ${name} with lights ${lightIds}`);
+        const result = await this._request('POST', this._apiPath('/groups'), {
+            name,
+            type: 'LightGroup',
+            lights: lightIds.map(String)
+        });
+        const groupId = result[0]?.success?.id;
+        this.groups.set(groupId, { id: groupId, name, lights: lightIds.map(String) });
+        return { success: true, groupId, name, lightIds };
+    }
 
-        // TODO: Implement group creation
+    /**
+     * Find bridges on the local network via the Hue discovery endpoint
+     * @returns {Promise<Array<{id:string, ip:string}>>}
+     */
+    static async discoverBridges(timeout = 5000, url = DISCOVERY_URL) {
+        const body = await httpJson('GET', url, null, timeout);
+        return (Array.isArray(body) ? body : []).map(b => ({ id: b.id, ip: b.internalipaddress }));
+    }
+
+    // Private helpers
+
+    _colorState(color) {
+        const { x, y } = Utils.convertColor(color, 'xy');
+        return { on: true, xy: [x, y] };
+    }
+
+    /**
+     * @param {number|null|undefined} brightness - 0-100
+     * @param {boolean} [optional=false] - When true a null brightness leaves bri untouched
+     */
+    _brightnessState(brightness, optional = false) {
+        if (brightness === null || brightness === undefined) {
+            if (optional) return {};
+            throw new Error('brightness is required');
+        }
+        const pct = Math.max(0, Math.min(100, Number(brightness)));
+        if (pct === 0) return { on: false };
+        return { on: true, bri: Math.max(1, Math.round(pct * 254 / 100)) };
+    }
+
+    _transitionState(transition) {
+        if (transition === null || transition === undefined || isNaN(Number(transition))) return {};
+        return { transitiontime: Math.max(0, Math.round(Number(transition) / 100)) };
+    }
+
+    _effectState(effect) {
+        switch (effect) {
+            case 'colorloop':
+                return { on: true, effect: 'colorloop' };
+            case 'alert':
+            case 'blink':
+                return { alert: 'lselect' };
+            case 'flash':
+                return { alert: 'select' };
+            case 'none':
+            case null:
+            case undefined:
+            case '':
+                return { effect: 'none', alert: 'none' };
+            default:
+                throw new Error(`Hue bridge does not support effect '${effect}'`);
+        }
+    }
+
+    _apiPath(resource) {
+        if (!this.username) {
+            throw new Error('Hue controller is not paired');
+        }
+        return `/api/${this.username}${resource}`;
+    }
+
+    async _get(resource) {
+        return this._request('GET', this._apiPath(resource));
+    }
+
+    async _put(resource, state) {
+        return this._request('PUT', this._apiPath(resource), state);
+    }
+
+    /**
+     * Send a request to the bridge. The bridge reports failures as HTTP 200 with
+     * an array of {error:{type,address,description}} entries; the first one is thrown.
+     */
+    async _request(method, urlPath, body) {
+        const base = /^https?:\/\//.test(this.bridge) ? this.bridge.replace(/\/$/, '') : `http://${this.bridge}`;
+        const result = await httpJson(method, base + urlPath, body, this.timeout);
+        if (Array.isArray(result)) {
+            const failure = result.find(r => r && r.error);
+            if (failure) {
+                const error = hueError(failure.error);
+                if (error.code === HUE_ERROR_UNAUTHORIZED && method !== 'POST') {
+                    this.connected = false;
+                }
+                throw error;
+            }
+        }
+        return result;
+    }
+
+    _loadStoredKey() {
+        try {
+            const keys = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+            return keys[this.bridge] || null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Could not read Hue key file ${this.keyFile}: ${error.message}`);
+            }
+            return null;
+        }
+    }
 
-        return { success: true, groupId: 'new_group_id', name, lightIds };
+    _storeKey(username) {
+        try {
+            let keys = {};
+            try {
+                keys = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+            } catch (_) { /* new file */ }
+            keys[this.bridge] = username;
+            fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+            const tmp = `${this.keyFile}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+            fs.renameSync(tmp, this.keyFile);
+        } catch (error) {
+            this.logger.warn(`Could not store Hue app key in ${this.keyFile}: ${error.message}`);
+        }
     }
 }
 
+function hueError(error) {
+    const err = new Error(`Hue bridge error ${error.type}: ${error.description}`);
+    err.code = error.type;
+    err.address = error.address;
+    return err;
+}
+
+function briToPercent(bri) {
+    return Math.round(bri * 100 / 254);
+}
+
+function xyToHex(xy) {
+    const { r, g, b } = Utils.xyToRgb(xy[0], xy[1]);
+    return Utils.rgbToHex(r, g, b);
+}
+
+/**
+ * Minimal JSON-over-HTTP(S) request helper
+ */
+function httpJson(method, url, body, timeout) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const payload = body !== null && body !== undefined ? JSON.stringify(body) : null;
+
+        const req = transport.request(target, {
+            method,
+            headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {},
+            timeout
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return reject(new Error(`HTTP ${res.statusCode} from ${target.host}${target.pathname}`));
+                }
+                try {
+                    resolve(data ? JSON.parse(data) : null);
+                } catch (error) {
+                    reject(new Error(`Invalid JSON from ${target.host}: ${error.message}`));
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`)));
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
 module.exports = HueController;
@@ -1,94 +1,168 @@
 /**
- * WiZ Controller (Placeholder)
- * 
- * Controller for WiZ smart lights.
- * To be implemented with WiZ UDP protocol integration.
+ * WiZ Controller
+ *
+ * Controller for WiZ smart lights using their local JSON-over-UDP protocol (port 38899).
+ *
+ * - Commands are `{"method": "...", "params": {...}}` datagrams; the bulb answers from
+ *   port 38899 with `{"method": "...", "result": {...}}` (or `error`).
+ * - UDP is lossy, so every request is retried until a reply arrives or the attempts run out.
+ * - Discovery broadcasts a `registration` request; every bulb that answers is recorded in a
+ *   registry keyed by MAC address, so lights can be addressed by MAC or by IP.
+ * - Brightness is 0-100 on our side; WiZ dimming is 10-100 and 0 switches the bulb off.
+ *   WiZ bulbs have no transitions; transition arguments are accepted and ignored.
  */
 
+const dgram = require('dgram');
 const Logger = require('../utils/logger');
+const Utils = require('../utils/utils');
+
+const WIZ_PORT = 38899;
+
+// Built-in WiZ scenes (sceneId values from the WiZ app)
+const WIZ_SCENES = {
+    ocean: 1, romance: 2, sunset: 3, party: 4, fireplace: 5, cozy: 6, forest: 7,
+    pastel_colors: 8, wake_up: 9, bedtime: 10, warm_white: 11, daylight: 12,
+    cool_white: 13, night_light: 14, focus: 15, relax: 16, true_colors: 17,
+    tv_time: 18, plantgrowth: 19, spring: 20, summer: 21, fall: 22, deepdive: 23,
+    jungle: 24, mojito: 25, club: 26, christmas: 27, halloween: 28, candlelight: 29,
+    golden_white: 30, pulse: 31, steampunk: 32, rhythm: 1000
+};
 
 class WizController {
     constructor(config) {
-        this.config = config;
+        this.config = config || {};
         this.logger = new Logger('WizController');
         this.connected = false;
+        // Registry of known bulbs: Map<mac, {mac, ip, lastSeen, online}>
         this.lights = new Map();
         this.udpClient = null;
+
+        this.port = parseInt(this.config.port) || WIZ_PORT;
+        this.broadcastAddress = this.config.broadcastAddress || '255.255.255.255';
+        this.timeout = parseInt(this.config.timeout) || 1000;
+        this.retries = this.config.retries !== undefined ? parseInt(this.config.retries) : 3;
+
+        // Pending requests: Map<"ip|method", Array<{resolve}>>
+        this._pending = new Map();
+        // Active discovery collector (receives registration replies) and its promise
+        this._discoveryListener = null;
+        this._discovery = null;
     }
 
     async initialize() {
         this.logger.info('Initializing WiZ controller...');
 
-        // TODO: Implement WiZ UDP client setup
-        // 1. Create UDP socket for communication
-        // 2. Discover WiZ lights on network
-        // 3. Build light registry
+        await this._openSocket();
+
+        if (this.config.mac && !this.config.ip) {
+            await this.discoverLights();
+            if (!this.lights.has(normalizeMac(this.config.mac))) {
+                this.logger.warn(`WiZ bulb ${this.config.mac} not found during discovery`);
+            }
+        } else if (this.config.ip) {
+            // Probe the bulb so the registry knows its MAC; an unreachable bulb is not fatal
+            try {
+                await this.getLightStatus(this.config.ip);
+            } catch (error) {
+                this.logger.warn(`WiZ bulb ${this.config.ip} did not answer: ${error.message}`);
+            }
+        }
 
         this.connected = true;
-        this.logger.info('WiZ controller initialized (placeholder)');
+        this.logger.info('WiZ controller initialized');
     }
 
     async shutdown() {
         this.logger.info('Shutting down WiZ controller...');
 
-        // TODO: Close UDP connections
         if (this.udpClient) {
-            this.udpClient.close();
+            const socket = this.udpClient;
+            this.udpClient = null;
+            await new Promise(resolve => socket.close(resolve));
         }
+        for (const waiters of this._pending.values()) {
+            waiters.forEach(w => w.resolve(null));
+        }
+        this._pending.clear();
 
         this.connected = false;
         this.logger.info('WiZ controller shutdown complete');
     }
 
-    async setLightColor(lightId, color, brightness) {
+    async setLightColor(lightId, color, brightness, transition) {
         this.logger.debug(`Setting WiZ light ${lightId} to color ${color}, brightness ${brightness}`);
 
-        // TODO: Implement WiZ color setting
-        // 1. Convert color to WiZ format
-        // 2. Send UDP command to light
-        // 3. Handle response
+        const params = { state: true, ...colorParams(color) };
+        Object.assign(params, dimmingParams(brightness));
+        await this.setPilot(lightId, params);
 
         return { success: true, lightId, color, brightness };
     }
 
-    async setLightBrightness(lightId, brightness) {
+    async setLightBrightness(lightId, brightness, transition) {
         this.logger.debug(`Setting WiZ light ${lightId} brightness to ${brightness}`);
 
-        // TODO: Implement WiZ brightness setting
+        await this.setPilot(lightId, dimmingParams(brightness, true));
 
         return { success: true, lightId, brightness };
     }
 
-    async turnLightOn(lightId) {
+    async turnLightOn(lightId, brightness, transition) {
         this.logger.debug(`Turning WiZ light ${lightId} on`);
 
-        // TODO: Implement WiZ turn on
+        await this.setPilot(lightId, { state: true, ...dimmingParams(brightness) });
 
         return { success: true, lightId, state: 'on' };
     }
 
-    async turnLightOff(lightId) {
+    async turnLightOff(lightId, transition) {
         this.logger.debug(`Turning WiZ light ${lightId} off`);
 
-        // TODO: Implement WiZ turn off
+        await this.setPilot(lightId, { state: false });
 
         return { success: true, lightId, state: 'off' };
     }
 
-    async setLightScene(lightId, sceneId) {
+    /**
+     * Activate a built-in scene
+     * @param {string} lightId - IP or MAC
+     * @param {string|number} sceneId - Scene name (e.g. 'fireplace') or numeric id
+     * @param {number} [speed] - Dynamic scene speed 10-200
+     */
+    async setLightScene(lightId, sceneId, speed) {
         this.logger.debug(`Setting WiZ light ${lightId} to scene ${sceneId}`);
 
-        // TODO: Implement WiZ scene setting
-        // WiZ lights have built-in scenes/effects
+        const params = { state: true, sceneId: resolveScene(sceneId) };
+        if (speed !== undefined && speed !== null) params.speed = clampSpeed(speed);
+        await this.setPilot(lightId, params);
 
         return { success: true, lightId, scene: sceneId };
     }
 
-    async setLightEffect(lightId, effectId, speed) {
+    /**
+     * Set the speed of the running dynamic scene (10-200)
+     */
+    async setLightSpeed(lightId, speed) {
+        this.logger.debug(`Setting WiZ light ${lightId} speed to ${speed}`);
+
+        await this.setPilot(lightId, { speed: clampSpeed(speed) });
+
+        return { success: true, lightId, speed };
+    }
+
+    /**
+     * WiZ effects are its built-in dynamic scenes; 'none' returns to plain white.
+     * @param {Object} [parameters] - { speed }
+     */
+    async setLightEffect(lightId, effectId, parameters = {}, transition) {
+        const speed = parameters && parameters.speed;
         this.logger.debug(`Setting WiZ light ${lightId} to effect ${effectId} with speed ${speed}`);
 
-        // TODO: Implement WiZ effect setting
-        // WiZ lights have built-in dynamic effects
+        if (!effectId || effectId === 'none') {
+            await this.setPilot(lightId, { state: true, sceneId: WIZ_SCENES.warm_white });
+        } else {
+            await this.setLightScene(lightId, effectId, speed);
+        }
 
         return { success: true, lightId, effect: effectId, speed };
     }
@@ -96,44 +170,313 @@ class WizController {
     async getLightStatus(lightId) {
         this.logger.debug(`Getting status for WiZ light ${lightId}`);
 
-        // TODO: Implement WiZ status retrieval
+        const pilot = await this.getPilot(lightId);
+        const hasRgb = pilot.r !== undefined && pilot.g !== undefined && pilot.b !== undefined;
+        const sceneName = Object.keys(WIZ_SCENES).find(k => WIZ_SCENES[k] === pilot.sceneId) || null;
 
         return {
             lightId,
-            state: 'unknown',
-            brightness: 0,
-            color: null,
-            scene: null,
-            effect: null,
-            online: false
+            mac: pilot.mac || null,
+            state: pilot.state ? 'on' : 'off',
+            brightness: pilot.dimming !== undefined ? pilot.dimming : 0,
+            color: hasRgb ? Utils.rgbToHex(pilot.r, pilot.g, pilot.b) : null,
+            temperature: pilot.temp || null,
+            scene: pilot.sceneId ? sceneName : null,
+            speed: pilot.speed !== undefined ? pilot.speed : null,
+            rssi: pilot.rssi !== undefined ? pilot.rssi : null,
+            online: true
         };
     }
 
-    async discoverLights() {
+    /**
+     * Send setPilot to a bulb
+     * @param {string} lightId - IP or MAC
+     * @param {Object} params - Raw WiZ pilot parameters
+     */
+    async setPilot(lightId, params) {
+        const ip = await this._resolveIp(lightId);
+        return this.sendUdpCommand(ip, this._buildWizCommand('setPilot', params));
+    }
+
+    /**
+     * Read the current pilot (state) of a bulb
+     * @returns {Promise<Object>} The bulb's `result` object
+     */
+    async getPilot(lightId) {
+        const ip = await this._resolveIp(lightId);
+        return this.sendUdpCommand(ip, this._buildWizCommand('getPilot'));
+    }
+
+    /**
+     * Broadcast a registration request and collect every bulb that answers.
+     * Calls made while a discovery is running share its result.
+     * @param {Object} [options]
+     * @param {number} [options.durationMs=2000] - How long to listen for replies
+     * @param {number} [options.repeats=3] - Broadcasts sent during that window
+     * @returns {Promise<Array<{mac:string, ip:string}>>}
+     */
+    discoverLights(options) {
+        if (!this._discovery) {
+            this._discovery = this._discover(options).finally(() => {
+                this._discovery = null;
+            });
+        }
+        return this._discovery;
+    }
+
+    /**
+     * @private
+     */
+    async _discover({ durationMs = 2000, repeats = 3 } = {}) {
         this.logger.info('Discovering WiZ lights...');
+        await this._openSocket();
+
+        const found = new Map();
+        this._discoveryListener = (msg, rinfo) => {
+            const mac = normalizeMac(msg.result && msg.result.mac);
+            if (!mac) return;
+            found.set(mac, { mac, ip: rinfo.address });
+            this._register(mac, rinfo.address);
+        };
 
-        // TODO: Implement WiZ light discovery via UDP broadcast
+        const packet = this._buildWizCommand('registration', {
+            phoneMac: 'AAAAAAAAAAAA',
+            register: false,
+            phoneIp: '1.2.3.4',
+            id: '1'
+        });
+
+        try {
+            const interval = Math.max(1, Math.floor(durationMs / Math.max(1, repeats)));
+            for (let i = 0; i < repeats; i++) {
+                this._send(this.broadcastAddress, packet);
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+        } finally {
+            this._discoveryListener = null;
+        }
 
-        return [];
+        this.logger.info(`Discovered ${found.size} WiZ light(s)`);
+        return Array.from(found.values());
     }
 
+    /**
+     * Send a command to a bulb and wait for its reply, retrying on packet loss.
+     * @param {string} lightIp - Bulb IP address
+     * @param {Object} command - WiZ command object ({method, params})
+     * @returns {Promise<Object>} The `result` object of the reply
+     * @throws {Error} When the bulb reports an error or never answers
+     */
     async sendUdpCommand(lightIp, command) {
         this.logger.debug(`Sending UDP command to ${lightIp}:`, command);
+        await this._openSocket();
+
+        const attempts = Math.max(1, this.retries + 1);
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const reply = this._awaitReply(lightIp, command.method, this.timeout);
+            this._send(lightIp, command);
+            const msg = await reply;
+            if (msg) {
+                if (msg.error) {
+                    throw new Error(`WiZ ${command.method} failed on ${lightIp}: ${msg.error.message || JSON.stringify(msg.error)}`);
+                }
+                this._markSeen(lightIp, msg.result);
+                return msg.result || {};
+            }
+            if (attempt < attempts) {
+                this.logger.debug(`No reply from ${lightIp} for ${command.method} (attempt ${attempt}/${attempts}); retrying`);
+            }
+        }
 
-        // TODO: Implement UDP command sending
-        // WiZ lights use JSON over UDP on port 38899
-
-        return { success: true };
+        this._markOffline(lightIp);
+        throw new Error(`WiZ light ${lightIp} did not respond to ${command.method} after ${attempts} attempts`);
     }
 
     _buildWizCommand(method, params = {}) {
-        // TODO: Build WiZ-specific command format
         return {
             method,
-            params,
-            id: Date.now()
+            params
         };
     }
+
+    // Private helpers
+
+    async _openSocket() {
+        if (this.udpClient) return;
+
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        socket.on('message', (buf, rinfo) => this._onMessage(buf, rinfo));
+        socket.on('error', (err) => this.logger.error('WiZ UDP socket error:', err));
+
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(0, () => {
+                socket.removeListener('error', reject);
+                resolve();
+            });
+        });
+        socket.setBroadcast(true);
+        this.udpClient = socket;
+    }
+
+    _send(ip, command) {
+        if (!this.udpClient) return;
+        const buf = Buffer.from(JSON.stringify(command));
+        this.udpClient.send(buf, this.port, ip, (err) => {
+            if (err) this.logger.warn(`UDP send to ${ip} failed: ${err.message}`);
+        });
+    }
+
+    _awaitReply(ip, method, timeout) {
+        const key = `${ip}|${method}`;
+        return new Promise(resolve => {
+            const waiter = {
+                resolve: (msg) => {
+                    clearTimeout(waiter.timer);
+                    resolve(msg);
+                }
+            };
+            waiter.timer = setTimeout(() => {
+                const list = this._pending.get(key) || [];
+                const idx = list.indexOf(waiter);
+                if (idx >= 0) list.splice(idx, 1);
+                if (!list.length) this._pending.delete(key);
+                resolve(null);
+            }, timeout);
+            if (!this._pending.has(key)) this._pending.set(key, []);
+            this._pending.get(key).push(waiter);
+        });
+    }
+
+    _onMessage(buf, rinfo) {
+        let msg;
+        try {
+            msg = JSON.parse(buf.toString());
+        } catch (error) {
+            this.logger.debug(`Ignoring non-JSON datagram from ${rinfo.address}`);
+            return;
+        }
+
+        if (msg.method === 'registration' && this._discoveryListener) {
+            this._discoveryListener(msg, rinfo);
+            return;
+        }
+
+        const key = `${rinfo.address}|${msg.method}`;
+        const list = this._pending.get(key);
+        if (list && list.length) {
+            const waiter = list.shift();
+            if (!list.length) this._pending.delete(key);
+            waiter.resolve(msg);
+        }
+    }
+
+    /**
+     * Map a light id (IP or MAC) to an IP, discovering once if the MAC is unknown
+     */
+    async _resolveIp(lightId) {
+        const id = lightId !== undefined && lightId !== null && lightId !== '' ? String(lightId) : this.config.ip || this.config.mac;
+        if (!id) {
+            throw new Error('WiZ light requires an IP address or MAC');
+        }
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(id)) {
+            return id;
+        }
+
+        const mac = normalizeMac(id);
+        if (!mac) {
+            // Not an address; fall back to the configured bulb
+            if (this.config.ip) return this.config.ip;
+            throw new Error(`Unknown WiZ light '${id}'`);
+        }
+        if (!this.lights.has(mac)) {
+            await this.discoverLights();
+        }
+        const entry = this.lights.get(mac);
+        if (!entry) {
+            throw new Error(`WiZ light ${id} not found on the network`);
+        }
+        return entry.ip;
+    }
+
+    _register(mac, ip) {
+        const existing = this.lights.get(mac);
+        if (existing && existing.ip !== ip) {
+            this.logger.info(`WiZ bulb ${mac} moved from ${existing.ip} to ${ip}`);
+        }
+        this.lights.set(mac, { mac, ip, lastSeen: new Date().toISOString(), online: true });
+    }
+
+    _markSeen(ip, result) {
+        const mac = normalizeMac(result && result.mac);
+        if (mac) {
+            this._register(mac, ip);
+            return;
+        }
+        for (const entry of this.lights.values()) {
+            if (entry.ip === ip) {
+                entry.lastSeen = new Date().toISOString();
+                entry.online = true;
+            }
+        }
+    }
+
+    _markOffline(ip) {
+        for (const entry of this.lights.values()) {
+            if (entry.ip === ip) entry.online = false;
+        }
+    }
+}
+
+function normalizeMac(mac) {
+    if (!mac || typeof mac !== 'string') return null;
+    const hex = mac.replace(/[:\-.]/g, '').toLowerCase();
+    return /^[0-9a-f]{12}$/.test(hex) ? hex : null;
+}
+
+function resolveScene(scene) {
+    if (typeof scene === 'number' || /^\d+$/.test(String(scene))) {
+        return parseInt(scene, 10);
+    }
+    const key = String(scene).toLowerCase().replace(/[\s-]+/g, '_');
+    if (!(key in WIZ_SCENES)) {
+        throw new Error(`Unknown WiZ scene '${scene}'`);
+    }
+    return WIZ_SCENES[key];
+}
+
+function clampSpeed(speed) {
+    const n = parseInt(speed, 10);
+    if (isNaN(n)) throw new Error(`Invalid speed: ${speed}`);
+    return Math.max(10, Math.min(200, n));
+}
+
+/**
+ * WiZ pilot params for a color: RGB, or a white temperature given as e.g. '2700K'
+ */
+function colorParams(color) {
+    const temp = typeof color === 'string' && color.trim().match(/^(\d{4})k$/i);
+    if (temp) {
+        return { temp: Math.max(2200, Math.min(6500, parseInt(temp[1], 10))) };
+    }
+    const { r, g, b } = Utils.parseColor(color);
+    return { r, g, b };
+}
+
+/**
+ * @param {number|null|undefined} brightness - 0-100
+ * @param {boolean} [required=false]
+ */
+function dimmingParams(brightness, required = false) {
+    if (brightness === null || brightness === undefined) {
+        if (required) throw new Error('brightness is required');
+        return {};
+    }
+    const pct = Math.max(0, Math.min(100, Number(brightness)));
+    if (pct === 0) return { state: false };
+    return { state: true, dimming: Math.max(10, Math.round(pct)) };
 }
 
 module.exports = WizController;
+module.exports.WIZ_PORT = WIZ_PORT;
+module.exports.WIZ_SCENES = WIZ_SCENES;
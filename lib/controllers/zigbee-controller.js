@@ -1,163 +1,600 @@
 /**
- * Zigbee Controller (Placeholder)
- * 
- * Controller for Zigbee devices via coordinator.
- * To be implemented with Zigbee2MQTT or direct coordinator integration.
+ * Zigbee Controller
+ *
+ * Controller for Zigbee devices through a zigbee2mqtt bridge, using pfx's existing MQTT
+ * connection (no separate broker client).
+ *
+ * - Commands are published to `<zigbee_topic>/<friendly_name>/set`.
+ * - Device state is tracked from the (retained) `<zigbee_topic>/<friendly_name>` and
+ *   `/availability` topics.
+ * - `<zigbee_topic>/bridge/devices` and `/bridge/groups` (retained) are parsed into a
+ *   device registry with capabilities and a group list.
+ * - Bridge requests (permit join, groups, device removal) use
+ *   `bridge/request/<path>` and are matched to `bridge/response/<path>` by transaction id.
+ *
+ * Several light/relay devices usually share one zigbee2mqtt bridge. Each device gets its
+ * own ZigbeeController, but they share a single bridge connection per MQTT client and base
+ * topic so topic subscriptions are made once and released when the last device shuts down.
  */
 
 const Logger = require('../utils/logger');
+const Utils = require('../utils/utils');
+
+const DEFAULT_BASE_TOPIC = 'zigbee2mqtt';
+
+// Shared bridges: Map<mqttClient, Map<baseTopic, Zigbee2MqttBridge>>
+const bridges = new Map();
 
 class ZigbeeController {
+    /**
+     * @param {Object} config
+     * @param {Object} config.mqttClient - pfx MqttClient (subscribe/unsubscribe/publish)
+     * @param {string} [config.deviceId] - Default friendly name for calls without an id
+     * @param {string} [config.baseTopic='zigbee2mqtt'] - zigbee2mqtt base topic
+     * @param {number} [config.timeout=5000] - Bridge request timeout in ms
+     */
     constructor(config) {
-        this.config = config;
+        this.config = config || {};
         this.logger = new Logger('ZigbeeController');
         this.connected = false;
-        this.coordinator = null;
-        this.devices = new Map();
-        this.mqttClient = null; // For Zigbee2MQTT integration
+        this.mqttClient = this.config.mqttClient || null;
+        this.deviceId = this.config.deviceId || null;
+        this.bridge = null;
+    }
+
+    /**
+     * Registered devices of the shared bridge: Map<friendly_name, device>
+     */
+    get devices() {
+        return this.bridge ? this.bridge.devices : new Map();
     }
 
     async initialize() {
         this.logger.info('Initializing Zigbee controller...');
 
-        // TODO: Implement Zigbee coordinator setup
-        // Option 1: Direct coordinator communication
-        // 1. Connect to Zigbee coordinator (USB dongle)
-        // 2. Initialize Zigbee network
-        // 3. Discover paired devices
+        if (!this.mqttClient) {
+            throw new Error('Zigbee controller requires the pfx MQTT client (zigbee2mqtt)');
+        }
 
-        // Option 2: Zigbee2MQTT integration
-        // 1. Connect to Zigbee2MQTT MQTT broker
-        // 2. Subscribe to device topics
-        // 3. Build device registry
+        this.bridge = acquireBridge(this.mqttClient, this.config);
+        await this.bridge.start();
+        if (this.deviceId) {
+            this._watchDevice(this.deviceId);
+            if (this.bridge.devicesLoaded && !this.bridge.devices.has(this.deviceId) && !this.bridge.findGroup(this.deviceId)) {
+                this.logger.warn(`Zigbee device '${this.deviceId}' is not known to zigbee2mqtt`);
+            }
+        }
 
         this.connected = true;
-        this.logger.info('Zigbee controller initialized (placeholder)');
+        this.logger.info('Zigbee controller initialized');
     }
 
     async shutdown() {
         this.logger.info('Shutting down Zigbee controller...');
 
-        // TODO: Cleanup coordinator connection or MQTT client
+        if (this.bridge) {
+            if (this._watched) {
+                this._watched.forEach(fn => this.bridge.unwatch(fn));
+                this._watched.clear();
+            }
+            releaseBridge(this.bridge);
+            this.bridge = null;
+        }
 
         this.connected = false;
         this.logger.info('Zigbee controller shutdown complete');
     }
 
+    /**
+     * Publish a raw zigbee2mqtt state payload to `<friendly_name>/set`
+     */
     async setDeviceState(deviceId, state) {
-        this.logger.debug(`Setting Zigbee device ${deviceId} state:`, state);
+        const fn = this._resolve(deviceId);
+        this.logger.debug(`Setting Zigbee device ${fn} state:`, state);
 
-        // TODO: Implement device state setting
-        // 1. Determine device type and capabilities
-        // 2. Send appropriate Zigbee command
-        // 3. Handle response
+        this._watchDevice(fn);
+        this.bridge.publish(`${fn}/set`, state);
 
-        return { success: true, deviceId, state };
+        return { success: true, deviceId: fn, state };
     }
 
-    async setLightColor(deviceId, color, brightness) {
+    async setLightColor(deviceId, color, brightness, transition) {
         this.logger.debug(`Setting Zigbee light ${deviceId} to color ${color}, brightness ${brightness}`);
+        this._requireCapability(deviceId, 'hasColor', 'color');
 
-        // TODO: Implement Zigbee light color setting
+        const payload = { state: 'ON', color: { hex: Utils.convertColor(color, 'hex') } };
+        Object.assign(payload, brightnessPayload(brightness), transitionPayload(transition));
+        await this.setDeviceState(deviceId, payload);
 
         return { success: true, deviceId, color, brightness };
     }
 
-    async setLightBrightness(deviceId, brightness) {
+    async setLightBrightness(deviceId, brightness, transition) {
         this.logger.debug(`Setting Zigbee light ${deviceId} brightness to ${brightness}`);
+        if (brightness === null || brightness === undefined) throw new Error('brightness is required');
+        this._requireCapability(deviceId, 'hasBrightness', 'brightness');
 
-        // TODO: Implement Zigbee brightness setting
+        await this.setDeviceState(deviceId, { ...brightnessPayload(brightness), ...transitionPayload(transition) });
 
         return { success: true, deviceId, brightness };
     }
 
-    async turnDeviceOn(deviceId) {
-        this.logger.debug(`Turning Zigbee device ${deviceId} on`);
+    async turnLightOn(deviceId, brightness, transition) {
+        const payload = { state: 'ON', ...transitionPayload(transition) };
+        if (brightness !== null && brightness !== undefined && this._capable(deviceId, 'hasBrightness')) {
+            Object.assign(payload, brightnessPayload(brightness));
+        }
+        await this.setDeviceState(deviceId, payload);
+        return { success: true, deviceId, state: 'on' };
+    }
+
+    async turnLightOff(deviceId, transition) {
+        await this.setDeviceState(deviceId, { state: 'OFF', ...transitionPayload(transition) });
+        return { success: true, deviceId, state: 'off' };
+    }
+
+    /**
+     * zigbee2mqtt light effects: blink, breathe, okay, channel_change, finish_effect, stop_effect ('none')
+     */
+    async setLightEffect(deviceId, effect, parameters = {}, transition) {
+        const value = !effect || effect === 'none' ? 'stop_effect' : effect;
+        await this.setDeviceState(deviceId, { effect: value });
+        return { success: true, deviceId, effect: value };
+    }
+
+    async getLightStatus(deviceId) {
+        const status = await this.getDeviceStatus(deviceId);
+        const state = status.raw || {};
+        let color = null;
+        if (state.color && state.color.hex) {
+            color = String(state.color.hex).toUpperCase();
+        } else if (state.color && state.color.x !== undefined) {
+            const rgb = Utils.xyToRgb(state.color.x, state.color.y);
+            color = Utils.rgbToHex(rgb.r, rgb.g, rgb.b);
+        }
+        return {
+            lightId: status.deviceId,
+            state: status.state,
+            brightness: typeof state.brightness === 'number' ? Math.round(state.brightness * 100 / 254) : undefined,
+            color,
+            reachable: status.online !== false,
+            linkQuality: status.linkQuality
+        };
+    }
+
+    // Switch API (relays)
 
-        // TODO: Implement device turn on
+    async turnSwitchOn(deviceId) {
+        return this.turnDeviceOn(deviceId);
+    }
+
+    async turnSwitchOff(deviceId) {
+        return this.turnDeviceOff(deviceId);
+    }
 
+    async getSwitchState(deviceId) {
+        return (await this.getDeviceStatus(deviceId)).state;
+    }
+
+    async turnDeviceOn(deviceId) {
+        this.logger.debug(`Turning Zigbee device ${deviceId} on`);
+        await this.setDeviceState(deviceId, { state: 'ON' });
         return { success: true, deviceId, state: 'on' };
     }
 
     async turnDeviceOff(deviceId) {
         this.logger.debug(`Turning Zigbee device ${deviceId} off`);
-
-        // TODO: Implement device turn off
-
+        await this.setDeviceState(deviceId, { state: 'OFF' });
         return { success: true, deviceId, state: 'off' };
     }
 
+    /**
+     * Current device state from the tracked zigbee2mqtt topics
+     */
     async getDeviceStatus(deviceId) {
-        this.logger.debug(`Getting status for Zigbee device ${deviceId}`);
+        const fn = this._resolve(deviceId);
+        this.logger.debug(`Getting status for Zigbee device ${fn}`);
+        this._watchDevice(fn);
 
-        // TODO: Implement device status retrieval
+        const state = this.bridge.states.get(fn) || null;
+        const availability = this.bridge.availability.get(fn);
+        const device = this.bridge.devices.get(fn);
+        const online = availability === undefined ? (state ? true : false) : availability === 'online';
 
         return {
-            deviceId,
-            state: 'unknown',
-            online: false,
-            lastSeen: null,
-            battery: null,
-            linkQuality: 0
+            deviceId: fn,
+            state: state && typeof state.state === 'string' ? state.state.toLowerCase() : 'unknown',
+            online,
+            lastSeen: state ? (state.last_seen || this.bridge.lastUpdate.get(fn) || null) : null,
+            battery: state && state.battery !== undefined ? state.battery : null,
+            linkQuality: state && state.linkquality !== undefined ? state.linkquality : 0,
+            capabilities: device ? device.capabilities : null,
+            raw: state
         };
     }
 
+    /**
+     * Devices known to zigbee2mqtt (from the retained bridge/devices list)
+     */
     async discoverDevices() {
         this.logger.info('Discovering Zigbee devices...');
-
-        // TODO: Implement device discovery
-        // 1. Enable pairing mode on coordinator
-        // 2. Wait for new device announcements
-        // 3. Interview devices for capabilities
-
-        return [];
+        this._requireBridge();
+        return Array.from(this.bridge.devices.values());
     }
 
     async permitJoin(duration = 60) {
         this.logger.info(`Enabling Zigbee join for ${duration} seconds`);
+        this._requireBridge();
 
-        // TODO: Enable device pairing
+        const seconds = Math.max(0, parseInt(duration, 10) || 0);
+        await this.bridge.request('permit_join', { value: seconds > 0, time: seconds });
 
-        return { success: true, duration };
+        return { success: true, duration: seconds };
     }
 
     async removeDevice(deviceId) {
         this.logger.info(`Removing Zigbee device ${deviceId}`);
+        this._requireBridge();
 
-        // TODO: Implement device removal
+        await this.bridge.request('device/remove', { id: deviceId });
 
         return { success: true, deviceId };
     }
 
-    async createGroup(groupId, deviceIds) {
+    /**
+     * Create a zigbee2mqtt group and add members
+     * @param {string} groupId - Group friendly name
+     * @param {Array<string>} deviceIds - Member friendly names / IEEE addresses
+     */
+    async createGroup(groupId, deviceIds = []) {
         this.logger.info(`Creating Zigbee group ${groupId} with devices ${deviceIds}`);
+        this._requireBridge();
 
-        // TODO: Implement Zigbee group creation
+        await this.bridge.request('group/add', { friendly_name: groupId });
+        for (const device of deviceIds) {
+            await this.bridge.request('group/members/add', { group: groupId, device });
+        }
 
         return { success: true, groupId, devices: deviceIds };
     }
 
     async setGroupState(groupId, state) {
         this.logger.debug(`Setting Zigbee group ${groupId} state:`, state);
+        this._requireBridge();
+
+        const group = this.bridge.findGroup(groupId);
+        const fn = group ? group.friendly_name : String(groupId);
+        this.bridge.publish(`${fn}/set`, state);
 
-        // TODO: Implement group state setting
+        return { success: true, groupId: fn, state };
+    }
+
+    // Group light API (used by light_group devices with group_id)
+
+    async setGroupColor(groupId, color, brightness, transition) {
+        const payload = { state: 'ON', color: { hex: Utils.convertColor(color, 'hex') } };
+        Object.assign(payload, brightnessPayload(brightness), transitionPayload(transition));
+        return this.setGroupState(groupId, payload);
+    }
+
+    async setGroupBrightness(groupId, brightness, transition) {
+        if (brightness === null || brightness === undefined) throw new Error('brightness is required');
+        return this.setGroupState(groupId, { ...brightnessPayload(brightness), ...transitionPayload(transition) });
+    }
 
-        return { success: true, groupId, state };
+    async turnGroupOn(groupId, brightness, transition) {
+        return this.setGroupState(groupId, { state: 'ON', ...brightnessPayload(brightness), ...transitionPayload(transition) });
     }
 
+    async turnGroupOff(groupId, transition) {
+        return this.setGroupState(groupId, { state: 'OFF', ...transitionPayload(transition) });
+    }
+
+    /**
+     * Derive what a device can do from its zigbee2mqtt `definition.exposes` and endpoint clusters
+     */
     _parseDeviceCapabilities(device) {
-        // TODO: Parse device endpoint and cluster information
-        // to determine what the device can do
+        return parseCapabilities(device);
+    }
 
-        return {
-            hasOnOff: false,
-            hasBrightness: false,
-            hasColor: false,
-            hasTemperature: false,
-            isSensor: false,
-            clusters: []
-        };
+    // Private helpers
+
+    _requireBridge() {
+        if (!this.bridge) {
+            throw new Error('Zigbee controller not initialized');
+        }
+    }
+
+    _resolve(deviceId) {
+        this._requireBridge();
+        const id = deviceId !== undefined && deviceId !== null && deviceId !== '' ? String(deviceId) : this.deviceId;
+        if (!id) {
+            throw new Error('Zigbee device requires a friendly_name');
+        }
+        // Allow addressing by IEEE address
+        const byIeee = Array.from(this.bridge.devices.values()).find(d => d.ieeeAddress === id);
+        return byIeee ? byIeee.friendlyName : id;
+    }
+
+    _watchDevice(fn) {
+        if (!this._watched) this._watched = new Set();
+        if (this._watched.has(fn)) return;
+        this._watched.add(fn);
+        this.bridge.watch(fn);
+    }
+
+    /**
+     * True unless the registry says the device lacks the capability (unknown devices pass)
+     */
+    _capable(deviceId, capability) {
+        const device = this.bridge && this.bridge.devices.get(this._resolve(deviceId));
+        return !device || device.capabilities[capability];
+    }
+
+    _requireCapability(deviceId, capability, label) {
+        if (!this._capable(deviceId, capability)) {
+            throw new Error(`Zigbee device '${this._resolve(deviceId)}' does not support ${label}`);
+        }
+    }
+}
+
+/**
+ * One zigbee2mqtt bridge connection shared by all controllers on the same MQTT client
+ * and base topic.
+ * @private
+ */
+class Zigbee2MqttBridge {
+    constructor(mqttClient, config) {
+        this.mqttClient = mqttClient;
+        this.baseTopic = config.baseTopic || DEFAULT_BASE_TOPIC;
+        this.timeout = parseInt(config.timeout) || 5000;
+        this.logger = new Logger('Zigbee2Mqtt');
+
+        this.refs = 0;
+        this.started = null;
+        this.devicesLoaded = false;
+        this.bridgeState = 'unknown';
+        this.devices = new Map();       // friendly_name -> device info
+        this.groups = [];               // raw bridge/groups entries
+        this.states = new Map();        // friendly_name -> last state payload
+        this.availability = new Map();  // friendly_name -> 'online' | 'offline'
+        this.lastUpdate = new Map();    // friendly_name -> ISO time of last state message
+        this.watchers = new Map();      // friendly_name -> ref count
+        this.subscribed = new Set();
+        this.pending = new Map();       // transaction -> {resolve, reject, timer}
+        this.transactionSeq = 0;
+        this._devicesWaiters = [];
+    }
+
+    /**
+     * Subscribe bridge topics once and wait briefly for the retained device list
+     */
+    start() {
+        this.refs++;
+        if (!this.started) {
+            this._subscribe(`${this.baseTopic}/bridge/state`, (t, msg) => {
+                this.bridgeState = typeof msg === 'object' && msg ? msg.state : String(msg);
+            });
+            this._subscribe(`${this.baseTopic}/bridge/devices`, (t, msg) => this._onDevices(msg));
+            this._subscribe(`${this.baseTopic}/bridge/groups`, (t, msg) => {
+                this.groups = Array.isArray(msg) ? msg : [];
+            });
+
+            this.started = new Promise(resolve => {
+                if (this.devicesLoaded) return resolve();
+                const timer = setTimeout(() => {
+                    this.logger.warn(`No device list from ${this.baseTopic}/bridge/devices yet; is zigbee2mqtt running?`);
+                    resolve();
+                }, this.timeout);
+                this._devicesWaiters.push(() => { clearTimeout(timer); resolve(); });
+            });
+        }
+        return this.started;
+    }
+
+    stop() {
+        for (const topic of this.subscribed) {
+            try { this.mqttClient.unsubscribe(topic); } catch (_) { /* already gone */ }
+        }
+        this.subscribed.clear();
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new Error('Zigbee controller shut down'));
+        }
+        this.pending.clear();
+    }
+
+    publish(subTopic, payload) {
+        // Not queued while offline: a light command sent after the reconnect would be stale
+        this.mqttClient.publish(`${this.baseTopic}/${subTopic}`, payload, { queue: false });
+    }
+
+    watch(fn) {
+        const count = this.watchers.get(fn) || 0;
+        this.watchers.set(fn, count + 1);
+        if (count > 0) return;
+
+        this._subscribe(`${this.baseTopic}/${fn}`, (t, msg) => {
+            if (msg && typeof msg === 'object') {
+                this.states.set(fn, { ...(this.states.get(fn) || {}), ...msg });
+                this.lastUpdate.set(fn, new Date().toISOString());
+            }
+        });
+        this._subscribe(`${this.baseTopic}/${fn}/availability`, (t, msg) => {
+            const value = msg && typeof msg === 'object' ? msg.state : String(msg);
+            this.availability.set(fn, value);
+        });
+    }
+
+    unwatch(fn) {
+        const count = (this.watchers.get(fn) || 0) - 1;
+        if (count > 0) {
+            this.watchers.set(fn, count);
+            return;
+        }
+        this.watchers.delete(fn);
+        for (const topic of [`${this.baseTopic}/${fn}`, `${this.baseTopic}/${fn}/availability`]) {
+            if (this.subscribed.delete(topic)) {
+                try { this.mqttClient.unsubscribe(topic); } catch (_) { /* already gone */ }
+            }
+        }
+    }
+
+    findGroup(groupId) {
+        const id = String(groupId);
+        return this.groups.find(g => String(g.id) === id || g.friendly_name === id) || null;
+    }
+
+    /**
+     * Send a bridge request and wait for its response
+     * @param {string} path - e.g. 'permit_join', 'group/add'
+     */
+    request(path, payload) {
+        const transaction = `pfx-${++this.transactionSeq}`;
+        const responseTopic = `${this.baseTopic}/bridge/response/${path}`;
+        if (!this.subscribed.has(responseTopic)) {
+            this._subscribe(responseTopic, (t, msg) => this._onResponse(path, msg));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(transaction);
+                reject(new Error(`zigbee2mqtt did not answer ${path} within ${this.timeout}ms`));
+            }, this.timeout);
+            this.pending.set(transaction, { path, resolve, reject, timer });
+            this.publish(`bridge/request/${path}`, { ...payload, transaction });
+        });
+    }
+
+    _subscribe(topic, handler) {
+        this.subscribed.add(topic);
+        this.mqttClient.subscribe(topic, handler);
     }
+
+    _onResponse(path, msg) {
+        if (!msg || typeof msg !== 'object') return;
+        let entry = msg.transaction ? this.pending.get(msg.transaction) : null;
+        let key = msg.transaction;
+        if (!entry) {
+            // Older zigbee2mqtt versions don't echo the transaction; settle the oldest request for this path
+            for (const [k, v] of this.pending) {
+                if (v.path === path) { entry = v; key = k; break; }
+            }
+        }
+        if (!entry) return;
+
+        this.pending.delete(key);
+        clearTimeout(entry.timer);
+        if (msg.status === 'ok') {
+            entry.resolve(msg.data || {});
+        } else {
+            entry.reject(new Error(`zigbee2mqtt ${path} failed: ${msg.error || 'unknown error'}`));
+        }
+    }
+
+    _onDevices(list) {
+        if (!Array.isArray(list)) return;
+        this.devices.clear();
+        for (const device of list) {
+            if (!device || device.type === 'Coordinator') continue;
+            this.devices.set(device.friendly_name, {
+                friendlyName: device.friendly_name,
+                ieeeAddress: device.ieee_address,
+                type: device.type,
+                model: device.definition ? device.definition.model : null,
+                vendor: device.definition ? device.definition.vendor : null,
+                description: device.definition ? device.definition.description : null,
+                supported: device.supported !== false,
+                interviewCompleted: device.interview_completed !== false,
+                capabilities: parseCapabilities(device)
+            });
+        }
+        this.devicesLoaded = true;
+        this.logger.info(`zigbee2mqtt reports ${this.devices.size} device(s)`);
+        const waiters = this._devicesWaiters.splice(0);
+        waiters.forEach(fn => fn());
+    }
+}
+
+function acquireBridge(mqttClient, config) {
+    const baseTopic = config.baseTopic || DEFAULT_BASE_TOPIC;
+    if (!bridges.has(mqttClient)) bridges.set(mqttClient, new Map());
+    const perClient = bridges.get(mqttClient);
+    if (!perClient.has(baseTopic)) perClient.set(baseTopic, new Zigbee2MqttBridge(mqttClient, config));
+    return perClient.get(baseTopic);
+}
+
+function releaseBridge(bridge) {
+    bridge.refs--;
+    if (bridge.refs > 0) return;
+    bridge.stop();
+    const perClient = bridges.get(bridge.mqttClient);
+    if (perClient) {
+        perClient.delete(bridge.baseTopic);
+        if (!perClient.size) bridges.delete(bridge.mqttClient);
+    }
+}
+
+function parseCapabilities(device) {
+    const caps = {
+        type: null,
+        hasOnOff: false,
+        hasBrightness: false,
+        hasColor: false,
+        hasTemperature: false,
+        isSensor: false,
+        properties: [],
+        clusters: []
+    };
+
+    const exposes = (device && device.definition && device.definition.exposes) || [];
+    const controlTypes = ['light', 'switch', 'lock', 'cover', 'fan', 'climate'];
+    for (const expose of exposes) {
+        if (controlTypes.includes(expose.type)) {
+            caps.type = caps.type || expose.type;
+            for (const feature of expose.features || []) {
+                caps.properties.push(feature.property || feature.name);
+                if (feature.name === 'state') caps.hasOnOff = true;
+                if (feature.name === 'brightness') caps.hasBrightness = true;
+                if (feature.name === 'color_xy' || feature.name === 'color_hs') caps.hasColor = true;
+                if (feature.name === 'color_temp') caps.hasTemperature = true;
+            }
+        } else {
+            const property = expose.property || expose.name;
+            if (property) caps.properties.push(property);
+            // Read-only (access bit 2 unset) properties other than link quality mark a sensor
+            if (property && property !== 'linkquality' && typeof expose.access === 'number' && (expose.access & 2) === 0) {
+                caps.isSensor = true;
+            }
+        }
+    }
+
+    const endpoints = (device && device.endpoints) || {};
+    const clusters = new Set();
+    for (const ep of Object.values(endpoints)) {
+        ((ep.clusters && ep.clusters.input) || []).forEach(c => clusters.add(c));
+    }
+    caps.clusters = Array.from(clusters);
+
+    return caps;
+}
+
+/**
+ * @param {number|null|undefined} brightness - 0-100 (0 switches off)
+ */
+function brightnessPayload(brightness) {
+    if (brightness === null || brightness === undefined) return {};
+    const pct = Math.max(0, Math.min(100, Number(brightness)));
+    if (pct === 0) return { state: 'OFF' };
+    return { state: 'ON', brightness: Math.max(1, Math.round(pct * 254 / 100)) };
+}
+
+/**
+ * zigbee2mqtt transitions are in seconds
+ */
+function transitionPayload(transition) {
+    if (transition === null || transition === undefined || isNaN(Number(transition))) return {};
+    return { transition: Math.max(0, Number(transition)) / 1000 };
 }
 
 module.exports = ZigbeeController;
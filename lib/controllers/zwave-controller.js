@@ -1,177 +1,661 @@
 /**
- * Z-Wave Controller (Placeholder)
- * 
- * Controller for Z-Wave devices via Z-Wave controller.
- * To be implemented with Z-Wave JS or OpenZWave integration.
+ * Z-Wave Controller
+ *
+ * Controller for Z-Wave devices through the zwave-js-ui MQTT gateway, using pfx's existing
+ * MQTT connection.
+ *
+ * - Gateway API calls are published to
+ *   `<prefix>/_CLIENTS/ZWAVE_GATEWAY-<name>/api/<api>/set` as `{"args": [...]}`; the
+ *   gateway answers on `.../api/<api>` with `{success, message, result}`.
+ * - Values are written with the `writeValue` API so every write is acknowledged.
+ * - Node values are cached from the gateway's value topics
+ *   (`<prefix>/<nodeId>/<cc>/<endpoint>/<property>`), from `node/value_updated` gateway
+ *   events and from the initial `getNodes` snapshot. Node status comes from
+ *   `<prefix>/<nodeId>/status`.
+ *
+ * Like the zigbee controller, controllers on the same MQTT client share one gateway
+ * connection (subscriptions are made once and released with the last device).
  */
 
 const Logger = require('../utils/logger');
+const Utils = require('../utils/utils');
+
+const DEFAULT_PREFIX = 'zwave';
+const DEFAULT_GATEWAY = 'zwave-js-ui';
+
+// Command classes used here
+const CC = {
+    BASIC: 32,
+    BINARY_SWITCH: 37,
+    MULTILEVEL_SWITCH: 38,
+    COLOR_SWITCH: 51,
+    SENSOR_MULTILEVEL: 49,
+    WAKE_UP: 132,
+    BATTERY: 128,
+    ASSOCIATION: 133,
+    SECURITY: 152,
+    SECURITY_2: 159
+};
+
+// Shared gateways: Map<mqttClient, Map<"prefix|name", ZwaveGateway>>
+const gateways = new Map();
 
 class ZwaveController {
+    /**
+     * @param {Object} config
+     * @param {Object} config.mqttClient - pfx MqttClient
+     * @param {number} [config.nodeId] - Default node for calls without an id
+     * @param {number} [config.endpoint=0] - Endpoint for switch/dimmer values
+     * @param {string} [config.prefix='zwave'] - zwave-js-ui MQTT prefix
+     * @param {string} [config.gatewayName='zwave-js-ui'] - zwave-js-ui MQTT name
+     * @param {number} [config.timeout=5000] - API request timeout in ms
+     */
     constructor(config) {
-        this.config = config;
+        this.config = config || {};
         this.logger = new Logger('ZwaveController');
         this.connected = false;
+        this.mqttClient = this.config.mqttClient || null;
+        this.nodeId = this.config.nodeId !== undefined && this.config.nodeId !== null ? parseInt(this.config.nodeId, 10) : null;
+        this.endpoint = parseInt(this.config.endpoint) || 0;
         this.driver = null;
-        this.controller = null;
-        this.nodes = new Map();
+        this._watched = new Set();
+    }
+
+    /**
+     * Nodes known to the gateway: Map<nodeId, node>
+     */
+    get nodes() {
+        return this.driver ? this.driver.nodes : new Map();
     }
 
     async initialize() {
         this.logger.info('Initializing Z-Wave controller...');
 
-        // TODO: Implement Z-Wave controller setup
-        // 1. Initialize Z-Wave driver (Z-Wave JS recommended)
-        // 2. Connect to Z-Wave controller (USB stick)
-        // 3. Start network and discover nodes
-        // 4. Interview nodes for capabilities
+        if (!this.mqttClient) {
+            throw new Error('Z-Wave controller requires the pfx MQTT client (zwave-js-ui gateway)');
+        }
+
+        this.driver = acquireGateway(this.mqttClient, this.config);
+        await this.driver.start();
+        if (this.nodeId !== null) {
+            this._watchNode(this.nodeId);
+            if (this.driver.nodesLoaded && !this.driver.nodes.has(this.nodeId)) {
+                this.logger.warn(`Z-Wave node ${this.nodeId} is not known to the gateway`);
+            }
+        }
 
         this.connected = true;
-        this.logger.info('Z-Wave controller initialized (placeholder)');
+        this.logger.info('Z-Wave controller initialized');
     }
 
     async shutdown() {
         this.logger.info('Shutting down Z-Wave controller...');
 
-        // TODO: Cleanup Z-Wave driver and connections
+        if (this.driver) {
+            this._watched.forEach(nodeId => this.driver.unwatch(nodeId, this.endpoint));
+            this._watched.clear();
+            releaseGateway(this.driver);
+            this.driver = null;
+        }
 
         this.connected = false;
         this.logger.info('Z-Wave controller shutdown complete');
     }
 
-    async setNodeValue(nodeId, commandClass, property, value) {
-        this.logger.debug(`Setting Z-Wave node ${nodeId} value: ${commandClass}.${property} = ${value}`);
-
-        // TODO: Implement Z-Wave value setting
-        // 1. Get node reference
-        // 2. Set command class property value
-        // 3. Handle response and confirmation
-
-        return { success: true, nodeId, commandClass, property, value };
+    /**
+     * Write a value through the gateway's writeValue API
+     * @param {number} nodeId
+     * @param {number} commandClass
+     * @param {string} property
+     * @param {*} value
+     * @param {Object} [options] - { endpoint, propertyKey, transitionDuration }
+     */
+    async setNodeValue(nodeId, commandClass, property, value, options = {}) {
+        const node = this._resolve(nodeId);
+        const endpoint = options.endpoint !== undefined ? options.endpoint : this.endpoint;
+        this.logger.debug(`Setting Z-Wave node ${node} value: ${commandClass}.${property} = ${JSON.stringify(value)}`);
+
+        const valueId = { nodeId: node, commandClass, endpoint, property };
+        if (options.propertyKey !== undefined) valueId.propertyKey = options.propertyKey;
+        const writeOptions = options.transitionDuration ? { transitionDuration: options.transitionDuration } : undefined;
+
+        await this.driver.api('writeValue', writeOptions ? [valueId, value, writeOptions] : [valueId, value]);
+
+        return { success: true, nodeId: node, commandClass, property, value };
     }
 
     async turnSwitchOn(nodeId) {
         this.logger.debug(`Turning Z-Wave switch ${nodeId} on`);
+        const node = this._resolve(nodeId);
 
-        // TODO: Implement switch turn on
-        // Usually Binary Switch CC or Multilevel Switch CC
+        if (this._switchClass(node) === CC.MULTILEVEL_SWITCH) {
+            // 255 restores the last non-zero level
+            await this.setNodeValue(node, CC.MULTILEVEL_SWITCH, 'targetValue', 255);
+        } else {
+            await this.setNodeValue(node, CC.BINARY_SWITCH, 'targetValue', true);
+        }
 
-        return { success: true, nodeId, state: 'on' };
+        return { success: true, nodeId: node, state: 'on' };
     }
 
     async turnSwitchOff(nodeId) {
         this.logger.debug(`Turning Z-Wave switch ${nodeId} off`);
+        const node = this._resolve(nodeId);
 
-        // TODO: Implement switch turn off
+        if (this._switchClass(node) === CC.MULTILEVEL_SWITCH) {
+            await this.setNodeValue(node, CC.MULTILEVEL_SWITCH, 'targetValue', 0);
+        } else {
+            await this.setNodeValue(node, CC.BINARY_SWITCH, 'targetValue', false);
+        }
 
-        return { success: true, nodeId, state: 'off' };
+        return { success: true, nodeId: node, state: 'off' };
     }
 
-    async setDimmerLevel(nodeId, level) {
+    /**
+     * Switch state from the values the gateway reported ('unknown' until it has)
+     */
+    async getSwitchState(nodeId) {
+        return (await this.getLightStatus(nodeId)).state;
+    }
+
+    /**
+     * Set a Multilevel Switch level
+     * @param {number} level - 0-99 (Z-Wave scale); 255 restores the previous level
+     * @param {number} [transition] - Transition in ms (for dimmers that support durations)
+     */
+    async setDimmerLevel(nodeId, level, transition) {
         this.logger.debug(`Setting Z-Wave dimmer ${nodeId} to level ${level}`);
+        const node = this._resolve(nodeId);
+        const value = level === 255 ? 255 : Math.max(0, Math.min(99, Math.round(Number(level))));
 
-        // TODO: Implement dimmer level setting
-        // Multilevel Switch CC
+        await this.setNodeValue(node, CC.MULTILEVEL_SWITCH, 'targetValue', value, { transitionDuration: durationString(transition) });
 
-        return { success: true, nodeId, level };
+        return { success: true, nodeId: node, level: value };
     }
 
-    async getNodeValue(nodeId, commandClass, property) {
-        this.logger.debug(`Getting Z-Wave node ${nodeId} value: ${commandClass}.${property}`);
+    // Light API (dimmers; color for Color Switch CC nodes)
 
-        // TODO: Implement value retrieval
+    async setLightBrightness(nodeId, brightness, transition) {
+        await this.setDimmerLevel(nodeId, percentToLevel(brightness), transition);
+        return { success: true, lightId: nodeId, brightness };
+    }
+
+    async turnLightOn(nodeId, brightness, transition) {
+        const level = brightness !== null && brightness !== undefined ? percentToLevel(brightness) : 255;
+        if (this._switchClass(this._resolve(nodeId)) === CC.BINARY_SWITCH) {
+            await this.turnSwitchOn(nodeId);
+        } else {
+            await this.setDimmerLevel(nodeId, level, transition);
+        }
+        return { success: true, lightId: nodeId, state: 'on' };
+    }
+
+    async turnLightOff(nodeId, transition) {
+        if (this._switchClass(this._resolve(nodeId)) === CC.BINARY_SWITCH) {
+            await this.turnSwitchOff(nodeId);
+        } else {
+            await this.setDimmerLevel(nodeId, 0, transition);
+        }
+        return { success: true, lightId: nodeId, state: 'off' };
+    }
+
+    async setLightColor(nodeId, color, brightness, transition) {
+        const node = this._resolve(nodeId);
+        const known = this.driver.nodes.get(node);
+        if (known && known.commandClasses.length && !known.commandClasses.includes(CC.COLOR_SWITCH)) {
+            throw new Error(`Z-Wave node ${node} does not support color`);
+        }
+
+        const { r, g, b } = Utils.parseColor(color);
+        await this.setNodeValue(node, CC.COLOR_SWITCH, 'targetColor', { red: r, green: g, blue: b }, { transitionDuration: durationString(transition) });
+        if (brightness !== null && brightness !== undefined) {
+            await this.setDimmerLevel(node, percentToLevel(brightness), transition);
+        }
+
+        return { success: true, lightId: node, color, brightness };
+    }
+
+    async getLightStatus(nodeId) {
+        const node = this._resolve(nodeId);
+        const status = await this.getNodeStatus(node);
+        const level = this.driver.getCached(node, CC.MULTILEVEL_SWITCH, this.endpoint, 'currentValue');
+        const binary = this.driver.getCached(node, CC.BINARY_SWITCH, this.endpoint, 'currentValue');
+
+        let state = 'unknown';
+        let brightness;
+        if (level && typeof level.value === 'number') {
+            state = level.value > 0 ? 'on' : 'off';
+            brightness = Math.round(Math.min(99, level.value) * 100 / 99);
+        } else if (binary && typeof binary.value === 'boolean') {
+            state = binary.value ? 'on' : 'off';
+        }
+
+        return { lightId: node, state, brightness, reachable: status.isAlive !== false };
+    }
+
+    /**
+     * Read a value: cached from gateway updates, otherwise polled from the node
+     */
+    async getNodeValue(nodeId, commandClass, property, endpoint = this.endpoint) {
+        const node = this._resolve(nodeId);
+        this.logger.debug(`Getting Z-Wave node ${node} value: ${commandClass}.${property}`);
+
+        let cached = this.driver.getCached(node, commandClass, endpoint, property);
+        if (!cached) {
+            const value = await this.driver.api('pollValue', [{ nodeId: node, commandClass, endpoint, property }]);
+            this.driver.setCached(node, commandClass, endpoint, property, undefined, value);
+            cached = this.driver.getCached(node, commandClass, endpoint, property);
+        }
 
         return {
-            nodeId,
+            nodeId: node,
             commandClass,
             property,
-            value: null,
-            timestamp: Date.now()
+            value: cached.value,
+            timestamp: cached.time
         };
     }
 
     async getNodeStatus(nodeId) {
-        this.logger.debug(`Getting status for Z-Wave node ${nodeId}`);
+        const node = this._resolve(nodeId);
+        this.logger.debug(`Getting status for Z-Wave node ${node}`);
 
-        // TODO: Implement node status retrieval
+        const info = this.driver.nodes.get(node) || {};
+        const status = info.status || 'unknown';
+        const battery = this.driver.getCached(node, CC.BATTERY, 0, 'level');
 
         return {
-            nodeId,
-            status: 'unknown',
-            isReady: false,
-            isAwake: false,
-            isAlive: false,
-            lastSeen: null,
-            batteryLevel: null
+            nodeId: node,
+            name: info.name || null,
+            status,
+            isReady: !!info.ready,
+            isAwake: status === 'Awake' || status === 'Alive',
+            isAlive: status !== 'Dead' && status !== 'unknown',
+            lastSeen: info.lastActive || null,
+            batteryLevel: battery ? battery.value : null
         };
     }
 
+    /**
+     * Rebuild routes (network heal). Uses `beginRebuildingRoutes`, falling back to the
+     * pre-9.x `beginHealingNetwork` API name.
+     */
     async healNetwork() {
         this.logger.info('Healing Z-Wave network...');
+        this._requireGateway();
 
-        // TODO: Implement network healing
-        // 1. Update return routes
-        // 2. Refresh neighbor information
-        // 3. Optimize network topology
+        try {
+            await this.driver.api('beginRebuildingRoutes', []);
+        } catch (error) {
+            if (!/unknown|not (found|allowed|supported)/i.test(error.message)) throw error;
+            await this.driver.api('beginHealingNetwork', []);
+        }
 
         return { success: true, message: 'Network heal started' };
     }
 
     async includeNode() {
         this.logger.info('Starting Z-Wave node inclusion...');
+        this._requireGateway();
 
-        // TODO: Implement node inclusion
-        // 1. Start inclusion mode on controller
-        // 2. Wait for new node to join
-        // 3. Interview new node
+        await this.driver.api('startInclusion', [0]);
 
         return { success: true, message: 'Inclusion mode started' };
     }
 
+    /**
+     * Start exclusion mode, or remove a failed (dead) node when a nodeId is given
+     */
     async excludeNode(nodeId) {
-        this.logger.info(`Excluding Z-Wave node ${nodeId}...`);
+        this.logger.info(`Excluding Z-Wave node ${nodeId === undefined ? '(exclusion mode)' : nodeId}...`);
+        this._requireGateway();
 
-        // TODO: Implement node exclusion
+        if (nodeId === undefined || nodeId === null) {
+            await this.driver.api('startExclusion', []);
+            return { success: true, message: 'Exclusion mode started' };
+        }
 
+        await this.driver.api('removeFailedNode', [parseInt(nodeId, 10)]);
+        this.driver.nodes.delete(parseInt(nodeId, 10));
         return { success: true, nodeId, message: 'Node excluded' };
     }
 
-    async discoverNodes() {
-        this.logger.info('Discovering Z-Wave nodes...');
+    async stopInclusion() {
+        this._requireGateway();
+        await this.driver.api('stopInclusion', []);
+        return { success: true };
+    }
 
-        // TODO: Implement node discovery
-        // Usually happens automatically during network startup
+    async stopExclusion() {
+        this._requireGateway();
+        await this.driver.api('stopExclusion', []);
+        return { success: true };
+    }
 
-        return [];
+    /**
+     * Reload the node list from the gateway
+     */
+    async discoverNodes() {
+        this.logger.info('Discovering Z-Wave nodes...');
+        this._requireGateway();
+        await this.driver.loadNodes();
+        return Array.from(this.driver.nodes.values());
     }
 
     async refreshNodeInfo(nodeId) {
-        this.logger.info(`Refreshing info for Z-Wave node ${nodeId}...`);
+        const node = this._resolve(nodeId);
+        this.logger.info(`Refreshing info for Z-Wave node ${node}...`);
 
-        // TODO: Implement node information refresh
+        await this.driver.api('refreshInfo', [node]);
 
-        return { success: true, nodeId };
+        return { success: true, nodeId: node };
     }
 
     _getCommandClasses(nodeId) {
-        // TODO: Get supported command classes for a node
+        const info = this.driver && this.driver.nodes.get(this._resolve(nodeId));
+        const ccs = (info && info.commandClasses) || [];
 
         return {
-            basic: false,
-            binarySwitch: false,
-            multilevelSwitch: false,
-            sensorMultilevel: false,
-            battery: false,
-            wakeup: false,
-            association: false
+            basic: ccs.includes(CC.BASIC),
+            binarySwitch: ccs.includes(CC.BINARY_SWITCH),
+            multilevelSwitch: ccs.includes(CC.MULTILEVEL_SWITCH),
+            colorSwitch: ccs.includes(CC.COLOR_SWITCH),
+            sensorMultilevel: ccs.includes(CC.SENSOR_MULTILEVEL),
+            battery: ccs.includes(CC.BATTERY),
+            wakeup: ccs.includes(CC.WAKE_UP),
+            association: ccs.includes(CC.ASSOCIATION)
         };
     }
 
     _isNodeSecure(nodeId) {
-        // TODO: Check if node is securely included
+        const info = this.driver && this.driver.nodes.get(this._resolve(nodeId));
+        return !!(info && info.isSecure);
+    }
+
+    // Private helpers
+
+    _requireGateway() {
+        if (!this.driver) {
+            throw new Error('Z-Wave controller not initialized');
+        }
+    }
+
+    _resolve(nodeId) {
+        this._requireGateway();
+        const raw = nodeId !== undefined && nodeId !== null && nodeId !== '' ? nodeId : this.nodeId;
+        const node = parseInt(raw, 10);
+        if (isNaN(node)) {
+            throw new Error(`Invalid Z-Wave node id: ${raw}`);
+        }
+        this._watchNode(node);
+        return node;
+    }
+
+    /**
+     * Binary switch unless the node only has a Multilevel Switch
+     */
+    _switchClass(node) {
+        const ccs = this._getCommandClasses(node);
+        if (!ccs.binarySwitch && ccs.multilevelSwitch) return CC.MULTILEVEL_SWITCH;
+        return CC.BINARY_SWITCH;
+    }
+
+    _watchNode(node) {
+        if (this._watched.has(node)) return;
+        this._watched.add(node);
+        this.driver.watch(node, this.endpoint);
+    }
+}
+
+/**
+ * One zwave-js-ui gateway connection shared by controllers on the same MQTT client.
+ * @private
+ */
+class ZwaveGateway {
+    constructor(mqttClient, config) {
+        this.mqttClient = mqttClient;
+        this.prefix = config.prefix || DEFAULT_PREFIX;
+        this.name = config.gatewayName || DEFAULT_GATEWAY;
+        this.timeout = parseInt(config.timeout) || 5000;
+        this.logger = new Logger('ZwaveGateway');
+
+        this.clientTopic = `${this.prefix}/_CLIENTS/ZWAVE_GATEWAY-${this.name}`;
+        this.eventsTopic = `${this.prefix}/_EVENTS/ZWAVE_GATEWAY-${this.name}`;
+
+        this.refs = 0;
+        this.started = null;
+        this.nodesLoaded = false;
+        this.nodes = new Map();      // nodeId -> node info
+        this.values = new Map();     // valueKey -> {value, time}
+        this.watchers = new Map();   // "node|endpoint" -> ref count
+        this.subscribed = new Set();
+        this.pending = new Map();    // api -> [{resolve, reject, timer, args}]
+    }
 
-        return false;
+    start() {
+        this.refs++;
+        if (!this.started) {
+            this._subscribe(`${this.clientTopic}/status`, () => { });
+            this._subscribe(`${this.eventsTopic}/node/value_updated`, (t, msg) => this._onValueEvent(msg));
+            this.started = this.loadNodes().catch(error => {
+                this.logger.warn(`Could not load nodes from zwave-js-ui: ${error.message}`);
+            });
+        }
+        return this.started;
     }
+
+    stop() {
+        for (const topic of this.subscribed) {
+            try { this.mqttClient.unsubscribe(topic); } catch (_) { /* already gone */ }
+        }
+        this.subscribed.clear();
+        for (const queue of this.pending.values()) {
+            queue.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(new Error('Z-Wave controller shut down'));
+            });
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Call a gateway API and resolve with its `result`
+     */
+    api(name, args = []) {
+        const responseTopic = `${this.clientTopic}/api/${name}`;
+        if (!this.subscribed.has(responseTopic)) {
+            this._subscribe(responseTopic, (t, msg) => this._onApiResponse(name, msg));
+        }
+
+        return new Promise((resolve, reject) => {
+            // Replies echo the args; they tell concurrent calls of one API apart
+            const entry = { resolve, reject, args: JSON.stringify(args) };
+            entry.timer = setTimeout(() => {
+                const queue = this.pending.get(name) || [];
+                const idx = queue.indexOf(entry);
+                if (idx >= 0) queue.splice(idx, 1);
+                reject(new Error(`zwave-js-ui did not answer ${name} within ${this.timeout}ms`));
+            }, this.timeout);
+            if (!this.pending.has(name)) this.pending.set(name, []);
+            this.pending.get(name).push(entry);
+            // Not queued while offline: the call has timed out by the reconnect
+            this.mqttClient.publish(`${responseTopic}/set`, { args }, { queue: false });
+        });
+    }
+
+    async loadNodes() {
+        const nodes = await this.api('getNodes', []);
+        this.nodes.clear();
+        for (const node of Array.isArray(nodes) ? nodes : []) {
+            if (!node || node.id === undefined) continue;
+            const values = Array.isArray(node.values) ? node.values : Object.values(node.values || {});
+            const ccs = new Set(values.map(v => v.commandClass));
+            (node.commandClasses || []).forEach(c => ccs.add(typeof c === 'object' ? c.id : c));
+            this.nodes.set(node.id, {
+                id: node.id,
+                name: node.name || null,
+                location: node.loc || null,
+                status: node.status || 'unknown',
+                ready: !!node.ready,
+                isSecure: !!node.isSecure,
+                lastActive: node.lastActive ? new Date(node.lastActive).toISOString() : null,
+                manufacturer: node.manufacturer || null,
+                product: node.productLabel || node.productDescription || null,
+                commandClasses: Array.from(ccs).filter(c => c !== undefined)
+            });
+            for (const v of values) {
+                this.setCached(node.id, v.commandClass, v.endpoint || 0, v.property, v.propertyKey, v.value);
+            }
+        }
+        this.nodesLoaded = true;
+        this.logger.info(`zwave-js-ui reports ${this.nodes.size} node(s)`);
+    }
+
+    /**
+     * Track value and status topics for a node/endpoint
+     */
+    watch(node, endpoint) {
+        const key = `${node}|${endpoint}`;
+        const count = this.watchers.get(key) || 0;
+        this.watchers.set(key, count + 1);
+        if (count > 0) return;
+
+        for (const [cc, property] of this._watchedValues()) {
+            this._subscribe(`${this.prefix}/${node}/${cc}/${endpoint}/${property}`, (t, msg) => {
+                this.setCached(node, cc, endpoint, property, undefined, unwrap(msg));
+            });
+        }
+        const statusTopic = `${this.prefix}/${node}/status`;
+        if (!this.subscribed.has(statusTopic)) {
+            this._subscribe(statusTopic, (t, msg) => this._onStatus(node, msg));
+        }
+    }
+
+    unwatch(node, endpoint) {
+        const key = `${node}|${endpoint}`;
+        const count = (this.watchers.get(key) || 0) - 1;
+        if (count > 0) {
+            this.watchers.set(key, count);
+            return;
+        }
+        this.watchers.delete(key);
+        const topics = this._watchedValues().map(([cc, property]) => `${this.prefix}/${node}/${cc}/${endpoint}/${property}`);
+        if (![...this.watchers.keys()].some(k => k.startsWith(`${node}|`))) {
+            topics.push(`${this.prefix}/${node}/status`);
+        }
+        for (const topic of topics) {
+            if (this.subscribed.delete(topic)) {
+                try { this.mqttClient.unsubscribe(topic); } catch (_) { /* already gone */ }
+            }
+        }
+    }
+
+    getCached(node, cc, endpoint, property, propertyKey) {
+        return this.values.get(valueKey(node, cc, endpoint, property, propertyKey)) || null;
+    }
+
+    setCached(node, cc, endpoint, property, propertyKey, value) {
+        this.values.set(valueKey(node, cc, endpoint, property, propertyKey), { value, time: Date.now() });
+    }
+
+    _watchedValues() {
+        return [
+            [CC.BINARY_SWITCH, 'currentValue'],
+            [CC.MULTILEVEL_SWITCH, 'currentValue']
+        ];
+    }
+
+    _subscribe(topic, handler) {
+        this.subscribed.add(topic);
+        this.mqttClient.subscribe(topic, handler);
+    }
+
+    /**
+     * Settle the call a reply belongs to: the oldest pending call with the args the reply
+     * echoes. Replies to calls that already timed out match none and are dropped; only
+     * replies without args fall back to the oldest call.
+     */
+    _onApiResponse(name, msg) {
+        const queue = this.pending.get(name);
+        if (!queue || !queue.length || !msg || typeof msg !== 'object') return;
+        const index = Array.isArray(msg.args) ? queue.findIndex(e => e.args === JSON.stringify(msg.args)) : 0;
+        if (index < 0) {
+            this.logger.debug(`Dropped late zwave-js-ui ${name} reply`);
+            return;
+        }
+        const [entry] = queue.splice(index, 1);
+        clearTimeout(entry.timer);
+        if (msg.success) {
+            entry.resolve(msg.result);
+        } else {
+            entry.reject(new Error(`zwave-js-ui ${name} failed: ${msg.message || 'unknown error'}`));
+        }
+    }
+
+    _onValueEvent(msg) {
+        const data = msg && Array.isArray(msg.data) ? msg.data : null;
+        if (!data || data.length < 2) return;
+        const [node, args] = data;
+        const nodeId = node && (node.id !== undefined ? node.id : node.nodeId);
+        if (nodeId === undefined || !args) return;
+        this.setCached(nodeId, args.commandClass, args.endpoint || 0, args.property, args.propertyKey, args.newValue);
+    }
+
+    _onStatus(node, msg) {
+        const info = this.nodes.get(node) || { id: node, commandClasses: [] };
+        if (msg && typeof msg === 'object') {
+            info.status = msg.status || (msg.value ? 'Alive' : 'Dead');
+            info.lastActive = msg.time ? new Date(msg.time).toISOString() : info.lastActive;
+        } else {
+            info.status = msg === true || msg === 'true' ? 'Alive' : 'Dead';
+        }
+        this.nodes.set(node, info);
+    }
+}
+
+function acquireGateway(mqttClient, config) {
+    const key = `${config.prefix || DEFAULT_PREFIX}|${config.gatewayName || DEFAULT_GATEWAY}`;
+    if (!gateways.has(mqttClient)) gateways.set(mqttClient, new Map());
+    const perClient = gateways.get(mqttClient);
+    if (!perClient.has(key)) perClient.set(key, new ZwaveGateway(mqttClient, config));
+    return perClient.get(key);
+}
+
+function releaseGateway(gateway) {
+    gateway.refs--;
+    if (gateway.refs > 0) return;
+    gateway.stop();
+    const perClient = gateways.get(gateway.mqttClient);
+    if (perClient) {
+        perClient.delete(`${gateway.prefix}|${gateway.name}`);
+        if (!perClient.size) gateways.delete(gateway.mqttClient);
+    }
+}
+
+function valueKey(node, cc, endpoint, property, propertyKey) {
+    return [node, cc, endpoint || 0, property, propertyKey].filter(p => p !== undefined && p !== null).join('-');
+}
+
+/**
+ * Value topics carry either a raw value or a {time, value} JSON payload
+ */
+function unwrap(msg) {
+    return msg && typeof msg === 'object' && 'value' in msg ? msg.value : msg;
+}
+
+function percentToLevel(brightness) {
+    const pct = Math.max(0, Math.min(100, Number(brightness)));
+    if (isNaN(pct)) throw new Error(`Invalid brightness: ${brightness}`);
+    return Math.round(pct * 99 / 100);
+}
+
+/**
+ * zwave-js duration string for a transition in ms (undefined when not set)
+ */
+function durationString(transition) {
+    if (transition === null || transition === undefined || isNaN(Number(transition))) return undefined;
+    return `${Math.max(0, Math.round(Number(transition) / 1000))}s`;
 }
 
 module.exports = ZwaveController;
+module.exports.CC = CC;
@@ -0,0 +1,375 @@
+/**
+ * Command Schemas
+ *
+ * JSON Schemas (draft-07) describing the parameters of every command each zone type
+ * accepts, plus the device command topic. The zone manager validates commands against
+ * them before dispatch; getCommandSchema returns them so UIs can build command forms.
+ *
+ * Schemas only constrain the fields they name: extra fields are passed through to the
+ * zone as before. Numeric strings (`"volume": "80"`) are accepted for number fields
+ * and converted, as the checks before schemas did. Commands without a schema (unknown types or commands) are checked
+ * against the shared parameter definitions only and left to the zone to reject.
+ */
+
+const Ajv = require('ajv');
+
+// Upper bound for any per-command `volume` parameter (the volume model's absolute
+// maximum); values above the zone's max_volume are clamped, with a warning, not rejected
+const MAX_COMMAND_VOLUME = 200;
+
+// Key for the device command topic ({baseTopic}/{deviceName}/commands)
+const DEVICE = 'device';
+
+// Fields every command may carry (see MQTT_API.md "Command Message Format")
+const ENVELOPE = {
+    command: { type: 'string', minLength: 1 },
+    id: { type: ['string', 'number'], description: 'Correlation id echoed on resulting events' },
+    correlation_id: { type: ['string', 'number'], description: 'Correlation id (wins over id)' },
+    response_topic: { type: 'string', pattern: '^[^#+]+$', description: 'Topic for the single reply' }
+};
+
+// Shared parameter definitions
+const P = {
+    file: { type: 'string', minLength: 1, description: 'Media file, relative to the zone media directory' },
+    volume: { type: 'number', minimum: 0, maximum: MAX_COMMAND_VOLUME, description: 'Absolute volume for this playback' },
+    adjustVolume: { type: 'number', description: 'Percent adjustment of the base volume' },
+    fadeTime: { type: 'number', minimum: 0, description: 'Fade duration in milliseconds' },
+    loop: { type: 'boolean' },
+    ducking: { type: 'number', description: 'Ducking level (negative values duck)' },
+    skipDucking: { type: 'boolean', description: 'Do not duck background audio' },
+    channel: { description: 'Audio output channel' },
+    url: { type: 'string', minLength: 1 },
+    brightness: { type: 'number', description: 'Brightness 0-100 (clamped)' },
+    color: { type: 'string', minLength: 1, description: 'Hex (#RRGGBB) or named color' },
+    transition: { type: 'number', minimum: 0, description: 'Transition time in milliseconds' },
+    duration: { type: 'number', minimum: 0, description: 'Duration in milliseconds' },
+    lights: { type: 'array', items: { type: 'string' }, description: 'Subset of group members' }
+};
+
+// Parameters checked on commands that have no schema of their own
+const COMMON = {
+    type: 'object',
+    properties: {
+        ...ENVELOPE,
+        file: P.file,
+        filePath: P.file,
+        audio: P.file,
+        video: P.file,
+        image: P.file,
+        volume: P.volume,
+        adjustVolume: P.adjustVolume,
+        fadeTime: P.fadeTime
+    }
+};
+
+/**
+ * Build a command schema
+ * @param {string} description
+ * @param {Object} [properties] - Parameter definitions
+ * @param {Object} [extra] - Additional schema keywords (required, anyOf, ...)
+ */
+function command(description, properties = {}, extra = {}) {
+    return { type: 'object', description, properties, ...extra };
+}
+
+/** One of several alias fields (first is preferred) must be present */
+function requireOneOf(...names) {
+    return { anyOf: names.map(name => ({ required: [name] })) };
+}
+
+const playback = { volume: P.volume, adjustVolume: P.adjustVolume };
+const backgroundParams = { file: P.file, audio: P.file, ...playback, loop: P.loop, skipDucking: P.skipDucking, skip_ducking: P.skipDucking };
+const speechParams = { file: P.file, audio: P.file, ...playback, ducking: P.ducking };
+const effectParams = { file: P.file, audio: P.file, ...playback };
+const fade = { fadeTime: P.fadeTime };
+
+const setVolume = command('Set the zone volume, one base volume type, or several base volumes', {
+    volume: P.volume,
+    type: { type: 'string', enum: ['background', 'speech', 'effects', 'video'], description: 'Base volume type to set' },
+    volumes: { type: 'object', additionalProperties: { type: 'number' }, description: 'Map of base volume type to volume (clamped)' }
+}, { ...requireOneOf('volume', 'volumes'), dependencies: { type: ['volume'] } });
+
+const getCommandSchema = command('Return the command schemas of this topic', {
+    name: { type: 'string', minLength: 1, description: 'Only this command' }
+});
+
+const listMedia = command('List the files in the zone media directory', {
+    type: { type: 'string', enum: ['image', 'video', 'audio'], description: 'Only this media type' },
+    folder: { type: 'string', description: 'Only files under this subfolder' }
+});
+
+const AUDIO_COMMANDS = {
+    playBackground: command('Play background music', backgroundParams, requireOneOf('file', 'audio')),
+    pauseBackground: command('Pause background music'),
+    resumeBackground: command('Resume background music'),
+    stopBackground: command('Stop background music', fade),
+    playSpeech: command('Queue speech (ducks background audio)', speechParams, requireOneOf('file', 'audio')),
+    pauseSpeech: command('Pause speech'),
+    resumeSpeech: command('Resume speech'),
+    stopSpeech: command('Stop speech and clear the queue', fade),
+    skipSpeech: command('Skip the current speech item'),
+    playSoundEffect: command('Play a sound effect', effectParams, requireOneOf('file', 'audio')),
+    playAudioFX: command('Play a sound effect (alias of playSoundEffect)', effectParams, requireOneOf('file', 'audio')),
+    duck: command('Duck background audio manually', { ducking: P.ducking }),
+    unduck: command('Remove a manual duck (all manual ducks without duck_id)', { duck_id: { type: 'string', minLength: 1 } }),
+    setVolume,
+    setDuckingAdjustment: command('Set the ducking adjustment', { adjustValue: { type: 'number' } }, { required: ['adjustValue'] }),
+    resetVolumes: command('Restore configured volumes'),
+    stopAudio: command('Stop background music and speech', fade),
+    stopAll: command('Stop all media', fade),
+    getStatus: command('Publish the current state'),
+    getState: command('Publish the current state'),
+    reboot: command('Reboot the host'),
+    shutdown: command('Shut the host down'),
+    killPfx: command('Terminate pfx'),
+    getCommandSchema,
+    listMedia
+};
+
+const SCHEMAS = {
+    audio: {
+        ...AUDIO_COMMANDS,
+        clearSpeechQueue: command('Clear queued speech'),
+        playEffect: command('Play a sound effect (alias of playSoundEffect)', effectParams, requireOneOf('file', 'audio'))
+    },
+    screen: {
+        ...AUDIO_COMMANDS,
+        setImage: command('Show an image (queued behind playing video)', { file: P.file, image: P.file }, requireOneOf('file', 'image')),
+        playVideo: command('Play a video (queued)', {
+            file: P.file,
+            video: P.file,
+            ...playback,
+            channel: P.channel,
+            ducking: P.ducking,
+            loop: P.loop,
+            skipDucking: P.skipDucking,
+            skip_ducking: P.skipDucking
+        }, requireOneOf('file', 'video')),
+        stopVideo: command('Stop video', fade),
+        videoQueue: command('Publish the video queue'),
+        speechQueue: command('Publish the speech queue'),
+        playAudio: command('Play an audio clip', { ...effectParams, channel: P.channel }, requireOneOf('file', 'audio')),
+        sleepScreen: command('Put the display to sleep'),
+        wakeScreen: command('Wake the display'),
+        recoverScreens: command('Recover the display layout'),
+        cecStatus: command('Query the TV power state over HDMI-CEC'),
+        cecVolume: command('Press a TV volume key over HDMI-CEC', {
+            action: { type: 'string', enum: ['up', 'down', 'mute'], description: 'Volume key' },
+            steps: { type: 'integer', minimum: 1, maximum: 20, description: 'Key presses (default 1)' }
+        }, { required: ['action'] }),
+        restartPfx: command('Restart pfx'),
+        setZoneVolume: command('Set the zone output volume', { volume: P.volume }, { required: ['volume'] }),
+        pauseAll: command('Pause all media'),
+        resumeAll: command('Resume all media'),
+        enableBrowser: command('Start the browser', { url: P.url }),
+        disableBrowser: command('Stop the browser'),
+        showBrowser: command('Bring the browser to the front'),
+        hideBrowser: command('Bring the media player to the front'),
+        setBrowserUrl: command('Navigate the browser', { url: P.url }, { required: ['url'] }),
+        setBrowserKeepAlive: command('Restart the browser if it exits', { enabled: { type: 'boolean' } }, { required: ['enabled'] })
+    },
+    light: {
+        setColor: command('Set the color', { color: P.color, brightness: P.brightness, transition: P.transition }, { required: ['color'] }),
+        setBrightness: command('Set the brightness', { brightness: P.brightness, transition: P.transition }, { required: ['brightness'] }),
+        setEffect: command('Start an effect', {
+            effect: { type: 'string', minLength: 1 },
+            parameters: { type: 'object', description: 'Effect parameters' },
+            transition: P.transition
+        }, { required: ['effect'] }),
+        stopEffect: command('Stop the running effect', { transition: P.transition }),
+        turnOn: command('Turn on', { brightness: P.brightness, transition: P.transition }),
+        turnOff: command('Turn off', { transition: P.transition }),
+        toggle: command('Toggle power', { transition: P.transition }),
+        pulse: command('Flash and restore', { duration: P.duration, color: P.color, brightness: P.brightness }),
+        fade: command('Fade brightness', {
+            fromBrightness: P.brightness,
+            toBrightness: P.brightness,
+            brightness: P.brightness,
+            duration: P.duration
+        }, requireOneOf('toBrightness', 'brightness')),
+        setConfig: command('Update the device configuration', { config: { type: 'object' } }, { required: ['config'] }),
+        getStatus: command('Refresh and publish the current state'),
+        getState: command('Refresh and publish the current state'),
+        getCommandSchema
+    },
+    light_group: {
+        setColor: command('Set the color', { color: P.color, brightness: P.brightness, lights: P.lights, transition: P.transition }, { required: ['color'] }),
+        setBrightness: command('Set the brightness', { brightness: P.brightness, lights: P.lights, transition: P.transition }, { required: ['brightness'] }),
+        setEffect: command('Start an effect', {
+            effect: { type: 'string', minLength: 1 },
+            parameters: { type: 'object', description: 'Effect parameters' },
+            lights: P.lights
+        }, { required: ['effect'] }),
+        stopEffect: command('Stop the running effect', { lights: P.lights }),
+        turnOn: command('Turn on', { brightness: P.brightness, lights: P.lights, transition: P.transition }),
+        turnOff: command('Turn off', { lights: P.lights, transition: P.transition }),
+        toggle: command('Toggle power', { brightness: P.brightness, lights: P.lights, transition: P.transition }),
+        getStatus: command('Publish the current state'),
+        getState: command('Publish the current state'),
+        getCommandSchema
+    },
+    relay: {
+        turnOn: command('Switch on'),
+        turnOff: command('Switch off'),
+        toggle: command('Toggle'),
+        pulse: command('Switch on, then off after duration', { duration: P.duration }),
+        lock: command('Ignore switching commands until unlocked'),
+        unlock: command('Accept switching commands again'),
+        getStatus: command('Publish the current state'),
+        getState: command('Publish the current state'),
+        getCommandSchema
+    },
+    [DEVICE]: {
+        stopAll: command('Stop all media on every zone', fade),
+        pauseAll: command('Pause all media on every zone'),
+        resumeAll: command('Resume all media on every zone'),
+        resetVolumes: command('Restore configured volumes on every zone'),
+        reloadConfig: command('Re-read pfx.ini'),
+        setLogLevel: command('Change the log level, of all modules or one', {
+            level: { type: 'string', enum: ['error', 'warn', 'info', 'debug', 'default'], description: "'default' drops a module override (or restores the configured level)" },
+            module: { type: 'string', minLength: 1, description: 'Logger module, e.g. AudioManager or AudioManager:lobby' }
+        }, { required: ['level'] }),
+        addSchedule: command('Run a zone command at cron-style times or once later', {
+            id: { type: 'string', minLength: 1, description: 'Schedule id (default: generated); an existing id is replaced' },
+            zone: { type: 'string', minLength: 1, description: 'Zone to send the command to' },
+            action: {
+                anyOf: [
+                    { type: 'string', minLength: 1 },
+                    { type: 'object', required: ['command'], properties: { command: { type: 'string', minLength: 1 } } }
+                ],
+                description: 'Zone command: a name or a payload such as {"command": "playVideo", "file": "attract.mp4"}'
+            },
+            cron: { type: 'string', minLength: 1, description: 'Cron expression (minute hour day month weekday) or @daily etc., local time' },
+            at: { type: 'string', minLength: 1, description: 'Run once at this date and time (ISO 8601)' },
+            delay: { type: ['number', 'string'], description: 'Run once after this many milliseconds, or a duration such as 30m' },
+            missed: { type: 'string', enum: ['skip', 'run'], description: 'Runs missed while pfx was down (default: [schedule] missed)' },
+            description: { type: 'string' }
+        }, { required: ['zone', 'action'], ...requireOneOf('cron', 'at', 'delay') }),
+        listSchedules: command('List the schedules, of all zones or one', {
+            zone: { type: 'string', minLength: 1, description: 'Only this zone' }
+        }),
+        removeSchedule: command('Remove a schedule', {
+            id: { type: 'string', minLength: 1, description: 'Schedule id' }
+        }, { required: ['id'] }),
+        validateMedia: command('Check every media file the configuration, cues and manifest refer to', {
+            decode: { type: 'boolean', description: 'Decode-check each file with ffprobe (default true)' },
+            manifest: { type: 'string', minLength: 1, description: 'Manifest file to check instead of media_manifest' }
+        }),
+        reboot: command('Reboot the host'),
+        shutdown: command('Shut the host down'),
+        killPfx: command('Terminate pfx'),
+        restartPfx: command('Restart pfx'),
+        getCommandSchema
+    }
+};
+
+// A string validate() converts for a number or integer field
+const NUMERIC_STRING = /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i;
+
+// Zone types sharing another type's commands
+const TYPE_ALIASES = { 'combined-audio': 'audio' };
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const compiled = new Map();
+
+/**
+ * Complete schema for one command: envelope fields, `command` fixed to the name
+ * @private
+ */
+function fullSchema(name, schema) {
+    return {
+        ...schema,
+        title: name,
+        properties: { ...ENVELOPE, command: { const: name }, ...schema.properties },
+        required: ['command', ...(schema.required || [])]
+    };
+}
+
+/**
+ * Command schemas for a zone type (or DEVICE)
+ * @param {string} type - Zone type
+ * @returns {Object|undefined} map of command name to JSON Schema
+ */
+function getSchemas(type) {
+    const schemas = SCHEMAS[TYPE_ALIASES[type] || type];
+    if (!schemas) return undefined;
+    return Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, fullSchema(name, schema)]));
+}
+
+/** @private */
+function getValidator(type, name) {
+    const key = `${TYPE_ALIASES[type] || type}:${name}`;
+    if (!compiled.has(key)) {
+        const schemas = SCHEMAS[TYPE_ALIASES[type] || type];
+        const schema = schemas && Object.prototype.hasOwnProperty.call(schemas, name) ? fullSchema(name, schemas[name]) : COMMON;
+        compiled.set(key, ajv.compile(schema));
+    }
+    return compiled.get(key);
+}
+
+/**
+ * Convert numeric strings in the schema's number and integer fields to numbers, in place
+ * @private
+ */
+function coerceNumbers(schema, value) {
+    if (!schema || !value || typeof value !== 'object' || Array.isArray(value)) return;
+    for (const key of Object.keys(value)) {
+        const property = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+        if (!property || typeof property !== 'object') continue;
+        if ((property.type === 'number' || property.type === 'integer') && typeof value[key] === 'string' && NUMERIC_STRING.test(value[key])) {
+            value[key] = Number(value[key]);
+        } else {
+            coerceNumbers(property, value[key]);
+        }
+    }
+}
+
+/** @private */
+function fieldName(instancePath, property) {
+    const path = instancePath.replace(/^\//, '').replace(/\//g, '.');
+    if (!property) return path || 'command';
+    return path ? `${path}.${property}` : property;
+}
+
+/**
+ * Turn ajv errors into one message naming each offending field,
+ * e.g. "volume: must be <= 200; file (or audio): is required"
+ * @private
+ */
+function formatErrors(errors) {
+    const anyOf = errors.filter(e => e.keyword === 'anyOf');
+    const nested = e => anyOf.some(a => e !== a && e.schemaPath.startsWith(`${a.schemaPath}/`));
+    const messages = errors.filter(e => !nested(e)).map(error => {
+        switch (error.keyword) {
+            case 'required':
+                return `${fieldName(error.instancePath, error.params.missingProperty)}: is required`;
+            case 'dependencies':
+                return `${fieldName(error.instancePath, error.params.missingProperty)}: is required when ${error.params.property} is given`;
+            case 'anyOf': {
+                const [first, ...alternatives] = errors
+                    .filter(e => e.keyword === 'required' && e.schemaPath.startsWith(`${error.schemaPath}/`))
+                    .map(e => e.params.missingProperty);
+                if (!first) return `${fieldName(error.instancePath)}: ${error.message}`;
+                return `${fieldName(error.instancePath, first)}${alternatives.length ? ` (or ${alternatives.join(', ')})` : ''}: is required`;
+            }
+            default:
+                return `${fieldName(error.instancePath)}: ${error.message}`;
+        }
+    });
+    return [...new Set(messages)].join('; ');
+}
+
+/**
+ * Validate a command's parameters against its schema. Numeric strings in number
+ * fields are converted to numbers in commandObject first.
+ * @param {string} type - Zone type (or DEVICE)
+ * @param {Object} commandObject - Command with a string `command` field
+ * @returns {string|null} error naming the offending field(s), or null when valid
+ */
+function validate(type, commandObject) {
+    const validator = getValidator(type, commandObject.command);
+    coerceNumbers(validator.schema, commandObject);
+    return validator(commandObject) ? null : formatErrors(validator.errors);
+}
+
+module.exports = { DEVICE, MAX_COMMAND_VOLUME, getSchemas, validate };
@@ -5,9 +5,13 @@
  */
 
 const fs = require('fs').promises;
+const path = require('path');
 const ini = require('ini');
 const Logger = require('../utils/logger');
 
+// [mqtt] protocol -> port used when none is given
+const MQTT_DEFAULT_PORTS = { mqtt: 1883, mqtts: 8883, ws: 80, wss: 443 };
+
 class ConfigLoader {
     constructor() {
         this.logger = new Logger('ConfigLoader');
@@ -30,8 +34,8 @@ class ConfigLoader {
             const fileContent = await fs.readFile(filePath, 'utf8');
             const rawConfig = ini.parse(fileContent);
 
-            // Separate global config and mqtt config from device configs
-            const { global, mqtt, ...devices } = rawConfig;
+            // Separate global, mqtt and schedule config from device configs
+            const { global, mqtt, schedule, ...devices } = rawConfig;
 
             if (!global) {
                 throw new Error('No [global] section found in configuration file');
@@ -51,9 +55,32 @@ class ConfigLoader {
 
             const config = {
                 global: this._processGlobalConfig(global, mqttConfig),
-                devices: processedDevices
+                devices: processedDevices,
+                cues: {},
+                schedule: this._processScheduleConfig(schedule)
             };
 
+            if (config.global.stateFile) {
+                config.global.stateFile = path.resolve(path.dirname(filePath), config.global.stateFile);
+            }
+
+            for (const key of ['mqttCaFile', 'mqttCertFile', 'mqttKeyFile']) {
+                if (config.global[key]) config.global[key] = path.resolve(path.dirname(filePath), config.global[key]);
+            }
+
+            if (config.global.mqttQueueFile) {
+                config.global.mqttQueueFile = path.resolve(path.dirname(filePath), config.global.mqttQueueFile);
+            }
+
+            if (config.global.mediaManifest) {
+                config.global.mediaManifest = path.resolve(path.dirname(filePath), config.global.mediaManifest);
+            }
+
+            if (config.global.cuesFile) {
+                const cuesPath = path.resolve(path.dirname(filePath), config.global.cuesFile);
+                config.cues = await this._loadCues(cuesPath);
+            }
+
             this.logger.info(`Configuration loaded successfully: ${Object.keys(devices).length} devices`);
             return config;
 
@@ -63,11 +90,34 @@ class ConfigLoader {
         }
     }
 
+    /**
+     * Load cue definitions from a JSON file: { "<name>": { "steps": [...] } } or
+     * { "cues": { ... } }. Cue contents are validated by the CueManager.
+     */
+    async _loadCues(cuesPath) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await fs.readFile(cuesPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load cues file ${cuesPath}: ${error.message}`);
+        }
+        const cues = parsed && typeof parsed.cues === 'object' ? parsed.cues : parsed;
+        if (!cues || typeof cues !== 'object' || Array.isArray(cues)) {
+            throw new Error(`Cues file ${cuesPath} must contain an object of named cues`);
+        }
+        this.logger.info(`Loaded ${Object.keys(cues).length} cue(s) from ${cuesPath}`);
+        return cues;
+    }
+
     _validateConfig(global, mqtt) {
         // Check for required fields in either old or new format
         const hasOldFormat = global.MQTT_SERVER && global.HEARTBEAT_TOPIC;
         const hasNewFormat = mqtt.broker && global.heartbeat_topic;
 
+        if (mqtt.protocol !== undefined && !MQTT_DEFAULT_PORTS[mqtt.protocol]) {
+            throw new Error(`Invalid [mqtt] protocol: ${mqtt.protocol} (expected ${Object.keys(MQTT_DEFAULT_PORTS).join(', ')})`);
+        }
+
         if (!hasOldFormat && !hasNewFormat) {
             if (!mqtt.broker && !global.MQTT_SERVER) {
                 // Keep error message compatible with existing unit tests
@@ -101,9 +151,21 @@ class ConfigLoader {
             mqtt.overall_timeout_ms ?? global.overall_timeout_ms ?? env.MQTT_OVERALL_TIMEOUT_MS
         );
 
+        const mqttProtocol = mqtt.protocol || 'mqtt';
+
         const cfg = {
             mqttServer: mqtt.broker || global.MQTT_SERVER || 'localhost',
-            mqttPort: toInt(mqtt.port) || toInt(global.MQTT_PORT) || 1883,
+            mqttPort: toInt(mqtt.port) || toInt(global.MQTT_PORT) || MQTT_DEFAULT_PORTS[mqttProtocol],
+            // mqtt, mqtts (TLS), ws or wss (websocket, served on mqttWsPath)
+            mqttProtocol,
+            mqttWsPath: mqtt.ws_path || '/mqtt',
+            // TLS: CA bundle, client certificate and key (PEM files)
+            mqttCaFile: mqtt.ca_file || undefined,
+            mqttCertFile: mqtt.cert_file || undefined,
+            mqttKeyFile: mqtt.key_file || undefined,
+            mqttRejectUnauthorized: !(mqtt.reject_unauthorized === false || mqtt.reject_unauthorized === 'false'),
+            // Tenant path in front of every topic pfx publishes or subscribes to
+            mqttTopicPrefix: mqtt.topic_prefix ? String(mqtt.topic_prefix).replace(/^\/+|\/+$/g, '') : undefined,
             mqttUsername: mqtt.username || global.MQTT_USERNAME || null,
             mqttPassword: mqtt.password || global.MQTT_PASSWORD || null,
             mqttClientId: mqtt.client_id || global.MQTT_CLIENT_ID || 'pfx-client',
@@ -115,6 +177,14 @@ class ConfigLoader {
             heartbeatInterval: toInt(global.heartbeat_interval) || toInt(global.HEARTBEAT_INTERVAL_MS) || 10000,
             heartbeatEnabled: global.heartbeat_enabled !== undefined ? global.heartbeat_enabled : (global.HEARTBEAT_ENABLED !== undefined ? global.HEARTBEAT_ENABLED : true),
             logLevel: global.log_level || global.LOG_LEVEL || 'info',
+            // Per-module overrides: log_level.AudioManager = debug
+            logLevels: Object.keys(global)
+                .filter(k => k.startsWith('log_level.'))
+                .reduce((acc, k) => { acc[k.slice('log_level.'.length)] = global[k]; return acc; }, {}),
+            // text (colorized) or json (one JSON object per line)
+            logFormat: global.log_format === 'json' ? 'json' : 'text',
+            // Session log files rotate at this size (MB)
+            logMaxFileMB: toInt(global.log_max_file_mb) || 10,
             log_directory: global.log_directory || global.LOG_DIRECTORY || null,
             mediaBasePath: global.media_base_path || global.MEDIA_BASE_PATH || '/opt/paradox/media',
             duckingVolume: toInt(global.ducking_volume) || 30,
@@ -125,6 +195,29 @@ class ConfigLoader {
             mqttMaxAttempts,
             mqttConnectTimeoutMs,
             mqttOverallTimeoutMs,
+            // Publishes held while the broker is unreachable (memory, then optional spill file)
+            mqttQueueMax: toInt(mqtt.queue_max),
+            mqttQueueFile: mqtt.queue_file || undefined,
+            mqttQueueFileMax: toInt(mqtt.queue_file_max),
+            // 4 = MQTT 3.1.1, 5 = MQTT v5 (response topic / correlation data on commands)
+            mqttProtocolVersion: toInt(mqtt.protocol_version ?? global.mqtt_protocol_version) === 5 ? 5 : 4,
+            // Home Assistant MQTT discovery configs for every zone (off unless enabled)
+            haDiscovery: mqtt.ha_discovery === true || mqtt.ha_discovery === 'true',
+            haDiscoveryPrefix: mqtt.ha_discovery_prefix || undefined,
+            // Cues: MQTT topic (commands on {cueTopic}/commands) and JSON definitions file
+            cueTopic: global.cue_topic || undefined,
+            cuesFile: global.cues_file || undefined,
+            // Longest wait (s) for a cue step's done event when the step sets no timeout
+            cueStepTimeout: toInt(global.cue_step_timeout),
+            // Runtime volume/ducking overrides kept across restarts (disabled when unset)
+            stateFile: global.state_file || undefined,
+            // Extra media files per zone for validateMedia / --check (JSON: {zone: [files]})
+            mediaManifest: global.media_manifest || undefined,
+            // Local HTTP/WebSocket control API (disabled unless http_enabled)
+            httpEnabled: global.http_enabled === true || global.http_enabled === 'true',
+            httpPort: toInt(global.http_port) ?? 8080,
+            httpHost: global.http_host || '127.0.0.1',
+            httpToken: global.http_token || undefined,
             // PulseAudio readiness wait configuration
             pulseAudioWaitMs: toInt(global.pulseaudio_wait_ms) || 6000,
             pulseAudioWaitIntervalMs: toInt(global.pulseaudio_wait_interval_ms) || 500
@@ -133,6 +226,43 @@ class ConfigLoader {
         return cfg;
     }
 
+    /**
+     * [schedule]: the missed-run policy keys; every other key names a schedule whose
+     * line (`<cron> <zone> <command> [JSON parameters]`) the Scheduler parses
+     * @private
+     */
+    _processScheduleConfig(schedule = {}) {
+        const { missed, missed_grace: missedGrace, ...jobs } = schedule;
+        return {
+            // skip | run: what to do with runs that fell due while pfx was down
+            missed: missed || 'skip',
+            // Missed runs older than this (e.g. 2h) are skipped even with missed = run
+            missedGrace: missedGrace || undefined,
+            jobs
+        };
+    }
+
+    /**
+     * Controller connection keys shared by light, light_group and relay devices
+     * @private
+     */
+    _processControllerConfig(processed, config) {
+        processed.bridgeIp = config.bridge_ip || config.BRIDGE_IP;
+        processed.username = config.username || config.app_key || config.USERNAME;
+        processed.appKeyFile = config.app_key_file;
+        processed.timeout = config.timeout !== undefined ? parseInt(config.timeout) : undefined;
+        processed.ip = config.ip || config.IP;
+        processed.mac = config.mac || config.MAC;
+        processed.broadcastAddress = config.broadcast_address;
+        processed.retries = config.retries !== undefined ? parseInt(config.retries) : undefined;
+        processed.friendlyName = config.friendly_name || config.zigbee_id;
+        processed.zigbeeBaseTopic = config.zigbee_topic;
+        processed.nodeId = config.node_id !== undefined ? parseInt(config.node_id) : undefined;
+        processed.endpoint = config.endpoint !== undefined ? parseInt(config.endpoint) : undefined;
+        processed.zwavePrefix = config.zwave_prefix;
+        processed.zwaveGateway = config.zwave_gateway;
+    }
+
     _processDeviceConfig(deviceName, config) {
         // Support both old and new config formats
         const deviceType = config.type || config.DEVICE_TYPE;
@@ -155,6 +285,13 @@ class ConfigLoader {
 
                 // Use target_monitor for screen targeting
                 processed.targetMonitor = parseInt(config.target_monitor || config.TARGET_MONITOR) || 0;
+                // Per-output sleep/wake: auto|xrandr|wlr-randr|vcgencmd|dpms|cec, optional output name
+                processed.displayPower = config.display_power || 'auto';
+                processed.displayOutput = config.display_output || undefined;
+                // HDMI-CEC: TV power (display_power = cec), cecStatus and cecVolume
+                processed.cecTool = config.cec_tool || 'auto';
+                processed.cecDevice = config.cec_device || undefined;
+                processed.cecAddress = config.cec_address !== undefined ? parseInt(config.cec_address) : undefined;
 
                 processed.mediaDir = config.media_dir || config.MEDIA_DIR || '';
                 processed.mediaBasePath = config.media_base_path || config.MEDIA_BASE_PATH || '/opt/paradox/media';
@@ -201,15 +338,28 @@ class ConfigLoader {
                 break;
 
             case 'light':
-            case 'light_group':
-                processed.controller = config.CONTROLLER;
-                processed.deviceId = config.DEVICE_ID;
-                processed.deviceList = config.DEVICE_LIST ? config.DEVICE_LIST.split(',').map(s => s.trim()) : null;
+            case 'light_group': {
+                processed.controller = config.controller || config.CONTROLLER;
+                processed.deviceId = config.device_id || config.DEVICE_ID;
+                const deviceList = config.device_list || config.lights || config.DEVICE_LIST;
+                processed.deviceList = deviceList ? String(deviceList).split(',').map(s => s.trim()).filter(Boolean) : null;
+                processed.groupId = config.group_id || config.GROUP_ID || null;
+                processed.defaultBrightness = config.default_brightness !== undefined ? parseInt(config.default_brightness) : undefined;
+                processed.defaultColor = config.default_color || undefined;
+                processed.defaultTransition = config.default_transition !== undefined ? parseInt(config.default_transition) : undefined;
+                this._processControllerConfig(processed, config);
                 break;
+            }
 
             case 'relay':
-                processed.controller = config.CONTROLLER;
-                processed.deviceId = config.DEVICE_ID;
+                processed.controller = config.controller || config.CONTROLLER;
+                processed.deviceId = config.device_id || config.DEVICE_ID;
+                processed.pin = config.pin !== undefined ? parseInt(config.pin) : undefined;
+                processed.activeLow = config.active_low === true || config.active_low === 'true';
+                processed.defaultState = config.default_state || undefined;
+                processed.safeMode = config.safe_mode === true || config.safe_mode === 'true';
+                processed.maxOnTime = config.max_on_time !== undefined ? parseInt(config.max_on_time) : undefined;
+                this._processControllerConfig(processed, config);
                 break;
 
             case 'audio':
@@ -0,0 +1,194 @@
+/**
+ * Command Correlation
+ *
+ * Carries the `id` / `correlation_id` of the command being handled (and the response
+ * topic / correlation data it arrived with) through everything the command causes, so
+ * each event can be matched to its command.
+ *
+ * The context is held in AsyncLocalStorage: it follows awaits and timers started while
+ * handling the command. Work that outlives the command on a shared queue (speech and
+ * video queues) captures current() when the item is queued and re-enters it with run().
+ *
+ * Request/response: a command with a response topic (MQTT v5 `responseTopic` property,
+ * or `response_topic` in the payload for 3.1.1 brokers) gets exactly one reply there
+ * once its handler returns, built from the outcome and state messages it published.
+ * Other transports (the HTTP API) take the same reply through a `respond` callback.
+ *
+ * JSON log lines written while handling a command carry its zone, command and id once
+ * logContext is registered with Logger.setContextProvider (pfx.js does at startup).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Reply outcome precedence: a command answers with its worst outcome
+const OUTCOME_RANK = { success: 0, warning: 1, failed: 2 };
+
+/**
+ * Build a correlation context from a command payload and MQTT v5 publish properties.
+ * `correlation_id` wins over `id`; without either, v5 correlation data is used as the id.
+ * @param {Object|string} command - Parsed (or raw JSON) command
+ * @param {Object} [properties] - MQTT v5 packet properties
+ * @param {boolean} [always] - Build a context even when there is nothing to echo or answer
+ * @returns {Object|undefined} context, or undefined when there is nothing to echo or answer
+ */
+function fromCommand(command, properties = {}, always = false) {
+    let payload = command;
+    if (typeof payload === 'string') {
+        try { payload = JSON.parse(payload); } catch (_) { payload = null; }
+    }
+    let id;
+    let responseTopic = properties && properties.responseTopic;
+    if (payload && typeof payload === 'object') {
+        id = payload.correlation_id != null ? payload.correlation_id : payload.id;
+        if (typeof id !== 'string' && typeof id !== 'number') id = undefined; // rejected by validation
+        if (!responseTopic && typeof payload.response_topic === 'string' && /^[^#+]+$/.test(payload.response_topic)) {
+            responseTopic = payload.response_topic;
+        }
+    }
+    const correlationData = properties ? properties.correlationData : undefined;
+    if (id == null && correlationData != null) {
+        id = Buffer.isBuffer(correlationData) ? correlationData.toString('utf8') : String(correlationData);
+    }
+    if (id == null && !responseTopic && !always) return undefined;
+    return {
+        id: id != null ? id : undefined,
+        command: payload && typeof payload === 'object' ? (payload.command || payload.Command) : undefined,
+        responseTopic,
+        correlationData,
+        outcomes: [],   // {topic, outcome, ...} from events published while handling
+        states: [],     // {topic, message} state messages published while handling
+        replied: false
+    };
+}
+
+/**
+ * Run fn inside a correlation context (undefined clears any inherited one)
+ */
+function run(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * @returns {Object|undefined} context of the command currently being handled
+ */
+function current() {
+    return storage.getStore();
+}
+
+/**
+ * Command fields for JSON log lines (see Logger.setContextProvider)
+ * @returns {Object|undefined} {zone, command, correlation_id} of the command being handled
+ */
+function logContext() {
+    const context = storage.getStore();
+    if (!context) return undefined;
+    return { zone: context.target && context.target.zone, command: context.command, correlation_id: context.id };
+}
+
+/**
+ * Publish a message envelope, stamping `correlation_id` from the current context on
+ * everything but state (which describes the zone, not one command). Until the command
+ * has been answered, outcome and state messages are also noted for its reply.
+ * @param {Object} mqttClient
+ * @param {string} topic
+ * @param {Object} message - Envelope (mutated: correlation_id added)
+ * @param {string} type - Message type ('events', 'status', 'warning', ...)
+ * @param {Object} [options] - Publish options ({retain, qos}) passed to the client
+ * @returns {*} what mqttClient.publish returned
+ */
+function publish(mqttClient, topic, message, type, options) {
+    const context = current();
+    if (context && context.id !== undefined && type !== 'status' && message.correlation_id === undefined) {
+        message.correlation_id = context.id;
+    }
+    const sent = options ? mqttClient.publish(topic, message, options) : mqttClient.publish(topic, message);
+    if (!context || !(context.responseTopic || context.respond) || context.replied) return sent;
+    if (type === 'status') {
+        context.states.push({ topic, message });
+    } else if (type === 'events' && message.outcome) {
+        context.outcomes.push({ topic, ...message });
+    } else if (type === 'events' && message.valid === false) {
+        // Zone manager rejections (malformed JSON, validation, execution errors)
+        context.outcomes.push({
+            topic,
+            command: message.command_received,
+            outcome: 'failed',
+            error_type: message.error_type || message.error,
+            error_message: message.error_message || message.validation_error
+        });
+    }
+    return sent;
+}
+
+/**
+ * Handle one command in its correlation context and, if it carried a response topic,
+ * publish its single terminal reply when the handler has finished.
+ *
+ * The reply reports the worst outcome `target` published on `{baseTopic}/events` while
+ * handling (success when it published none) and its last `{baseTopic}/state` message,
+ * asking target.publishStatus() for one if the command published none. Events from
+ * other publishers (zones reached by a device fan-out, cue steps) are not counted.
+ *
+ * @param {Object} options
+ * @param {Object} options.mqttClient
+ * @param {string} options.baseTopic - Topic root of the command's target
+ * @param {Object} [options.identity] - Envelope fields naming the target (e.g. {zone})
+ * @param {Function} [options.publishStatus] - Publishes the target's state
+ * @param {Function} [options.respond] - Also receives the reply (always built when given)
+ * @param {Object|string} message - Command as received
+ * @param {Object} properties - MQTT v5 packet properties
+ * @param {Function} handler - Async command handler
+ */
+async function handleCommand({ mqttClient, baseTopic, identity = {}, publishStatus, respond }, message, properties, handler) {
+    // Always in a context, so logs name the command even without an id
+    const context = fromCommand(message, properties, true);
+    context.target = identity;
+    if (typeof respond === 'function') context.respond = respond;
+    try {
+        return await run(context, handler);
+    } finally {
+        if (context.responseTopic || context.respond) {
+            run(context, () => reply({ mqttClient, baseTopic, identity, publishStatus }, context));
+        } else {
+            // Nothing to answer: stop noting what later work publishes in this context
+            context.replied = true;
+        }
+    }
+}
+
+/** @private */
+function reply({ mqttClient, baseTopic, identity, publishStatus }, context) {
+    const outcomes = context.outcomes.filter(o => o.topic === `${baseTopic}/events`);
+    if (!context.states.some(s => s.topic === `${baseTopic}/state`) && typeof publishStatus === 'function') {
+        try { publishStatus(); } catch (_) { /* reply without state */ }
+    }
+    const states = context.states.filter(s => s.topic === `${baseTopic}/state`);
+    context.replied = true;
+
+    const worst = outcomes.reduce((acc, o) => (!acc || OUTCOME_RANK[o.outcome] >= OUTCOME_RANK[acc.outcome] ? o : acc), null);
+    const response = {
+        timestamp: new Date().toISOString(),
+        ...identity,
+        type: 'response',
+        command: (worst && worst.command) || context.command || 'unknown',
+        outcome: worst ? worst.outcome : 'success'
+    };
+    if (context.id !== undefined) response.correlation_id = context.id;
+    for (const key of ['message', 'error_type', 'error_message', 'warning_type', 'parameters']) {
+        if (worst && worst[key] !== undefined) response[key] = worst[key];
+    }
+    if (states.length) {
+        const { timestamp, type, ...state } = states[states.length - 1].message;
+        response.state = state;
+    }
+
+    if (context.responseTopic) {
+        const options = context.correlationData != null ? { properties: { correlationData: context.correlationData } } : {};
+        mqttClient.publish(context.responseTopic, response, options);
+    }
+    if (context.respond) context.respond(response);
+}
+
+module.exports = { fromCommand, run, current, logContext, publish, handleCommand };
@@ -0,0 +1,559 @@
+/**
+ * Cue Manager
+ *
+ * Named cues: ordered steps that send commands to zones and devices, fired by one
+ * MQTT command on the cue topic ({cue_topic}/commands, default `{base_topic}/cues`).
+ *
+ * A step targets a zone/device by name and carries a command payload. It starts
+ * `delay` ms after the previous step started (default), or with `after: "previous"`,
+ * `delay` ms after the previous step completed. Steps are sent through the zone
+ * manager like MQTT commands, and complete when the command has been handled;
+ * media steps (playVideo, playSpeech, non-looping playBackground) and
+ * `wait: "done"` steps complete on the zone's `done` event.
+ *
+ * Cues come from the JSON file named by `cues_file` and from `defineCue` commands
+ * (kept in memory until restart).
+ */
+
+const path = require('path');
+const Logger = require('../utils/logger');
+const BaseZone = require('../zones/base-zone');
+const correlation = require('./correlation');
+
+// Step keys that are not part of a flattened command payload
+const STEP_KEYS = ['zone', 'device', 'target', 'command', 'delay', 'after', 'trigger', 'wait', 'timeout', 'label'];
+
+// Commands whose completion is a later `done` event rather than handleCommand returning
+const DONE_EVENT_COMMANDS = ['playVideo', 'playSpeech', 'playBackground'];
+
+// Cap on waiting for a `done` event when the step sets no timeout (s, `cue_step_timeout`)
+const DEFAULT_STEP_TIMEOUT_S = 600;
+// Added to a media file's known duration before a longer file's step times out
+const DURATION_MARGIN_MS = 30000;
+
+class CueManager {
+    /**
+     * @param {Object} config - Loaded configuration ({global, devices, cues})
+     * @param {Object} mqttClient - pfx MqttClient
+     * @param {Object} zoneManager - ZoneManager hosting the cue targets
+     */
+    constructor(config, mqttClient, zoneManager) {
+        this.config = config;
+        this.mqttClient = mqttClient;
+        this.zoneManager = zoneManager;
+        this.logger = new Logger('CueManager');
+
+        const global = config.global || {};
+        this.baseTopic = global.cueTopic || `${global.baseTopic || 'paradox'}/cues`;
+
+        this.cues = new Map();      // name -> normalized cue
+        this.runs = new Map();      // runId -> run
+        this.runCounter = 1;
+        this.commandTopic = null;
+    }
+
+    async initialize() {
+        for (const [name, definition] of Object.entries(this.config.cues || {})) {
+            try {
+                this.defineCue(name, definition, 'config');
+            } catch (error) {
+                this.logger.error(`Ignoring cue "${name}": ${error.message}`);
+            }
+        }
+
+        this.commandTopic = `${this.baseTopic}/commands`;
+        const replyTarget = { mqttClient: this.mqttClient, baseTopic: this.baseTopic, publishStatus: () => this.publishStatus() };
+        this.mqttClient.subscribe(this.commandTopic, async (topic, message, properties) => {
+            await correlation.handleCommand(replyTarget, message, properties, () => this._handleMessage(message));
+        });
+
+        this.logger.info(`Cue manager ready: ${this.cues.size} cue(s) on ${this.commandTopic}`);
+        this.publishStatus();
+    }
+
+    async shutdown() {
+        for (const run of this.runs.values()) {
+            this._cancelRun(run, 'shutdown');
+        }
+        if (this.commandTopic) {
+            this.mqttClient.unsubscribe(this.commandTopic);
+            this.commandTopic = null;
+        }
+    }
+
+    /**
+     * Add or replace a cue
+     * @param {string} name
+     * @param {Object|Array} definition - {description, continueOnError, steps: [...]} or a step array
+     * @param {string} [source='mqtt']
+     * @returns {Object} normalized cue
+     */
+    defineCue(name, definition, source = 'mqtt') {
+        const cue = normalizeCue(name, definition);
+        cue.source = source;
+        this.cues.set(name, cue);
+        return cue;
+    }
+
+    /**
+     * Replace the cues that came from the config file (pfx.ini reload). Cues defined over
+     * MQTT are kept unless the file now defines the same name; running cues finish with
+     * the definition they started with.
+     * @param {Object} cues - Named cue definitions from ConfigLoader
+     * @returns {{defined: Array<string>, removed: Array<string>, failed: Array<{cue:string, error:string}>}}
+     */
+    reloadCues(cues = {}) {
+        const result = { defined: [], removed: [], failed: [] };
+        for (const cue of Array.from(this.cues.values())) {
+            if (cue.source === 'config' && !(cue.name in cues)) {
+                this.cues.delete(cue.name);
+                result.removed.push(cue.name);
+            }
+        }
+        for (const [name, definition] of Object.entries(cues)) {
+            try {
+                this.defineCue(name, definition, 'config');
+                result.defined.push(name);
+            } catch (error) {
+                this.logger.error(`Ignoring cue "${name}": ${error.message}`);
+                result.failed.push({ cue: name, error: error.message });
+            }
+        }
+        this.publishStatus();
+        return result;
+    }
+
+    deleteCue(name) {
+        if (!this.cues.has(name)) {
+            throw new Error(`Unknown cue: ${name}`);
+        }
+        this.cues.delete(name);
+    }
+
+    listCues() {
+        return Array.from(this.cues.values()).map(cue => ({
+            name: cue.name,
+            description: cue.description,
+            steps: cue.steps.length,
+            source: cue.source,
+            running: this._runsOf(cue.name).length > 0
+        }));
+    }
+
+    /**
+     * Start a cue and return its run ({id, finished}). Progress and the final result are
+     * published as events; run.finished resolves when the run has ended.
+     * @param {string} name
+     * @param {Object} [options] - { restart: stop a running instance first }
+     */
+    runCue(name, options = {}) {
+        const cue = this.cues.get(name);
+        if (!cue) {
+            throw new Error(`Unknown cue: ${name}`);
+        }
+
+        const active = this._runsOf(name);
+        if (active.length) {
+            if (!options.restart) {
+                throw new Error(`Cue ${name} is already running (${active[0].id}); send restart: true to start it again`);
+            }
+            active.forEach(run => this._cancelRun(run, 'restarted'));
+        }
+
+        const run = {
+            id: `${name}#${this.runCounter++}`,
+            cue,
+            startTime: Date.now(),
+            cancelled: null,
+            timers: new Set(),
+            waiters: new Set(),
+            failed: []
+        };
+        this.runs.set(run.id, run);
+
+        this.publishEvent({ cue_started: name, run_id: run.id, steps: cue.steps.length });
+        run.finished = this._execute(run);
+        return run;
+    }
+
+    /**
+     * Stop running cues: by name, by run id, or all when neither is given.
+     * Steps already sent are not undone.
+     * @returns {Array<string>} stopped run ids
+     */
+    stopCue(nameOrRunId) {
+        const runs = Array.from(this.runs.values())
+            .filter(run => !nameOrRunId || run.id === nameOrRunId || run.cue.name === nameOrRunId);
+        if (nameOrRunId && !runs.length && !this.cues.has(nameOrRunId)) {
+            throw new Error(`Unknown cue: ${nameOrRunId}`);
+        }
+        runs.forEach(run => this._cancelRun(run, 'stopped'));
+        return runs.map(run => run.id);
+    }
+
+    // MQTT command handling
+
+    async _handleMessage(message) {
+        let command = message;
+        if (typeof message === 'string') {
+            try {
+                command = JSON.parse(message);
+            } catch (error) {
+                this.publishMessage('warning', { message: 'Invalid JSON format in command', raw_message: message, error: error.message });
+                return;
+            }
+        }
+        if (!command || typeof command !== 'object') {
+            this.publishMessage('warning', { message: 'Invalid command structure', raw_message: String(message) });
+            return;
+        }
+        await this.handleCommand(command);
+    }
+
+    async handleCommand(command) {
+        const name = command.command || command.Command;
+        const parameters = Object.keys(command)
+            .filter(k => k !== 'command' && k !== 'Command')
+            .reduce((acc, k) => { acc[k] = command[k]; return acc; }, {});
+
+        try {
+            switch (name) {
+                case 'runCue': {
+                    const run = this.runCue(command.cue || command.name, { restart: !!command.restart });
+                    parameters.run_id = run.id;
+                    break;
+                }
+                case 'stopCue':
+                    parameters.stopped = this.stopCue(command.cue || command.name || command.run_id);
+                    break;
+                case 'listCues':
+                    break;
+                case 'defineCue':
+                    this.defineCue(command.cue || command.name, command.definition || { description: command.description, continueOnError: command.continueOnError, steps: command.steps });
+                    break;
+                case 'deleteCue':
+                    this.deleteCue(command.cue || command.name);
+                    break;
+                default:
+                    this.publishCommandOutcome({
+                        command: name || 'unknown',
+                        outcome: 'failed',
+                        parameters,
+                        error_type: 'unsupported_command',
+                        message: `Command '${name}' is not supported on the cue topic`
+                    });
+                    return;
+            }
+
+            this.publishStatus();
+            this.publishCommandOutcome({ command: name, outcome: 'success', parameters });
+        } catch (error) {
+            this.logger.error(`Cue command ${name} failed: ${error.message}`);
+            this.publishCommandOutcome({
+                command: name,
+                outcome: 'failed',
+                parameters,
+                error_type: 'execution_error',
+                error_message: error.message
+            });
+        }
+    }
+
+    // Publishing (same envelope and topic layout as zones)
+
+    publishMessage(type, data) {
+        const topicType = type === 'status' ? 'state' : (type === 'warning' ? 'warnings' : type);
+        correlation.publish(this.mqttClient, `${this.baseTopic}/${topicType}`, {
+            timestamp: new Date().toISOString(),
+            type,
+            ...data
+        }, type);
+    }
+
+    publishEvent(eventData) {
+        this.publishMessage('events', eventData);
+    }
+
+    publishStatus() {
+        this.publishMessage('status', {
+            cues: this.listCues(),
+            running: Array.from(this.runs.values()).map(run => ({ cue: run.cue.name, run_id: run.id, started: new Date(run.startTime).toISOString() }))
+        });
+    }
+
+    publishCommandOutcome(options) {
+        return BaseZone.prototype.publishCommandOutcome.call(this, options);
+    }
+
+    // Execution
+
+    /**
+     * Chain every step on its trigger (previous step started / completed) and report
+     * the run's result once all steps settle.
+     * @private
+     */
+    async _execute(run) {
+        const { cue } = run;
+        let previous = { started: Promise.resolve(), done: Promise.resolve() };
+
+        const dones = cue.steps.map(step => {
+            let gate = step.trigger === 'previous' ? previous.done : previous.started;
+            if (cue.continueOnError) gate = gate.catch(() => { });
+            const started = gate.then(() => this._delay(run, step.delay));
+            const done = started.then(() => this._runStep(run, step));
+            previous = { started, done };
+            return done;
+        });
+
+        await Promise.allSettled(dones);
+        this.runs.delete(run.id);
+
+        const duration_ms = Date.now() - run.startTime;
+        if (run.failed.length) {
+            this.publishEvent({ cue_failed: cue.name, run_id: run.id, failed_steps: run.failed, duration_ms });
+        } else if (run.cancelled) {
+            this.publishEvent({ cue_stopped: cue.name, run_id: run.id, reason: run.cancelled, duration_ms });
+        } else {
+            this.publishEvent({ cue_completed: cue.name, run_id: run.id, duration_ms });
+        }
+        this.publishStatus();
+    }
+
+    async _runStep(run, step) {
+        this._checkCancelled(run);
+        const progress = { cue_step: run.cue.name, run_id: run.id, step: step.index + 1, zone: step.zone, command: step.command.command };
+        if (step.label) progress.label = step.label;
+
+        let waiter = null;
+        try {
+            const zone = this.zoneManager.getZone(step.zone);
+            if (!zone) {
+                throw new Error(`Unknown zone or device: ${step.zone}`);
+            }
+            if (typeof zone.getSupportedCommands === 'function') {
+                const supported = zone.getSupportedCommands();
+                if (supported.length && !supported.includes(step.command.command)) {
+                    throw new Error(`Command '${step.command.command}' is not supported by ${step.zone}`);
+                }
+            }
+
+            this.publishEvent({ ...progress, state: 'started' });
+
+            // Listen before sending: completion may be published while handleCommand runs
+            if (waitsForDone(step)) {
+                waiter = this._waitForDone(run, step, zone);
+            }
+            await this._dispatch(step, zone);
+            if (waiter) {
+                await waiter.promise;
+            }
+
+            this.publishEvent({ ...progress, state: 'completed' });
+        } catch (error) {
+            if (run.cancelled) throw error;
+            run.failed.push(step.index + 1);
+            this.publishEvent({ ...progress, state: 'failed', error: error.message });
+            if (!run.cue.continueOnError) {
+                this._cancelRun(run, 'aborted');
+            }
+            throw error;
+        } finally {
+            if (waiter) waiter.dispose();
+        }
+    }
+
+    /**
+     * Send the step's command through the zone manager (validation, command
+     * timeout and events as for MQTT commands); throw when it fails.
+     * Zone events keep the id of the runCue command that started the cue.
+     * @private
+     */
+    async _dispatch(step, zone) {
+        const command = { ...step.command };
+        const context = correlation.current();
+        if (context && context.id !== undefined && command.id === undefined && command.correlation_id === undefined) {
+            command.correlation_id = context.id;
+        }
+        let reply = null;
+        await this.zoneManager.dispatchZoneCommand(step.zone, command, {}, response => { reply = response; }, zone);
+        if (reply && reply.outcome === 'failed') {
+            throw new Error(reply.error_message || reply.message || `${command.command} failed on ${step.zone}`);
+        }
+    }
+
+    /**
+     * Resolve on the target zone's completion event for the step's command
+     * (`done: true` for media, `effect_completed`/`effect_failed` for light effects).
+     * Without a step `timeout` the wait is capped at `cue_step_timeout`, or the
+     * media file's duration plus a margin when that is longer.
+     * @private
+     */
+    _waitForDone(run, step, zone) {
+        const name = step.command.command;
+        const file = step.command.file || step.command.video || step.command.audio;
+        const timeout = step.timeout || this._defaultStepTimeout(zone, file);
+        let listener;
+        let timer;
+        const waiter = {};
+
+        waiter.promise = new Promise((resolve, reject) => {
+            waiter.reject = reject;
+            listener = (zoneName, data) => {
+                if (zoneName !== step.zone || !data) return;
+                if (name === 'setEffect') {
+                    if (data.effect_completed || data.effect_failed) resolve();
+                    return;
+                }
+                if (data.done !== true || data.command !== name) return;
+                if (file && data.file && path.basename(String(data.file)) !== path.basename(String(file))) return;
+                resolve();
+            };
+            this.zoneManager.zoneEvents.on('event', listener);
+            timer = setTimeout(() => reject(new Error(`${name} on ${step.zone} did not complete within ${timeout}ms`)), timeout);
+        });
+
+        waiter.dispose = () => {
+            this.zoneManager.zoneEvents.removeListener('event', listener);
+            clearTimeout(timer);
+            run.waiters.delete(waiter);
+        };
+        run.waiters.add(waiter);
+        return waiter;
+    }
+
+    /**
+     * @returns {number} ms to wait for a step's `done` event when it sets no timeout
+     * @private
+     */
+    _defaultStepTimeout(zone, file) {
+        const configured = Number((this.config.global || {}).cueStepTimeout);
+        let timeout = (configured > 0 ? configured : DEFAULT_STEP_TIMEOUT_S) * 1000;
+        const entry = file && zone && zone.mediaIndex ? zone.mediaIndex.get(String(file)) : null;
+        if (entry && entry.duration > 0) {
+            timeout = Math.max(timeout, Math.ceil(entry.duration * 1000) + DURATION_MARGIN_MS);
+        }
+        return timeout;
+    }
+
+    _delay(run, ms) {
+        this._checkCancelled(run);
+        if (!ms) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                run.timers.delete(entry);
+                resolve();
+            }, ms);
+            const entry = { timer, reject };
+            run.timers.add(entry);
+        });
+    }
+
+    _checkCancelled(run) {
+        if (run.cancelled) {
+            throw new Error(`Cue ${run.cue.name} ${run.cancelled}`);
+        }
+    }
+
+    /**
+     * Stop scheduling further steps of a run and release its pending waits.
+     * @param {string} reason - 'stopped', 'restarted', 'shutdown', or 'aborted' after a failed step
+     * @private
+     */
+    _cancelRun(run, reason) {
+        if (run.cancelled) return;
+        run.cancelled = reason;
+        const error = new Error(`Cue ${run.cue.name} ${reason}`);
+        for (const entry of run.timers) {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        }
+        run.timers.clear();
+        for (const waiter of Array.from(run.waiters)) {
+            waiter.reject(error);
+        }
+    }
+
+    _runsOf(name) {
+        return Array.from(this.runs.values()).filter(run => run.cue.name === name && !run.cancelled);
+    }
+}
+
+function waitsForDone(step) {
+    if (step.wait) return step.wait === 'done';
+    const name = step.command.command;
+    if (name === 'playBackground') return !step.command.loop;
+    return DONE_EVENT_COMMANDS.includes(name);
+}
+
+function normalizeCue(name, definition) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Cue name is required');
+    }
+    const steps = Array.isArray(definition) ? definition : definition && definition.steps;
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error(`Cue ${name} has no steps`);
+    }
+    const options = Array.isArray(definition) ? {} : definition;
+
+    return {
+        name,
+        description: options.description || null,
+        continueOnError: !!(options.continueOnError || options.continue_on_error),
+        steps: steps.map((step, index) => normalizeStep(name, step, index))
+    };
+}
+
+function normalizeStep(cueName, step, index) {
+    const label = `Cue ${cueName} step ${index + 1}`;
+    if (!step || typeof step !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+
+    const zone = step.zone || step.device || step.target;
+    if (!zone) {
+        throw new Error(`${label}: zone is required`);
+    }
+
+    // Either {command: {...payload}} or a flattened {command: 'name', ...params}
+    let command;
+    if (step.command && typeof step.command === 'object') {
+        command = { ...step.command };
+        command.command = command.command || command.Command;
+        delete command.Command;
+    } else if (typeof step.command === 'string') {
+        command = Object.keys(step)
+            .filter(k => !STEP_KEYS.includes(k))
+            .reduce((acc, k) => { acc[k] = step[k]; return acc; }, { command: step.command });
+    }
+    if (!command || typeof command.command !== 'string' || !command.command) {
+        throw new Error(`${label}: command is required`);
+    }
+
+    const delay = step.delay === undefined ? 0 : Number(step.delay);
+    if (isNaN(delay) || delay < 0) {
+        throw new Error(`${label}: delay must be a non-negative number of milliseconds`);
+    }
+
+    const trigger = step.after || step.trigger || 'start';
+    if (!['start', 'previous', 'after_previous'].includes(trigger)) {
+        throw new Error(`${label}: after must be "previous" (or omitted)`);
+    }
+
+    if (step.wait !== undefined && !['done', 'command'].includes(step.wait)) {
+        throw new Error(`${label}: wait must be "done" or "command"`);
+    }
+
+    return {
+        index,
+        label: step.label || null,
+        zone,
+        command,
+        delay,
+        trigger: trigger === 'start' ? 'start' : 'previous',
+        wait: step.wait,
+        timeout: step.timeout ? Number(step.timeout) : null
+    };
+}
+
+module.exports = CueManager;
+module.exports.normalizeCue = normalizeCue;
@@ -0,0 +1,234 @@
+/**
+ * Home Assistant MQTT Discovery
+ *
+ * Builds the retained discovery configs ({prefix}/{component}/{node_id}/{object_id}/config)
+ * that let Home Assistant create entities for the zones the zone manager runs. Every
+ * entity reads the zone's existing retained {baseTopic}/state and sends the existing
+ * JSON commands to {baseTopic}/commands, so nothing needs hand-written YAML.
+ *
+ * Each zone becomes an HA device linked (via_device) to the pfx box. Availability
+ * follows the retained device state ({baseTopic}/{deviceName}/state), which the
+ * last-will flips to offline when pfx drops off.
+ *
+ * Under an MQTT topic prefix the topics inside the configs are given as HA sees them
+ * on the broker (options.brokerTopic); the config topics are prefixed on publish.
+ *
+ * HA has no MQTT media_player platform, so screen and audio zones are described by a
+ * status sensor (with the full state as attributes), a master volume number, one
+ * number per volume type and buttons for their transport commands.
+ */
+
+const { MAX_COMMAND_VOLUME } = require('./command-schemas');
+const { version } = require('../../package.json');
+
+const DEFAULT_PREFIX = 'homeassistant';
+
+// Per-type volume numbers, by zone type
+const VOLUME_TYPES = {
+    screen: ['background', 'speech', 'effects', 'video'],
+    audio: ['background', 'speech', 'effects']
+};
+
+// Transport commands published as buttons when the zone supports them
+const BUTTON_COMMANDS = {
+    stopAll: { name: 'Stop all', icon: 'mdi:stop' },
+    pauseAll: { name: 'Pause all', icon: 'mdi:pause' },
+    resumeAll: { name: 'Resume all', icon: 'mdi:play' },
+    skipSpeech: { name: 'Skip speech', icon: 'mdi:skip-next' }
+};
+
+const ZONE_ICONS = { screen: 'mdi:television', audio: 'mdi:speaker' };
+
+// pfx light brightness is 0-100, HA's 0-255; HA transitions are seconds, pfx's ms
+const LIGHT_TRANSITION = '{% if transition is defined %},"transition":{{ (transition * 1000) | int }}{% endif %}';
+const LIGHT_ON_TEMPLATE = '{"command":{% if red is defined %}"setColor","color":"#{{ "%02x%02x%02x" | format(red, green, blue) }}"{% else %}"turnOn"{% endif %}'
+    + '{% if brightness is defined %},"brightness":{{ (brightness / 2.55) | round | int }}{% endif %}' + LIGHT_TRANSITION + '}';
+const LIGHT_OFF_TEMPLATE = '{"command":"turnOff"' + LIGHT_TRANSITION + '}';
+// Named colors have no RGB to report; they show as white
+const colorTemplate = (from, to) => `{{ (value_json.color or '#ffffff')[${from}:${to}] | int(255, 16) }}`;
+
+/**
+ * Topic- and id-safe form of a name
+ * @private
+ */
+function slug(name) {
+    return String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Zone types that share discovery entities (combined-audio zones are audio zones)
+ * @private
+ */
+function baseType(type) {
+    return type === 'combined-audio' ? 'audio' : type;
+}
+
+/** @private */
+function boxIdentifier(deviceName) {
+    return `pfx_${slug(deviceName)}`;
+}
+
+/**
+ * Discovery message for one entity
+ * @private
+ */
+function entity(options, component, objectId, config) {
+    const nodeId = boxIdentifier(options.deviceName);
+    const payload = { unique_id: `${nodeId}_${slug(objectId)}`, ...config };
+    if (options.brokerTopic) {
+        for (const key of Object.keys(payload)) {
+            if (key.endsWith('_topic') && typeof payload[key] === 'string') payload[key] = options.brokerTopic(payload[key]);
+        }
+    }
+    return {
+        topic: `${options.prefix || DEFAULT_PREFIX}/${component}/${nodeId}/${slug(objectId)}/config`,
+        payload
+    };
+}
+
+/**
+ * Discovery configs for the pfx box itself: a connectivity sensor on the device state
+ * @param {Object} options - {deviceName, deviceTopic, prefix, brokerTopic}
+ * @returns {Array<{topic: string, payload: Object}>}
+ */
+function deviceConfigs(options) {
+    return [entity(options, 'binary_sensor', 'connectivity', {
+        name: 'Connectivity',
+        device_class: 'connectivity',
+        entity_category: 'diagnostic',
+        state_topic: `${options.deviceTopic}/state`,
+        value_template: '{{ value_json.status }}',
+        payload_on: 'online',
+        payload_off: 'offline',
+        json_attributes_topic: `${options.deviceTopic}/state`,
+        device: {
+            identifiers: [boxIdentifier(options.deviceName)],
+            name: options.deviceName,
+            manufacturer: 'ParadoxFX',
+            model: 'pfx',
+            sw_version: version
+        }
+    })];
+}
+
+/**
+ * Discovery configs for one zone, derived from its type and supported commands
+ * @param {Object} zone - Running zone (config.name, config.type, config.baseTopic)
+ * @param {Object} options - {deviceName, deviceTopic, prefix, brokerTopic}
+ * @returns {Array<{topic: string, payload: Object}>} empty for types HA has no entity for
+ */
+function zoneConfigs(zone, options) {
+    const { name, baseTopic } = zone.config;
+    const type = baseType(zone.config.type);
+    const supported = typeof zone.getSupportedCommands === 'function' ? zone.getSupportedCommands() : [];
+    const stateTopic = `${baseTopic}/state`;
+    const common = {
+        availability_topic: `${options.deviceTopic}/state`,
+        availability_template: `{{ value_json.zones[${JSON.stringify(name)}] | default('offline') }}`,
+        payload_available: 'online',
+        payload_not_available: 'offline',
+        device: {
+            identifiers: [`${boxIdentifier(options.deviceName)}_${slug(name)}`],
+            name,
+            manufacturer: 'ParadoxFX',
+            model: `${zone.config.type} zone`,
+            via_device: boxIdentifier(options.deviceName)
+        }
+    };
+    const add = (component, key, config) => entity(options, component, `${name}_${key}`, {
+        ...config,
+        state_topic: config.state_topic === null ? undefined : stateTopic,
+        command_topic: config.command_topic === null ? undefined : `${baseTopic}/commands`,
+        ...common
+    });
+    const configs = [];
+
+    switch (type) {
+        case 'screen':
+        case 'audio': {
+            const maxVolume = zone.volumeModel ? zone.volumeModel.maxVolume : MAX_COMMAND_VOLUME;
+            configs.push(add('sensor', 'status', {
+                name: 'Status',
+                icon: ZONE_ICONS[type],
+                value_template: '{{ value_json.status }}',
+                json_attributes_topic: stateTopic,
+                command_topic: null
+            }));
+            configs.push(add('number', 'volume', {
+                name: 'Volume',
+                icon: 'mdi:volume-high',
+                min: 0,
+                max: MAX_COMMAND_VOLUME,
+                mode: 'slider',
+                value_template: '{{ value_json.volume }}',
+                command_template: '{"command":"setVolume","volume":{{ value | int }}}'
+            }));
+            for (const volumeType of VOLUME_TYPES[type]) {
+                configs.push(add('number', `${volumeType}_volume`, {
+                    name: `${volumeType[0].toUpperCase()}${volumeType.slice(1)} volume`,
+                    icon: 'mdi:volume-medium',
+                    min: 0,
+                    max: maxVolume,
+                    mode: 'slider',
+                    value_template: `{{ value_json.${volumeType}.volume }}`,
+                    command_template: `{"command":"setVolume","type":"${volumeType}","volume":{{ value | int }}}`
+                }));
+            }
+            if (supported.includes('sleepScreen') && supported.includes('wakeScreen')) {
+                configs.push(add('switch', 'display', {
+                    name: 'Display',
+                    icon: 'mdi:monitor',
+                    payload_on: '{"command":"wakeScreen"}',
+                    payload_off: '{"command":"sleepScreen"}',
+                    value_template: "{{ 'ON' if value_json.screen_awake else 'OFF' }}",
+                    state_on: 'ON',
+                    state_off: 'OFF'
+                }));
+            }
+            for (const [commandName, button] of Object.entries(BUTTON_COMMANDS)) {
+                if (!supported.includes(commandName)) continue;
+                configs.push(add('button', commandName.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`), {
+                    ...button,
+                    payload_press: JSON.stringify({ command: commandName }),
+                    state_topic: null
+                }));
+            }
+            break;
+        }
+        case 'light':
+        case 'light_group':
+            configs.push(add('light', 'light', {
+                name: null,
+                schema: 'template',
+                command_on_template: LIGHT_ON_TEMPLATE,
+                command_off_template: LIGHT_OFF_TEMPLATE,
+                state_template: '{{ value_json.power }}',
+                brightness_template: '{{ ((value_json.brightness or 0) * 2.55) | round | int }}',
+                red_template: colorTemplate(1, 3),
+                green_template: colorTemplate(3, 5),
+                blue_template: colorTemplate(5, 7),
+                json_attributes_topic: stateTopic
+            }));
+            break;
+        case 'relay':
+            configs.push(add('switch', 'relay', {
+                name: null,
+                payload_on: '{"command":"turnOn"}',
+                payload_off: '{"command":"turnOff"}',
+                value_template: '{{ value_json.state }}',
+                state_on: 'on',
+                state_off: 'off',
+                json_attributes_topic: stateTopic
+            }));
+            break;
+        default:
+            break;
+    }
+    return configs;
+}
+
+module.exports = {
+    DEFAULT_PREFIX,
+    deviceConfigs,
+    zoneConfigs
+};
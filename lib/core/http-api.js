@@ -0,0 +1,373 @@
+/**
+ * HTTP API
+ *
+ * Optional local control API ([global] http_enabled) so pfx can still be driven on
+ * site when the MQTT broker is unreachable. Commands run through the same ZoneManager
+ * pipeline as MQTT commands (validation, events, correlation) and are answered with
+ * the request/response reply. A WebSocket streams everything pfx publishes.
+ *
+ *   GET  /api/zones                  running zones with their last state
+ *   GET  /api/zones/{zone}           one zone
+ *   GET  /api/zones/{zone}/state     its last state message
+ *   GET  /api/zones/{zone}/media     its media index (?type=, ?folder= as for listMedia)
+ *   POST /api/zones/{zone}/commands  run the JSON command in the body, answer with the reply
+ *   GET  /api/device/state           device and zone availability
+ *   POST /api/device/commands        run a device command
+ *   GET  /api/events                 WebSocket: {topic, message} for every publish
+ *
+ * The operator console (lib/web/console.html) is served at / and uses the same API.
+ *
+ * With http_token set, API requests need `Authorization: Bearer <token>` (or `?token=`,
+ * for WebSocket clients that cannot set headers). The console page itself holds no
+ * data and is served without one. Without a token the API only binds to a loopback
+ * address, and only answers requests whose Host is a loopback name (no DNS
+ * rebinding); WebSocket upgrades and POSTs that carry an Origin must come from the
+ * API's own origin, so other pages open in a browser on the machine get nothing.
+ * POST bodies must also be sent as application/json (a CORS preflight cross-site).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const MediaIndex = require('../media/media-index');
+const Logger = require('../utils/logger');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+const EVENTS_PATH = '/api/events';
+const CONSOLE_FILE = path.join(__dirname, '..', 'web', 'console.html');
+
+// Reply error types caused by the request rather than by running it (answered 400)
+const REQUEST_ERROR_TYPES = ['malformed_json', 'validation_error', 'unsupported_command'];
+
+class HttpApi {
+    /**
+     * @param {Object} globalConfig - Processed [global] config (httpPort, httpHost, httpToken)
+     * @param {Object} zoneManager
+     * @param {Object} mqttClient - Its 'publish' events feed state and the WebSocket stream
+     */
+    constructor(globalConfig, zoneManager, mqttClient) {
+        this.logger = new Logger('HttpApi');
+        this.config = globalConfig || {};
+        this.zoneManager = zoneManager;
+        this.mqttClient = mqttClient;
+        this.token = this.config.httpToken || null;
+
+        this.server = null;
+        this.wss = null;
+        this.port = null;
+        // Last retained-style message per state topic (cleared by an empty message)
+        this.states = new Map();
+
+        // Listen from construction so state published while zones start is known
+        this._onPublish = (topic, message) => this._published(topic, message);
+        if (typeof mqttClient.on === 'function') mqttClient.on('publish', this._onPublish);
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} the bound port
+     */
+    async start() {
+        const port = this.config.httpPort != null ? this.config.httpPort : DEFAULT_PORT;
+        const host = this.config.httpHost || DEFAULT_HOST;
+        if (!this.token && !isLoopback(host)) {
+            throw new Error(`Refusing to serve the HTTP API on ${host} without http_token (set one, or http_host = 127.0.0.1)`);
+        }
+
+        this.server = http.createServer((req, res) => {
+            this._handleRequest(req, res).catch(error => {
+                this.logger.error(`${req.method} ${req.url} failed: ${error.message}`);
+                if (!res.headersSent) this._send(res, 500, { error: 'internal_error', message: error.message });
+            });
+        });
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        this.port = this.server.address().port;
+        this.logger.info(`HTTP API listening on ${host}:${this.port}${this.token ? '' : ' (no token configured, local only)'}`);
+        return this.port;
+    }
+
+    /**
+     * Close WebSocket clients and stop listening
+     */
+    async stop() {
+        if (typeof this.mqttClient.off === 'function') this.mqttClient.off('publish', this._onPublish);
+        if (this.wss) {
+            for (const client of this.wss.clients) client.terminate();
+            this.wss.close();
+            this.wss = null;
+        }
+        if (this.server) {
+            const server = this.server;
+            this.server = null;
+            await new Promise(resolve => {
+                server.close(() => resolve());
+                if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+            });
+        }
+    }
+
+    /** @private */
+    _published(topic, message) {
+        if (topic.endsWith('/state')) {
+            if (message === '') this.states.delete(topic);
+            else this.states.set(topic, message);
+        }
+        if (!this.wss || this.wss.clients.size === 0) return;
+        const frame = JSON.stringify({ topic, message });
+        for (const client of this.wss.clients) {
+            if (client.readyState === client.OPEN) client.send(frame);
+        }
+    }
+
+    /**
+     * Token check (constant time); open when no token is configured
+     * @private
+     */
+    _authorized(req, url) {
+        if (!this.token) return true;
+        const header = req.headers.authorization || '';
+        const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+        if (!given) return false;
+        const a = Buffer.from(given);
+        const b = Buffer.from(this.token);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Without a token: the Host must be a loopback name and, when checkOrigin is set,
+     * a browser's Origin must be this API's own. Always true with a token.
+     * @private
+     */
+    _trustedSource(req, checkOrigin) {
+        if (this.token) return true;
+        const host = req.headers.host;
+        if (!host || !isLoopback(hostname(host))) return false;
+        const origin = req.headers.origin;
+        return !checkOrigin || origin === undefined || origin === `http://${host}`;
+    }
+
+    /** @private */
+    _handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        let refusal = null;
+        if (!this._trustedSource(req, true)) refusal = '403 Forbidden';
+        else if (url.pathname !== EVENTS_PATH) refusal = '404 Not Found';
+        else if (!this._authorized(req, url)) refusal = '401 Unauthorized';
+        if (refusal) {
+            socket.end(`HTTP/1.1 ${refusal}\r\nConnection: close\r\n\r\n`);
+            return;
+        }
+        this.wss.handleUpgrade(req, socket, head, ws => {
+            // Current state first, as a late MQTT subscriber would get it retained
+            for (const [topic, message] of this.states) {
+                ws.send(JSON.stringify({ topic, message, retained: true }));
+            }
+        });
+    }
+
+    /** @private */
+    async _handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (!this._trustedSource(req, req.method !== 'GET' && req.method !== 'HEAD')) {
+            return this._send(res, 403, { error: 'forbidden', message: 'Request from an untrusted host or origin' });
+        }
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/console')) {
+            return this._sendConsole(res);
+        }
+        if (!this._authorized(req, url)) {
+            return this._send(res, 401, { error: 'unauthorized', message: 'Missing or invalid token' });
+        }
+
+        const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        if (parts[0] !== 'api') return this._notFound(res);
+        const [, resource, name, sub] = parts;
+
+        if (resource === 'zones' && !name) {
+            if (req.method !== 'GET') return this._notAllowed(res);
+            const zones = Array.from(this.zoneManager.zones.entries()).map(([zoneName, zone]) => this._describeZone(zoneName, zone));
+            return this._send(res, 200, { device: this.zoneManager.deviceName, zones });
+        }
+
+        if (resource === 'zones') {
+            const zone = this.zoneManager.getZone(name);
+            if (!zone) return this._send(res, 404, { error: 'not_found', message: `Unknown zone: ${name}` });
+            if (!sub && parts.length === 3) {
+                if (req.method !== 'GET') return this._notAllowed(res);
+                return this._send(res, 200, this._describeZone(name, zone));
+            }
+            if (sub === 'state' && parts.length === 4) {
+                if (req.method !== 'GET') return this._notAllowed(res);
+                const state = this._zoneState(zone);
+                return state ? this._send(res, 200, state) : this._send(res, 404, { error: 'not_found', message: `No state published yet for zone: ${name}` });
+            }
+            if (sub === 'media' && parts.length === 4) {
+                if (req.method !== 'GET') return this._notAllowed(res);
+                if (typeof zone._resolveMediaPath !== 'function') {
+                    return this._send(res, 404, { error: 'not_found', message: `Zone ${name} has no media directory` });
+                }
+                const filter = { type: url.searchParams.get('type') || undefined, folder: url.searchParams.get('folder') || undefined };
+                const index = zone.mediaIndex || await new MediaIndex(zone._resolveMediaPath(''), { probe: false, watch: false }).build();
+                return this._send(res, 200, { zone: name, root: index.root, files: index.list(filter) });
+            }
+            if (sub === 'commands' && parts.length === 4) {
+                if (req.method !== 'POST') return this._notAllowed(res);
+                if (!isJson(req)) return this._unsupportedType(res);
+                const body = await this._readBody(req, res);
+                if (body === null) return undefined;
+                return this._runCommand(res, respond => this.zoneManager.dispatchZoneCommand(name, body, {}, respond));
+            }
+            return this._notFound(res);
+        }
+
+        if (resource === 'device' && parts.length === 3) {
+            if (name === 'state') {
+                if (req.method !== 'GET') return this._notAllowed(res);
+                const state = this.states.get(`${this.zoneManager.deviceTopic}/state`);
+                return state ? this._send(res, 200, state) : this._send(res, 404, { error: 'not_found', message: 'No device state published yet' });
+            }
+            if (name === 'commands') {
+                if (req.method !== 'POST') return this._notAllowed(res);
+                if (!isJson(req)) return this._unsupportedType(res);
+                const body = await this._readBody(req, res);
+                if (body === null) return undefined;
+                return this._runCommand(res, respond => this.zoneManager.dispatchDeviceCommand(body, {}, respond));
+            }
+        }
+
+        return this._notFound(res);
+    }
+
+    /**
+     * Run a command and answer with its reply (see correlation.handleCommand)
+     * @private
+     */
+    async _runCommand(res, dispatch) {
+        let reply = null;
+        try {
+            await dispatch(response => { reply = response; });
+        } catch (error) {
+            // The pipeline has already published (and replied with) the failure
+            if (!reply) throw error;
+        }
+        let status = 200;
+        if (reply.outcome === 'failed') status = REQUEST_ERROR_TYPES.includes(reply.error_type) ? 400 : 500;
+        return this._send(res, status, reply);
+    }
+
+    /** @private */
+    _describeZone(zoneName, zone) {
+        return {
+            name: zoneName,
+            type: zone.config.type,
+            topic: zone.config.baseTopic,
+            commands: typeof zone.getSupportedCommands === 'function' ? zone.getSupportedCommands() : [],
+            state: this._zoneState(zone)
+        };
+    }
+
+    /** @private */
+    async _sendConsole(res) {
+        const html = await fs.readFile(CONSOLE_FILE);
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': html.length });
+        res.end(html);
+    }
+
+    /**
+     * Last state the zone published; asks for one if it has not published yet
+     * @private
+     */
+    _zoneState(zone) {
+        const topic = `${zone.config.baseTopic}/state`;
+        if (!this.states.has(topic) && typeof zone.publishStatus === 'function') {
+            try { zone.publishStatus(); } catch (_) { /* answered without state */ }
+        }
+        return this.states.get(topic) || null;
+    }
+
+    /**
+     * Read the request body as text; answers 413 and resolves null when it is too large
+     * @private
+     */
+    _readBody(req, res) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    req.removeAllListeners('data');
+                    req.resume();
+                    this._send(res, 413, { error: 'payload_too_large', message: `Body exceeds ${MAX_BODY_BYTES} bytes` });
+                    resolve(null);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /** @private */
+    _notFound(res) {
+        return this._send(res, 404, { error: 'not_found', message: 'Unknown endpoint' });
+    }
+
+    /** @private */
+    _unsupportedType(res) {
+        return this._send(res, 415, { error: 'unsupported_media_type', message: 'Commands must be sent as Content-Type: application/json' });
+    }
+
+    /** @private */
+    _notAllowed(res) {
+        return this._send(res, 405, { error: 'method_not_allowed', message: 'Method not allowed for this endpoint' });
+    }
+
+    /** @private */
+    _send(res, status, body) {
+        const payload = JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+        res.end(payload);
+    }
+}
+
+/**
+ * True for addresses only this machine can reach
+ * @private
+ */
+function isLoopback(host) {
+    return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Host name of a Host header value ("[::1]:8080" -> "::1")
+ * @private
+ */
+function hostname(host) {
+    try {
+        return new URL(`http://${host}`).hostname.replace(/^\[(.*)\]$/, '$1');
+    } catch (_) {
+        return '';
+    }
+}
+
+/** @private */
+function isJson(req) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    return type === 'application/json';
+}
+
+module.exports = HttpApi;
@@ -2,13 +2,32 @@
  * MQTT Client
  * 
  * Manages shared MQTT connection for all devices.
+ * Emits 'publish' (topic, message, options) for everything pfx publishes, connected or not.
+ *
+ * While the broker is unreachable, publishes wait in an OutboundQueue and are sent in
+ * order after the reconnect (except those sent with `queue: false`, such as gateway
+ * control messages), and the reconnect subscribes every handled topic, including
+ * those subscribed while offline.
+ *
+ * Connects over mqtt, mqtts, ws or wss, with optional TLS CA and client certificate.
+ * With a topic prefix (`topic_prefix` in [mqtt]) every topic pfx publishes or
+ * subscribes to lives under that path on the broker, while callers and handlers keep
+ * using the unprefixed topics.
  */
 
+const fs = require('fs');
+const EventEmitter = require('events');
 const mqtt = require('mqtt');
 const Logger = require('../utils/logger');
+const OutboundQueue = require('./outbound-queue');
 
-class MqttClient {
+// Longest wait for a graceful disconnect before the socket is force-closed
+const DISCONNECT_TIMEOUT_MS = 2000;
+
+class MqttClient extends EventEmitter {
     constructor(globalConfig) {
+        super();
+        this.setMaxListeners(0);
         this.logger = new Logger('MqttClient');
         this.config = globalConfig;
         this.client = null;
@@ -18,20 +37,50 @@ class MqttClient {
         this.zoneManager = null; // Will be set by zone manager
         this.isDisconnecting = false; // Track intentional disconnection
         this.heartbeatInterval = null; // Store interval reference for cleanup
+        this.lastWill = null; // Registered with the broker on every (re)connect
+        this.topicPrefix = globalConfig.mqttTopicPrefix || null;
+        this.outbound = new OutboundQueue({
+            maxMessages: globalConfig.mqttQueueMax,
+            file: globalConfig.mqttQueueFile,
+            maxFileMessages: globalConfig.mqttQueueFileMax
+        });
+        this.everConnected = false;
+        this.reconnects = 0;
+        this._draining = false;
+    }
+
+    /**
+     * Set the retained message the broker publishes if pfx drops off without a clean
+     * disconnect. Takes effect on the next connect.
+     * @param {string} topic
+     * @param {Object|string} message
+     */
+    setLastWill(topic, message) {
+        this.lastWill = {
+            topic: this.brokerTopic(topic),
+            payload: typeof message === 'string' ? message : JSON.stringify(message),
+            qos: 1,
+            retain: true
+        };
     }
 
     async connect() {
         const verbose = process.env.DEBUG_MQTT === '1';
         if (verbose) this.logger.debug('connect() invoked');
-        const url = `mqtt://${this.config.mqttServer}:${this.config.mqttPort}`;
+        const url = this._brokerUrl();
         if (verbose) this.logger.debug(`URL computed ${url}`);
+        // Read the TLS files once; a missing one fails the connect
+        const connectOptions = this._connectOptions();
         let attempt = 0;
         const maxDelay = 60000; // 1 minute max backoff
         const baseDelay = 2000; // 2 seconds initial
         const maxAttempts = this.config.mqttMaxAttempts != null ? this.config.mqttMaxAttempts : 3; // small default for tests
         const singleConnectTimeout = this.config.mqttConnectTimeoutMs || 5000; // shorter default for test responsiveness
 
+        // maxAttempts limits the first connect only: once pfx has been connected, a
+        // dropped connection is retried until it comes back (backoff capped at maxDelay)
         const connectWithBackoff = async (resolve, reject) => {
+            if (this.isDisconnecting) return;
             if (verbose) this.logger.debug('connectWithBackoff iteration');
             attempt++;
             let delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
@@ -40,17 +89,37 @@ class MqttClient {
                 clientId: `pfx-${Date.now()}`,
                 clean: true,
                 reconnectPeriod: 0, // disable built-in reconnect, we handle it
-                connectTimeout: singleConnectTimeout
+                connectTimeout: singleConnectTimeout,
+                protocolVersion: this.config.mqttProtocolVersion || 4,
+                ...connectOptions,
+                ...(this.lastWill ? { will: this.lastWill } : {})
             });
             if (verbose) this.logger.debug('mqtt.connect() invoked, wiring events');
 
             let resolved = false;
+            let retrying = false;
+
+            const retry = (error) => {
+                if (retrying) return;
+                retrying = true;
+                if (this.everConnected || maxAttempts === 0 || attempt < maxAttempts) {
+                    this.logger.warn(`Retrying MQTT connection in ${delay}ms (attempt ${attempt})`);
+                    setTimeout(() => connectWithBackoff(resolve, reject), delay);
+                } else {
+                    reject(error);
+                }
+            };
 
             this.client.on('connect', () => {
                 if (verbose) this.logger.debug('connect event');
                 this.logger.info('Connected to MQTT broker');
                 this.connected = true;
+                if (this.everConnected) this.reconnects++;
+                // Topics handled before this connection (a clean session) are subscribed now
+                this._resubscribe();
+                this.everConnected = true;
                 this._startHeartbeat();
+                this._drainQueue();
                 resolved = true;
                 attempt = 0;
                 resolve();
@@ -61,24 +130,21 @@ class MqttClient {
                 this.logger.error('MQTT connection error:', error.message || error);
                 if (!this.connected && !resolved) {
                     try { this.client.end(true); } catch (_) { }
-                    if (maxAttempts === 0 || attempt < maxAttempts) {
-                        this.logger.warn(`Retrying MQTT connection in ${delay}ms (attempt ${attempt})`);
-                        setTimeout(() => connectWithBackoff(resolve, reject), delay);
-                    } else {
-                        return reject(error);
-                    }
+                    retry(error);
                 }
             });
 
             this.client.on('close', () => {
                 this.logger.warn('MQTT connection closed');
                 this.connected = false;
-                if (!resolved || this.isDisconnecting) return; // don't reconnect if not yet connected or intentionally disconnecting
-                // Reconnect with backoff only if attempts remain
-                if (maxAttempts === 0 || attempt < maxAttempts) {
-                    attempt = 0; // reset attempt for reconnection cycle
-                    setTimeout(() => connectWithBackoff(() => { }, () => { }), baseDelay); // fire & forget reconnect
+                if (this.isDisconnecting) return; // intentionally disconnecting
+                if (!resolved) {
+                    // A reconnect attempt that closed without an error event
+                    if (this.everConnected) retry(new Error('MQTT connection closed'));
+                    return;
                 }
+                attempt = 0; // reset attempt for reconnection cycle
+                setTimeout(() => connectWithBackoff(() => { }, () => { }), baseDelay); // fire & forget reconnect
             });
 
             this.client.on('disconnect', () => {
@@ -86,8 +152,8 @@ class MqttClient {
                 this.connected = false;
             });
 
-            this.client.on('message', (topic, message) => {
-                this._handleMessage(topic, message);
+            this.client.on('message', (topic, message, packet) => {
+                this._handleMessage(this.messageHandlers.has(topic) ? topic : this.localTopic(topic), message, packet);
             });
         };
 
@@ -118,65 +184,241 @@ class MqttClient {
                 clearInterval(this.heartbeatInterval);
                 this.heartbeatInterval = null;
             }
+            // Undelivered messages go to the spill file, if any, for the next start
+            this.outbound.persist();
 
             return new Promise((resolve) => {
-                // Force end (first arg true) to immediately close socket and prevent lingering handles in tests
-                this.client.end(true, {}, () => {
+                const done = () => {
+                    clearTimeout(forceTimer);
                     this.connected = false;
                     resolve();
-                });
+                };
+                // Graceful end: a DISCONNECT packet tells the broker not to publish the last-will.
+                // Queued messages (e.g. cleared retained state) are flushed first; force-close
+                // if the broker does not let us go in time.
+                const forceTimer = setTimeout(() => this.client.end(true, {}, done), DISCONNECT_TIMEOUT_MS);
+                this.client.end(false, {}, done);
             });
         }
     }
 
+    /**
+     * Handle messages on a topic. The handler is kept even while the broker is
+     * unreachable; the topic is subscribed on the next (re)connect.
+     * @param {string} topic
+     * @param {Function} handler - (topic, message, properties)
+     */
     subscribe(topic, handler) {
+        this.messageHandlers.set(topic, handler);
         if (!this.connected) {
-            throw new Error('MQTT client not connected');
+            this.logger.debug(`Not connected; ${topic} is subscribed on reconnect`);
+            return;
         }
 
         this.logger.debug(`Subscribing to topic: ${topic}`);
-        this.client.subscribe(topic, (error) => {
+        this.client.subscribe(this.brokerTopic(topic), (error) => {
             if (error) {
                 this.logger.error(`Failed to subscribe to ${topic}:`, error);
             } else {
                 this.subscriptions.set(topic, true);
-                this.messageHandlers.set(topic, handler);
                 this.logger.debug(`Successfully subscribed to ${topic}`);
             }
         });
     }
 
     unsubscribe(topic) {
+        // Dropped locally even while offline, so the reconnect does not resubscribe it
+        this.subscriptions.delete(topic);
+        this.messageHandlers.delete(topic);
         if (!this.connected) {
             return;
         }
 
         this.logger.debug(`Unsubscribing from topic: ${topic}`);
-        this.client.unsubscribe(topic);
-        this.subscriptions.delete(topic);
-        this.messageHandlers.delete(topic);
+        this.client.unsubscribe(this.brokerTopic(topic));
     }
 
+    /**
+     * Publish a message (objects are sent as JSON)
+     * @param {string} topic
+     * @param {Object|string} message
+     * @param {Object} [options] - {qos, retain, properties, queue}. `queue: false` drops
+     *   the message instead of queueing it while offline (gateway control messages,
+     *   whose callers time out rather than want them sent late)
+     * @returns {Promise<void>} resolves once handed to the broker, queued or dropped (never rejects)
+     */
     publish(topic, message, options = {}) {
-        if (!this.connected) {
-            this.logger.warn(`Cannot publish to ${topic}: MQTT client not connected`);
-            return;
+        // Local listeners (HTTP API WebSocket) see messages even while the broker is unreachable
+        try {
+            this.emit('publish', topic, message, options);
+        } catch (error) {
+            this.logger.warn(`Publish listener failed for ${topic}: ${error.message}`);
         }
 
         const payload = typeof message === 'string' ? message : JSON.stringify(message);
-        this.logger.debug(`Publishing to ${topic}:`, payload);
-
-        this.client.publish(topic, payload, {
+        const publishOptions = {
             qos: options.qos || 0,
             retain: options.retain || false
-        }, (error) => {
-            if (error) {
-                this.logger.error(`Failed to publish to ${topic}:`, error);
+        };
+        // MQTT v5 properties (e.g. correlationData on a response topic); ignored by v3 brokers
+        if (options.properties && this.config.mqttProtocolVersion === 5) {
+            publishOptions.properties = options.properties;
+        }
+        const entry = { topic: this.brokerTopic(topic), payload, options: publishOptions };
+        const queue = options.queue !== false;
+
+        if (!queue && !this.connected) {
+            this.logger.warn(`Not connected; dropped message for ${topic}`);
+            return Promise.resolve();
+        }
+        // Queued messages go first, so newer ones wait behind them
+        if (queue && (!this.connected || this.outbound.size > 0)) {
+            this._enqueue(entry);
+            if (this.connected) this._drainQueue();
+            return Promise.resolve();
+        }
+
+        this.logger.debug(`Publishing to ${topic}:`, payload);
+        return this._send(entry).then((error) => {
+            // Lost with the connection: send it after the reconnect
+            if (error && !this.connected && queue) this._enqueue(entry);
+        });
+    }
+
+    /**
+     * Topic on the broker: the topic under the tenant prefix. Topics already under it
+     * (e.g. a response topic the requester gave in full) are left as they are.
+     * @param {string} topic
+     * @returns {string}
+     */
+    brokerTopic(topic) {
+        const prefix = this.topicPrefix;
+        if (!prefix || topic === prefix || topic.startsWith(`${prefix}/`)) return topic;
+        return `${prefix}/${topic}`;
+    }
+
+    /**
+     * Topic as pfx knows it: the broker topic without the tenant prefix
+     * @param {string} topic
+     * @returns {string}
+     */
+    localTopic(topic) {
+        const prefix = this.topicPrefix;
+        return prefix && topic.startsWith(`${prefix}/`) ? topic.slice(prefix.length + 1) : topic;
+    }
+
+    /** @private */
+    _brokerUrl() {
+        const protocol = this.config.mqttProtocol || 'mqtt';
+        const wsPath = protocol === 'ws' || protocol === 'wss' ? (this.config.mqttWsPath || '/mqtt') : '';
+        return `${protocol}://${this.config.mqttServer}:${this.config.mqttPort}${wsPath}`;
+    }
+
+    /**
+     * Credentials and TLS options for mqtt.connect
+     * @private
+     */
+    _connectOptions() {
+        const options = {};
+        if (this.config.mqttUsername) options.username = this.config.mqttUsername;
+        if (this.config.mqttPassword) options.password = this.config.mqttPassword;
+        const files = { ca: this.config.mqttCaFile, cert: this.config.mqttCertFile, key: this.config.mqttKeyFile };
+        for (const [key, file] of Object.entries(files)) {
+            if (!file) continue;
+            try {
+                options[key] = fs.readFileSync(file);
+            } catch (error) {
+                throw new Error(`Cannot read MQTT ${key} file ${file}: ${error.message}`);
             }
+        }
+        if (this.config.mqttRejectUnauthorized === false) {
+            options.rejectUnauthorized = false;
+            this.logger.warn('MQTT broker certificate is not verified (reject_unauthorized = false)');
+        }
+        return options;
+    }
+
+    /**
+     * Outbound queue counters for the heartbeat
+     * @returns {{queued: number, spilled: number, dropped: number, reconnects: number}}
+     */
+    getQueueStats() {
+        return {
+            queued: this.outbound.size,
+            spilled: this.outbound.spilled,
+            dropped: this.outbound.dropped,
+            reconnects: this.reconnects
+        };
+    }
+
+    /** @private */
+    _enqueue(entry) {
+        if (this.outbound.push(entry)) {
+            this.logger.debug(`Queued message for ${entry.topic} (${this.outbound.size} waiting)`);
+        } else {
+            this.logger.warn(`Dropped message for ${entry.topic}: outbound queue full (${this.outbound.dropped} dropped)`);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Error|null>} the publish error, if any
+     */
+    _send({ topic, payload, options }) {
+        return new Promise((resolve) => {
+            this.client.publish(topic, payload, options, (error) => {
+                if (error) {
+                    this.logger.error(`Failed to publish to ${topic}:`, error);
+                }
+                resolve(error || null);
+            });
         });
     }
 
-    _handleMessage(topic, message) {
+    /**
+     * Send queued messages one at a time, in order, while connected
+     * @private
+     */
+    async _drainQueue() {
+        if (this._draining || !this.outbound.size) return;
+        this._draining = true;
+        let sent = 0;
+        try {
+            while (this.connected && this.outbound.size) {
+                const entry = this.outbound.peek();
+                const error = await this._send(entry);
+                if (error && !this.connected) break; // stays first in line for the next reconnect
+                // A retained update may have replaced the entry meanwhile; that one is sent next
+                if (this.outbound.peek() === entry) this.outbound.shift();
+                if (error) this.outbound.dropped++;
+                else sent++;
+            }
+        } finally {
+            this._draining = false;
+        }
+        if (sent) this.logger.info(`Sent ${sent} queued message(s)${this.outbound.size ? `, ${this.outbound.size} still waiting` : ''}`);
+    }
+
+    /**
+     * A reconnect starts a clean session: subscribe to every handled topic again
+     * @private
+     */
+    _resubscribe() {
+        const topics = Array.from(this.messageHandlers.keys());
+        for (const topic of topics) {
+            this.client.subscribe(this.brokerTopic(topic), (error) => {
+                if (error) this.logger.error(`Failed to resubscribe to ${topic}:`, error);
+            });
+        }
+        if (topics.length) this.logger.info(`Resubscribed to ${topics.length} topic(s)`);
+    }
+
+    /**
+     * Route an incoming message to its topic handler as (topic, parsedMessage, properties),
+     * where properties are the MQTT v5 publish properties ({} under v3.1.1).
+     * @private
+     */
+    _handleMessage(topic, message, packet) {
         let handler = null;
         let parsedMessage = null;
         let rawPayload = null;
@@ -202,7 +444,7 @@ class MqttClient {
 
             // Call handler with defensive error handling
             try {
-                handler(topic, parsedMessage);
+                handler(topic, parsedMessage, (packet && packet.properties) || {});
             } catch (handlerError) {
                 this.logger.error(`Message handler error for topic ${topic}:`, handlerError);
                 // Don't re-throw to prevent app crash
@@ -233,6 +475,9 @@ class MqttClient {
                     uptime: process.uptime()
                 };
 
+                // Messages held back or lost while the broker was unreachable
+                heartbeat.mqtt = this.getQueueStats();
+
                 // Add zone status summary if zone manager is available
                 if (this.zoneManager) {
                     heartbeat.zones = this._getZoneStatusSummary();
@@ -266,7 +511,18 @@ class MqttClient {
         const summary = {};
         for (const [zoneName, zone] of this.zoneManager.zones) {
             const state = zone.currentState || {};
+            const type = zone.config?.type;
+            if (type === 'light' || type === 'light_group' || type === 'relay') {
+                // Devices have no media focus; report their switch state instead
+                summary[zoneName] = {
+                    type,
+                    status: state.status || 'unknown',
+                    power: state.state || state.power || 'unknown'
+                };
+                continue;
+            }
             summary[zoneName] = {
+                type,
                 status: state.status || 'unknown',
                 focus: state.focus || 'none',
                 content: state.content || 'none',
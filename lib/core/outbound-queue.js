@@ -0,0 +1,175 @@
+/**
+ * Outbound Queue
+ *
+ * Holds what MqttClient publishes while the broker is unreachable, so events such as
+ * speech `done` or a command outcome are delivered late rather than lost. Messages
+ * drain in publish order once the connection is back.
+ *
+ * Up to maxMessages are kept in memory. With a spill file (`queue_file` in [mqtt]),
+ * the overflow is appended there as JSON lines, up to maxFileMessages, and read back
+ * maxMessages at a time once memory has drained; whatever is still in memory at shutdown is written there
+ * too and sent after the next start. Beyond those limits new messages are dropped
+ * and counted. A retained message replaces a queued one for the same topic, since
+ * only the last value matters to the broker.
+ */
+
+const fs = require('fs');
+const Logger = require('../utils/logger');
+
+const DEFAULT_MAX_MESSAGES = 1000;
+const DEFAULT_MAX_FILE_MESSAGES = 10000;
+
+class OutboundQueue {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxMessages=1000] - Messages kept in memory
+     * @param {string} [options.file] - Spill file (none: overflow is dropped)
+     * @param {number} [options.maxFileMessages=10000] - Messages kept in the spill file
+     */
+    constructor({ maxMessages = DEFAULT_MAX_MESSAGES, file = null, maxFileMessages = DEFAULT_MAX_FILE_MESSAGES } = {}) {
+        this.logger = new Logger('OutboundQueue');
+        this.maxMessages = maxMessages;
+        this.file = file;
+        this.maxFileMessages = maxFileMessages;
+        this.memory = [];
+        this.spilled = 0;
+        this.dropped = 0;
+        this._countSpilled();
+    }
+
+    /**
+     * @returns {number} queued messages, in memory and spilled
+     */
+    get size() {
+        return this.memory.length + this.spilled;
+    }
+
+    /**
+     * Queue a message
+     * @param {Object} entry - {topic, payload, options}
+     * @returns {boolean} false when it was dropped
+     */
+    push(entry) {
+        if (entry.options.retain && this.spilled === 0) {
+            const index = this.memory.findIndex(e => e.options.retain && e.topic === entry.topic);
+            if (index !== -1) {
+                this.memory[index] = entry;
+                return true;
+            }
+        }
+        // Once anything is spilled, later messages follow it to keep the order
+        if (this.spilled === 0 && this.memory.length < this.maxMessages) {
+            this.memory.push(entry);
+            return true;
+        }
+        if (this.file && this.spilled < this.maxFileMessages) {
+            try {
+                fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+                this.spilled++;
+                return true;
+            } catch (error) {
+                this.logger.warn(`Cannot write queue file ${this.file}: ${error.message}`);
+            }
+        }
+        this.dropped++;
+        return false;
+    }
+
+    /**
+     * @returns {Object|undefined} oldest message, left in the queue
+     */
+    peek() {
+        this._refill();
+        return this.memory[0];
+    }
+
+    /**
+     * @returns {Object|undefined} oldest message, removed from the queue
+     */
+    shift() {
+        this._refill();
+        return this.memory.shift();
+    }
+
+    /**
+     * Write the in-memory messages to the spill file, ahead of those already there,
+     * so they survive a restart. No-op without a spill file.
+     */
+    persist() {
+        if (!this.file || !this.memory.length) return;
+        try {
+            const spilled = this.spilled ? fs.readFileSync(this.file, 'utf8') : '';
+            const tmpFile = `${this.file}.tmp`;
+            fs.writeFileSync(tmpFile, this.memory.map(entry => `${JSON.stringify(entry)}\n`).join('') + spilled);
+            fs.renameSync(tmpFile, this.file);
+            this.logger.info(`Saved ${this.memory.length} queued message(s) to ${this.file}`);
+            this.spilled += this.memory.length;
+            this.memory = [];
+        } catch (error) {
+            this.logger.warn(`Cannot save queued messages to ${this.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Messages left in the spill file by an earlier run are sent like any other
+     * @private
+     */
+    _countSpilled() {
+        if (!this.file) return;
+        try {
+            this.spilled = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean).length;
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.logger.warn(`Cannot read queue file ${this.file}: ${error.message}`);
+        }
+        if (this.spilled) this.logger.info(`${this.spilled} queued message(s) waiting in ${this.file}`);
+    }
+
+    /**
+     * Once memory is empty, move up to maxMessages of the oldest spilled messages into
+     * it and leave the rest in the spill file
+     * @private
+     */
+    _refill() {
+        if (this.memory.length || !this.spilled) return;
+        let lines = [];
+        let rest = [];
+        try {
+            const all = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+            const left = all.slice(this.maxMessages);
+            if (left.length) {
+                const tmpFile = `${this.file}.tmp`;
+                fs.writeFileSync(tmpFile, left.map(line => `${line}\n`).join(''));
+                fs.renameSync(tmpFile, this.file);
+            } else {
+                fs.unlinkSync(this.file);
+            }
+            lines = all.slice(0, this.maxMessages);
+            rest = left;
+        } catch (error) {
+            this.logger.warn(`Cannot read queue file ${this.file}: ${error.message}`);
+        }
+        for (const line of lines) {
+            try {
+                this.memory.push(revive(JSON.parse(line)));
+            } catch (_) {
+                this.dropped++;
+            }
+        }
+        if (lines.length + rest.length < this.spilled) this.dropped += this.spilled - lines.length - rest.length;
+        this.spilled = rest.length;
+    }
+}
+
+/**
+ * JSON turns a Buffer (v5 correlationData) into {type: 'Buffer', data}
+ * @private
+ */
+function revive(entry) {
+    const properties = entry.options && entry.options.properties;
+    if (properties && properties.correlationData && properties.correlationData.type === 'Buffer') {
+        properties.correlationData = Buffer.from(properties.correlationData.data);
+    }
+    return entry;
+}
+
+module.exports = OutboundQueue;
@@ -0,0 +1,647 @@
+/**
+ * Scheduler
+ *
+ * Runs zone commands at cron-style times or once after a delay, so venues can sleep
+ * screens overnight and start attract loops at opening without external cron jobs.
+ *
+ * A schedule targets a zone by name and carries a command payload (`action`). It runs
+ * on a 5-field cron expression in local time (minute hour day-of-month month
+ * day-of-week, with `*`, lists, ranges, steps and jan/mon names, or @hourly, @daily,
+ * @weekly, @monthly, @yearly), or once at `at` / after `delay`. Commands go through
+ * the zone command pipeline, so they are validated and answered like MQTT commands.
+ *
+ * Schedules come from the [schedule] section of pfx.ini and from addSchedule on the
+ * device topic. With a state_file, schedules added over MQTT and how far each schedule
+ * has been handled are kept there, so runs missed while pfx was down are noticed at
+ * startup and handled by the `missed` policy: `skip` them, or `run` the latest missed
+ * run of each schedule (in time order, no older than `missed_grace`).
+ */
+
+const Logger = require('../utils/logger');
+const correlation = require('./correlation');
+
+const MISSED_POLICIES = ['skip', 'run'];
+// Timers are re-armed at least this often (setTimeout limit, clock changes)
+const MAX_TIMER_MS = 60 * 60 * 1000;
+// Upper bound on cron search steps (month/day/hour/minute jumps)
+const MAX_CRON_STEPS = 100000;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+class Scheduler {
+    /**
+     * @param {Object} [config] - Processed [schedule] section ({missed, missedGrace, jobs})
+     * @param {Object} zoneManager - ZoneManager running the scheduled commands
+     */
+    constructor(config = {}, zoneManager) {
+        this.zoneManager = zoneManager;
+        this.logger = new Logger('Scheduler');
+        this.config = config || {};
+        this._applyPolicy(this.config);
+
+        this.jobs = new Map();  // id -> normalized schedule
+        this.seen = new Map();  // id -> ms up to which its runs are handled (run, skipped or not yet due)
+        this.counter = 1;
+        this.running = false;
+    }
+
+    get stateStore() {
+        return this.zoneManager.stateStore;
+    }
+
+    /**
+     * Define the configured and saved schedules, handle runs missed while pfx was
+     * down and arm the timers
+     */
+    async initialize() {
+        const saved = this.stateStore ? this.stateStore.getSchedule() : {};
+        for (const [id, when] of Object.entries(saved.seen || {})) {
+            const time = Date.parse(when);
+            if (!isNaN(time)) this.seen.set(id, time);
+        }
+
+        for (const [id, definition] of Object.entries(this.config.jobs || {})) {
+            try {
+                this._define(normalizeSchedule(id, definition, 'config'));
+            } catch (error) {
+                this.logger.error(`Ignoring schedule "${id}": ${error.message}`);
+            }
+        }
+        for (const definition of saved.jobs || []) {
+            try {
+                this._define(normalizeSchedule(definition.id, definition, 'mqtt'));
+            } catch (error) {
+                this.logger.warn(`Dropping saved schedule "${definition.id}": ${error.message}`);
+            }
+        }
+
+        this.running = true;
+        await this._catchUp();
+        for (const job of this.jobs.values()) this._arm(job);
+        this._save();
+        this.logger.info(`Scheduler ready: ${this.jobs.size} schedule(s), missed runs: ${this.missed}`);
+    }
+
+    shutdown() {
+        this.running = false;
+        for (const job of this.jobs.values()) this._disarm(job);
+    }
+
+    /**
+     * Add or replace a schedule (addSchedule)
+     * @param {Object} definition - {id, zone, action, cron|at|delay, missed, description}
+     * @returns {Object} schedule summary
+     */
+    add(definition) {
+        const id = definition.id || this._nextId();
+        const job = normalizeSchedule(id, definition, 'mqtt');
+        this._checkZoneCommand(job);
+        const previous = this.jobs.get(id);
+        if (previous) this._disarm(previous);
+        this._define(job);
+        this.seen.set(id, Date.now());
+        if (this.running) this._arm(job);
+        this._save();
+        this._changed(job.zone, previous && previous.zone);
+        this.logger.info(`Schedule ${id} added: ${job.command.command} on ${job.zone} ${describeWhen(job)}`);
+        return this._summary(job);
+    }
+
+    /**
+     * Remove a schedule (removeSchedule). Configured schedules come back with the
+     * next reload or restart.
+     * @param {string} id
+     * @returns {Object} summary of the removed schedule
+     */
+    remove(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new Error(`Unknown schedule: ${id}`);
+        }
+        this._delete(job);
+        this._save();
+        this._changed(job.zone);
+        return this._summary(job);
+    }
+
+    /**
+     * @param {string} [zoneName] - Only the schedules of this zone
+     * @returns {Array<Object>} schedule summaries, soonest first
+     */
+    list(zoneName) {
+        return Array.from(this.jobs.values())
+            .filter(job => !zoneName || job.zone === zoneName)
+            .sort((a, b) => (a.nextTime ?? Infinity) - (b.nextTime ?? Infinity))
+            .map(job => this._summary(job));
+    }
+
+    /**
+     * Replace the schedules that came from the config file (pfx.ini reload). Schedules
+     * added over MQTT are kept unless the file now defines the same id.
+     * @param {Object} [config] - Processed [schedule] section
+     * @returns {{defined: Array<string>, removed: Array<string>, failed: Array<{schedule:string, error:string}>}}
+     */
+    reload(config = {}) {
+        this.config = config || {};
+        this._applyPolicy(this.config);
+        const jobs = this.config.jobs || {};
+        const result = { defined: [], removed: [], failed: [] };
+        const zones = new Set();
+
+        for (const job of Array.from(this.jobs.values())) {
+            if (job.source === 'config' && !(job.id in jobs)) {
+                this._delete(job);
+                zones.add(job.zone);
+                result.removed.push(job.id);
+            }
+        }
+        for (const [id, definition] of Object.entries(jobs)) {
+            try {
+                const job = normalizeSchedule(id, definition, 'config');
+                const previous = this.jobs.get(id);
+                if (previous) {
+                    this._disarm(previous);
+                    zones.add(previous.zone);
+                }
+                this._define(job);
+                if (!this.seen.has(id)) this.seen.set(id, Date.now());
+                if (this.running) this._arm(job);
+                zones.add(job.zone);
+                result.defined.push(id);
+            } catch (error) {
+                this.logger.error(`Ignoring schedule "${id}": ${error.message}`);
+                result.failed.push({ schedule: id, error: error.message });
+            }
+        }
+        this._save();
+        this._changed(...zones);
+        return result;
+    }
+
+    // Execution
+
+    /**
+     * Runs that fell due while pfx was down: the latest of each schedule, oldest first
+     * @private
+     */
+    async _catchUp() {
+        const now = Date.now();
+        const missed = [];
+        for (const job of this.jobs.values()) {
+            const since = this.seen.get(job.id);
+            let latest = null;
+            if (job.cron && since !== undefined) {
+                for (let t = nextCronTime(job.cron, since); t !== null && t <= now; t = nextCronTime(job.cron, t)) {
+                    latest = t;
+                }
+            } else if (job.at !== null && job.at <= now) {
+                latest = job.at;
+            }
+            if (latest === null) {
+                if (!this.seen.has(job.id)) this.seen.set(job.id, now);
+                continue;
+            }
+            missed.push({ job, time: latest });
+        }
+
+        missed.sort((a, b) => a.time - b.time);
+        for (const { job, time } of missed) {
+            const policy = job.missed || this.missed;
+            const tooOld = this.missedGrace && now - time > this.missedGrace;
+            const action = policy === 'run' && !tooOld ? 'run' : 'skip';
+            this.logger.info(`Schedule ${job.id} missed its ${new Date(time).toISOString()} run while pfx was down: ${action}`);
+            this.zoneManager.publishEvent({
+                schedule_missed: job.id,
+                zone: job.zone,
+                command: job.command.command,
+                scheduled_for: new Date(time).toISOString(),
+                action
+            });
+            if (action === 'run') {
+                await this._run(job, time, true);
+            } else {
+                this.seen.set(job.id, now);
+            }
+            if (job.cron === null) this._delete(job);
+        }
+    }
+
+    /** @private */
+    async _fire(job) {
+        job.timer = null;
+        if (!this.running || this.jobs.get(job.id) !== job) return;
+        const now = Date.now();
+        if (now < job.nextTime) {
+            // Long wait split into MAX_TIMER_MS steps
+            this._arm(job);
+            return;
+        }
+
+        const scheduledFor = job.nextTime;
+        if (job.cron) {
+            this._arm(job);
+        } else {
+            this._delete(job);
+        }
+        await this._run(job, scheduledFor, false);
+        this._save();
+        this._changed(job.zone);
+    }
+
+    /**
+     * Send the schedule's command to its zone
+     * @private
+     */
+    async _run(job, scheduledFor, missed) {
+        job.lastRun = Date.now();
+        this.seen.set(job.id, job.lastRun);
+        this.zoneManager.publishEvent({
+            schedule_fired: job.id,
+            zone: job.zone,
+            command: job.command.command,
+            scheduled_for: new Date(scheduledFor).toISOString(),
+            ...(missed ? { missed: true } : {})
+        });
+        try {
+            const found = await this.zoneManager.dispatchZoneCommand(job.zone, { ...job.command });
+            if (!found) throw new Error(`Unknown zone: ${job.zone}`);
+        } catch (error) {
+            this.logger.warn(`Schedule ${job.id} failed: ${error.message}`);
+            this.zoneManager.publishEvent({ schedule_failed: job.id, zone: job.zone, command: job.command.command, error: error.message });
+        }
+    }
+
+    /**
+     * Set the timer for the schedule's next run
+     * @private
+     */
+    _arm(job) {
+        this._disarm(job);
+        const now = Date.now();
+        if (job.cron) {
+            if (job.nextTime === null || job.nextTime <= now) job.nextTime = nextCronTime(job.cron, now);
+        } else {
+            job.nextTime = job.at;
+        }
+        if (job.nextTime === null) return;
+        const wait = Math.min(Math.max(job.nextTime - now, 0), MAX_TIMER_MS);
+        // Armed outside the addSchedule / reloadConfig command that got here, so runs
+        // do not carry that command's correlation_id
+        job.timer = correlation.run(undefined, () => setTimeout(() => {
+            this._fire(job).catch(error => this.logger.error(`Schedule ${job.id} failed: ${error.message}`));
+        }, wait));
+        // Pending schedules alone do not keep the process alive
+        if (typeof job.timer.unref === 'function') job.timer.unref();
+    }
+
+    /** @private */
+    _disarm(job) {
+        if (job.timer) clearTimeout(job.timer);
+        job.timer = null;
+    }
+
+    // Bookkeeping
+
+    /** @private */
+    _define(job) {
+        job.timer = null;
+        job.nextTime = null;
+        job.lastRun = null;
+        this.jobs.set(job.id, job);
+    }
+
+    /** @private */
+    _delete(job) {
+        this._disarm(job);
+        this.jobs.delete(job.id);
+        this.seen.delete(job.id);
+    }
+
+    /** @private */
+    _nextId() {
+        while (this.jobs.has(`schedule-${this.counter}`)) this.counter++;
+        return `schedule-${this.counter++}`;
+    }
+
+    /** @private */
+    _applyPolicy(config) {
+        this.missed = MISSED_POLICIES.includes(config.missed) ? config.missed : 'skip';
+        if (config.missed && config.missed !== this.missed) {
+            this.logger.warn(`Unknown [schedule] missed policy "${config.missed}", using skip`);
+        }
+        this.missedGrace = config.missedGrace ? parseDuration(config.missedGrace) : null;
+    }
+
+    /**
+     * Reject commands the target zone would reject, when it is running
+     * @private
+     */
+    _checkZoneCommand(job) {
+        const zone = this.zoneManager.zones.get(job.zone);
+        if (!zone) {
+            const configured = this.zoneManager.devices.some(d => d.name === job.zone);
+            if (!configured) throw new Error(`Unknown zone: ${job.zone}`);
+            return;
+        }
+        const validationError = this.zoneManager._validateCommand(job.command, zone.config && zone.config.type);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+        if (typeof zone.getSupportedCommands === 'function') {
+            const supported = zone.getSupportedCommands();
+            if (supported.length && !supported.includes(job.command.command)) {
+                throw new Error(`Command '${job.command.command}' is not supported by ${job.zone}`);
+            }
+        }
+    }
+
+    /**
+     * Keep the schedules added over MQTT and how far each schedule is handled in the
+     * state file
+     * @private
+     */
+    _save() {
+        if (!this.stateStore) return;
+        const jobs = Array.from(this.jobs.values())
+            .filter(job => job.source === 'mqtt')
+            .map(job => ({
+                id: job.id,
+                zone: job.zone,
+                action: job.command,
+                ...(job.cron ? { cron: job.cron.expression } : { at: new Date(job.at).toISOString() }),
+                ...(job.missed ? { missed: job.missed } : {}),
+                ...(job.description ? { description: job.description } : {})
+            }));
+        const seen = {};
+        for (const [id, time] of this.seen) seen[id] = new Date(time).toISOString();
+        this.stateStore.setSchedule({ jobs, seen });
+    }
+
+    /**
+     * Republish the state of zones whose schedules changed
+     * @private
+     */
+    _changed(...zoneNames) {
+        for (const zoneName of new Set(zoneNames.filter(Boolean))) {
+            const zone = this.zoneManager.zones.get(zoneName);
+            if (zone && typeof zone.publishStatus === 'function') zone.publishStatus();
+        }
+    }
+
+    /** @private */
+    _summary(job) {
+        return {
+            id: job.id,
+            zone: job.zone,
+            command: job.command,
+            ...(job.cron ? { cron: job.cron.expression } : { at: new Date(job.at).toISOString() }),
+            next: job.nextTime !== null ? new Date(job.nextTime).toISOString() : null,
+            last_run: job.lastRun !== null ? new Date(job.lastRun).toISOString() : null,
+            missed: job.missed || this.missed,
+            source: job.source,
+            ...(job.description ? { description: job.description } : {})
+        };
+    }
+}
+
+function describeWhen(job) {
+    return job.cron ? `at "${job.cron.expression}"` : `at ${new Date(job.at).toISOString()}`;
+}
+
+/**
+ * Normalize a schedule definition: an object ({zone, action, cron|at|delay, missed,
+ * description}) or a [schedule] line `<cron or "in <delay>"> <zone> <command> [JSON params]`
+ * @param {string} id
+ * @param {Object|string} definition
+ * @param {string} source - 'config' or 'mqtt'
+ * @returns {Object} normalized schedule
+ */
+function normalizeSchedule(id, definition, source) {
+    if (!id || typeof id !== 'string') {
+        throw new Error('Schedule id is required');
+    }
+    const spec = typeof definition === 'string' ? parseScheduleLine(definition) : { ...definition };
+    if (!spec || typeof spec !== 'object') {
+        throw new Error(`Schedule ${id} must be an object or a schedule line`);
+    }
+
+    if (!spec.zone || typeof spec.zone !== 'string') {
+        throw new Error(`Schedule ${id}: zone is required`);
+    }
+
+    let command = spec.action;
+    if (typeof command === 'string') {
+        command = { command };
+    } else if (command && typeof command === 'object') {
+        command = { ...command };
+        command.command = command.command || command.Command;
+        delete command.Command;
+    }
+    if (!command || typeof command.command !== 'string' || !command.command) {
+        throw new Error(`Schedule ${id}: action with a command is required`);
+    }
+
+    const when = ['cron', 'at', 'delay'].filter(key => spec[key] !== undefined && spec[key] !== null);
+    if (when.length !== 1) {
+        throw new Error(`Schedule ${id}: give exactly one of cron, at or delay`);
+    }
+
+    let cron = null;
+    let at = null;
+    if (spec.cron !== undefined && spec.cron !== null) {
+        cron = parseCron(String(spec.cron));
+        if (nextCronTime(cron, Date.now()) === null) {
+            throw new Error(`Schedule ${id}: cron "${spec.cron}" never matches`);
+        }
+    } else if (spec.at !== undefined && spec.at !== null) {
+        at = typeof spec.at === 'number' ? spec.at : Date.parse(spec.at);
+        if (isNaN(at)) throw new Error(`Schedule ${id}: at must be a date and time`);
+    } else {
+        at = Date.now() + parseDuration(spec.delay);
+    }
+
+    if (spec.missed !== undefined && !MISSED_POLICIES.includes(spec.missed)) {
+        throw new Error(`Schedule ${id}: missed must be one of ${MISSED_POLICIES.join(', ')}`);
+    }
+
+    return {
+        id,
+        zone: spec.zone,
+        command,
+        cron,
+        at,
+        missed: spec.missed || null,
+        description: spec.description || null,
+        source
+    };
+}
+
+/**
+ * Split a [schedule] line: `0 23 * * * lobby sleepScreen`,
+ * `@daily lobby wakeScreen`, `in 10m lobby playVideo {"file": "intro.mp4"}`
+ * @private
+ */
+function parseScheduleLine(line) {
+    const text = String(line).trim();
+    const first = text.split(/\s+/)[0];
+    let whenTokens = 5;
+    if (first === 'in') whenTokens = 2;
+    else if (first.startsWith('@')) whenTokens = 1;
+
+    const match = text.match(new RegExp(`^(\\S+(?:\\s+\\S+){${whenTokens - 1}})\\s+(\\S+)\\s+(\\S+)\\s*(.*)$`));
+    if (!match) {
+        throw new Error(`Expected "<when> <zone> <command> [JSON parameters]", got "${text}"`);
+    }
+    const [, when, zone, command, params] = match;
+    const spec = first === 'in' ? { delay: when.split(/\s+/)[1] } : { cron: when };
+    spec.zone = zone;
+    spec.action = { command };
+
+    if (params) {
+        let parsed;
+        try {
+            parsed = JSON.parse(params);
+        } catch (error) {
+            throw new Error(`Invalid JSON parameters "${params}": ${error.message}`);
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error(`Parameters must be a JSON object, got "${params}"`);
+        }
+        Object.assign(spec.action, parsed, { command });
+    }
+    return spec;
+}
+
+/**
+ * Milliseconds from a number (ms) or a string such as 500ms, 90s, 30m, 2h or 1d
+ * @param {number|string} value
+ * @returns {number}
+ */
+function parseDuration(value) {
+    if (typeof value === 'number' && isFinite(value) && value >= 0) return value;
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value} (use milliseconds or a number with ms, s, m, h or d)`);
+    }
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]);
+}
+
+/**
+ * Parse a 5-field cron expression (or @daily etc.)
+ * @param {string} expression
+ * @returns {Object} {expression, minute, hour, dom, month, dow: Set, domAny, dowAny}
+ */
+function parseCron(expression) {
+    const text = expression.trim();
+    const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+    }
+    const [minute, hour, dom, month, dow] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i], expression));
+    // Sunday is 0 or 7
+    if (dow.has(7)) {
+        dow.delete(7);
+        dow.add(0);
+    }
+    return { expression: text, minute, hour, dom, month, dow, domAny: fields[2] === '*', dowAny: fields[4] === '*' };
+}
+
+/** @private */
+function parseCronField(text, field, expression) {
+    const values = new Set();
+    const fail = () => new Error(`Invalid ${field.name} "${text}" in cron expression "${expression}"`);
+    const value = token => {
+        const name = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+        const n = name !== -1 ? name + (field.name === 'month' ? 1 : 0) : (/^\d+$/.test(token) ? parseInt(token, 10) : NaN);
+        if (isNaN(n) || n < field.min || n > field.max) throw fail();
+        return n;
+    };
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!range || isNaN(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) throw fail();
+
+        let from;
+        let to;
+        if (range === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) throw fail();
+            const [a, b] = bounds;
+            from = value(a);
+            to = value(b);
+            if (from > to) throw fail();
+        } else {
+            from = value(range);
+            to = stepText === undefined ? from : field.max;
+        }
+        for (let n = from; n <= to; n += step) values.add(n);
+    }
+    return values;
+}
+
+/**
+ * Next time (local) the cron expression matches, after `after`
+ * @param {Object} cron - parseCron result
+ * @param {number} after - ms
+ * @returns {number|null} ms, or null when it never matches
+ */
+function nextCronTime(cron, after) {
+    const t = new Date(after);
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+    for (let step = 0; step < MAX_CRON_STEPS; step++) {
+        if (!cron.month.has(t.getMonth() + 1)) {
+            t.setMonth(t.getMonth() + 1, 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, t)) {
+            t.setDate(t.getDate() + 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.has(t.getHours())) {
+            t.setHours(t.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.has(t.getMinutes())) {
+            t.setMinutes(t.getMinutes() + 1, 0, 0);
+        } else {
+            return t.getTime();
+        }
+    }
+    return null;
+}
+
+/**
+ * Day of month and day of week: when both are restricted either one matches (as in cron)
+ * @private
+ */
+function dayMatches(cron, t) {
+    const dom = cron.dom.has(t.getDate());
+    const dow = cron.dow.has(t.getDay());
+    if (!cron.domAny && !cron.dowAny) return dom || dow;
+    return dom && dow;
+}
+
+module.exports = Scheduler;
+module.exports.normalizeSchedule = normalizeSchedule;
+module.exports.parseCron = parseCron;
+module.exports.nextCronTime = nextCronTime;
+module.exports.parseDuration = parseDuration;
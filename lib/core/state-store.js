@@ -0,0 +1,127 @@
+/**
+ * State Store
+ *
+ * Optional JSON file (`state_file` in [global]) holding runtime overrides that should
+ * survive a restart: per-zone volumes and ducking set over MQTT. Zones reapply them
+ * on top of the pfx.ini values when they initialize. The Scheduler keeps its
+ * MQTT-added schedules and run bookkeeping here too.
+ *
+ * File layout:
+ *   { "version": 1, "zones": { "<zone>": { "baseVolumes": {...}, "duckingAdjust": -20, ... } },
+ *     "schedule": { "jobs": [...], "seen": { "<id>": "<ISO time>" } } }
+ *
+ * Writes go to a temporary file that is fsync'd and renamed over the state file, so a
+ * crash mid-write leaves the previous state intact.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/logger');
+
+const STATE_VERSION = 1;
+
+class StateStore {
+    /**
+     * @param {string} filePath - State file path
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.logger = new Logger('StateStore');
+        this.state = { version: STATE_VERSION, zones: {} };
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the state file. A missing file is an empty state; an unreadable one is
+     * logged and ignored so a bad file never blocks startup.
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Cannot read state file ${this.filePath}: ${error.message}`);
+            }
+            return this.state;
+        }
+        try {
+            const parsed = JSON.parse(raw);
+            if (parsed && typeof parsed.zones === 'object' && !Array.isArray(parsed.zones)) {
+                this.state = { version: STATE_VERSION, zones: parsed.zones };
+                if (parsed.schedule && typeof parsed.schedule === 'object') this.state.schedule = parsed.schedule;
+            } else {
+                this.logger.warn(`Ignoring state file ${this.filePath}: no zones object`);
+            }
+        } catch (error) {
+            this.logger.warn(`Ignoring corrupt state file ${this.filePath}: ${error.message}`);
+        }
+        this.logger.info(`Loaded runtime state for ${Object.keys(this.state.zones).length} zone(s) from ${this.filePath}`);
+        return this.state;
+    }
+
+    /**
+     * @param {string} zoneName
+     * @returns {Object} copy of the zone's saved overrides ({} when none)
+     */
+    getZone(zoneName) {
+        const saved = this.state.zones[zoneName];
+        return saved ? JSON.parse(JSON.stringify(saved)) : {};
+    }
+
+    /**
+     * Replace a zone's overrides (an empty object removes the zone) and write the file.
+     * @returns {Promise<void>} resolves once this change is on disk; never rejects
+     */
+    setZone(zoneName, overrides) {
+        if (!overrides || !Object.keys(overrides).length) {
+            delete this.state.zones[zoneName];
+        } else {
+            this.state.zones[zoneName] = JSON.parse(JSON.stringify(overrides));
+        }
+        return this.save();
+    }
+
+    /**
+     * @returns {Object} copy of the saved schedule state ({} when none)
+     */
+    getSchedule() {
+        return this.state.schedule ? JSON.parse(JSON.stringify(this.state.schedule)) : {};
+    }
+
+    /**
+     * Replace the schedule state and write the file.
+     * @returns {Promise<void>} resolves once this change is on disk; never rejects
+     */
+    setSchedule(schedule) {
+        this.state.schedule = JSON.parse(JSON.stringify(schedule));
+        return this.save();
+    }
+
+    /**
+     * Queue a write of the whole state; writes never overlap.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this._writeChain = this._writeChain
+            .then(() => this._write())
+            .catch(error => this.logger.error(`Failed to write state file ${this.filePath}: ${error.message}`));
+        return this._writeChain;
+    }
+
+    /** @private */
+    async _write() {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify({ ...this.state, updated: new Date().toISOString() }, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tmpPath, this.filePath);
+    }
+}
+
+module.exports = StateStore;
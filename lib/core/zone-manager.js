@@ -16,10 +16,40 @@
  * Replaces the previous DeviceManager with zone-centric architecture.
  */
 
+const EventEmitter = require('events');
+const { exec } = require('child_process');
+const BaseZone = require('../zones/base-zone');
 const ScreenZone = require('../zones/screen-zone');
 const AudioZone = require('../zones/audio-zone');
+const LightDevice = require('../devices/light-device');
+const LightGroupDevice = require('../devices/light-group-device');
+const RelayDevice = require('../devices/relay-device');
+const StateStore = require('./state-store');
+const Scheduler = require('./scheduler');
+const correlation = require('./correlation');
+const commandSchemas = require('./command-schemas');
+const haDiscovery = require('./ha-discovery');
+const MediaIndex = require('../media/media-index');
+const MediaValidator = require('../media/media-validator');
 const Logger = require('../utils/logger');
 
+// Device-topic commands sent to every zone that supports them
+const FANOUT_COMMANDS = ['stopAll', 'pauseAll', 'resumeAll', 'resetVolumes'];
+// Device-topic commands that act on the process or the host, run once
+const PROCESS_COMMANDS = ['reboot', 'shutdown', 'killPfx', 'restartPfx'];
+// Device-topic commands that manage scheduled zone commands
+const SCHEDULE_COMMANDS = ['addSchedule', 'listSchedules', 'removeSchedule'];
+
+// How long a zone command may run (MQTT zone topics and device fan-out)
+const ZONE_COMMAND_TIMEOUT_MS = 30000;
+// How long shutdown waits for retained state updates to reach the broker
+const RETAINED_FLUSH_TIMEOUT_MS = 2000;
+
+// Global keys a config reload applies live; other global changes need a pfx restart
+const GLOBAL_LIVE_KEYS = ['mediaBasePath', 'speechDucking', 'videoDucking', 'cuesFile', 'logLevel', 'logLevels'];
+// Merged zone config keys that never make a zone differ on reload
+const ZONE_DIFF_IGNORED = ['name', 'logLevel'];
+
 class ZoneManager {
     constructor(config, mqttClient) {
         this.config = config;
@@ -35,6 +65,56 @@ class ZoneManager {
         this.zones = new Map();
         // Map<topic,{zoneName,zone}>
         this.commandSubscriptions = new Map();
+        // 'event' (zoneName, payload) for everything zones publish to {baseTopic}/events
+        this.zoneEvents = new EventEmitter();
+        this.zoneEvents.setMaxListeners(0);
+
+        // Device topic: {base_topic}/{device_name}/commands for box-wide actions
+        const global = config.global || {};
+        this.deviceName = global.deviceName || 'pfx-device';
+        this.deviceTopic = `${global.baseTopic || 'paradox'}/${this.deviceName}`;
+        this.deviceCommandTopic = null;
+
+        // Process-level actions, replaceable for tests
+        this.systemActions = {
+            reboot: () => exec('sudo reboot', (err) => { if (err) this.logger.error('Reboot failed', err); }),
+            shutdown: () => exec('sudo shutdown now', (err) => { if (err) this.logger.error('Shutdown failed', err); }),
+            killPfx: () => process.kill(process.pid, 'SIGTERM'),
+            restartPfx: () => this._restartPfx()
+        };
+        // reloadConfig handler (set by the application, which knows the INI path)
+        this.configReloader = null;
+        // Current cues for validateMedia (set by the application; defaults to config cues)
+        this.cueProvider = null;
+
+        // Runtime volume overrides that survive restarts (optional state_file)
+        this.stateStore = global.stateFile ? new StateStore(global.stateFile) : null;
+
+        // Zone commands at cron-style times or after a delay ([schedule], addSchedule)
+        this.scheduler = new Scheduler(config.schedule, this);
+
+        // Home Assistant MQTT discovery (optional): Map<zoneName, discovery config topics>
+        this.discoveryPrefix = global.haDiscovery ? (global.haDiscoveryPrefix || haDiscovery.DEFAULT_PREFIX) : null;
+        this.discoveryTopics = new Map();
+
+        // Construct before mqttClient.connect() so the broker gets the last-will
+        this._registerLastWill();
+    }
+
+    /**
+     * Set the function the reloadConfig device command calls
+     * @param {Function} reloader - async () => reload report
+     */
+    setConfigReloader(reloader) {
+        this.configReloader = reloader;
+    }
+
+    /**
+     * Set the function validateMedia gets the current cues from
+     * @param {Function} provider - () => iterable of normalized cues
+     */
+    setCueProvider(provider) {
+        this.cueProvider = provider;
     }
 
     /**
@@ -46,6 +126,10 @@ class ZoneManager {
         // Set zone manager reference in mqtt client for enhanced heartbeat
         this.mqttClient.setZoneManager(this);
 
+        if (this.stateStore) {
+            await this.stateStore.load();
+        }
+
         const failedZones = [];
         
         for (const deviceConfig of this.devices) {
@@ -77,6 +161,105 @@ class ZoneManager {
         // Set up MQTT command routing after all zones are initialized
         this._setupMqttRouting();
         this.isInitialized = true;
+        this.publishAvailability('online');
+        this._publishDiscovery();
+
+        try {
+            await this.scheduler.initialize();
+        } catch (error) {
+            this.logger.error(`Scheduler failed to start: ${error.message}`);
+        }
+    }
+
+    /**
+     * Availability of every configured zone: 'online' for running zones while the
+     * device is online, 'offline' otherwise (including zones that failed to start)
+     * @private
+     */
+    _zoneAvailability(deviceStatus) {
+        const zones = {};
+        for (const deviceConfig of this.devices) zones[deviceConfig.name] = 'offline';
+        if (deviceStatus === 'online') {
+            for (const zoneName of this.zones.keys()) zones[zoneName] = 'online';
+        }
+        return zones;
+    }
+
+    /**
+     * Register the retained last-will on {deviceTopic}/state that marks the device and
+     * all its zones offline if pfx drops off without a clean disconnect. The broker
+     * takes it at the next connect.
+     * @private
+     */
+    _registerLastWill() {
+        if (typeof this.mqttClient.setLastWill !== 'function') return;
+        this.mqttClient.setLastWill(`${this.deviceTopic}/state`, {
+            device: this.deviceName,
+            type: 'status',
+            status: 'offline',
+            reason: 'connection_lost',
+            zones: this._zoneAvailability('offline')
+        });
+    }
+
+    /**
+     * Publish device and zone availability, retained, on {deviceTopic}/state
+     * @param {string} status - 'online' or 'offline'
+     * @param {string} [reason]
+     */
+    publishAvailability(status, reason) {
+        return this.publishMessage('status', {
+            status,
+            ...(reason ? { reason } : {}),
+            zones: this._zoneAvailability(status)
+        });
+    }
+
+    /**
+     * Clear a zone's retained state so it does not outlive the zone
+     * @private
+     * @returns {Promise|undefined} settles once the broker has it
+     */
+    _clearRetainedState(zone) {
+        if (!zone.config || !zone.config.baseTopic) return undefined;
+        return this.mqttClient.publish(`${zone.config.baseTopic}/state`, '', { retain: true, qos: 1 });
+    }
+
+    /**
+     * Publish retained Home Assistant discovery configs for the box and the given zones
+     * (all running zones by default). Entities a zone no longer has are removed.
+     * @private
+     */
+    _publishDiscovery(zoneNames = Array.from(this.zones.keys())) {
+        if (!this.discoveryPrefix) return;
+        const options = { deviceName: this.deviceName, deviceTopic: this.deviceTopic, prefix: this.discoveryPrefix };
+        if (this.mqttClient.topicPrefix) options.brokerTopic = topic => this.mqttClient.brokerTopic(topic);
+        const publish = ({ topic, payload }) => this.mqttClient.publish(topic, payload, { retain: true, qos: 1 });
+
+        haDiscovery.deviceConfigs(options).forEach(publish);
+        for (const zoneName of zoneNames) {
+            const zone = this.zones.get(zoneName);
+            if (!zone) continue;
+            const configs = haDiscovery.zoneConfigs(zone, options);
+            const topics = configs.map(c => c.topic);
+            for (const stale of this.discoveryTopics.get(zoneName) || []) {
+                if (!topics.includes(stale)) this.mqttClient.publish(stale, '', { retain: true, qos: 1 });
+            }
+            configs.forEach(publish);
+            this.discoveryTopics.set(zoneName, topics);
+        }
+        this.logger.debug(`Published Home Assistant discovery for ${zoneNames.length} zone(s) under ${this.discoveryPrefix}`);
+    }
+
+    /**
+     * Remove a zone's Home Assistant entities
+     * @private
+     */
+    _clearDiscovery(zoneName) {
+        for (const topic of this.discoveryTopics.get(zoneName) || []) {
+            this.mqttClient.publish(topic, '', { retain: true, qos: 1 });
+        }
+        this.discoveryTopics.delete(zoneName);
     }
 
     /**
@@ -86,13 +269,7 @@ class ZoneManager {
     async _createZone(zoneName, zoneConfig) {
         this.logger.info(`Creating ${zoneConfig.type} zone: ${zoneName}`);
 
-        // Merge global configuration into zone config
-        const mergedConfig = {
-            ...zoneConfig,
-            mediaBasePath: this.config.global.mediaBasePath,
-            // Add other global properties that zones might need
-            logLevel: this.config.global.logLevel
-        };
+        const mergedConfig = this._mergeZoneConfig(zoneConfig);
 
         let zone;
         switch (zoneConfig.type) {
@@ -105,12 +282,30 @@ class ZoneManager {
                 // Combined audio functionality can be implemented within AudioZone
                 zone = new AudioZone(mergedConfig, this.mqttClient, this);
                 break;
+            case 'light':
+                zone = new LightDevice(mergedConfig, this.mqttClient);
+                break;
+            case 'light_group':
+                zone = new LightGroupDevice(mergedConfig, this.mqttClient);
+                break;
+            case 'relay':
+                zone = new RelayDevice(mergedConfig, this.mqttClient);
+                break;
             default:
                 throw new Error(`Unknown zone type: ${zoneConfig.type} for zone ${zoneName}`);
         }
 
+        this._observeZoneEvents(zoneName, zone);
+        if (zone instanceof BaseZone) {
+            zone.stateStore = this.stateStore;
+        }
+        zone.scheduler = this.scheduler;
+
         // Initialize the zone
         await zone.initialize();
+        if (zone instanceof BaseZone) {
+            await this._indexZoneMedia(zone);
+        }
 
         // Store the zone
         this.zones.set(zoneName, zone);
@@ -119,6 +314,50 @@ class ZoneManager {
         return zone;
     }
 
+    /**
+     * Index the zone's media directory (see listMedia), replacing an index of another
+     * directory. A missing directory leaves the index empty.
+     * @private
+     */
+    async _indexZoneMedia(zone) {
+        const root = zone._resolveMediaPath('');
+        if (zone.mediaIndex && zone.mediaIndex.root === root) return;
+        if (zone.mediaIndex) zone.mediaIndex.close();
+        zone.mediaIndex = await new MediaIndex(root).build();
+    }
+
+    /**
+     * Merge global configuration into zone config
+     * @private
+     */
+    _mergeZoneConfig(zoneConfig, global = this.config.global) {
+        return {
+            ...zoneConfig,
+            mediaBasePath: global.mediaBasePath,
+            // Add other global properties that zones might need
+            logLevel: global.logLevel
+        };
+    }
+
+    /**
+     * Re-emit a zone's published events on this.zoneEvents so in-process consumers
+     * (e.g. cues waiting for media completion) can follow them without an MQTT round trip.
+     * @private
+     */
+    _observeZoneEvents(zoneName, zone) {
+        const publishMessage = zone.publishMessage.bind(zone);
+        zone.publishMessage = (type, data, options) => {
+            publishMessage(type, data, options);
+            if (type === 'events') {
+                try {
+                    this.zoneEvents.emit('event', zoneName, data);
+                } catch (error) {
+                    this.logger.warn(`Zone event listener failed for ${zoneName}: ${error.message}`);
+                }
+            }
+        };
+    }
+
     /**
      * Set up MQTT command routing for all zones
      * @private
@@ -127,21 +366,202 @@ class ZoneManager {
         this.logger.info('Setting up MQTT command routing...');
 
         for (const [zoneName, zone] of this.zones) {
-            const commandTopic = `${zone.config.baseTopic}/commands`;
+            this._subscribeZone(zoneName, zone);
+        }
+
+        this._setupDeviceTopic();
+    }
+
+    /**
+     * Subscribe a zone to its command topic
+     * @private
+     */
+    _subscribeZone(zoneName, zone) {
+        const commandTopic = `${zone.config.baseTopic}/commands`;
+
+        this.logger.debug(`Subscribing to zone commands: ${commandTopic}`);
+
+        // Create handler for this zone
+        const handler = async (topic, message, properties) => {
+            await this.dispatchZoneCommand(zoneName, message, properties, undefined, zone);
+        };
+
+        // Subscribe with handler
+        this.mqttClient.subscribe(commandTopic, handler);
+
+        // Store subscription mapping
+        this.commandSubscriptions.set(commandTopic, { zoneName, zone });
+    }
+
+    /**
+     * Shut a zone down and drop its command subscription
+     * @private
+     */
+    async _removeZone(zoneName) {
+        const zone = this.zones.get(zoneName);
+        if (!zone) return;
+        for (const [topic, entry] of this.commandSubscriptions) {
+            if (entry.zoneName === zoneName) {
+                this.mqttClient.unsubscribe(topic);
+                this.commandSubscriptions.delete(topic);
+            }
+        }
+        this.zones.delete(zoneName);
+        if (zone.mediaIndex) zone.mediaIndex.close();
+        await zone.shutdown();
+        this._clearRetainedState(zone);
+        this.logger.info(`Removed zone: ${zoneName}`);
+    }
+
+    /**
+     * Create, initialize and subscribe a zone after startup
+     * @private
+     */
+    async _addZone(zoneName, zoneConfig) {
+        const zone = await this._createZone(zoneName, zoneConfig);
+        this._subscribeZone(zoneName, zone);
+        return zone;
+    }
 
-            this.logger.debug(`Subscribing to zone commands: ${commandTopic}`);
+    /**
+     * Apply a freshly loaded configuration to the running system.
+     *
+     * Zones missing from the new config are torn down and new ones created. For the
+     * others the merged configs are diffed: changes every one of which the zone lists
+     * in getLiveConfigKeys() (volumes, ducking_adjust, max_volume, queue maxima, media
+     * paths) are applied in place; any other change (display, audio device, controller,
+     * topic, type) restarts the zone. Global changes outside GLOBAL_LIVE_KEYS are only
+     * reported, as they need pfx restarted.
+     *
+     * @param {Object} newConfig - Result of ConfigLoader.load()
+     * @returns {Promise<Object>} {applied: {zone: keys}, added, removed, restarted: [{zone, keys}], restart_required, failed: [{zone, error}]}
+     */
+    async reloadConfig(newConfig) {
+        const report = { applied: {}, added: [], removed: [], restarted: [], restart_required: [], failed: [] };
+        const oldGlobal = { ...this.config.global };
+        const newGlobal = newConfig.global || {};
 
-            // Create handler for this zone
-            const handler = async (topic, message) => {
-                await this._handleZoneCommand(zoneName, zone, message);
-            };
+        for (const key of new Set([...Object.keys(oldGlobal), ...Object.keys(newGlobal)])) {
+            if (JSON.stringify(oldGlobal[key]) === JSON.stringify(newGlobal[key])) continue;
+            if (GLOBAL_LIVE_KEYS.includes(key)) {
+                this.config.global[key] = newGlobal[key];
+                (report.applied.global = report.applied.global || []).push(key);
+            } else {
+                report.restart_required.push(`global.${key}`);
+            }
+        }
 
-            // Subscribe with handler
-            this.mqttClient.subscribe(commandTopic, handler);
+        const byName = list => new Map((Array.isArray(list) ? list : Object.values(list || {})).map(d => [d.name, d]));
+        const oldDevices = byName(this.devices);
+        const newDevices = byName(newConfig.devices);
 
-            // Store subscription mapping
-            this.commandSubscriptions.set(commandTopic, { zoneName, zone });
+        for (const zoneName of oldDevices.keys()) {
+            if (newDevices.has(zoneName)) continue;
+            try {
+                await this._removeZone(zoneName);
+                this._clearDiscovery(zoneName);
+                report.removed.push(zoneName);
+            } catch (error) {
+                report.failed.push({ zone: zoneName, error: error.message });
+            }
         }
+
+        for (const [zoneName, zoneConfig] of newDevices) {
+            const zone = this.zones.get(zoneName);
+            try {
+                if (!zone) {
+                    // New, or failed to initialize last time
+                    await this._addZone(zoneName, zoneConfig);
+                    report.added.push(zoneName);
+                    continue;
+                }
+
+                const before = this._mergeZoneConfig(oldDevices.get(zoneName), oldGlobal);
+                const after = this._mergeZoneConfig(zoneConfig);
+                const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                    .filter(k => !ZONE_DIFF_IGNORED.includes(k) && JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+                if (!changed.length) continue;
+
+                const live = typeof zone.getLiveConfigKeys === 'function' && before.type === after.type ? zone.getLiveConfigKeys() : [];
+                const needsRestart = changed.filter(k => !live.includes(k));
+                if (!needsRestart.length) {
+                    report.applied[zoneName] = await zone.applyConfig(after, changed);
+                    if (zone.mediaIndex) await this._indexZoneMedia(zone);
+                } else {
+                    this.logger.info(`Restarting zone ${zoneName} for config change: ${needsRestart.join(', ')}`);
+                    await this._removeZone(zoneName);
+                    await this._addZone(zoneName, zoneConfig);
+                    report.restarted.push({ zone: zoneName, keys: needsRestart });
+                }
+            } catch (error) {
+                this.logger.error(`Config reload failed for zone ${zoneName}: ${error.message}`);
+                report.failed.push({ zone: zoneName, error: error.message });
+            }
+        }
+
+        this.devices = Array.from(newDevices.values());
+        this.config.devices = newConfig.devices;
+        report.schedules = this.scheduler.reload(newConfig.schedule);
+        if (report.added.length || report.removed.length || report.restarted.length || report.failed.length) {
+            this._registerLastWill();
+            this.publishAvailability('online');
+        }
+        // max_volume and zone type drive the entities, so re-describe every changed zone
+        this._publishDiscovery([...report.added, ...report.restarted.map(r => r.zone), ...Object.keys(report.applied).filter(k => k !== 'global')]);
+        return report;
+    }
+
+    /**
+     * Subscribe to the device command topic unless a zone already owns it
+     * @private
+     */
+    _setupDeviceTopic() {
+        const commandTopic = `${this.deviceTopic}/commands`;
+        if (this.commandSubscriptions.has(commandTopic)) {
+            this.logger.error(`Device command topic ${commandTopic} is already used by zone "${this.commandSubscriptions.get(commandTopic).zoneName}"; device commands disabled`);
+            return;
+        }
+
+        this.logger.debug(`Subscribing to device commands: ${commandTopic}`);
+        this.mqttClient.subscribe(commandTopic, async (topic, message, properties) => {
+            await this.dispatchDeviceCommand(message, properties);
+        });
+        this.deviceCommandTopic = commandTopic;
+    }
+
+    /**
+     * Run a zone command through the command pipeline (parsing, validation, dispatch,
+     * events) inside its correlation context, so every event it causes carries its id.
+     * Commands with a response topic are answered there once handled.
+     * @param {string} zoneName
+     * @param {Object|string} message - Command as received
+     * @param {Object} [properties] - MQTT v5 packet properties
+     * @param {Function} [respond] - Receives the reply (see correlation.handleCommand), for other transports
+     * @param {Object} [zone] - The zone (defaults to the running zone of that name)
+     * @returns {Promise<boolean>} false when there is no such zone
+     */
+    async dispatchZoneCommand(zoneName, message, properties = {}, respond, zone = this.zones.get(zoneName)) {
+        if (!zone) return false;
+        const replyTarget = {
+            mqttClient: this.mqttClient,
+            baseTopic: zone.config.baseTopic,
+            identity: { zone: zoneName },
+            publishStatus: typeof zone.publishStatus === 'function' ? () => zone.publishStatus() : undefined,
+            respond
+        };
+        await correlation.handleCommand(replyTarget, message, properties, () => this._handleZoneCommand(zoneName, zone, message));
+        return true;
+    }
+
+    /**
+     * Run a device command the same way (see dispatchZoneCommand)
+     * @param {Object|string} message - Command as received
+     * @param {Object} [properties] - MQTT v5 packet properties
+     * @param {Function} [respond] - Receives the reply
+     */
+    async dispatchDeviceCommand(message, properties = {}, respond) {
+        const replyTarget = { mqttClient: this.mqttClient, baseTopic: this.deviceTopic, identity: { device: this.deviceName }, respond };
+        await correlation.handleCommand(replyTarget, message, properties, () => this._handleDeviceMessage(message));
     }
 
     /**
@@ -186,8 +606,8 @@ class ZoneManager {
                 command = message;
             }
 
-            // Validate command structure
-            const validationError = this._validateCommand(command);
+            // Validate command structure and parameters
+            const validationError = this._validateCommand(command, zone.config && zone.config.type);
             if (validationError) {
                 this.logger.warn(`Zone ${zoneName} received invalid command:`, validationError);
 
@@ -225,6 +645,15 @@ class ZoneManager {
             }
             this.logger.info(logMessage);
 
+            if (commandName === 'getCommandSchema') {
+                this._publishCommandSchema(zone, zone.config.type, command);
+                return;
+            }
+            if (commandName === 'listMedia' && zone.mediaIndex) {
+                this._publishMediaList(zone, command);
+                return;
+            }
+
             // Publish a start event ONLY for playSpeech per updated requirement (restore command_received for speech).
             if (commandName === 'playSpeech') {
                 try {
@@ -244,11 +673,16 @@ class ZoneManager {
 
             // Handle the command with timeout to prevent hanging
             const commandPromise = zone.handleCommand(command);
+            let timeoutHandle;
             const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Command execution timeout (30s)')), 30000);
+                timeoutHandle = setTimeout(() => reject(new Error(`Command execution timeout (${ZONE_COMMAND_TIMEOUT_MS / 1000}s)`)), ZONE_COMMAND_TIMEOUT_MS);
             });
 
-            await Promise.race([commandPromise, timeoutPromise]);
+            try {
+                await Promise.race([commandPromise, timeoutPromise]);
+            } finally {
+                clearTimeout(timeoutHandle);
+            }
 
         } catch (error) {
             this.logger.error(`Error handling command for zone ${zoneName}:`, error);
@@ -303,10 +737,311 @@ class ZoneManager {
     }
 
     /**
-     * Validate command structure
+     * Parse a device topic message and hand it to handleDeviceCommand
      * @private
      */
-    _validateCommand(command) {
+    async _handleDeviceMessage(message) {
+        let command = message;
+        if (typeof message === 'string') {
+            try {
+                command = JSON.parse(message);
+            } catch (error) {
+                this.logger.warn('Device topic received malformed JSON:', message);
+                this.publishMessage('events', { command_received: 'unknown', valid: false, error: 'malformed_json', error_message: error.message });
+                this.publishMessage('warning', { message: 'Invalid JSON format in command', raw_message: message, error: error.message });
+                return;
+            }
+        }
+        const validationError = this._validateCommand(command, commandSchemas.DEVICE);
+        if (validationError) {
+            this.logger.warn('Device topic received invalid command:', validationError);
+            const commandName = command && typeof command === 'object' ? (command.command || command.Command || 'unknown') : 'unknown';
+            this.publishMessage('events', { command_received: commandName, valid: false, error: 'validation_error', validation_error: validationError });
+            this.publishMessage('warning', { message: 'Invalid command structure', validation_error: validationError, received_command: command });
+            return;
+        }
+        try {
+            await this.handleDeviceCommand(command);
+        } catch (error) {
+            this.logger.error('Error handling device command:', error);
+        }
+    }
+
+    /**
+     * Handle a command addressed to the whole device rather than one zone.
+     *
+     * stopAll / pauseAll / resumeAll / resetVolumes are sent to every zone that supports them and
+     * answered with one aggregated outcome whose `parameters.zones` lists each zone's
+     * result (success, failed with error_message, or skipped). reboot / shutdown /
+     * killPfx / restartPfx run once. reloadConfig re-reads pfx.ini (see reloadConfig()).
+     * validateMedia checks the media the configuration refers to (see MediaValidator).
+     * setLogLevel changes the default or one module's log level until the next reload.
+     * addSchedule / listSchedules / removeSchedule manage scheduled zone commands (see Scheduler).
+     * @param {Object} command - Command payload ({command, ...parameters})
+     */
+    async handleDeviceCommand(command) {
+        const name = command.command || command.Command;
+        const parameters = Object.keys(command)
+            .filter(k => k !== 'command' && k !== 'Command')
+            .reduce((acc, k) => { acc[k] = command[k]; return acc; }, {});
+
+        if (FANOUT_COMMANDS.includes(name)) {
+            const results = await this._fanOut(name, parameters);
+            const ran = results.filter(r => r.outcome !== 'skipped');
+            const failed = ran.filter(r => r.outcome === 'failed');
+            let outcome = 'success';
+            if (failed.length && failed.length === ran.length) outcome = 'failed';
+            else if (failed.length) outcome = 'warning';
+
+            this.publishCommandOutcome({
+                command: name,
+                outcome,
+                parameters: { ...parameters, zones: results },
+                message: `Command '${name}' ran on ${ran.length - failed.length} of ${ran.length} zone(s)`,
+                ...(outcome === 'failed' ? { error_type: 'execution_error' } : {}),
+                ...(outcome === 'warning' ? { warning_type: 'partial_failure' } : {})
+            });
+            return;
+        }
+
+        if (name === 'getCommandSchema') {
+            this._publishCommandSchema(this, commandSchemas.DEVICE, command);
+            return;
+        }
+
+        if (name === 'reloadConfig') {
+            if (!this.configReloader) {
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: 'failed',
+                    parameters,
+                    error_type: 'unsupported_command',
+                    message: 'Config reload is not available'
+                });
+                return;
+            }
+            try {
+                const report = await this.configReloader();
+                const failed = report.failed && report.failed.length;
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: failed ? 'warning' : 'success',
+                    parameters: { ...parameters, ...report },
+                    message: report.restart_required && report.restart_required.length
+                        ? `Configuration reloaded; restart pfx to apply ${report.restart_required.join(', ')}`
+                        : 'Configuration reloaded',
+                    ...(failed ? { warning_type: 'partial_failure' } : {})
+                });
+            } catch (error) {
+                this.logger.error('Config reload failed:', error);
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: 'failed',
+                    parameters,
+                    error_type: 'execution_error',
+                    error_message: error.message
+                });
+            }
+            return;
+        }
+
+        if (name === 'setLogLevel') {
+            try {
+                const levels = Logger.setLevel(command.level, command.module);
+                this.logger.info(`Log level ${command.module ? `of ${command.module} ` : ''}set to ${command.level}`);
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: 'success',
+                    parameters: { ...parameters, ...levels },
+                    message: `Log level ${command.module ? `of ${command.module} ` : ''}set to ${command.level}`
+                });
+            } catch (error) {
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: 'failed',
+                    parameters,
+                    error_type: 'validation_error',
+                    error_message: error.message
+                });
+            }
+            return;
+        }
+
+        if (name === 'validateMedia') {
+            await this._validateMedia(parameters);
+            return;
+        }
+
+        if (SCHEDULE_COMMANDS.includes(name)) {
+            this._handleScheduleCommand(name, command, parameters);
+            return;
+        }
+
+        if (PROCESS_COMMANDS.includes(name)) {
+            try {
+                this.logger.info(`Device command: ${name}`);
+                // The actions end the process asynchronously (signal, delayed exit, exec),
+                // so the outcome still goes out once they have returned
+                await this.systemActions[name](parameters);
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: 'success',
+                    parameters,
+                    message: `Command '${name}' executed successfully`
+                });
+            } catch (error) {
+                this.logger.error(`Device command ${name} failed:`, error);
+                this.publishCommandOutcome({
+                    command: name,
+                    outcome: 'failed',
+                    parameters,
+                    error_type: 'execution_error',
+                    error_message: error.message
+                });
+            }
+            return;
+        }
+
+        this.publishCommandOutcome({
+            command: name,
+            outcome: 'failed',
+            parameters,
+            error_type: 'unsupported_command',
+            message: `Command '${name}' is not supported on the device topic`
+        });
+    }
+
+    /**
+     * Answer validateMedia with the MediaValidator report: `warning` when any file is
+     * missing, unreadable or undecodable
+     * @private
+     */
+    async _validateMedia(parameters) {
+        try {
+            const validator = new MediaValidator(this.config, {
+                cues: this.cueProvider ? this.cueProvider() : undefined,
+                manifest: parameters.manifest,
+                decode: parameters.decode !== false
+            });
+            const report = await validator.run();
+            this.publishCommandOutcome({
+                command: 'validateMedia',
+                outcome: report.ok ? 'success' : 'warning',
+                parameters: { ...parameters, ...report },
+                message: `${report.checked} media file(s) checked: ${report.missing} missing, ${report.unreadable} unreadable, ${report.undecodable} undecodable`,
+                ...(report.ok ? {} : { warning_type: 'media_problems' })
+            });
+        } catch (error) {
+            this.logger.error('Media validation failed:', error);
+            this.publishCommandOutcome({
+                command: 'validateMedia',
+                outcome: 'failed',
+                parameters,
+                error_type: 'execution_error',
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * addSchedule, listSchedules and removeSchedule
+     * @private
+     */
+    _handleScheduleCommand(name, command, parameters) {
+        try {
+            if (name === 'addSchedule') {
+                parameters.schedule = this.scheduler.add(parameters);
+            } else if (name === 'removeSchedule') {
+                parameters.removed = this.scheduler.remove(command.id);
+            } else {
+                parameters.schedules = this.scheduler.list(command.zone);
+            }
+            this.publishCommandOutcome({ command: name, outcome: 'success', parameters });
+        } catch (error) {
+            this.logger.warn(`${name} failed: ${error.message}`);
+            this.publishCommandOutcome({
+                command: name,
+                outcome: 'failed',
+                parameters,
+                error_type: 'execution_error',
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Run a command on every zone that supports it, in parallel
+     * @private
+     * @returns {Promise<Array<{zone:string, outcome:string, error_message?:string}>>}
+     */
+    async _fanOut(name, parameters) {
+        const entries = Array.from(this.zones.entries());
+        return Promise.all(entries.map(async ([zoneName, zone]) => {
+            const supported = typeof zone.getSupportedCommands === 'function' ? zone.getSupportedCommands() : [];
+            if (!supported.includes(name)) {
+                return { zone: zoneName, outcome: 'skipped' };
+            }
+            let timeoutHandle;
+            const timeoutPromise = new Promise((_, reject) => {
+                timeoutHandle = setTimeout(() => reject(new Error(`Command execution timeout (${ZONE_COMMAND_TIMEOUT_MS / 1000}s)`)), ZONE_COMMAND_TIMEOUT_MS);
+            });
+            try {
+                await Promise.race([zone.handleCommand({ command: name, ...parameters }), timeoutPromise]);
+                return { zone: zoneName, outcome: 'success' };
+            } catch (error) {
+                this.logger.warn(`Device command ${name} failed on zone ${zoneName}: ${error.message}`);
+                return { zone: zoneName, outcome: 'failed', error_message: error.message };
+            } finally {
+                clearTimeout(timeoutHandle);
+            }
+        }));
+    }
+
+    /**
+     * Run the screen cleanup sequence once and exit so the process manager restarts pfx
+     * @private
+     */
+    async _restartPfx() {
+        const screen = this.getZonesByType('screen')[0];
+        if (screen && typeof screen._executeCleanupSequence === 'function') {
+            await screen._executeCleanupSequence();
+        }
+        this.publishEvent({ pfx_restart_initiated: true });
+        this.logger.info('PFX restart initiated - terminating current process for restart');
+        // Give a moment for the message to be published
+        setTimeout(() => process.exit(0), 1000);
+    }
+
+    // Device topic publishing (same envelope and topic layout as zones)
+
+    publishMessage(type, data) {
+        const topicType = type === 'status' ? 'state' : (type === 'warning' ? 'warnings' : type);
+        return correlation.publish(this.mqttClient, `${this.deviceTopic}/${topicType}`, {
+            timestamp: new Date().toISOString(),
+            device: this.deviceName,
+            type,
+            ...data
+        }, type, type === 'status' ? { retain: true } : undefined);
+    }
+
+    publishEvent(eventData) {
+        this.publishMessage('events', eventData);
+    }
+
+    publishCommandOutcome(options) {
+        return BaseZone.prototype.publishCommandOutcome.call(this, options);
+    }
+
+    /**
+     * Validate command structure, then its parameters against the command schema
+     * for zoneType (see command-schemas.js). Numeric strings in number fields are
+     * converted to numbers in command.
+     * @private
+     * @param {Object} command
+     * @param {string} [zoneType] - Zone type, or commandSchemas.DEVICE for the device topic
+     * @returns {string|null} error naming the offending field, or null when valid
+     */
+    _validateCommand(command, zoneType) {
         if (!command || typeof command !== 'object') {
             return 'Command must be a valid object';
         }
@@ -329,23 +1064,74 @@ class ZoneManager {
             return 'Command name cannot be empty';
         }
 
-        // Check for common required fields based on command type
-        if (commandName.toLowerCase().includes('play') || commandName.toLowerCase().includes('audio') || commandName.toLowerCase().includes('video')) {
-            const filePath = command.filePath || command.file || command.audio || command.video || command.image;
-            if (filePath && typeof filePath !== 'string') {
-                return 'File path must be a string';
-            }
+        // Optional correlation id, echoed on the events the command causes
+        const id = command.correlation_id !== undefined ? command.correlation_id : command.id;
+        if (id !== undefined && typeof id !== 'string' && typeof id !== 'number') {
+            return 'Command id / correlation_id must be a string or number';
+        }
+        if (command.response_topic !== undefined && (typeof command.response_topic !== 'string' || !command.response_topic || /[#+]/.test(command.response_topic))) {
+            return 'response_topic must be a topic name without wildcards';
         }
 
-        // Check volume parameter if present
-        if (command.volume !== undefined) {
-            const volume = parseFloat(command.volume);
-            if (isNaN(volume) || volume < 0 || volume > 150) {
-                return 'Volume must be a number between 0 and 150';
+        // Parameters, against the command's schema for this zone type; numeric strings
+        // it converted to numbers are passed on to the zone as numbers
+        const params = { ...command, command: commandName };
+        const error = commandSchemas.validate(zoneType, params);
+        if (!error) {
+            for (const key of Object.keys(command)) {
+                if (key !== 'command' && key !== 'Command') command[key] = params[key];
             }
         }
+        return error;
+    }
 
-        return null; // No validation errors
+    /**
+     * Answer getCommandSchema with the command schemas of a zone type (or the device
+     * topic), all of them or just `name`, in the outcome's parameters.schemas
+     * @private
+     */
+    _publishCommandSchema(target, type, command) {
+        const schemas = commandSchemas.getSchemas(type) || {};
+        const name = command.name;
+        if (name !== undefined && !schemas[name]) {
+            target.publishCommandOutcome({
+                command: 'getCommandSchema',
+                outcome: 'failed',
+                parameters: { name },
+                error_type: 'unsupported_command',
+                message: `No schema for command '${name}'`
+            });
+            return;
+        }
+        target.publishCommandOutcome({
+            command: 'getCommandSchema',
+            outcome: 'success',
+            parameters: { type, schemas: name !== undefined ? { [name]: schemas[name] } : schemas },
+            message: `${name !== undefined ? 1 : Object.keys(schemas).length} command schema(s)`
+        });
+    }
+
+    /**
+     * Answer listMedia with the zone's indexed media files, optionally only one type
+     * or one subfolder, in the outcome's parameters.files
+     * @private
+     */
+    _publishMediaList(zone, command) {
+        const index = zone.mediaIndex;
+        const files = index.list({ type: command.type, folder: command.folder });
+        zone.publishCommandOutcome({
+            command: 'listMedia',
+            outcome: 'success',
+            parameters: {
+                type: command.type || null,
+                folder: MediaIndex.normalizeFolder(command.folder) || null,
+                root: index.root,
+                count: files.length,
+                truncated: index.truncated,
+                files
+            },
+            message: `${files.length} media file(s)`
+        });
     }
 
     /**
@@ -398,7 +1184,7 @@ class ZoneManager {
     }
 
     /**
-     * Shutdown all zones
+     * Shutdown all zones, clear their retained state and mark the device offline
      */
     async shutdown() {
         if (!this.isInitialized) {
@@ -408,6 +1194,12 @@ class ZoneManager {
         this.logger.info('Shutting down zone manager...');
 
         try {
+            this.scheduler.shutdown();
+
+            for (const zone of this.zones.values()) {
+                if (zone.mediaIndex) zone.mediaIndex.close();
+            }
+
             // Shutdown all zones
             const shutdownPromises = Array.from(this.zones.values()).map(zone => zone.shutdown());
             await Promise.all(shutdownPromises);
@@ -417,8 +1209,21 @@ class ZoneManager {
                 this.mqttClient.unsubscribe(commandTopic);
             }
             this.commandSubscriptions.clear();
+            if (this.deviceCommandTopic) {
+                this.mqttClient.unsubscribe(this.deviceCommandTopic);
+                this.deviceCommandTopic = null;
+            }
 
+            // A clean shutdown leaves no stale zone state behind; the device state says why
+            const pending = Array.from(this.zones.values()).map(zone => this._clearRetainedState(zone));
             this.zones.clear();
+            pending.push(this.publishAvailability('offline', 'shutdown'));
+            let flushTimer;
+            await Promise.race([
+                Promise.all(pending),
+                new Promise(resolve => { flushTimer = setTimeout(resolve, RETAINED_FLUSH_TIMEOUT_MS); })
+            ]);
+            clearTimeout(flushTimer);
             this.isInitialized = false;
 
             this.logger.info('Zone manager shutdown complete');
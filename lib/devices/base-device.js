@@ -0,0 +1,209 @@
+/**
+ * Base Device Class
+ *
+ * Abstract base class for non-media devices (lights, light groups, relays) that are
+ * hosted by ZoneManager alongside screen and audio zones. Devices share the zone
+ * topic layout ({baseTopic}/commands|state|events|warnings) and command outcome
+ * schema, but carry no MPV instances or volume model.
+ */
+
+const Logger = require('../utils/logger');
+const BaseZone = require('../zones/base-zone');
+const correlation = require('../core/correlation');
+
+class BaseDevice {
+    constructor(config, mqttClient) {
+        if (new.target === BaseDevice) {
+            throw new Error('BaseDevice is an abstract class and cannot be instantiated directly');
+        }
+
+        this.config = config;
+        this.mqttClient = mqttClient;
+        this.logger = new Logger(`${this.constructor.name}:${config.name}`);
+
+        this.isInitialized = false;
+        this.controller = null;
+        // ZoneManager's Scheduler; the device's schedules are part of its state
+        this.scheduler = null;
+        this.currentState = {
+            status: 'offline',
+            lastCommand: null,
+            lastUpdate: null,
+            errors: []
+        };
+    }
+
+    /**
+     * Initialize the device - must be implemented by subclasses
+     * @abstract
+     */
+    async initialize() {
+        throw new Error('initialize() must be implemented by subclass');
+    }
+
+    /**
+     * Handle a routed command - must be implemented by subclasses
+     * @abstract
+     */
+    async handleCommand(command) {
+        throw new Error('handleCommand() must be implemented by subclass');
+    }
+
+    /**
+     * Shutdown the device - must be implemented by subclasses
+     * @abstract
+     */
+    async shutdown() {
+        throw new Error('shutdown() must be implemented by subclass');
+    }
+
+    /**
+     * Publish MQTT message with specified type (same topic mapping as BaseZone)
+     * @param {string} type - Message type: 'events', 'status', 'warning', 'error'
+     * @param {Object} data - Message data
+     * @param {Object} [options]
+     * @param {boolean} [options.onlyIfChanged] - Skip a state message identical to the last one
+     */
+    publishMessage(type, data, options = {}) {
+        if (!this.mqttClient || !this.config.baseTopic) {
+            return;
+        }
+
+        const message = {
+            timestamp: new Date().toISOString(),
+            zone: this.config.name,
+            type: type,
+            ...data
+        };
+
+        let topicType = type;
+        if (type === 'command') {
+            topicType = 'commands';
+        } else if (type === 'status') {
+            topicType = 'state';
+        } else if (type === 'warning' || type === 'error') {
+            topicType = 'warnings';
+        }
+        const topic = `${this.config.baseTopic}/${topicType}`;
+        if (type === 'status') {
+            // Retained, so a dashboard connecting mid-game sees the current state at once
+            if (BaseZone.prototype._isUnchangedState.call(this, message, options)) return;
+            correlation.publish(this.mqttClient, topic, message, type, { retain: true });
+        } else {
+            correlation.publish(this.mqttClient, topic, message, type);
+        }
+
+        this.logger.debug(`Published ${type} message:`, message);
+    }
+
+    /**
+     * Publish the current device state to {baseTopic}/state (retained)
+     * @param {Object} [options] - {onlyIfChanged}, see BaseZone.publishStatus
+     */
+    publishStatus(options = {}) {
+        const payload = {
+            device_type: this.config.type,
+            controller: this.config.controller || null,
+            ...this.currentState,
+            errors: this.currentState.errors || []
+        };
+        if (this.scheduler) {
+            payload.schedules = this.scheduler.list(this.config.name);
+        }
+        if (typeof this._extendStatusPayload === 'function') {
+            try { this._extendStatusPayload(payload); } catch (e) { this.logger.debug('extendStatusPayload failed: ' + e.message); }
+        }
+        this.publishMessage('status', payload, options);
+    }
+
+    /**
+     * Publish a command outcome event using the zone schema (see BaseZone.publishCommandOutcome).
+     */
+    publishCommandOutcome(options) {
+        return BaseZone.prototype.publishCommandOutcome.call(this, options);
+    }
+
+    publishEvent(eventData) {
+        this.publishMessage('events', eventData);
+    }
+
+    publishWarning(message, details = {}) {
+        this.publishMessage('warning', {
+            message: message,
+            ...details
+        });
+        this.logger.warn(message, details);
+    }
+
+    /**
+     * Get list of supported commands - should be implemented by subclasses
+     */
+    getSupportedCommands() {
+        return [];
+    }
+
+    /**
+     * Shared command entry: normalizes the command name, records it, dispatches to
+     * _executeCommand() and publishes the standard success/failed outcome.
+     * @protected
+     */
+    async _dispatchCommand(command) {
+        command.command = command.command || command.Command;
+
+        if (!this.isInitialized) {
+            throw new Error(`${this.config.type} device not initialized`);
+        }
+
+        this.currentState.lastCommand = command.command;
+
+        const parameters = Object.keys(command)
+            .filter(k => k !== 'Command' && k !== 'command')
+            .reduce((acc, k) => { acc[k] = command[k]; return acc; }, {});
+
+        if (!this.getSupportedCommands().includes(command.command)) {
+            const message = `Command '${command.command}' is not supported by ${this.config.type} device '${this.config.name}'`;
+            this.publishCommandOutcome({
+                command: command.command,
+                outcome: 'failed',
+                parameters,
+                error_type: 'unsupported_command',
+                message
+            });
+            return;
+        }
+
+        try {
+            await this._executeCommand(command);
+            this.currentState.lastUpdate = new Date().toISOString();
+            this.publishStatus();
+            this.publishCommandOutcome({
+                command: command.command,
+                outcome: 'success',
+                parameters,
+                message: `Command '${command.command}' executed successfully`
+            });
+        } catch (error) {
+            this.logger.error(`Command failed: ${command.command}`, error);
+            this.publishCommandOutcome({
+                command: command.command,
+                outcome: 'failed',
+                parameters,
+                error_type: 'execution_error',
+                error_message: error.message,
+                message: `Command '${command.command}' failed: ${error.message}`
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a validated command - must be implemented by subclasses
+     * @protected
+     * @abstract
+     */
+    async _executeCommand(command) {
+        throw new Error('_executeCommand() must be implemented by subclass');
+    }
+}
+
+module.exports = BaseDevice;
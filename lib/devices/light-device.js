@@ -1,193 +1,147 @@
 /**
  * Light Device
- * 
+ *
  * Controls individual lights through various controllers.
  * Supports brightness, color, and effect control.
+ *
+ * Controllers implement the common light API used here:
+ *   setLightColor(lightId, color, brightness, transition)
+ *   setLightBrightness(lightId, brightness, transition)
+ *   turnLightOn(lightId, brightness, transition)
+ *   turnLightOff(lightId, transition)
+ *   getLightStatus(lightId)                       (optional)
+ *   setLightEffect(lightId, effect, parameters, transition) (optional, native effects)
+ *   initialize() / shutdown()                     (optional)
+ *
+ * The software effects of the EffectEngine (fade, blink, flip, disco, flame, morse) run
+ * over that API on every controller.
  */
 
+const BaseDevice = require('./base-device');
+const EffectEngine = require('../effects/effect-engine');
 const Logger = require('../utils/logger');
 
-class LightDevice {
+class LightDevice extends BaseDevice {
     constructor(config, mqttClient) {
-        this.config = config;
-        this.mqttClient = mqttClient;
-        this.logger = new Logger(`LightDevice:${config.name}`);
+        super(config, mqttClient);
 
         // Initialize state with defaults from config
         this.currentState = {
-            status: 'offline',
+            ...this.currentState,
+            power: 'off',
             brightness: parseInt(config.defaultBrightness) || 0,
             color: config.defaultColor || null,
             effect: null,
-            transition: parseInt(config.defaultTransition) || 300,
-            lastUpdate: null
+            transition: parseInt(config.defaultTransition) || 300
         };
 
-        // Controller instance will be set during initialization
-        this.controller = null;
+        // Controller-side identifier for this light (Hue light id, WiZ IP/MAC, zigbee friendly name, ...)
+        this.lightId = config.deviceId || config.friendlyName;
 
-        // Store command topic for responses
-        this.commandTopic = `pfx/${config.deviceId}/commands`;
-        this.stateTopic = `pfx/${config.deviceId}/state`;
+        this.effects = new EffectEngine();
+        this.activeEffectId = null;
+        bindEffectEvents(this);
     }
 
     async initialize() {
-        this.logger.info(`Initializing light device: ${this.config.deviceId} (${this.config.controller})`);
+        this.logger.info(`Initializing light device: ${this.lightId} (${this.config.controller})`);
 
         try {
-            // Initialize controller based on type
-            await this._initializeController();
-
-            // Subscribe to command topic
-            this.mqttClient.subscribe(this.commandTopic, this.handleCommand.bind(this));
+            this.controller = createLightController(this.config, this.logger, this.mqttClient);
+            if (this.controller.initialize) {
+                await this.controller.initialize();
+            }
 
             this.currentState.status = 'ready';
             this.currentState.lastUpdate = new Date().toISOString();
-            this._publishState();
+            this.isInitialized = true;
+            this.publishStatus();
 
             this.logger.info('Light device initialized successfully');
         } catch (error) {
             this.logger.error('Failed to initialize light device:', error);
             this.currentState.status = 'error';
-            this._publishState();
+            this.currentState.errors.push(error.message);
+            this.publishStatus();
             throw error;
         }
     }
 
-    async _initializeController() {
-        switch (this.config.controller?.toLowerCase()) {
-            case 'hue':
-                const HueController = require('../controllers/hue-controller');
-                this.controller = new HueController({
-                    bridgeIp: this.config.bridgeIp,
-                    username: this.config.username,
-                    lightId: this.config.lightId
-                });
-                break;
-
-            case 'wiz':
-                const WizController = require('../controllers/wiz-controller');
-                this.controller = new WizController({
-                    ip: this.config.ip,
-                    mac: this.config.mac
-                });
-                break;
-
-            case 'zigbee':
-                const ZigbeeController = require('../controllers/zigbee-controller');
-                this.controller = new ZigbeeController({
-                    coordinator: this.config.coordinator,
-                    deviceId: this.config.zigbeeId
-                });
-                break;
-
-            case 'zwave':
-                const ZwaveController = require('../controllers/zwave-controller');
-                this.controller = new ZwaveController({
-                    nodeId: this.config.nodeId,
-                    endpoint: this.config.endpoint
-                });
-                break;
-
-            default:
-                // Use mock controller for testing/development
-                this.controller = new MockLightController();
-                this.logger.warn(`Using mock controller for ${this.config.controller}`);
-        }
-
-        if (this.controller.initialize) {
-            await this.controller.initialize();
-        }
-    }
-
     async shutdown() {
         this.logger.info('Shutting down light device...');
 
         try {
-            // Turn off light gracefully
-            if (this.currentState.status === 'ready') {
-                await this.setBrightness(0);
-            }
-
-            // Cleanup controller connections
+            // Cleanup controller connections (lights keep their last state; a game reset is explicit)
+            await this.effects.stopAllEffects({ restore: false });
+            this.activeEffectId = null;
             if (this.controller && this.controller.shutdown) {
                 await this.controller.shutdown();
             }
-
-            this.currentState.status = 'offline';
-            this._publishState();
-
-            this.logger.info('Light device shutdown complete');
         } catch (error) {
             this.logger.error('Error during shutdown:', error);
         }
-    }
-
-    async handleCommand(topic, command) {
-        this.logger.debug(`Handling light command: ${command.command}`);
-
-        if (this.currentState.status !== 'ready') {
-            this.logger.warn(`Rejecting command ${command.command}: device not ready`);
-            this._publishError('DEVICE_NOT_READY', 'Light device is not ready');
-            return;
-        }
 
-        try {
-            const transition = command.transition || this.currentState.transition;
-
-            switch (command.command) {
-                case 'setColor':
-                    await this.setColor(command.color, command.brightness, transition);
-                    break;
-
-                case 'setBrightness':
-                    await this.setBrightness(command.brightness, transition);
-                    break;
-
-                case 'setEffect':
-                    await this.setEffect(command.effect, command.parameters, transition);
-                    break;
-
-                case 'turnOn':
-                    await this.turnOn(command.brightness, transition);
-                    break;
-
-                case 'turnOff':
-                    await this.turnOff(transition);
-                    break;
-
-                case 'toggle':
-                    await this.toggle(transition);
-                    break;
-
-                case 'pulse':
-                    await this.pulse(command.duration, command.color, command.brightness);
-                    break;
-
-                case 'fade':
-                    await this.fade(command.fromBrightness, command.toBrightness, command.duration);
-                    break;
-
-                case 'getStatus':
-                    this._publishState();
-                    break;
+        this.isInitialized = false;
+        this.currentState.status = 'offline';
+        this.publishStatus();
+        this.logger.info('Light device shutdown complete');
+    }
 
-                case 'setConfig':
-                    await this.setConfig(command.config);
-                    break;
+    getSupportedCommands() {
+        return [
+            'setColor', 'setBrightness', 'setEffect', 'stopEffect', 'turnOn', 'turnOff', 'toggle',
+            'pulse', 'fade', 'setConfig', 'getStatus', 'getState'
+        ];
+    }
 
-                default:
-                    throw new Error(`Unknown light command: ${command.command}`);
-            }
+    async handleCommand(command) {
+        return this._dispatchCommand(command);
+    }
 
-            // Update last command timestamp
-            this.currentState.lastUpdate = new Date().toISOString();
-            this._publishState();
+    async _executeCommand(command) {
+        const transition = command.transition !== undefined ? command.transition : this.currentState.transition;
 
-        } catch (error) {
-            this.logger.error(`Light command failed: ${command.command}`, error);
-            this._publishError('COMMAND_FAILED', `${command.command}: ${error.message}`);
-            throw error;
+        switch (command.command) {
+            case 'setColor':
+                if (!command.color) throw new Error('color is required');
+                await this.setColor(command.color, command.brightness !== undefined ? command.brightness : null, transition);
+                break;
+            case 'setBrightness':
+                if (command.brightness === undefined) throw new Error('brightness is required');
+                await this.setBrightness(command.brightness, transition);
+                break;
+            case 'setEffect':
+                await this.setEffect(command.effect, command.parameters, transition);
+                break;
+            case 'stopEffect':
+                await this.setEffect('none', {}, transition);
+                break;
+            case 'turnOn':
+                await this.turnOn(command.brightness, transition);
+                break;
+            case 'turnOff':
+                await this.turnOff(transition);
+                break;
+            case 'toggle':
+                await this.toggle(transition);
+                break;
+            case 'pulse':
+                await this.pulse(command.duration, command.color, command.brightness);
+                break;
+            case 'fade':
+                await this.fade(
+                    command.fromBrightness !== undefined ? command.fromBrightness : this.currentState.brightness,
+                    command.toBrightness !== undefined ? command.toBrightness : command.brightness,
+                    command.duration
+                );
+                break;
+            case 'setConfig':
+                await this.setConfig(command.config || {});
+                break;
+            case 'getStatus':
+            case 'getState':
+                await this._refreshFromController();
+                break;
         }
     }
 
@@ -195,14 +149,16 @@ class LightDevice {
     async setColor(color, brightness = null, transition = 300) {
         this.logger.info(`Setting color: ${color}, brightness: ${brightness}`);
 
-        if (this.controller && this.controller.setColor) {
-            await this.controller.setColor(color, brightness, transition);
+        if (brightness !== null) {
+            brightness = clampBrightness(brightness);
         }
+        await this.controller.setLightColor(this.lightId, color, brightness, transition);
 
         this.currentState.color = color;
         if (brightness !== null) {
-            this.currentState.brightness = Math.max(0, Math.min(100, brightness));
+            this.currentState.brightness = brightness;
         }
+        this.currentState.power = (brightness === null ? this.currentState.brightness : brightness) > 0 ? 'on' : 'off';
         this.currentState.transition = transition;
 
         return this.currentState;
@@ -211,26 +167,48 @@ class LightDevice {
     async setBrightness(brightness, transition = 300) {
         this.logger.info(`Setting brightness: ${brightness}`);
 
-        brightness = Math.max(0, Math.min(100, brightness));
-
-        if (this.controller && this.controller.setBrightness) {
-            await this.controller.setBrightness(brightness, transition);
-        }
+        brightness = clampBrightness(brightness);
+        await this.controller.setLightBrightness(this.lightId, brightness, transition);
 
         this.currentState.brightness = brightness;
+        this.currentState.power = brightness > 0 ? 'on' : 'off';
         this.currentState.transition = transition;
 
         return this.currentState;
     }
 
+    /**
+     * Start an effect. Engine effects run in software unless parameters.native is set;
+     * other names go to the controller's native effects. 'none' stops a software effect
+     * (restoring the previous state) or the native one.
+     */
     async setEffect(effect, parameters = {}, transition = 300) {
         this.logger.info(`Setting effect: ${effect}`);
-
-        if (this.controller && this.controller.setEffect) {
-            await this.controller.setEffect(effect, parameters, transition);
+        parameters = parameters || {};
+
+        if (EffectEngine.isEngineEffect(effect) && !parameters.native) {
+            this.activeEffectId = await this.effects.startEffect(effect, this.controller, [this.lightId], parameters, {
+                previousState: this.currentState
+            });
+        } else if (!effect || effect === 'none') {
+            if (this.activeEffectId) {
+                await this.effects.stopEffect(this.activeEffectId);
+                this.activeEffectId = null;
+            } else if (this.controller.setLightEffect) {
+                await this.controller.setLightEffect(this.lightId, 'none', {}, transition);
+            }
+        } else {
+            if (this.activeEffectId) {
+                await this.effects.stopEffect(this.activeEffectId, { restore: false });
+                this.activeEffectId = null;
+            }
+            if (!this.controller.setLightEffect) {
+                throw new Error(`Effect not supported by ${this.config.controller || 'mock'} controller: ${effect}`);
+            }
+            await this.controller.setLightEffect(this.lightId, effect, parameters, transition);
         }
 
-        this.currentState.effect = effect;
+        this.currentState.effect = effect && effect !== 'none' ? effect : null;
         this.currentState.transition = transition;
 
         return this.currentState;
@@ -239,12 +217,10 @@ class LightDevice {
     async turnOn(brightness = null, transition = 300) {
         this.logger.info('Turning light on');
 
-        brightness = brightness || this.currentState.brightness || 100;
-
-        if (this.controller && this.controller.turnOn) {
-            await this.controller.turnOn(brightness, transition);
-        }
+        brightness = clampBrightness(brightness || this.currentState.brightness || 100);
+        await this.controller.turnLightOn(this.lightId, brightness, transition);
 
+        this.currentState.power = 'on';
         this.currentState.brightness = brightness;
         this.currentState.transition = transition;
 
@@ -254,11 +230,10 @@ class LightDevice {
     async turnOff(transition = 300) {
         this.logger.info('Turning light off');
 
-        if (this.controller && this.controller.turnOff) {
-            await this.controller.turnOff(transition);
-        }
+        await this.controller.turnLightOff(this.lightId, transition);
 
-        this.currentState.brightness = 0;
+        // Keep the last brightness so a later turnOn restores it
+        this.currentState.power = 'off';
         this.currentState.transition = transition;
 
         return this.currentState;
@@ -267,7 +242,7 @@ class LightDevice {
     async toggle(transition = 300) {
         this.logger.info('Toggling light');
 
-        if (this.currentState.brightness > 0) {
+        if (this.currentState.power === 'on') {
             return await this.turnOff(transition);
         } else {
             return await this.turnOn(null, transition);
@@ -279,42 +254,35 @@ class LightDevice {
 
         const originalBrightness = this.currentState.brightness;
         const originalColor = this.currentState.color;
+        const originalPower = this.currentState.power;
 
-        try {
-            // Set pulse parameters
-            if (color) await this.setColor(color, brightness || 100, 100);
-            else if (brightness) await this.setBrightness(brightness, 100);
-
-            // Wait for pulse duration
-            await new Promise(resolve => setTimeout(resolve, duration));
-
-            // Restore original state
-            if (color && originalColor) {
-                await this.setColor(originalColor, originalBrightness, 100);
-            } else {
-                await this.setBrightness(originalBrightness, 100);
-            }
-        } catch (error) {
-            this.logger.error('Pulse effect failed:', error);
-            throw error;
+        // Set pulse parameters
+        if (color) await this.setColor(color, brightness || 100, 100);
+        else await this.setBrightness(brightness || 100, 100);
+
+        // Wait for pulse duration
+        await new Promise(resolve => setTimeout(resolve, duration));
+
+        // Restore original state
+        if (color && originalColor) {
+            await this.setColor(originalColor, originalBrightness, 100);
+        } else {
+            await this.setBrightness(originalBrightness, 100);
+        }
+        if (originalPower === 'off') {
+            await this.turnOff(100);
         }
 
         return this.currentState;
     }
 
     async fade(fromBrightness, toBrightness, duration = 3000) {
+        if (toBrightness === undefined || toBrightness === null) throw new Error('toBrightness is required');
         this.logger.info(`Fading from ${fromBrightness} to ${toBrightness} over ${duration}ms`);
 
-        if (this.controller && this.controller.fade) {
-            await this.controller.fade(fromBrightness, toBrightness, duration);
-        } else {
-            // Simple fade implementation
-            await this.setBrightness(fromBrightness, 100);
-            await new Promise(resolve => setTimeout(resolve, 100));
-            await this.setBrightness(toBrightness, duration);
-        }
-
-        this.currentState.brightness = toBrightness;
+        // Jump to the start level, then let the controller run the transition natively
+        await this.setBrightness(fromBrightness, 0);
+        await this.setBrightness(toBrightness, duration);
 
         return this.currentState;
     }
@@ -339,31 +307,108 @@ class LightDevice {
         return this.currentState;
     }
 
-    _publishState() {
-        const stateMessage = {
-            timestamp: new Date().toISOString(),
-            device: this.config.name,
-            type: 'state',
-            controller: this.config.controller,
-            device_id: this.config.deviceId,
-            ...this.currentState
-        };
-
-        this.mqttClient.publish(this.stateTopic, stateMessage);
+    /**
+     * Merge the controller's view of the light into currentState (when supported)
+     * @private
+     */
+    async _refreshFromController() {
+        if (!this.controller || !this.controller.getLightStatus) return;
+        try {
+            const status = await this.controller.getLightStatus(this.lightId);
+            if (!status) return;
+            if (status.state === 'on' || status.state === 'off') this.currentState.power = status.state;
+            if (typeof status.brightness === 'number') this.currentState.brightness = status.brightness;
+            if (status.color) this.currentState.color = status.color;
+            if (status.reachable !== undefined) this.currentState.reachable = status.reachable;
+            else if (status.online !== undefined) this.currentState.reachable = status.online;
+        } catch (error) {
+            this.logger.warn(`Failed to read light status from controller: ${error.message}`);
+        }
     }
+}
 
-    _publishError(errorCode, message) {
-        const errorMessage = {
-            timestamp: new Date().toISOString(),
-            device: this.config.name,
-            type: 'error',
-            error_code: errorCode,
-            message: message,
-            source_topic: this.commandTopic
-        };
+/**
+ * Keep a light/light_group device's state in step with its EffectEngine: a finished
+ * effect clears `effect` (a completed fade also leaves its target level/color) and
+ * publishes an `effect_completed` event.
+ */
+function bindEffectEvents(device) {
+    const onEnd = (outcome) => (effectId, effect) => {
+        if (effectId !== device.activeEffectId) return;
+        device.activeEffectId = null;
+        device.currentState.effect = null;
+
+        if (outcome === 'completed' && effect.type === 'FADE') {
+            const { targetBrightness = 100, targetColor } = effect.parameters;
+            device.currentState.brightness = Math.max(0, Math.min(100, Math.round(Number(targetBrightness))));
+            device.currentState.power = device.currentState.brightness > 0 ? 'on' : 'off';
+            if (targetColor) device.currentState.color = targetColor;
+        }
 
-        this.mqttClient.publish(this.stateTopic, errorMessage);
-        this.mqttClient.publish(this.mqttClient.config.heartbeatTopic, errorMessage);
+        device.publishEvent({ [`effect_${outcome}`]: true, effect: effect.type.toLowerCase(), effect_id: effectId });
+        device.publishStatus();
+    };
+
+    device.effects.on('effectCompleted', onEnd('completed'));
+    device.effects.on('effectFailed', onEnd('failed'));
+}
+
+function clampBrightness(value) {
+    const n = parseInt(value, 10);
+    if (isNaN(n)) throw new Error(`Invalid brightness: ${value}`);
+    return Math.max(0, Math.min(100, n));
+}
+
+/**
+ * Build the controller for a light or light_group device config.
+ * Unknown/absent controller types fall back to the mock controller.
+ * MQTT-bridged controllers (zigbee) reuse the pfx MQTT client.
+ */
+function createLightController(config, logger, mqttClient) {
+    switch ((config.controller || '').toLowerCase()) {
+        case 'hue': {
+            const HueController = require('../controllers/hue-controller');
+            return new HueController({
+                bridgeIp: config.bridgeIp,
+                username: config.username,
+                appKeyFile: config.appKeyFile,
+                timeout: config.timeout
+            });
+        }
+        case 'wiz': {
+            const WizController = require('../controllers/wiz-controller');
+            return new WizController({
+                ip: config.ip,
+                mac: config.mac,
+                broadcastAddress: config.broadcastAddress,
+                timeout: config.timeout,
+                retries: config.retries
+            });
+        }
+        case 'zigbee': {
+            const ZigbeeController = require('../controllers/zigbee-controller');
+            return new ZigbeeController({
+                mqttClient,
+                deviceId: config.friendlyName || config.deviceId,
+                baseTopic: config.zigbeeBaseTopic,
+                timeout: config.timeout
+            });
+        }
+        case 'zwave': {
+            const ZwaveController = require('../controllers/zwave-controller');
+            return new ZwaveController({
+                mqttClient,
+                nodeId: config.nodeId !== undefined ? config.nodeId : config.deviceId,
+                endpoint: config.endpoint,
+                prefix: config.zwavePrefix,
+                gatewayName: config.zwaveGateway,
+                timeout: config.timeout
+            });
+        }
+        default:
+            // Use mock controller for testing/development
+            logger.warn(`Using mock controller for ${config.controller}`);
+            return new MockLightController();
     }
 }
 
@@ -374,6 +419,7 @@ class MockLightController {
     constructor(config = {}) {
         this.config = config;
         this.logger = new Logger('MockLightController');
+        this.lights = new Map();
     }
 
     async initialize() {
@@ -384,39 +430,56 @@ class MockLightController {
         this.logger.debug('Mock light controller shutdown');
     }
 
-    async setColor(color, brightness, transition) {
-        this.logger.debug(`Mock setColor: ${color}, brightness: ${brightness}, transition: ${transition}ms`);
-        await this._delay(transition / 10); // Simulate transition time
+    async setLightColor(lightId, color, brightness, transition) {
+        this.logger.debug(`Mock setLightColor ${lightId}: ${color}, brightness: ${brightness}, transition: ${transition}ms`);
+        const light = this._light(lightId);
+        light.color = color;
+        if (brightness !== null && brightness !== undefined) light.brightness = brightness;
+        light.state = light.brightness > 0 ? 'on' : 'off';
+        return { success: true, lightId, color, brightness };
     }
 
-    async setBrightness(brightness, transition) {
-        this.logger.debug(`Mock setBrightness: ${brightness}, transition: ${transition}ms`);
-        await this._delay(transition / 10);
+    async setLightBrightness(lightId, brightness, transition) {
+        this.logger.debug(`Mock setLightBrightness ${lightId}: ${brightness}, transition: ${transition}ms`);
+        const light = this._light(lightId);
+        light.brightness = brightness;
+        light.state = brightness > 0 ? 'on' : 'off';
+        return { success: true, lightId, brightness };
     }
 
-    async setEffect(effect, parameters, transition) {
-        this.logger.debug(`Mock setEffect: ${effect}, transition: ${transition}ms`);
-        await this._delay(transition / 10);
+    async turnLightOn(lightId, brightness, transition) {
+        this.logger.debug(`Mock turnLightOn ${lightId}: brightness: ${brightness}, transition: ${transition}ms`);
+        const light = this._light(lightId);
+        light.state = 'on';
+        if (brightness) light.brightness = brightness;
+        return { success: true, lightId, state: 'on' };
     }
 
-    async turnOn(brightness, transition) {
-        this.logger.debug(`Mock turnOn: brightness: ${brightness}, transition: ${transition}ms`);
-        await this._delay(transition / 10);
+    async turnLightOff(lightId, transition) {
+        this.logger.debug(`Mock turnLightOff ${lightId}: transition: ${transition}ms`);
+        this._light(lightId).state = 'off';
+        return { success: true, lightId, state: 'off' };
     }
 
-    async turnOff(transition) {
-        this.logger.debug(`Mock turnOff: transition: ${transition}ms`);
-        await this._delay(transition / 10);
+    async setLightEffect(lightId, effect, parameters, transition) {
+        this.logger.debug(`Mock setLightEffect ${lightId}: ${effect}, transition: ${transition}ms`);
+        this._light(lightId).effect = effect === 'none' ? null : effect;
+        return { success: true, lightId, effect };
     }
 
-    async fade(fromBrightness, toBrightness, duration) {
-        this.logger.debug(`Mock fade: ${fromBrightness} -> ${toBrightness} over ${duration}ms`);
-        await this._delay(duration / 10);
+    async getLightStatus(lightId) {
+        return { lightId, reachable: true, ...this._light(lightId) };
     }
 
-    async _delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, Math.max(1, ms)));
+    _light(lightId) {
+        if (!this.lights.has(lightId)) {
+            this.lights.set(lightId, { state: 'off', brightness: 0, color: null });
+        }
+        return this.lights.get(lightId);
     }
 }
 
 module.exports = LightDevice;
+module.exports.createLightController = createLightController;
+module.exports.bindEffectEvents = bindEffectEvents;
+module.exports.MockLightController = MockLightController;
@@ -1,172 +1,260 @@
 /**
- * Light Group Device (Placeholder)
- * 
- * Placeholder for group light control.
- * To be implemented with specific controller integrations.
+ * Light Group Device
+ *
+ * Controls a set of lights on one controller as a single endpoint. When the
+ * controller exposes native group calls (setGroupColor, setGroupBrightness,
+ * turnGroupOn, turnGroupOff) and a group_id is configured they are used;
+ * otherwise each light in device_list is addressed through the common light API
+ * (see light-device.js). Software effects run over the same calls.
  */
 
-const Logger = require('../utils/logger');
+const BaseDevice = require('./base-device');
+const EffectEngine = require('../effects/effect-engine');
+const { createLightController, bindEffectEvents } = require('./light-device');
 
-class LightGroupDevice {
+class LightGroupDevice extends BaseDevice {
     constructor(config, mqttClient) {
-        this.config = config;
-        this.mqttClient = mqttClient;
-        this.logger = new Logger(`LightGroupDevice:${config.name}`);
+        super(config, mqttClient);
+
+        this.groupId = config.groupId || null;
 
         this.currentState = {
-            status: 'offline',
-            brightness: 0,
-            color: null,
+            ...this.currentState,
+            power: 'off',
+            brightness: parseInt(config.defaultBrightness) || 0,
+            color: config.defaultColor || null,
             effect: null,
+            transition: parseInt(config.defaultTransition) || 300,
             deviceCount: config.deviceList ? config.deviceList.length : 0
         };
+
+        this.effects = new EffectEngine();
+        this.activeEffectId = null;
+        bindEffectEvents(this);
     }
 
     async initialize() {
         this.logger.info(`Initializing light group: ${this.config.deviceList} (${this.config.controller})`);
 
-        // TODO: Initialize specific controller based on this.config.controller
-        // - hue: Initialize Philips Hue group/room
-        // - wiz: Initialize WiZ light group
-        // - zigbee: Initialize Zigbee group
+        try {
+            this.controller = createLightController(this.config, this.logger, this.mqttClient);
+            if (this.controller.initialize) {
+                await this.controller.initialize();
+            }
 
-        this.currentState.status = 'ready';
-        this._publishState();
+            this.currentState.status = 'ready';
+            this.currentState.lastUpdate = new Date().toISOString();
+            this.isInitialized = true;
+            this.publishStatus();
 
-        this.logger.info('Light group device initialized (placeholder)');
+            this.logger.info('Light group device initialized successfully');
+        } catch (error) {
+            this.logger.error('Failed to initialize light group device:', error);
+            this.currentState.status = 'error';
+            this.currentState.errors.push(error.message);
+            this.publishStatus();
+            throw error;
+        }
     }
 
     async shutdown() {
         this.logger.info('Shutting down light group device...');
 
-        // TODO: Cleanup controller connections
+        try {
+            await this.effects.stopAllEffects({ restore: false });
+            this.activeEffectId = null;
+            if (this.controller && this.controller.shutdown) {
+                await this.controller.shutdown();
+            }
+        } catch (error) {
+            this.logger.error('Error during shutdown:', error);
+        }
 
+        this.isInitialized = false;
+        this.currentState.status = 'offline';
+        this.publishStatus();
         this.logger.info('Light group device shutdown complete');
     }
 
-    async handleCommand(command) {
-        this.logger.debug(`Handling light group command: ${command.command}`);
-
-        try {
-            switch (command.command) {
-                case 'setColor':
-                    await this._setColor(command.color, command.brightness, command.lights);
-                    break;
-
-                case 'setBrightness':
-                    await this._setBrightness(command.brightness, command.lights);
-                    break;
-
-                case 'setEffect':
-                    await this._setEffect(command.effect, command.parameters, command.lights);
-                    break;
+    getSupportedCommands() {
+        return ['setColor', 'setBrightness', 'setEffect', 'stopEffect', 'turnOn', 'turnOff', 'toggle', 'getStatus', 'getState'];
+    }
 
-                case 'turnOn':
-                    await this._turnOn(command.lights);
-                    break;
+    async handleCommand(command) {
+        return this._dispatchCommand(command);
+    }
 
-                case 'turnOff':
-                    await this._turnOff(command.lights);
-                    break;
+    async _executeCommand(command) {
+        const transition = command.transition !== undefined ? command.transition : this.currentState.transition;
+
+        switch (command.command) {
+            case 'setColor':
+                if (!command.color) throw new Error('color is required');
+                await this._setColor(command.color, command.brightness, command.lights, transition);
+                break;
+            case 'setBrightness':
+                if (command.brightness === undefined) throw new Error('brightness is required');
+                await this._setBrightness(command.brightness, command.lights, transition);
+                break;
+            case 'setEffect':
+                await this._setEffect(command.effect, command.parameters, command.lights);
+                break;
+            case 'stopEffect':
+                await this._setEffect('none', {}, command.lights);
+                break;
+            case 'turnOn':
+                await this._turnOn(command.brightness, command.lights, transition);
+                break;
+            case 'turnOff':
+                await this._turnOff(command.lights, transition);
+                break;
+            case 'toggle':
+                if (this.currentState.power === 'on') await this._turnOff(command.lights, transition);
+                else await this._turnOn(command.brightness, command.lights, transition);
+                break;
+            case 'getStatus':
+            case 'getState':
+                break;
+        }
+    }
 
-                case 'getStatus':
-                    this._publishState();
-                    break;
+    _extendStatusPayload(payload) {
+        payload.device_list = this.config.deviceList || [];
+        payload.group_id = this.groupId;
+    }
 
-                default:
-                    throw new Error(`Unknown light group command: ${command.command}`);
-            }
+    /**
+     * Whether a call should go through the controller's native group API.
+     * Explicit per-light subsets always fan out individually.
+     * @private
+     */
+    _useNativeGroup(method, specificLights) {
+        return !specificLights && this.groupId !== null && typeof this.controller[method] === 'function';
+    }
 
-        } catch (error) {
-            this.logger.error(`Light group command failed: ${command.command}`, error);
-            this._publishError('COMMAND_FAILED', `${command.command}: ${error.message}`);
-            throw error;
+    /**
+     * Apply fn to every target light, collecting failures so one unreachable bulb
+     * does not stop the rest of the group.
+     * @private
+     */
+    async _forEachLight(specificLights, fn) {
+        const lights = specificLights || this.config.deviceList || [];
+        const results = await Promise.allSettled(lights.map(id => fn(id)));
+        const failed = [];
+        results.forEach((r, i) => { if (r.status === 'rejected') failed.push(`${lights[i]}: ${r.reason && r.reason.message}`); });
+        if (failed.length === lights.length && lights.length > 0) {
+            throw new Error(`All lights failed (${failed.join('; ')})`);
+        }
+        if (failed.length) {
+            this.publishWarning(`${failed.length} of ${lights.length} lights failed`, { failed });
         }
     }
 
-    async _setColor(color, brightness, specificLights) {
-        const lights = specificLights || this.config.deviceList;
-        this.logger.info(`Setting color for lights ${lights}: ${color}, brightness: ${brightness}`);
+    async _setColor(color, brightness, specificLights, transition) {
+        this.logger.info(`Setting color for lights ${specificLights || this.config.deviceList}: ${color}, brightness: ${brightness}`);
+        const level = brightness !== undefined ? Math.max(0, Math.min(100, parseInt(brightness, 10))) : null;
 
-        // TODO: Implement group color setting
-        // If specificLights is provided, only affect those lights
-        // Otherwise, affect all lights in the group
+        if (this._useNativeGroup('setGroupColor', specificLights)) {
+            await this.controller.setGroupColor(this.groupId, color, level, transition);
+        } else {
+            await this._forEachLight(specificLights, id => this.controller.setLightColor(id, color, level, transition));
+        }
 
         this.currentState.color = color;
-        if (brightness !== undefined) {
-            this.currentState.brightness = brightness;
+        if (level !== null) {
+            this.currentState.brightness = level;
+            this.currentState.power = level > 0 ? 'on' : 'off';
         }
-
-        this._publishState();
     }
 
-    async _setBrightness(brightness, specificLights) {
-        const lights = specificLights || this.config.deviceList;
-        this.logger.info(`Setting brightness for lights ${lights}: ${brightness}`);
+    async _setBrightness(brightness, specificLights, transition) {
+        this.logger.info(`Setting brightness for lights ${specificLights || this.config.deviceList}: ${brightness}`);
+        const level = Math.max(0, Math.min(100, parseInt(brightness, 10)));
 
-        // TODO: Implement group brightness setting
-        this.currentState.brightness = brightness;
+        if (this._useNativeGroup('setGroupBrightness', specificLights)) {
+            await this.controller.setGroupBrightness(this.groupId, level, transition);
+        } else {
+            await this._forEachLight(specificLights, id => this.controller.setLightBrightness(id, level, transition));
+        }
 
-        this._publishState();
+        this.currentState.brightness = level;
+        this.currentState.power = level > 0 ? 'on' : 'off';
     }
 
     async _setEffect(effect, parameters, specificLights) {
-        const lights = specificLights || this.config.deviceList;
-        this.logger.info(`Setting effect for lights ${lights}: ${effect}`);
-
-        // TODO: Implement group effect setting
-        // Support for effect macros: FADE, BLINK, FLIP, DISCO, FLAME, MORSE
-        this.currentState.effect = effect;
-
-        this._publishState();
+        this.logger.info(`Setting effect for lights ${specificLights || this.config.deviceList}: ${effect}`);
+        parameters = parameters || {};
+
+        if (EffectEngine.isEngineEffect(effect) && !parameters.native) {
+            const { controller, targets } = this._effectTargets(specificLights);
+            this.activeEffectId = await this.effects.startEffect(effect, controller, targets, parameters, {
+                previousState: this.currentState
+            });
+        } else if (!effect || effect === 'none') {
+            if (this.activeEffectId) {
+                await this.effects.stopEffect(this.activeEffectId);
+                this.activeEffectId = null;
+            } else if (typeof this.controller.setLightEffect === 'function') {
+                await this._forEachLight(specificLights, id => this.controller.setLightEffect(id, 'none', {}));
+            }
+        } else {
+            if (this.activeEffectId) {
+                await this.effects.stopEffect(this.activeEffectId, { restore: false });
+                this.activeEffectId = null;
+            }
+            if (typeof this.controller.setLightEffect !== 'function') {
+                throw new Error(`Effect not supported by ${this.config.controller || 'mock'} controller: ${effect}`);
+            }
+            await this._forEachLight(specificLights, id => this.controller.setLightEffect(id, effect, parameters));
+        }
+        this.currentState.effect = effect && effect !== 'none' ? effect : null;
     }
 
-    async _turnOn(specificLights) {
-        const lights = specificLights || this.config.deviceList;
-        this.logger.info(`Turning on lights: ${lights}`);
-
-        // TODO: Implement group turn on
-        this.currentState.status = 'on';
-
-        this._publishState();
+    /**
+     * Controller and target ids for a software effect: the native group as a single
+     * target when available, otherwise the individual lights.
+     * @private
+     */
+    _effectTargets(specificLights) {
+        if (!this._useNativeGroup('setGroupColor', specificLights)) {
+            return { controller: this.controller, targets: specificLights || this.config.deviceList || [] };
+        }
+        if (!this._groupAdapter) {
+            const controller = this.controller;
+            this._groupAdapter = {
+                setLightColor: (id, color, brightness, transition) => controller.setGroupColor(id, color, brightness, transition),
+                setLightBrightness: (id, brightness, transition) => controller.setGroupBrightness(id, brightness, transition),
+                turnLightOn: (id, brightness, transition) => controller.turnGroupOn(id, brightness, transition),
+                turnLightOff: (id, transition) => controller.turnGroupOff(id, transition)
+            };
+        }
+        return { controller: this._groupAdapter, targets: [this.groupId] };
     }
 
-    async _turnOff(specificLights) {
-        const lights = specificLights || this.config.deviceList;
-        this.logger.info(`Turning off lights: ${lights}`);
+    async _turnOn(brightness, specificLights, transition) {
+        this.logger.info(`Turning on lights: ${specificLights || this.config.deviceList}`);
+        const level = Math.max(0, Math.min(100, parseInt(brightness || this.currentState.brightness || 100, 10)));
 
-        // TODO: Implement group turn off
-        this.currentState.status = 'off';
-        this.currentState.brightness = 0;
+        if (this._useNativeGroup('turnGroupOn', specificLights)) {
+            await this.controller.turnGroupOn(this.groupId, level, transition);
+        } else {
+            await this._forEachLight(specificLights, id => this.controller.turnLightOn(id, level, transition));
+        }
 
-        this._publishState();
+        this.currentState.power = 'on';
+        this.currentState.brightness = level;
     }
 
-    _publishState() {
-        const stateMessage = {
-            timestamp: new Date().toISOString(),
-            device: this.config.name,
-            type: 'state',
-            controller: this.config.controller,
-            device_list: this.config.deviceList,
-            ...this.currentState
-        };
-
-        this.mqttClient.publish(this.config.statusTopic, stateMessage);
-    }
+    async _turnOff(specificLights, transition) {
+        this.logger.info(`Turning off lights: ${specificLights || this.config.deviceList}`);
 
-    _publishError(errorCode, message) {
-        const errorMessage = {
-            timestamp: new Date().toISOString(),
-            device: this.config.name,
-            type: 'error',
-            error_code: errorCode,
-            message: message,
-            source_topic: this.config.baseTopic
-        };
+        if (this._useNativeGroup('turnGroupOff', specificLights)) {
+            await this.controller.turnGroupOff(this.groupId, transition);
+        } else {
+            await this._forEachLight(specificLights, id => this.controller.turnLightOff(id, transition));
+        }
 
-        this.mqttClient.publish(this.config.statusTopic, errorMessage);
-        this.mqttClient.publish(this.mqttClient.config.heartbeatTopic, errorMessage);
+        this.currentState.power = 'off';
     }
 }
 
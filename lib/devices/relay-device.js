@@ -1,88 +1,104 @@
 /**
  * Relay Device
- * 
+ *
  * Controls relay/switch devices through various controllers.
  * Supports simple on/off control with optional monitoring.
+ *
+ * Controllers implement the common switch API used here:
+ *   turnSwitchOn(switchId)
+ *   turnSwitchOff(switchId)
+ *   getSwitchState(switchId) -> 'on'|'off'|'unknown'  (optional)
+ *   initialize() / shutdown()                     (optional)
  */
 
+const { execFile } = require('child_process');
+const BaseDevice = require('./base-device');
 const Logger = require('../utils/logger');
 
-class RelayDevice {
+class RelayDevice extends BaseDevice {
     constructor(config, mqttClient) {
-        this.config = config;
-        this.mqttClient = mqttClient;
-        this.logger = new Logger(`RelayDevice:${config.name}`);
+        super(config, mqttClient);
 
         // Initialize state with defaults from config
         this.currentState = {
-            status: 'offline',
-            state: config.defaultState || 'off', // 'on' or 'off'
+            ...this.currentState,
+            state: 'off', // 'on' or 'off'
             voltage: null,
             current: null,
             power: null,
-            lastUpdate: null,
             lockState: false // Prevents accidental changes
         };
 
-        // Controller instance will be set during initialization
-        this.controller = null;
-
-        // Store command topic for responses
-        this.commandTopic = `pfx/${config.deviceId}/commands`;
-        this.stateTopic = `pfx/${config.deviceId}/state`;
+        // Controller-side identifier (z-wave node id, zigbee friendly name, gpio pin, ...)
+        this.switchId = config.deviceId || config.friendlyName;
 
         // Safety settings
+        // Only switched at startup when configured; otherwise the relay is left as it is
+        this.defaultState = config.defaultState ? (config.defaultState === 'on' ? 'on' : 'off') : null;
         this.safeMode = config.safeMode || false;
         this.maxOnTime = config.maxOnTime ? parseInt(config.maxOnTime) * 1000 : null; // Convert to ms
         this.onTimer = null;
+        this.pulseTimer = null;
     }
 
     async initialize() {
-        this.logger.info(`Initializing relay device: ${this.config.deviceId} (${this.config.controller})`);
+        this.logger.info(`Initializing relay device: ${this.switchId} (${this.config.controller})`);
 
         try {
-            // Initialize controller based on type
             await this._initializeController();
 
-            // Subscribe to command topic
-            this.mqttClient.subscribe(this.commandTopic, this.handleCommand.bind(this));
-
             this.currentState.status = 'ready';
             this.currentState.lastUpdate = new Date().toISOString();
-            this._publishState();
+            this.isInitialized = true;
+
+            // Drive the relay to its configured default, or report the state it is in
+            if (this.defaultState === 'on') await this._turnOn();
+            else if (this.defaultState === 'off') await this._turnOff();
+            else await this._readState();
+
+            this.publishStatus();
 
             this.logger.info('Relay device initialized successfully');
         } catch (error) {
             this.logger.error('Failed to initialize relay device:', error);
             this.currentState.status = 'error';
-            this._publishState();
+            this.currentState.errors.push(error.message);
+            this.publishStatus();
             throw error;
         }
     }
 
     async _initializeController() {
-        switch (this.config.controller?.toLowerCase()) {
-            case 'zwave':
+        switch ((this.config.controller || '').toLowerCase()) {
+            case 'zwave': {
                 const ZwaveController = require('../controllers/zwave-controller');
                 this.controller = new ZwaveController({
-                    nodeId: this.config.nodeId,
-                    endpoint: this.config.endpoint
+                    mqttClient: this.mqttClient,
+                    nodeId: this.config.nodeId !== undefined ? this.config.nodeId : this.config.deviceId,
+                    endpoint: this.config.endpoint,
+                    prefix: this.config.zwavePrefix,
+                    gatewayName: this.config.zwaveGateway,
+                    timeout: this.config.timeout
                 });
                 break;
+            }
 
-            case 'zigbee':
+            case 'zigbee': {
                 const ZigbeeController = require('../controllers/zigbee-controller');
                 this.controller = new ZigbeeController({
-                    coordinator: this.config.coordinator,
-                    deviceId: this.config.zigbeeId
+                    mqttClient: this.mqttClient,
+                    deviceId: this.config.friendlyName || this.config.deviceId,
+                    baseTopic: this.config.zigbeeBaseTopic,
+                    timeout: this.config.timeout
                 });
                 break;
+            }
 
             case 'gpio':
                 // For Raspberry Pi GPIO control
                 this.controller = new GPIOController({
-                    pin: this.config.pin,
-                    mode: this.config.mode || 'output'
+                    pin: this.config.pin !== undefined ? this.config.pin : this.config.deviceId,
+                    activeLow: this.config.activeLow
                 });
                 break;
 
@@ -100,66 +116,116 @@ class RelayDevice {
     async shutdown() {
         this.logger.info('Shutting down relay device...');
 
-        // TODO: Cleanup controller connections
-        // Ensure relay is in safe state
-
-        this.logger.info('Relay device shutdown complete');
-    }
-
-    async handleCommand(command) {
-        this.logger.debug(`Handling relay command: ${command.command}`);
+        this._clearTimers();
 
         try {
-            switch (command.command) {
-                case 'turnOn':
-                    await this._turnOn();
-                    break;
+            // Safe mode relays are returned to off so nothing stays energized while pfx is down
+            if (this.isInitialized && this.safeMode && this.currentState.state === 'on') {
+                await this._turnOff();
+            }
+            if (this.controller && this.controller.shutdown) {
+                await this.controller.shutdown();
+            }
+        } catch (error) {
+            this.logger.error('Error during shutdown:', error);
+        }
 
-                case 'turnOff':
-                    await this._turnOff();
-                    break;
+        this.isInitialized = false;
+        this.currentState.status = 'offline';
+        this.publishStatus();
+        this.logger.info('Relay device shutdown complete');
+    }
 
-                case 'toggle':
-                    await this._toggle();
-                    break;
+    getSupportedCommands() {
+        return ['turnOn', 'turnOff', 'toggle', 'pulse', 'lock', 'unlock', 'getStatus', 'getState'];
+    }
 
-                case 'pulse':
-                    await this._pulse(command.duration);
-                    break;
+    async handleCommand(command) {
+        return this._dispatchCommand(command);
+    }
 
-                case 'getStatus':
-                    this._publishState();
-                    break;
+    async _executeCommand(command) {
+        const mutating = ['turnOn', 'turnOff', 'toggle', 'pulse'].includes(command.command);
+        if (mutating && this.currentState.lockState) {
+            throw new Error('Relay is locked');
+        }
 
-                default:
-                    throw new Error(`Unknown relay command: ${command.command}`);
-            }
+        switch (command.command) {
+            case 'turnOn':
+                await this._turnOn();
+                break;
+            case 'turnOff':
+                await this._turnOff();
+                break;
+            case 'toggle':
+                await this._toggle();
+                break;
+            case 'pulse':
+                await this._pulse(command.duration);
+                break;
+            case 'lock':
+                this.currentState.lockState = true;
+                break;
+            case 'unlock':
+                this.currentState.lockState = false;
+                break;
+            case 'getStatus':
+            case 'getState':
+                break;
+        }
+    }
 
+    /**
+     * Take the state from the controller, when it can tell; a relay found on gets its
+     * max on-time timer
+     * @private
+     */
+    async _readState() {
+        if (typeof this.controller.getSwitchState !== 'function') return;
+        try {
+            const state = await this.controller.getSwitchState(this.switchId);
+            if (state !== 'on' && state !== 'off') return;
+            this.logger.info(`Relay is ${state}`);
+            if (state === 'on' && this.maxOnTime) await this._turnOn();
+            this.currentState.state = state;
         } catch (error) {
-            this.logger.error(`Relay command failed: ${command.command}`, error);
-            this._publishError('COMMAND_FAILED', `${command.command}: ${error.message}`);
-            throw error;
+            this.logger.warn(`Could not read relay state: ${error.message}`);
         }
     }
 
     async _turnOn() {
         this.logger.info('Turning relay on');
 
-        // TODO: Implement relay turn on based on controller type
+        await this.controller.turnSwitchOn(this.switchId);
         this.currentState.state = 'on';
-        this.currentState.status = 'on';
-
-        this._publishState();
+        this.currentState.lastUpdate = new Date().toISOString();
+
+        // Enforce max on-time if configured
+        if (this.maxOnTime) {
+            if (this.onTimer) clearTimeout(this.onTimer);
+            this.onTimer = setTimeout(() => {
+                this.onTimer = null;
+                this.logger.warn(`Relay exceeded max on time (${this.maxOnTime}ms); turning off`);
+                this._turnOff()
+                    .then(() => {
+                        this.publishStatus();
+                        this.publishEvent({ relay_auto_off: true, reason: 'max_on_time', max_on_time_ms: this.maxOnTime });
+                    })
+                    .catch(err => this.logger.error('Auto-off failed:', err));
+            }, this.maxOnTime);
+        }
     }
 
     async _turnOff() {
         this.logger.info('Turning relay off');
 
-        // TODO: Implement relay turn off
+        if (this.onTimer) {
+            clearTimeout(this.onTimer);
+            this.onTimer = null;
+        }
+        await this.controller.turnSwitchOff(this.switchId);
         this.currentState.state = 'off';
-        this.currentState.status = 'ready';
-
-        this._publishState();
+        this.currentState.lastUpdate = new Date().toISOString();
     }
 
     async _toggle() {
@@ -175,40 +241,100 @@ class RelayDevice {
     async _pulse(duration = 1000) {
         this.logger.info(`Pulsing relay for ${duration}ms`);
 
-        // TODO: Implement pulse operation
+        if (this.pulseTimer) clearTimeout(this.pulseTimer);
         await this._turnOn();
 
-        setTimeout(async () => {
-            await this._turnOff();
+        this.pulseTimer = setTimeout(() => {
+            this.pulseTimer = null;
+            this._turnOff()
+                .then(() => {
+                    this.publishStatus();
+                    this.publishEvent({ command: 'pulse', done: true, duration });
+                })
+                .catch(err => this.logger.error('Pulse turn-off failed:', err));
         }, duration);
     }
 
-    _publishState() {
-        const stateMessage = {
-            timestamp: new Date().toISOString(),
-            device: this.config.name,
-            type: 'state',
-            controller: this.config.controller,
-            device_id: this.config.deviceId,
-            ...this.currentState
-        };
+    _clearTimers() {
+        if (this.onTimer) { clearTimeout(this.onTimer); this.onTimer = null; }
+        if (this.pulseTimer) { clearTimeout(this.pulseTimer); this.pulseTimer = null; }
+    }
+}
 
-        this.mqttClient.publish(this.config.statusTopic, stateMessage);
+/**
+ * GPIO Controller for relays wired to Raspberry Pi header pins.
+ * Uses the `pinctrl` tool shipped with Raspberry Pi OS (works on Pi 3/4/5).
+ */
+class GPIOController {
+    constructor(config = {}) {
+        this.pin = parseInt(config.pin, 10);
+        this.activeLow = config.activeLow === true || config.activeLow === 'true';
+        this.logger = new Logger('GPIOController');
     }
 
-    _publishError(errorCode, message) {
-        const errorMessage = {
-            timestamp: new Date().toISOString(),
-            device: this.config.name,
-            type: 'error',
-            error_code: errorCode,
-            message: message,
-            source_topic: this.config.baseTopic
-        };
+    async initialize() {
+        if (isNaN(this.pin)) {
+            throw new Error('GPIO relay requires a numeric pin');
+        }
+        await this._pinctrl(['set', String(this.pin), 'op']);
+    }
+
+    async turnSwitchOn() {
+        await this._pinctrl(['set', String(this.pin), 'op', this.activeLow ? 'dl' : 'dh']);
+        return { success: true, pin: this.pin, state: 'on' };
+    }
+
+    async turnSwitchOff() {
+        await this._pinctrl(['set', String(this.pin), 'op', this.activeLow ? 'dh' : 'dl']);
+        return { success: true, pin: this.pin, state: 'off' };
+    }
+
+    /**
+     * Pin level from `pinctrl get` ("17: op dh pn | hi // GPIO17 = output")
+     */
+    async getSwitchState() {
+        const stdout = await this._pinctrl(['get', String(this.pin)]);
+        const match = stdout.match(/\|\s*(hi|lo)\b/);
+        if (!match) return 'unknown';
+        return (match[1] === 'hi') !== this.activeLow ? 'on' : 'off';
+    }
+
+    _pinctrl(args) {
+        return new Promise((resolve, reject) => {
+            execFile('pinctrl', args, { timeout: 3000 }, (err, stdout) => {
+                if (err) return reject(new Error(`pinctrl ${args.join(' ')} failed: ${err.message}`));
+                resolve(stdout);
+            });
+        });
+    }
+}
+
+/**
+ * Mock Relay Controller for testing and development
+ */
+class MockRelayController {
+    constructor() {
+        this.logger = new Logger('MockRelayController');
+        this.switches = new Map();
+    }
+
+    async turnSwitchOn(switchId) {
+        this.logger.debug(`Mock turnSwitchOn ${switchId}`);
+        this.switches.set(switchId, 'on');
+        return { success: true, switchId, state: 'on' };
+    }
+
+    async turnSwitchOff(switchId) {
+        this.logger.debug(`Mock turnSwitchOff ${switchId}`);
+        this.switches.set(switchId, 'off');
+        return { success: true, switchId, state: 'off' };
+    }
 
-        this.mqttClient.publish(this.config.statusTopic, errorMessage);
-        this.mqttClient.publish(this.mqttClient.config.heartbeatTopic, errorMessage);
+    async getSwitchState(switchId) {
+        return this.switches.get(switchId) || 'unknown';
     }
 }
 
 module.exports = RelayDevice;
+module.exports.GPIOController = GPIOController;
+module.exports.MockRelayController = MockRelayController;
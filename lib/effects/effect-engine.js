@@ -1,66 +1,105 @@
 /**
- * Effect Engine (Framework)
- * 
- * Framework for lighting effect macros and scripts.
- * Supports common effects across multiple controller types.
+ * Effect Engine
+ *
+ * Software lighting effects (FADE, BLINK, FLIP, DISCO, FLAME, MORSE) that run over any
+ * controller implementing the common light API (see light-device.js).
+ *
+ * Each effect is a sequence of frames. A frame applies a state to the target lights and
+ * holds it for a duration; frames are scheduled against the effect start time so slow
+ * controller calls do not make the effect drift. The state of the targets before the
+ * effect is captured and restored by stopEffect().
+ *
+ * Events:
+ *   'effectCompleted' (effectId, effect) - a finite effect ran to its end (fades keep their
+ *                                          target state, other effects restore the lights)
+ *   'effectStopped'   (effectId, effect) - stopEffect() ended an effect
+ *   'effectFailed'    (effectId, effect) - every target failed for several frames in a row
  */
 
+const EventEmitter = require('events');
 const Logger = require('../utils/logger');
+const Utils = require('../utils/utils');
 
-class EffectEngine {
+const EFFECT_TYPES = ['FADE', 'BLINK', 'FLIP', 'DISCO', 'FLAME', 'MORSE'];
+
+// Consecutive frames in which every target failed before a running effect is abandoned
+const MAX_FAILED_FRAMES = 5;
+
+class EffectEngine extends EventEmitter {
     constructor() {
+        super();
         this.logger = new Logger('EffectEngine');
-        this.runningEffects = new Map(); // effectId -> { controller, config, interval }
+        this.runningEffects = new Map(); // effectId -> { type, controller, targets, parameters, timeout, previousState }
         this.effectId = 1;
     }
 
+    /**
+     * Whether a name is one of the engine's effects (case-insensitive)
+     */
+    static isEngineEffect(name) {
+        return typeof name === 'string' && EFFECT_TYPES.includes(name.toUpperCase());
+    }
+
     /**
      * Start a lighting effect
      * @param {string} effectType - Type of effect (FADE, BLINK, etc.)
      * @param {Object} controller - Light controller instance
      * @param {Array} targets - Target lights/groups
      * @param {Object} parameters - Effect parameters
+     * @param {Object} [options]
+     * @param {Object} [options.previousState] - {power, brightness, color} to restore when the
+     *   controller cannot report light status
      * @returns {string} Effect ID for stopping later
      */
-    async startEffect(effectType, controller, targets, parameters) {
+    async startEffect(effectType, controller, targets, parameters = {}, options = {}) {
+        const type = String(effectType || '').toUpperCase();
+        if (!EFFECT_TYPES.includes(type)) {
+            throw new Error(`Unknown effect type: ${effectType}`);
+        }
+        if (!Array.isArray(targets) || targets.length === 0) {
+            throw new Error('Effect requires at least one target light');
+        }
+
         const effectId = `effect_${this.effectId++}`;
-        this.logger.info(`Starting effect ${effectType} with ID ${effectId}`);
+        this.logger.info(`Starting effect ${type} with ID ${effectId}`);
 
         try {
-            switch (effectType.toUpperCase()) {
-                case 'FADE':
-                    await this._startFadeEffect(effectId, controller, targets, parameters);
-                    break;
-
-                case 'BLINK':
-                    await this._startBlinkEffect(effectId, controller, targets, parameters);
-                    break;
-
-                case 'FLIP':
-                    await this._startFlipEffect(effectId, controller, targets, parameters);
-                    break;
-
-                case 'DISCO':
-                    await this._startDiscoEffect(effectId, controller, targets, parameters);
-                    break;
-
-                case 'FLAME':
-                    await this._startFlameEffect(effectId, controller, targets, parameters);
-                    break;
-
-                case 'MORSE':
-                    await this._startMorseEffect(effectId, controller, targets, parameters);
-                    break;
-
-                default:
-                    throw new Error(`Unknown effect type: ${effectType}`);
+            const frames = this._buildFrames(type, targets, parameters || {});
+
+            // An effect on the same lights replaces the running one; the original
+            // pre-effect state is carried over so stopping restores it.
+            const previousState = await this._takeOver(controller, targets) ||
+                await this._captureState(controller, targets, options.previousState);
+
+            const effect = {
+                id: effectId,
+                type,
+                controller,
+                targets,
+                parameters: parameters || {},
+                previousState,
+                startTime: Date.now(),
+                elapsed: 0,
+                frame: 0,
+                failedFrames: 0,
+                timeout: null,
+                pending: null
+            };
+            this.runningEffects.set(effectId, effect);
+
+            // Apply the first frame before returning so controller errors reach the caller
+            const ok = await this._runFrame(effect, frames);
+            if (!ok) {
+                this.runningEffects.delete(effectId);
+                clearTimeout(effect.timeout);
+                throw new Error(`Effect ${type} could not drive any target light`);
             }
 
-            this.logger.info(`Effect ${effectType} started with ID ${effectId}`);
+            this.logger.info(`Effect ${type} started with ID ${effectId}`);
             return effectId;
 
         } catch (error) {
-            this.logger.error(`Failed to start effect ${effectType}:`, error);
+            this.logger.error(`Failed to start effect ${type}:`, error);
             throw error;
         }
     }
@@ -68,38 +107,48 @@ class EffectEngine {
     /**
      * Stop a running effect
      * @param {string} effectId - Effect ID to stop
+     * @param {Object} [options]
+     * @param {boolean} [options.restore=true] - Restore the pre-effect state of the lights
+     * @returns {boolean} false when no such effect is running
      */
-    async stopEffect(effectId) {
+    async stopEffect(effectId, options = {}) {
         const effect = this.runningEffects.get(effectId);
         if (!effect) {
             this.logger.warn(`Effect not found: ${effectId}`);
-            return;
+            return false;
         }
 
         this.logger.info(`Stopping effect ${effectId}`);
 
-        if (effect.interval) {
-            clearInterval(effect.interval);
-        }
-
+        this.runningEffects.delete(effectId);
         if (effect.timeout) {
             clearTimeout(effect.timeout);
         }
 
-        this.runningEffects.delete(effectId);
+        // Let an in-flight frame land before restoring so it cannot overwrite the restore
+        if (effect.pending) {
+            await effect.pending;
+        }
 
+        if (options.restore !== false) {
+            await this._restoreState(effect);
+        }
+
+        this.emit('effectStopped', effectId, effect);
         this.logger.info(`Effect ${effectId} stopped`);
+        return true;
     }
 
     /**
      * Stop all running effects
+     * @param {Object} [options] - As for stopEffect
      */
-    async stopAllEffects() {
+    async stopAllEffects(options = {}) {
         this.logger.info('Stopping all effects...');
 
         const effectIds = Array.from(this.runningEffects.keys());
         for (const effectId of effectIds) {
-            await this.stopEffect(effectId);
+            await this.stopEffect(effectId, options);
         }
 
         this.logger.info('All effects stopped');
@@ -112,144 +161,374 @@ class EffectEngine {
         return Array.from(this.runningEffects.keys());
     }
 
-    // Effect implementations (to be completed)
+    // Frame scheduling
 
-    async _startFadeEffect(effectId, controller, targets, parameters) {
-        // TODO: Implement FADE effect
-        // Parameters: targetColor, targetBrightness, transitionDuration
-        const { targetColor, targetBrightness, transitionDuration = 1000 } = parameters;
+    /**
+     * Apply the effect's next frame and schedule the one after it.
+     * Resolves false when every target failed on this frame.
+     * @private
+     */
+    async _runFrame(effect, frames) {
+        const frame = frames(effect.frame++, effect);
+        if (!frame) {
+            await this._complete(effect);
+            return true;
+        }
 
-        this.logger.debug(`FADE effect: ${targetColor}, brightness: ${targetBrightness}, duration: ${transitionDuration}ms`);
+        effect.pending = this._applyFrame(effect, frame);
+        const ok = await effect.pending;
+        effect.pending = null;
 
-        // Store effect info
-        this.runningEffects.set(effectId, {
-            type: 'FADE',
-            controller,
-            targets,
-            parameters,
-            startTime: Date.now()
-        });
+        if (!this.runningEffects.has(effect.id)) return ok;
+        if (frame.last) {
+            await this._complete(effect);
+            return ok;
+        }
+
+        effect.failedFrames = ok ? 0 : effect.failedFrames + 1;
+        if (effect.failedFrames >= MAX_FAILED_FRAMES) {
+            this.runningEffects.delete(effect.id);
+            this.logger.error(`Effect ${effect.id} (${effect.type}) abandoned: target lights are not responding`);
+            this.emit('effectFailed', effect.id, effect);
+            return ok;
+        }
+
+        effect.elapsed += frame.duration;
+        const delay = Math.max(0, effect.startTime + effect.elapsed - Date.now());
+        effect.timeout = setTimeout(() => {
+            effect.timeout = null;
+            this._runFrame(effect, frames).catch(error => {
+                this.logger.error(`Effect ${effect.id} frame failed:`, error);
+            });
+        }, delay);
+        return ok;
+    }
+
+    /**
+     * Send one frame to every target; frames either give one state for all targets or
+     * a per-target state via `states`.
+     * @private
+     */
+    async _applyFrame(effect, frame) {
+        const results = await Promise.allSettled(effect.targets.map((id, i) => {
+            const state = frame.states ? frame.states[i] : frame;
+            return this._applyState(effect.controller, id, state, frame.transition || 0);
+        }));
+
+        const failed = results.filter(r => r.status === 'rejected');
+        failed.forEach(r => this.logger.warn(`Effect ${effect.id} (${effect.type}): ${r.reason && r.reason.message}`));
+        return failed.length < results.length;
+    }
+
+    async _applyState(controller, lightId, state, transition) {
+        if (state.power === 'off' || state.brightness === 0) {
+            return controller.turnLightOff(lightId, transition);
+        }
+        if (state.color) {
+            return controller.setLightColor(lightId, state.color, state.brightness !== undefined ? state.brightness : null, transition);
+        }
+        if (state.brightness !== undefined && state.brightness !== null) {
+            return controller.turnLightOn(lightId, state.brightness, transition);
+        }
+        return controller.turnLightOn(lightId, null, transition);
+    }
+
+    /**
+     * A finite effect ended: a fade leaves its target state, everything else
+     * (blink/flip/morse/... with a count or duration) puts the lights back as they were.
+     * @private
+     */
+    async _complete(effect) {
+        if (!this.runningEffects.delete(effect.id)) return;
+        if (effect.type !== 'FADE') {
+            await this._restoreState(effect);
+        }
+        this.logger.info(`Effect ${effect.id} (${effect.type}) completed`);
+        this.emit('effectCompleted', effect.id, effect);
+    }
+
+    // Previous state handling
+
+    async _takeOver(controller, targets) {
+        for (const [effectId, effect] of this.runningEffects) {
+            if (effect.controller === controller && effect.targets.some(t => targets.includes(t))) {
+                const previousState = effect.previousState;
+                await this.stopEffect(effectId, { restore: false });
+                if (targets.every(t => effect.targets.includes(t))) {
+                    return targets.map(t => previousState[effect.targets.indexOf(t)]);
+                }
+            }
+        }
+        return null;
+    }
+
+    async _captureState(controller, targets, fallback) {
+        return Promise.all(targets.map(async id => {
+            if (typeof controller.getLightStatus === 'function') {
+                try {
+                    const status = await controller.getLightStatus(id);
+                    if (status && (status.state === 'on' || status.state === 'off')) {
+                        return { power: status.state, brightness: status.brightness, color: status.color || null };
+                    }
+                } catch (error) {
+                    this.logger.debug(`Could not read state of ${id} before effect: ${error.message}`);
+                }
+            }
+            return fallback ? { power: fallback.power, brightness: fallback.brightness, color: fallback.color || null } : null;
+        }));
+    }
+
+    async _restoreState(effect) {
+        await Promise.allSettled(effect.targets.map(async (id, i) => {
+            const state = effect.previousState[i];
+            if (!state) return;
+            try {
+                if (state.power === 'off') {
+                    await effect.controller.turnLightOff(id, 0);
+                } else {
+                    await this._applyState(effect.controller, id, {
+                        color: state.color || undefined,
+                        brightness: typeof state.brightness === 'number' ? state.brightness : undefined
+                    }, 0);
+                }
+            } catch (error) {
+                this.logger.warn(`Could not restore ${id} after effect ${effect.id}: ${error.message}`);
+            }
+        }));
+    }
+
+    // Effect implementations: each returns frames(index, effect) -> {color, brightness, power, duration, transition, last} | null
+
+    _buildFrames(type, targets, parameters) {
+        switch (type) {
+            case 'FADE': return this._startFadeEffect(targets, parameters);
+            case 'BLINK': return this._startBlinkEffect(targets, parameters);
+            case 'FLIP': return this._startFlipEffect(targets, parameters);
+            case 'DISCO': return this._startDiscoEffect(targets, parameters);
+            case 'FLAME': return this._startFlameEffect(targets, parameters);
+            case 'MORSE': return this._startMorseEffect(targets, parameters);
+        }
+    }
 
-        // TODO: Implement gradual color/brightness transition
+    /**
+     * Parameters: fromColor, targetColor, fromBrightness, targetBrightness, transitionDuration,
+     * stepInterval (ms between interpolated steps, default 100). Start values default to the
+     * state of the first target before the effect; with only fromColor, it fades back to
+     * that state's color.
+     */
+    _startFadeEffect(targets, parameters) {
+        const {
+            fromColor,
+            targetColor,
+            fromBrightness,
+            targetBrightness = 100,
+            transitionDuration = 1000,
+            stepInterval = 100
+        } = parameters;
+
+        this.logger.debug(`FADE effect: ${targetColor}, brightness: ${targetBrightness}, duration: ${transitionDuration}ms`);
+
+        let to = targetColor ? Utils.parseColor(targetColor) : null;
+        const interval = Math.max(20, Number(stepInterval) || 100);
+        const steps = Math.max(1, Math.round(Number(transitionDuration) / interval));
+        const stepDuration = Number(transitionDuration) / steps;
+        let from = fromColor ? Utils.parseColor(fromColor) : null;
+        let startLevel = fromBrightness !== undefined ? Number(fromBrightness) : null;
+
+        return (index, effect) => {
+            if (index > steps) return null;
+            if (index === 0) {
+                const before = effect.previousState[0] || {};
+                if (to && !from) from = before.color ? safeParse(before.color) || to : to;
+                if (from && !to) to = before.color ? safeParse(before.color) || from : from;
+                if (startLevel === null) {
+                    startLevel = before.power === 'on' && typeof before.brightness === 'number' ? before.brightness : 0;
+                }
+            }
+            const t = index / steps;
+            const brightness = Math.round(lerp(startLevel, Number(targetBrightness), t));
+            const frame = { brightness, duration: stepDuration, transition: index === 0 ? 0 : stepDuration, last: index === steps };
+            if (from) frame.color = toHex(lerpColor(from, to, t));
+            return frame;
+        };
     }
 
-    async _startBlinkEffect(effectId, controller, targets, parameters) {
-        // TODO: Implement BLINK effect
-        // Parameters: targetColor, targetBrightness, durationOn, durationOff, transitionDuration
+    /**
+     * Parameters: targetColor, targetBrightness, durationOn, durationOff, transitionDuration,
+     * count (blinks; endless when omitted)
+     */
+    _startBlinkEffect(targets, parameters) {
         const {
             targetColor,
-            targetBrightness,
+            targetBrightness = 100,
             durationOn = 500,
             durationOff = 500,
-            transitionDuration = 100
+            transitionDuration = 100,
+            count
         } = parameters;
 
         this.logger.debug(`BLINK effect: on ${durationOn}ms, off ${durationOff}ms`);
 
-        // TODO: Implement alternating on/off pattern
-        const interval = setInterval(async () => {
-            // Alternate between on and off states
-        }, durationOn + durationOff);
-
-        this.runningEffects.set(effectId, {
-            type: 'BLINK',
-            controller,
-            targets,
-            parameters,
-            interval,
-            startTime: Date.now()
-        });
+        const color = targetColor ? toHex(Utils.parseColor(targetColor)) : undefined;
+        const frames = count ? Number(count) * 2 : Infinity;
+
+        return (index) => {
+            if (index >= frames) return null;
+            return index % 2 === 0
+                ? { color, brightness: Number(targetBrightness), duration: Number(durationOn), transition: transitionDuration }
+                : { power: 'off', duration: Number(durationOff), transition: transitionDuration };
+        };
     }
 
-    async _startFlipEffect(effectId, controller, targets, parameters) {
-        // TODO: Implement FLIP effect
-        // Parameters: colorList, durationOn, durationOff, transitionDuration
+    /**
+     * Parameters: colorList, brightness, durationOn, durationOff (0 = no off gap),
+     * transitionDuration, count (cycles through the list; endless when omitted)
+     */
+    _startFlipEffect(targets, parameters) {
         const {
             colorList = [],
+            brightness = 100,
             durationOn = 1000,
             durationOff = 100,
-            transitionDuration = 200
+            transitionDuration = 200,
+            count
         } = parameters;
 
         this.logger.debug(`FLIP effect: ${colorList.length} colors, ${durationOn}ms each`);
 
-        // TODO: Implement color cycling
-        this.runningEffects.set(effectId, {
-            type: 'FLIP',
-            controller,
-            targets,
-            parameters,
-            startTime: Date.now()
-        });
+        if (!Array.isArray(colorList) || colorList.length === 0) {
+            throw new Error('FLIP effect requires a non-empty colorList');
+        }
+        const colors = colorList.map(c => toHex(Utils.parseColor(c)));
+        const perColor = Number(durationOff) > 0 ? 2 : 1;
+        const frames = count ? Number(count) * colors.length * perColor : Infinity;
+
+        return (index) => {
+            if (index >= frames) return null;
+            if (perColor === 2 && index % 2 === 1) {
+                return { power: 'off', duration: Number(durationOff), transition: transitionDuration };
+            }
+            const color = colors[Math.floor(index / perColor) % colors.length];
+            return { color, brightness: Number(brightness), duration: Number(durationOn), transition: transitionDuration };
+        };
     }
 
-    async _startDiscoEffect(effectId, controller, targets, parameters) {
-        // TODO: Implement DISCO effect
-        // Parameters: brightness, triggerInterval, transitionDuration, synced
+    /**
+     * Parameters: brightness, triggerInterval, transitionDuration, synced (same color on
+     * every target), duration (total ms; endless when omitted)
+     */
+    _startDiscoEffect(targets, parameters) {
         const {
             brightness = 100,
             triggerInterval = 200,
             transitionDuration = 50,
-            synced = false
+            synced = false,
+            duration
         } = parameters;
 
         this.logger.debug(`DISCO effect: synced=${synced}, interval=${triggerInterval}ms`);
 
-        // TODO: Implement random color changes
-        this.runningEffects.set(effectId, {
-            type: 'DISCO',
-            controller,
-            targets,
-            parameters,
-            startTime: Date.now()
-        });
+        const interval = Math.max(20, Number(triggerInterval) || 200);
+        const frames = duration ? Math.ceil(Number(duration) / interval) : Infinity;
+
+        return (index) => {
+            if (index >= frames) return null;
+            const frame = { duration: interval, transition: transitionDuration };
+            if (synced) {
+                frame.color = this._generateRandomColor();
+                frame.brightness = Number(brightness);
+            } else {
+                frame.states = targets.map(() => ({ color: this._generateRandomColor(), brightness: Number(brightness) }));
+            }
+            return frame;
+        };
     }
 
-    async _startFlameEffect(effectId, controller, targets, parameters) {
-        // TODO: Implement FLAME effect
-        // Parameters: baseColor, brightness, synced
+    /**
+     * Parameters: baseColor, brightness, intensity (0-1 flicker depth, default 0.4),
+     * minInterval/maxInterval (ms between flickers), synced, duration (total ms; endless
+     * when omitted)
+     */
+    _startFlameEffect(targets, parameters) {
         const {
             baseColor = '#FF4500',
             brightness = 80,
-            synced = false
+            intensity = 0.4,
+            minInterval = 80,
+            maxInterval = 220,
+            synced = false,
+            duration
         } = parameters;
 
         this.logger.debug(`FLAME effect: color=${baseColor}, synced=${synced}`);
 
-        // TODO: Implement flame-like flickering
-        this.runningEffects.set(effectId, {
-            type: 'FLAME',
-            controller,
-            targets,
-            parameters,
-            startTime: Date.now()
-        });
+        const base = Utils.parseColor(baseColor);
+        const depth = Math.max(0, Math.min(1, Number(intensity)));
+        const lo = Math.max(20, Number(minInterval));
+        const hi = Math.max(lo, Number(maxInterval));
+
+        // Flicker: dim towards (1 - depth) of the base brightness and shift towards red as it dims
+        const flicker = () => {
+            const k = Math.random();
+            const level = Math.max(1, Math.round(Number(brightness) * (1 - depth * k)));
+            const color = toHex({
+                r: base.r,
+                g: Math.round(base.g * (1 - 0.5 * depth * k)),
+                b: Math.round(base.b * (1 - depth * k))
+            });
+            return { color, brightness: level };
+        };
+
+        let elapsed = 0;
+        return () => {
+            if (duration && elapsed >= Number(duration)) return null;
+            const step = lo + Math.random() * (hi - lo);
+            elapsed += step;
+            const frame = { duration: step, transition: step };
+            if (synced) Object.assign(frame, flicker());
+            else frame.states = targets.map(flicker);
+            return frame;
+        };
     }
 
-    async _startMorseEffect(effectId, controller, targets, parameters) {
-        // TODO: Implement MORSE effect
-        // Parameters: message, targetColor, targetBrightness, dotDuration
+    /**
+     * Parameters: message, targetColor, targetBrightness, dotDuration (one Morse unit, ms),
+     * repeat (loop with a word gap between repetitions)
+     */
+    _startMorseEffect(targets, parameters) {
         const {
             message = 'SOS',
             targetColor,
             targetBrightness = 100,
-            dotDuration = 200
+            dotDuration = 200,
+            repeat = false
         } = parameters;
 
         this.logger.debug(`MORSE effect: "${message}", dot duration=${dotDuration}ms`);
 
-        // TODO: Implement Morse code pattern
-        this.runningEffects.set(effectId, {
-            type: 'MORSE',
-            controller,
-            targets,
-            parameters,
-            startTime: Date.now()
-        });
+        const timeline = this._morseTimeline(String(message), Number(dotDuration));
+        if (!timeline.length) {
+            throw new Error(`Nothing to send in Morse message: "${message}"`);
+        }
+        if (repeat) {
+            timeline.push({ on: false, duration: 7 * Number(dotDuration) });
+        }
+        const color = targetColor ? toHex(Utils.parseColor(targetColor)) : undefined;
+
+        return (index) => {
+            if (!repeat && index >= timeline.length) return null;
+            const { on, duration } = timeline[index % timeline.length];
+            return on
+                ? { color, brightness: Number(targetBrightness), duration }
+                : { power: 'off', duration };
+        };
     }
 
+    /**
+     * Convert text to Morse: letters separated by spaces, words by " / "
+     * (unknown characters are dropped)
+     */
     _textToMorse(text) {
-        // TODO: Convert text to Morse code pattern
         const morseCode = {
             'A': '.-', 'B': '-...', 'C': '-.-.', 'D': '-..', 'E': '.', 'F': '..-.',
             'G': '--.', 'H': '....', 'I': '..', 'J': '.---', 'K': '-.-', 'L': '.-..',
@@ -257,10 +536,43 @@ class EffectEngine {
             'S': '...', 'T': '-', 'U': '..-', 'V': '...-', 'W': '.--', 'X': '-..-',
             'Y': '-.--', 'Z': '--..', '0': '-----', '1': '.----', '2': '..---',
             '3': '...--', '4': '....-', '5': '.....', '6': '-....', '7': '--...',
-            '8': '---..', '9': '----.', ' ': '/'
+            '8': '---..', '9': '----.'
+        };
+
+        return text.toUpperCase().trim().split(/\s+/)
+            .map(word => word.split('').map(char => morseCode[char]).filter(Boolean).join(' '))
+            .filter(Boolean)
+            .join(' / ');
+    }
+
+    /**
+     * On/off timeline for a message using standard unit timing: dot 1, dash 3,
+     * gap within a letter 1, between letters 3, between words 7. The final element is
+     * the last mark (no trailing gap).
+     * @returns {Array<{on: boolean, duration: number}>}
+     */
+    _morseTimeline(text, unit) {
+        const timeline = [];
+        const gap = units => {
+            const last = timeline[timeline.length - 1];
+            if (!last) return;
+            if (last.on) timeline.push({ on: false, duration: units * unit });
+            else last.duration = Math.max(last.duration, units * unit);
         };
 
-        return text.toUpperCase().split('').map(char => morseCode[char] || '').join(' ');
+        this._textToMorse(text).split(' ').forEach(token => {
+            if (token === '/') {
+                gap(7);
+                return;
+            }
+            gap(3);
+            token.split('').forEach((symbol, i) => {
+                if (i > 0) gap(1);
+                timeline.push({ on: true, duration: (symbol === '-' ? 3 : 1) * unit });
+            });
+        });
+
+        return timeline;
     }
 
     _generateRandomColor() {
@@ -268,8 +580,33 @@ class EffectEngine {
         const r = Math.floor(Math.random() * 256);
         const g = Math.floor(Math.random() * 256);
         const b = Math.floor(Math.random() * 256);
-        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`.toUpperCase();
     }
 }
 
+function toHex({ r, g, b }) {
+    return Utils.rgbToHex(r, g, b);
+}
+
+function safeParse(color) {
+    try {
+        return Utils.parseColor(color);
+    } catch (_) {
+        return null;
+    }
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function lerpColor(from, to, t) {
+    return {
+        r: Math.round(lerp(from.r, to.r, t)),
+        g: Math.round(lerp(from.g, to.g, t)),
+        b: Math.round(lerp(from.b, to.b, t))
+    };
+}
+
 module.exports = EffectEngine;
+module.exports.EFFECT_TYPES = EFFECT_TYPES;
@@ -29,6 +29,7 @@ const path = require('path');
 const Logger = require('../utils/logger');
 const Utils = require('../utils/utils');
 const PlaybackMonitor = require('./playback-monitor');
+const correlation = require('../core/correlation');
 
 class AudioManager {
     constructor(config, zone = null) {
@@ -697,6 +698,7 @@ class AudioManager {
             filePath: resolvedPath,
             volume: targetVolume,
             duckVolume,
+            correlation: correlation.current(), // completion event answers the queuing command
             _resolve: resolveFn,
             _reject: rejectFn
         });
@@ -1189,12 +1191,12 @@ class AudioManager {
                     const filename = path.basename(speechItem.filePath);
                     // Publish consolidated event for both natural and interrupted endings
                     if (natural) {
-                        this.zone.publishMessage('events', {
+                        correlation.run(speechItem.correlation, () => this.zone.publishMessage('events', {
                             command: 'playSpeech',
                             file: filename,
                             done: true,
                             message: 'Full file played'
-                        });
+                        }));
                         this.logger.info(`Published speech completion (full) for: ${filename}`);
                     } else {
                         // Interrupted path retains elapsed timestamp if available
@@ -1205,12 +1207,12 @@ class AudioManager {
                             const ss = String(totalSec % 60).padStart(2, '0');
                             human = `${mm}:${ss}`;
                         }
-                        this.zone.publishMessage('events', {
+                        correlation.run(speechItem.correlation, () => this.zone.publishMessage('events', {
                             command: 'playSpeech',
                             file: filename,
                             done: true,
                             message: human ? `Interrupted at ${human}` : 'Interrupted'
-                        });
+                        }));
                         this.logger.info(`Published speech completion (interrupted) for: ${filename}`);
                     }
                 }
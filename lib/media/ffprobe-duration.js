@@ -7,9 +7,12 @@ class FfprobeDurationCache {
     }
     get(p) { return this.cache.get(p); }
     set(p, v) { this.cache.set(p, v); }
+    delete(p) { this.cache.delete(p); }
 }
 
 const globalCache = new FfprobeDurationCache();
+// Full probe results ({duration, width, height}) by abs path; durations also go to globalCache
+const infoCache = new Map();
 
 function probeDurationSeconds(absPath, { timeoutMs = 4000 } = {}) {
     const cached = globalCache.get(absPath);
@@ -45,4 +48,98 @@ function probeDurationSeconds(absPath, { timeoutMs = 4000 } = {}) {
     });
 }
 
-module.exports = { probeDurationSeconds, ffprobeDurationCache: globalCache };
+/**
+ * Probe duration (seconds, null for stills) and first video stream resolution (null for
+ * audio) in one ffprobe run. A known duration is cached like probeDurationSeconds().
+ * @param {string} absPath
+ * @returns {Promise<{duration: number|null, width: number|null, height: number|null}>}
+ */
+function probeMediaInfo(absPath, { timeoutMs = 4000 } = {}) {
+    const cached = infoCache.get(absPath);
+    if (cached) return Promise.resolve(cached);
+    return new Promise((resolve, reject) => {
+        const ff = spawn('ffprobe', [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-show_entries', 'format=duration:stream=width,height',
+            '-of', 'json',
+            absPath
+        ]);
+        let out = ''; let err = '';
+        const to = setTimeout(() => {
+            try { ff.kill('SIGKILL'); } catch (_) { }
+            reject(new Error('ffprobe timeout'));
+        }, timeoutMs);
+        ff.stdout.on('data', d => out += d);
+        ff.stderr.on('data', d => err += d);
+        ff.on('error', e => { clearTimeout(to); reject(e); });
+        ff.on('close', code => {
+            clearTimeout(to);
+            if (code !== 0) {
+                reject(new Error(err.trim() || ('ffprobe exited code ' + code)));
+                return;
+            }
+            let parsed;
+            try { parsed = JSON.parse(out); } catch (_) {
+                reject(new Error('invalid ffprobe output'));
+                return;
+            }
+            const stream = (parsed.streams || [])[0] || {};
+            const duration = parseFloat(parsed.format && parsed.format.duration);
+            const info = {
+                duration: isNaN(duration) ? null : duration,
+                width: stream.width || null,
+                height: stream.height || null
+            };
+            if (info.duration != null) globalCache.set(absPath, info.duration);
+            infoCache.set(absPath, info);
+            resolve(info);
+        });
+    });
+}
+
+/**
+ * Check that ffprobe can demux a file and decode its first frame. Rejects with the
+ * ffprobe error output; a missing ffprobe binary rejects with code ENOENT.
+ * @param {string} absPath
+ * @returns {Promise<void>}
+ */
+function probeDecode(absPath, { timeoutMs = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const ff = spawn('ffprobe', [
+            '-v', 'error',
+            '-read_intervals', '%+#1',
+            '-show_entries', 'frame=media_type',
+            '-of', 'json',
+            absPath
+        ]);
+        let out = ''; let err = '';
+        const to = setTimeout(() => {
+            try { ff.kill('SIGKILL'); } catch (_) { }
+            reject(new Error('ffprobe timeout'));
+        }, timeoutMs);
+        ff.stdout.on('data', d => out += d);
+        ff.stderr.on('data', d => err += d);
+        ff.on('error', e => { clearTimeout(to); reject(e); });
+        ff.on('close', code => {
+            clearTimeout(to);
+            let frames = [];
+            try { frames = JSON.parse(out).frames || []; } catch (_) { }
+            if (code !== 0 || err.trim() || !frames.length) {
+                reject(new Error(err.trim().split('\n')[0] || (code !== 0 ? 'ffprobe exited code ' + code : 'no decodable frame')));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Drop cached probe results for a file that changed
+ */
+function forget(absPath) {
+    globalCache.delete(absPath);
+    infoCache.delete(absPath);
+}
+
+module.exports = { probeDurationSeconds, probeMediaInfo, probeDecode, forget, ffprobeDurationCache: globalCache };
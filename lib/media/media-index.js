@@ -0,0 +1,269 @@
+/**
+ * Media Index
+ *
+ * In-memory list of the media files under one zone's media directory, so operators
+ * (and the listMedia command) can see which names play commands will actually find.
+ * Entries are keyed by their path relative to the root, '/'-separated: exactly what
+ * play commands take.
+ *
+ * build() walks the tree, then follows it with one fs.watch per directory (recursive
+ * watching is not reliable on Linux), rescanning shortly after changes settle. Duration and resolution come from ffprobe in the background, one file at a
+ * time, and are only re-probed when a file's size or mtime changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MediaPlayerFactory = require('./media-player-factory');
+const { probeMediaInfo, forget } = require('./ffprobe-duration');
+const Logger = require('../utils/logger');
+
+// Bound, so a mis-set media directory (e.g. /) cannot stall startup
+const MAX_FILES = 5000;
+// Quiet period after the last change before rescanning (copies fire many events)
+const RESCAN_DEBOUNCE_MS = 500;
+
+class MediaIndex {
+    /**
+     * @param {string} root - Absolute media directory
+     * @param {Object} [options]
+     * @param {boolean} [options.probe=true] - Probe duration and resolution with ffprobe
+     * @param {boolean} [options.watch=true] - Follow changes after build()
+     * @param {number} [options.debounceMs]
+     * @param {number} [options.maxFiles]
+     */
+    constructor(root, { probe = true, watch = true, debounceMs = RESCAN_DEBOUNCE_MS, maxFiles = MAX_FILES } = {}) {
+        this.root = root;
+        this.probe = probe;
+        this.watchEnabled = watch;
+        this.debounceMs = debounceMs;
+        this.maxFiles = maxFiles;
+        this.logger = new Logger('MediaIndex');
+
+        this.entries = new Map();
+        this.watchers = new Map(); // dir -> fs.FSWatcher
+        this.dirs = []; // directories the last scan read
+        this.truncated = false;
+        this.builtAt = null;
+        this.closed = false;
+
+        this._rescanTimer = null;
+        this._scanning = null;
+        this._rescanPending = false;
+        this._probeQueue = [];
+        this._probing = null;
+    }
+
+    /**
+     * Scan the tree and, unless disabled, start watching it
+     * @returns {Promise<MediaIndex>}
+     */
+    async build() {
+        await this._scan();
+        if (this.watchEnabled) this._syncWatchers();
+        return this;
+    }
+
+    /**
+     * Indexed files, sorted by path
+     * @param {Object} [filter]
+     * @param {string} [filter.type] - 'image', 'video' or 'audio'
+     * @param {string} [filter.folder] - Only files under this subfolder (relative to the root)
+     * @returns {Array<Object>} {path, type, size, modified, duration, width, height}
+     */
+    list({ type, folder } = {}) {
+        const prefix = MediaIndex.normalizeFolder(folder);
+        const files = [];
+        for (const entry of this.entries.values()) {
+            if (type && entry.type !== type) continue;
+            if (prefix && !entry.path.startsWith(`${prefix}/`)) continue;
+            files.push({ ...entry });
+        }
+        return files.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Entry for a path as play commands give it, or undefined
+     */
+    get(relPath) {
+        const entry = this.entries.get(String(relPath).split(path.sep).join('/').replace(/^\.?\/+/, ''));
+        return entry ? { ...entry } : undefined;
+    }
+
+    /**
+     * Resolves once the running scan and queued probes have finished (or been abandoned on close)
+     */
+    async settled() {
+        while (this._scanning || this._probing) {
+            await (this._scanning || this._probing);
+        }
+    }
+
+    /**
+     * Stop watching and probing
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this._rescanTimer);
+        this._rescanTimer = null;
+        for (const watcher of this.watchers.values()) watcher.close();
+        this.watchers.clear();
+        this._probeQueue = [];
+    }
+
+    /**
+     * Subfolder filter as an index path prefix ('' for the whole tree)
+     */
+    static normalizeFolder(folder) {
+        if (folder == null) return '';
+        return String(folder).split(path.sep).join('/').replace(/^[./]+|\/+$/g, '');
+    }
+
+    /**
+     * Walk the tree and swap in the new entries, keeping probe results of unchanged files.
+     * Overlapping requests collapse into one follow-up scan.
+     * @private
+     */
+    async _scan() {
+        if (this._scanning) {
+            this._rescanPending = true;
+            return this._scanning;
+        }
+        this._scanning = (async () => {
+            do {
+                this._rescanPending = false;
+                await this._walk();
+            } while (this._rescanPending && !this.closed);
+        })().finally(() => { this._scanning = null; });
+        return this._scanning;
+    }
+
+    /** @private */
+    async _walk() {
+        const entries = new Map();
+        const dirs = [];
+        let truncated = false;
+
+        const walk = async (dir) => {
+            let dirents;
+            try {
+                dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (dir === this.root) this.logger.warn(`Cannot read media directory ${dir}: ${error.message}`);
+                else this.logger.debug(`Cannot read ${dir}: ${error.message}`);
+                return;
+            }
+            dirs.push(dir);
+            dirents.sort((a, b) => a.name.localeCompare(b.name));
+            for (const dirent of dirents) {
+                if (dirent.name.startsWith('.')) continue;
+                if (entries.size >= this.maxFiles) {
+                    truncated = true;
+                    return;
+                }
+                const full = path.join(dir, dirent.name);
+                if (dirent.isDirectory()) {
+                    await walk(full);
+                    continue;
+                }
+                if (!dirent.isFile()) continue;
+                const type = MediaPlayerFactory.prototype.getMediaType(dirent.name);
+                if (type === 'unknown') continue;
+                let stat;
+                try {
+                    stat = await fs.promises.stat(full);
+                } catch (_) {
+                    continue; // removed mid-scan
+                }
+                const relPath = path.relative(this.root, full).split(path.sep).join('/');
+                const modified = stat.mtime.toISOString();
+                const previous = this.entries.get(relPath);
+                if (previous && previous.size === stat.size && previous.modified === modified) {
+                    entries.set(relPath, previous);
+                    continue;
+                }
+                if (previous) forget(full);
+                const entry = { path: relPath, type, size: stat.size, modified, duration: null, width: null, height: null };
+                entries.set(relPath, entry);
+                if (this.probe) this._probeQueue.push(entry);
+            }
+        };
+
+        await walk(this.root);
+        if (this.closed) return;
+        if (truncated && !this.truncated) {
+            this.logger.warn(`Media index for ${this.root} stopped at ${this.maxFiles} files`);
+        }
+        this.entries = entries;
+        this.truncated = truncated;
+        this.builtAt = new Date().toISOString();
+        this.dirs = dirs;
+        this.logger.debug(`Indexed ${entries.size} media file(s) under ${this.root}`);
+        if (this._probeQueue.length && !this._probing) {
+            this._probing = this._drainProbes().finally(() => { this._probing = null; });
+        }
+    }
+
+    /**
+     * Probe queued entries one at a time; entries dropped by a later scan are skipped
+     * @private
+     */
+    async _drainProbes() {
+        while (this._probeQueue.length && !this.closed) {
+            const entry = this._probeQueue.shift();
+            if (this.entries.get(entry.path) !== entry) continue;
+            try {
+                const info = await probeMediaInfo(path.join(this.root, entry.path));
+                entry.duration = info.duration;
+                entry.width = info.width;
+                entry.height = info.height;
+            } catch (error) {
+                this.logger.debug(`ffprobe failed for ${entry.path}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Watch every directory the last scan saw, and only those
+     * @private
+     */
+    _syncWatchers() {
+        if (this.closed) return;
+        const dirs = new Set(this.dirs);
+        for (const [dir, watcher] of this.watchers) {
+            if (dirs.has(dir)) continue;
+            watcher.close();
+            this.watchers.delete(dir);
+        }
+        for (const dir of dirs) {
+            if (this.watchers.has(dir)) continue;
+            try {
+                const watcher = fs.watch(dir, { persistent: false }, () => this._scheduleRescan());
+                watcher.on('error', () => {
+                    watcher.close();
+                    this.watchers.delete(dir);
+                    this._scheduleRescan();
+                });
+                this.watchers.set(dir, watcher);
+            } catch (error) {
+                this.logger.debug(`Cannot watch ${dir}: ${error.message}`);
+            }
+        }
+    }
+
+    /** @private */
+    _scheduleRescan() {
+        if (this.closed) return;
+        clearTimeout(this._rescanTimer);
+        this._rescanTimer = setTimeout(async () => {
+            this._rescanTimer = null;
+            try {
+                await this._scan();
+                this._syncWatchers();
+            } catch (error) {
+                this.logger.warn(`Media rescan of ${this.root} failed: ${error.message}`);
+            }
+        }, this.debounceMs);
+    }
+}
+
+module.exports = MediaIndex;
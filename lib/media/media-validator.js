@@ -0,0 +1,263 @@
+/**
+ * Media Validator
+ *
+ * Preflight check of every media file the configuration refers to, so a missing or
+ * broken file is found before the doors open rather than when a play command fails
+ * with file_not_found. Checked are each screen zone's default_image, every file in a
+ * cue step (file / audio / video / image / filePath) and, optionally, the files a media
+ * manifest lists per zone.
+ *
+ * Each file is checked for existence (with a close-match suggestion for typos),
+ * readability and, unless disabled, that ffprobe can decode its first frame. Files
+ * resolve exactly as the zones resolve them (BaseZone.resolveMediaPath).
+ *
+ * Manifest: JSON object of zone name to file list, e.g. {"mirror": ["intro.mp4"]}.
+ */
+
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const BaseZone = require('../zones/base-zone');
+const { normalizeCue } = require('../core/cue-manager');
+const { probeDecode } = require('./ffprobe-duration');
+const Logger = require('../utils/logger');
+
+const MEDIA_ZONE_TYPES = ['screen', 'audio', 'combined-audio'];
+// Command parameters naming a media file
+const MEDIA_PARAMS = ['file', 'filePath', 'audio', 'video', 'image'];
+// Edit distance within which a missing file's neighbour is suggested
+const MAX_SUGGESTION_DISTANCE = 2;
+
+class MediaValidator {
+    /**
+     * @param {Object} config - Loaded configuration ({global, devices, cues})
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.cues] - Normalized cues (default: config.cues)
+     * @param {string} [options.manifest] - Manifest file (default: global.mediaManifest)
+     * @param {boolean} [options.decode=true] - Decode-check each file with ffprobe
+     * @param {number} [options.timeoutMs] - Per-file ffprobe timeout
+     */
+    constructor(config, { cues, manifest, decode = true, timeoutMs } = {}) {
+        this.config = config;
+        this.cues = cues;
+        this.manifest = manifest !== undefined ? manifest : (config.global || {}).mediaManifest;
+        this.decode = decode;
+        this.timeoutMs = timeoutMs;
+        this.logger = new Logger('MediaValidator');
+    }
+
+    /**
+     * Check every referenced file
+     * @returns {Promise<Object>} {ok, checked, missing, unreadable, undecodable, decode,
+     *   zones: {zone: {root, checked, problems: [{file, path, problem, error, sources, suggestion}]}},
+     *   issues: [{source, error}]}
+     */
+    async run() {
+        const issues = [];
+        const references = await this._collect(issues);
+        const report = { ok: true, checked: 0, missing: 0, unreadable: 0, undecodable: 0, decode: this.decode, zones: {}, issues };
+
+        for (const [zoneName, { config, files }] of references) {
+            const zoneReport = { root: BaseZone.resolveMediaPath(config, ''), checked: 0, problems: [] };
+            report.zones[zoneName] = zoneReport;
+            for (const [file, sources] of files) {
+                const absPath = BaseZone.resolveMediaPath(config, file);
+                const problem = await this._check(absPath, report);
+                zoneReport.checked++;
+                report.checked++;
+                if (!problem) continue;
+                report[problem.problem]++;
+                if (problem.suggestion) problem.suggestion = path.posix.join(path.posix.dirname(file), problem.suggestion);
+                zoneReport.problems.push({ file, path: absPath, ...problem, sources });
+            }
+        }
+
+        report.ok = !report.missing && !report.unreadable && !report.undecodable && !issues.length;
+        this.logger.info(`Checked ${report.checked} media file(s): ${report.missing} missing, ${report.unreadable} unreadable, ${report.undecodable} undecodable, ${issues.length} other issue(s)`);
+        return report;
+    }
+
+    /**
+     * Referenced files by zone: Map<zone, {config, files: Map<file, sources[]>}>
+     * @private
+     */
+    async _collect(issues) {
+        const global = this.config.global || {};
+        const devices = Object.values(this.config.devices || {});
+        const references = new Map();
+        for (const device of devices) {
+            if (!MEDIA_ZONE_TYPES.includes(device.type)) continue;
+            // Same merge as ZoneManager._mergeZoneConfig
+            references.set(device.name, { config: { ...device, mediaBasePath: global.mediaBasePath }, files: new Map() });
+        }
+        const known = new Set(devices.map(d => d.name));
+
+        const add = (zoneName, file, source) => {
+            const zone = references.get(zoneName);
+            if (!zone) {
+                issues.push({ source, error: known.has(zoneName) ? `Zone ${zoneName} has no media directory` : `Unknown zone: ${zoneName}` });
+                return;
+            }
+            const sources = zone.files.get(file) || [];
+            sources.push(source);
+            zone.files.set(file, sources);
+        };
+
+        for (const device of devices) {
+            if (device.type === 'screen') add(device.name, device.defaultImage || 'default.png', 'default_image');
+        }
+
+        for (const cue of this._cues(issues)) {
+            for (const step of cue.steps) {
+                for (const key of MEDIA_PARAMS) {
+                    const file = step.command[key];
+                    if (typeof file === 'string' && file) add(step.zone, file, `cue ${cue.name} step ${step.index + 1}`);
+                }
+            }
+        }
+
+        if (this.manifest) {
+            for (const [zoneName, files] of Object.entries(await this._loadManifest(issues))) {
+                for (const file of files) add(zoneName, file, 'manifest');
+            }
+        }
+        return references;
+    }
+
+    /** @private */
+    _cues(issues) {
+        if (this.cues) return Array.from(this.cues);
+        const cues = [];
+        for (const [name, definition] of Object.entries(this.config.cues || {})) {
+            try {
+                cues.push(normalizeCue(name, definition));
+            } catch (error) {
+                issues.push({ source: `cue ${name}`, error: error.message });
+            }
+        }
+        return cues;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Object>} zone name -> file list
+     */
+    async _loadManifest(issues) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await fs.readFile(this.manifest, 'utf8'));
+        } catch (error) {
+            issues.push({ source: 'manifest', error: `Failed to load manifest ${this.manifest}: ${error.message}` });
+            return {};
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)
+            || !Object.values(parsed).every(files => Array.isArray(files) && files.every(f => typeof f === 'string' && f))) {
+            issues.push({ source: 'manifest', error: `Manifest ${this.manifest} must map zone names to arrays of file names` });
+            return {};
+        }
+        return parsed;
+    }
+
+    /**
+     * First problem with a file, or null
+     * @private
+     * @returns {Promise<{problem: string, error: string, suggestion?: string}|null>}
+     */
+    async _check(absPath, report) {
+        let stat;
+        try {
+            stat = await fs.stat(absPath);
+        } catch (error) {
+            const suggestion = await MediaValidator.suggest(absPath);
+            return { problem: 'missing', error: `Media file not found: ${absPath}`, ...(suggestion ? { suggestion } : {}) };
+        }
+        if (!stat.isFile()) return { problem: 'unreadable', error: 'Not a regular file' };
+        if (stat.size === 0) return { problem: 'unreadable', error: 'Empty file' };
+        try {
+            await fs.access(absPath, constants.R_OK);
+        } catch (error) {
+            return { problem: 'unreadable', error: error.message };
+        }
+
+        if (!report.decode) return null;
+        try {
+            await probeDecode(absPath, this.timeoutMs ? { timeoutMs: this.timeoutMs } : undefined);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // No ffprobe here: say so once, keep checking existence
+                this.logger.warn('ffprobe not found; skipping decode checks');
+                report.decode = false;
+                report.decode_skipped = 'ffprobe not found';
+                return null;
+            }
+            return { problem: 'undecodable', error: error.message };
+        }
+        return null;
+    }
+
+    /**
+     * Closest existing name to a missing file in its directory (case or a small typo)
+     * @param {string} absPath
+     * @returns {Promise<string|null>}
+     */
+    static async suggest(absPath) {
+        let names;
+        try {
+            names = await fs.readdir(path.dirname(absPath));
+        } catch (_) {
+            return null;
+        }
+        const wanted = path.basename(absPath).toLowerCase();
+        let best = null;
+        let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+        for (const name of names) {
+            const distance = editDistance(wanted, name.toLowerCase());
+            if (distance < bestDistance) {
+                best = name;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Human-readable report for the --check CLI
+     * @param {Object} report - run() result
+     * @returns {string}
+     */
+    static formatReport(report) {
+        const lines = [];
+        for (const [zoneName, zone] of Object.entries(report.zones)) {
+            lines.push(`${zoneName} (${zone.root}): ${zone.checked} file(s), ${zone.problems.length ? `${zone.problems.length} problem(s)` : 'OK'}`);
+            for (const problem of zone.problems) {
+                const hint = problem.suggestion ? ` (did you mean ${problem.suggestion}?)` : '';
+                lines.push(`  ${problem.problem.toUpperCase()} ${problem.file}: ${problem.error}${hint} [${problem.sources.join(', ')}]`);
+            }
+        }
+        for (const issue of report.issues) {
+            lines.push(`ISSUE ${issue.source}: ${issue.error}`);
+        }
+        if (report.decode_skipped) lines.push(`Decode checks skipped: ${report.decode_skipped}`);
+        lines.push(`${report.checked} file(s) checked: ${report.missing} missing, ${report.unreadable} unreadable, ${report.undecodable} undecodable`
+            + `${report.issues.length ? `, ${report.issues.length} other issue(s)` : ''}. ${report.ok ? 'OK' : 'FAILED'}`);
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+module.exports = MediaValidator;
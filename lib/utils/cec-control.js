@@ -0,0 +1,195 @@
+/**
+ * CEC Control
+ *
+ * HDMI-CEC commands to the TV or projector on one HDMI port, through cec-ctl
+ * (v4l-utils, Linux CEC framework) or cec-client (libcec). ScreenPowerManager uses it
+ * for display_power = cec: standby to sleep, power on plus active source to wake, so
+ * the TV switches to the pfx input instead of showing its "no signal" splash. The
+ * cecStatus and cecVolume zone commands query the TV power state and pass volume
+ * keys through to TVs that play the audio themselves.
+ */
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const Logger = require('./logger');
+
+const execPromise = promisify(exec);
+
+const TOOLS = ['cec-ctl', 'cec-client'];
+const DEFAULT_DEVICE = '/dev/cec0';
+const COMMAND_TIMEOUT_MS = 10000;
+// Broadcast logical address (active source is announced to everyone)
+const BROADCAST = 15;
+// Device paths go into shell commands
+const SAFE_DEVICE = /^[\w/.:-]+$/;
+
+// cec-ctl ui-cmd names and cec-client commands per volume action
+const VOLUME_KEYS = {
+    up: { 'cec-ctl': 'volume-up', 'cec-client': 'volup' },
+    down: { 'cec-ctl': 'volume-down', 'cec-client': 'voldown' },
+    mute: { 'cec-ctl': 'mute', 'cec-client': 'mute' }
+};
+
+class CecControl {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.tool='auto'] - auto|cec-ctl|cec-client
+     * @param {string} [options.device='/dev/cec0'] - CEC adapter (cec-client port)
+     * @param {number} [options.address=0] - Logical address of the TV (0) or projector
+     */
+    constructor({ tool = 'auto', device = DEFAULT_DEVICE, address = 0 } = {}) {
+        if (tool !== 'auto' && !TOOLS.includes(tool)) {
+            throw new Error(`Unknown CEC tool: ${tool}`);
+        }
+        if (!SAFE_DEVICE.test(device)) {
+            throw new Error(`Invalid CEC device: ${device}`);
+        }
+        if (!Number.isInteger(address) || address < 0 || address > 14) {
+            throw new Error(`Invalid CEC address: ${address}`);
+        }
+        this.logger = new Logger('CecControl');
+        this.tool = tool;
+        this.device = device;
+        this.address = address;
+        this.resolvedTool = null;
+        this.physicalAddress = null; // ours, learned when the cec-ctl adapter is configured
+    }
+
+    /**
+     * Tool in use, detected on first use when 'auto' (cec-ctl, then cec-client)
+     * @returns {Promise<string>}
+     */
+    async detectTool() {
+        if (this.resolvedTool) return this.resolvedTool;
+        if (this.tool !== 'auto') {
+            this.resolvedTool = this.tool;
+            return this.resolvedTool;
+        }
+        for (const tool of TOOLS) {
+            if (await run(`command -v ${tool}`).then(() => true, () => false)) {
+                this.resolvedTool = tool;
+                this.logger.info(`Using ${tool} for HDMI-CEC on ${this.device}`);
+                return tool;
+            }
+        }
+        throw new Error('No HDMI-CEC tool found (install cec-ctl from v4l-utils or cec-client from libcec)');
+    }
+
+    /**
+     * Put the TV in standby
+     */
+    async standby() {
+        if (await this.detectTool() === 'cec-ctl') {
+            await this._cecCtl(`--to ${this.address} --standby`);
+        } else {
+            await this._cecClient(`standby ${this.address}`);
+        }
+    }
+
+    /**
+     * Power the TV on and make pfx its active source
+     */
+    async powerOn() {
+        if (await this.detectTool() === 'cec-ctl') {
+            await this._cecCtl(`--to ${this.address} --image-view-on`);
+        } else {
+            await this._cecClient(`on ${this.address}`);
+        }
+        await this.activeSource();
+    }
+
+    /**
+     * Switch the TV to the pfx input
+     */
+    async activeSource() {
+        if (await this.detectTool() === 'cec-ctl') {
+            await this._configure();
+            if (!this.physicalAddress) throw new Error(`No CEC physical address on ${this.device} (is the TV connected?)`);
+            await this._cecCtl(`--to ${BROADCAST} --active-source phys-addr=${this.physicalAddress}`);
+        } else {
+            await this._cecClient('as');
+        }
+    }
+
+    /**
+     * Power state the TV reports
+     * @returns {Promise<string>} on|standby|turning_on|turning_off|unknown
+     */
+    async getPowerStatus() {
+        if (await this.detectTool() === 'cec-ctl') {
+            const stdout = await this._cecCtl(`--to ${this.address} --give-device-power-status`);
+            const match = stdout.match(/pwr-state:\s*([a-z-]+)/i);
+            return normalizePower(match && match[1]);
+        }
+        const stdout = await this._cecClient(`pow ${this.address}`);
+        const match = stdout.match(/power status:\s*(.+)/i);
+        return normalizePower(match && match[1].trim());
+    }
+
+    /**
+     * Press a volume key on the TV
+     * @param {string} action - up|down|mute
+     * @param {number} [steps=1] - Key presses
+     */
+    async volume(action, steps = 1) {
+        const keys = VOLUME_KEYS[action];
+        if (!keys) throw new Error(`Unknown CEC volume action: ${action}`);
+        const tool = await this.detectTool();
+        for (let i = 0; i < steps; i++) {
+            if (tool === 'cec-ctl') {
+                await this._cecCtl(`--to ${this.address} --user-control-pressed ui-cmd=${keys[tool]} --user-control-released`);
+            } else {
+                await this._cecClient(keys[tool]);
+            }
+        }
+    }
+
+    /**
+     * cec-ctl needs the adapter claimed as a playback device before it can send
+     * @private
+     */
+    async _configure() {
+        if (this.physicalAddress) return;
+        const stdout = await run(`cec-ctl -d ${this.device} --playback -o pfx`);
+        const match = stdout.match(/Physical Address\s*:\s*([0-9a-f]\.[0-9a-f]\.[0-9a-f]\.[0-9a-f])/i);
+        if (match && match[1] !== 'f.f.f.f') this.physicalAddress = match[1];
+    }
+
+    /** @private */
+    async _cecCtl(args) {
+        await this._configure();
+        return run(`cec-ctl -d ${this.device} ${args}`);
+    }
+
+    /**
+     * One command through cec-client's single-command mode
+     * @private
+     */
+    _cecClient(command) {
+        return run(`echo '${command}' | cec-client -s -d 1 ${this.device}`);
+    }
+}
+
+/**
+ * Run a command with the current environment; resolves with stdout
+ * @private
+ */
+async function run(command) {
+    const { stdout } = await execPromise(command, { env: process.env, timeout: COMMAND_TIMEOUT_MS });
+    return stdout;
+}
+
+/**
+ * cec-ctl (on, standby, to-on, to-standby) and cec-client (on, standby,
+ * in transition from standby to on, ...) power states as one set
+ * @private
+ */
+function normalizePower(state) {
+    const value = String(state || '').toLowerCase();
+    if (value === 'on' || value === 'standby') return value;
+    if (value === 'to-on' || value.includes('standby to on')) return 'turning_on';
+    if (value === 'to-standby' || value.includes('on to standby')) return 'turning_off';
+    return 'unknown';
+}
+
+module.exports = CecControl;
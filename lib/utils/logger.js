@@ -1,7 +1,13 @@
 /**
  * Logger Utility
- * 
+ *
  * Simple logging utility with different log levels.
+ *
+ * Levels and output format are shared by every Logger (Logger.configure): a default
+ * level (LOG_LEVEL, or [global] log_level), per-module overrides (log_level.AudioManager
+ * = debug, matched case-insensitively against the module name with or without its
+ * ":instance" suffix) and either colorized text or JSON lines (log_format = json) with
+ * the zone, command and correlation id of the command being handled.
  */
 
 // ANSI color codes
@@ -21,18 +27,123 @@ const levelColors = {
     debug: colors.cyan
 };
 
+const LEVELS = {
+    'error': 0,
+    'warn': 1,
+    'info': 2,
+    'debug': 3
+};
+
+const normalizeLevel = level => (typeof level === 'string' && LEVELS[level.toLowerCase()] !== undefined ? level.toLowerCase() : undefined);
+
+// Shared by all loggers
+const settings = {
+    level: normalizeLevel(process.env.LOG_LEVEL) || 'info',
+    configuredLevel: normalizeLevel(process.env.LOG_LEVEL) || 'info',
+    modules: {},        // lowercased module name -> level
+    format: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+    contextProvider: null
+};
+
 class Logger {
     constructor(module) {
         this.module = module;
-        this.logLevel = process.env.LOG_LEVEL || 'info';
-        this.messageLevel = process.env.message_level || 'info'; // Controls INFO vs DEBUG for messages
+        // Legacy gate for INFO/DEBUG output, only applied when the env var is set
+        this.messageLevel = process.env.message_level || null;
 
-        this.levels = {
-            'error': 0,
-            'warn': 1,
-            'info': 2,
-            'debug': 3
-        };
+        this.levels = LEVELS;
+    }
+
+    /**
+     * Effective level of this logger (per-module override or the default level)
+     */
+    get logLevel() {
+        return Logger.levelFor(this.module);
+    }
+
+    /**
+     * Apply logging settings from the configuration. Only the given keys change.
+     * @param {Object} options
+     * @param {string} [options.level] - Default level
+     * @param {Object} [options.modules] - Module name -> level (replaces all overrides)
+     * @param {string} [options.format] - 'text' or 'json'
+     */
+    static configure({ level, modules, format } = {}) {
+        if (normalizeLevel(level)) {
+            settings.level = normalizeLevel(level);
+            settings.configuredLevel = settings.level;
+        }
+        if (modules) {
+            settings.modules = {};
+            for (const [module, moduleLevel] of Object.entries(modules)) {
+                if (normalizeLevel(moduleLevel)) settings.modules[module.toLowerCase()] = normalizeLevel(moduleLevel);
+            }
+        }
+        if (format) settings.format = format === 'json' ? 'json' : 'text';
+    }
+
+    /**
+     * Change a level at runtime (setLogLevel command). 'default' removes a module's
+     * override, or restores the configured default level when no module is given.
+     * @param {string} level - error|warn|info|debug|default
+     * @param {string} [module]
+     * @returns {{level: string, modules: Object}} resulting levels
+     */
+    static setLevel(level, module) {
+        const normalized = normalizeLevel(level);
+        if (!normalized && level !== 'default') {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        if (module) {
+            if (normalized) settings.modules[module.toLowerCase()] = normalized;
+            else delete settings.modules[module.toLowerCase()];
+        } else {
+            settings.level = normalized || settings.configuredLevel;
+        }
+        return Logger.getLevels();
+    }
+
+    /**
+     * @returns {{level: string, modules: Object}} default level and module overrides
+     */
+    static getLevels() {
+        return { level: settings.level, modules: { ...settings.modules } };
+    }
+
+    /**
+     * Level for a module name: its own override, then its base name's ("AudioManager"
+     * for "AudioManager:lobby"), then the default
+     */
+    static levelFor(module) {
+        const name = String(module).toLowerCase();
+        return settings.modules[name] || settings.modules[name.split(':')[0]] || settings.level;
+    }
+
+    /**
+     * Set the function JSON lines take command fields from
+     * @param {Function} provider - () => {zone, command, correlation_id} or undefined
+     */
+    static setContextProvider(provider) {
+        settings.contextProvider = provider;
+    }
+
+    /**
+     * @returns {string} 'text' or 'json'
+     */
+    static get format() {
+        return settings.format;
+    }
+
+    /**
+     * A line written to the console by other code, as a JSON line when logging JSON
+     * (already-JSON lines pass through)
+     * @param {string} line
+     * @param {string} [level='info']
+     * @returns {string}
+     */
+    static formatLine(line, level = 'info') {
+        if (settings.format !== 'json' || line.startsWith('{')) return line;
+        return JSON.stringify({ ts: new Date().toISOString(), level, module: 'console', msg: line });
     }
 
     _shouldLog(level) {
@@ -40,6 +151,9 @@ class Logger {
     }
 
     _formatMessage(level, message, ...args) {
+        if (settings.format === 'json') {
+            return this._formatJson(level, message, args);
+        }
         const timestamp = new Date().toISOString();
         const color = levelColors[level] || colors.reset;
         const levelStr = level.toUpperCase().padEnd(5);
@@ -50,12 +164,7 @@ class Logger {
         if (args.length > 0) {
             const additionalInfo = args.map(arg => {
                     if (arg instanceof Error) {
-                        const payload = {
-                            error: arg.message
-                        };
-                        if (arg.stderr) payload.stderr = arg.stderr;
-                        if (arg.stack) payload.stack = arg.stack.split('\n').slice(0,6).join('\n');
-                        return JSON.stringify(payload);
+                        return JSON.stringify(errorFields(arg));
                     }
                     if (typeof arg === 'object') {
                         try {
@@ -73,6 +182,42 @@ class Logger {
         return formattedMessage;
     }
 
+    /**
+     * One JSON line: {ts, level, module, zone, command, correlation_id, msg, error, data}.
+     * The zone comes from the command being handled, else the module's ":instance".
+     * @private
+     */
+    _formatJson(level, message, args) {
+        const [module, instance] = this.module.split(/:(.*)/s);
+        const entry = { ts: new Date().toISOString(), level, module };
+        let context;
+        try {
+            context = settings.contextProvider ? settings.contextProvider() : undefined;
+        } catch (_) {
+            context = undefined;
+        }
+        const zone = (context && context.zone) || instance;
+        if (zone) entry.zone = zone;
+        if (context && context.command) entry.command = context.command;
+        if (context && context.correlation_id !== undefined) entry.correlation_id = context.correlation_id;
+
+        const text = [message instanceof Error ? message.message : String(message)];
+        const data = [];
+        for (const arg of args) {
+            if (arg instanceof Error) entry.error = errorFields(arg);
+            else if (arg !== null && typeof arg === 'object') data.push(arg);
+            else text.push(String(arg));
+        }
+        entry.msg = text.join(' ');
+        if (data.length) entry.data = data.length === 1 ? data[0] : data;
+        try {
+            return JSON.stringify(entry);
+        } catch (_) {
+            delete entry.data;
+            return JSON.stringify({ ...entry, data: '[Unserializable Object]' });
+        }
+    }
+
     error(message, ...args) {
         if (this._shouldLog('error')) {
             console.error(this._formatMessage('error', message, ...args));
@@ -87,7 +232,7 @@ class Logger {
 
     info(message, ...args) {
         // Respect message level setting for INFO messages
-        if (this.messageLevel === 'info' || this.messageLevel === 'debug') {
+        if (!this.messageLevel || this.messageLevel === 'info' || this.messageLevel === 'debug') {
             if (this._shouldLog('info')) {
                 console.log(this._formatMessage('info', message, ...args));
             }
@@ -96,7 +241,7 @@ class Logger {
 
     debug(message, ...args) {
         // Respect message level setting for DEBUG messages
-        if (this.messageLevel === 'debug') {
+        if (!this.messageLevel || this.messageLevel === 'debug') {
             if (this._shouldLog('debug')) {
                 console.log(this._formatMessage('debug', message, ...args));
             }
@@ -104,4 +249,17 @@ class Logger {
     }
 }
 
+/**
+ * Loggable fields of an Error
+ * @private
+ */
+function errorFields(error) {
+    const payload = {
+        error: error.message
+    };
+    if (error.stderr) payload.stderr = error.stderr;
+    if (error.stack) payload.stack = error.stack.split('\n').slice(0,6).join('\n');
+    return payload;
+}
+
 module.exports = Logger;
@@ -0,0 +1,128 @@
+/**
+ * Rotating Log File
+ *
+ * Session log file (pfx-<timestamp>.log, with pfx-latest.log linked to it) that is
+ * rotated while pfx runs: once the current file reaches the size limit a new one is
+ * started and LogCleanup prunes old files by age and total size.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LogCleanup = require('./log-cleanup');
+
+const LATEST_LOG = 'pfx-latest.log';
+const DEFAULT_MAX_FILE_MB = 10;
+
+class RotatingLogFile {
+    /**
+     * @param {string} logDir - Directory for the log files (created if missing)
+     * @param {Object} [options]
+     * @param {number} [options.maxFileMB=10] - Rotate once the current file reaches this size
+     * @param {number} [options.maxAgeDays=30] - Passed to LogCleanup
+     * @param {number} [options.maxSizeMB=100] - Total size kept, passed to LogCleanup
+     */
+    constructor(logDir, { maxFileMB = DEFAULT_MAX_FILE_MB, maxAgeDays = 30, maxSizeMB = 100 } = {}) {
+        this.logDir = logDir;
+        this.maxFileBytes = maxFileMB * 1024 * 1024;
+        this.maxAgeDays = maxAgeDays;
+        this.maxSizeMB = maxSizeMB;
+        this.stream = null;
+        this.file = null;
+        this.bytes = 0;
+        this.rotations = 0;
+    }
+
+    /**
+     * Prune old files and start the session's first file
+     * @returns {Promise<Object>} LogCleanup result
+     */
+    async open() {
+        fs.mkdirSync(this.logDir, { recursive: true });
+        const result = await this._cleanup();
+        this._openFile();
+        return result;
+    }
+
+    /**
+     * Append one line, rotating first when the file is full
+     * @param {string} line
+     */
+    write(line) {
+        if (!this.stream) return;
+        const text = line.endsWith('\n') ? line : `${line}\n`;
+        const size = Buffer.byteLength(text);
+        if (this.bytes > 0 && this.bytes + size > this.maxFileBytes) {
+            this.rotate();
+        }
+        this.stream.write(text);
+        this.bytes += size;
+    }
+
+    /**
+     * Close the current file and start a new one
+     */
+    rotate() {
+        if (this.stream) this.stream.end();
+        try {
+            this._openFile();
+        } catch (_) {
+            // Disk full or directory gone: stop file logging rather than take pfx down
+            this.stream = null;
+            return;
+        }
+        this.rotations++;
+        this._cleanup();
+    }
+
+    /**
+     * @returns {Promise<void>} once the current file is flushed
+     */
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+        if (!stream) return Promise.resolve();
+        return new Promise(resolve => stream.end(resolve));
+    }
+
+    /** @private */
+    _openFile() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+        // Rotations within one second get a -N suffix
+        let name;
+        let fd;
+        for (let n = 0; fd === undefined; n++) {
+            name = n ? `pfx-${timestamp}-${n}.log` : `pfx-${timestamp}.log`;
+            try {
+                fd = fs.openSync(path.join(this.logDir, name), 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+        this.file = path.join(this.logDir, name);
+        this.stream = fs.createWriteStream(this.file, { fd });
+        this.stream.on('error', () => { /* logging must never take pfx down */ });
+        this.bytes = 0;
+
+        // Also create/update the latest log symlink
+        const latestLogFile = path.join(this.logDir, LATEST_LOG);
+        try {
+            if (fs.lstatSync(latestLogFile, { throwIfNoEntry: false })) {
+                fs.unlinkSync(latestLogFile);
+            }
+            fs.symlinkSync(name, latestLogFile);
+        } catch (err) {
+            // Ignore symlink errors, just use timestamped file
+        }
+    }
+
+    /** @private */
+    _cleanup() {
+        return LogCleanup.cleanup(this.logDir, {
+            maxAgeDays: this.maxAgeDays,
+            maxSizeMB: this.maxSizeMB,
+            excludeFiles: [LATEST_LOG, this.file && path.basename(this.file)].filter(Boolean)
+        });
+    }
+}
+
+module.exports = RotatingLogFile;
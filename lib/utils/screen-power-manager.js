@@ -3,19 +3,65 @@
  * 
  * Manages display power states using X11 DPMS (Display Power Management Signaling)
  * Provides intelligent wake/sleep control for ParadoxFX applications
+ *
+ * sleepMonitor/wakeMonitor switch one output, so a zone sleeping its screen leaves
+ * the other zones' screens on. The method is picked once per manager:
+ *   xrandr     - X11: output --off, then back to its previous mode and position
+ *   wlr-randr  - Wayland (wlroots compositors): output --off / --on
+ *   vcgencmd   - Raspberry Pi firmware display stack: display_power 0|1 <display id>
+ *   dpms       - xset dpms force standby/on; blanks every output (legacy)
+ * 'auto' tries them in that order. Output power is tracked per display server and
+ * output, shared by all zones (getOutputPower).
+ *
+ * cec is never auto-detected: with display_power = cec the TV or projector itself
+ * goes to standby and is powered on again as the active source over HDMI-CEC
+ * (CecControl), and its power is tracked under the CEC device.
  */
 
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const Logger = require('../utils/logger');
+const CecControl = require('./cec-control');
 
-const execAsync = promisify(exec);
+const execPromise = promisify(exec);
+// Commands get the environment as it is now (PATH, WAYLAND_DISPLAY), not as at startup
+const execAsync = command => execPromise(command, { env: process.env });
+
+const POWER_METHODS = ['xrandr', 'wlr-randr', 'vcgencmd', 'dpms', 'cec'];
+// vcgencmd display ids of HDMI0 and HDMI1, by monitor index
+const VCGENCMD_DISPLAY_IDS = [2, 7];
+// Output names go into shell commands
+const SAFE_OUTPUT = /^[\w.:-]+$/;
+
+// "<display>|<output>" -> 'on' | 'off', shared by every zone
+const outputPower = new Map();
 
 class ScreenPowerManager {
-    constructor(display = ':0') {
+    /**
+     * @param {string} [display=':0'] - X11 display
+     * @param {Object} [options]
+     * @param {string} [options.method='auto'] - auto|xrandr|wlr-randr|vcgencmd|dpms|cec
+     * @param {string} [options.output] - Output name (default: the monitor index's)
+     * @param {Object} [options.cec] - CecControl options ({tool, device, address}); a
+     *   device also enables cecStatus/cecVolume under other methods
+     */
+    constructor(display = ':0', { method = 'auto', output = null, cec = null } = {}) {
         this.display = display;
         this.logger = new Logger('ScreenPowerManager');
         this.isAsleep = false;
+        if (method !== 'auto' && !POWER_METHODS.includes(method)) {
+            throw new Error(`Unknown display power method: ${method}`);
+        }
+        if (output && !SAFE_OUTPUT.test(output)) {
+            throw new Error(`Invalid display output name: ${output}`);
+        }
+        this.method = method;
+        this.output = output;
+        this.powerMethod = null;   // resolved method
+        this.sleptMonitor = null;  // monitor index put to sleep by this manager
+        this.sleptOutput = null;
+        this.savedGeometry = new Map(); // xrandr output -> geometry before --off
+        this.cec = method === 'cec' || (cec && cec.device) ? new CecControl(cec || {}) : null;
     }
 
     /**
@@ -71,10 +117,69 @@ class ScreenPowerManager {
     getState() {
         return {
             isAsleep: this.isAsleep,
-            display: this.display
+            display: this.display,
+            method: this.powerMethod || this.method,
+            output: this.sleptOutput || this.output
         };
     }
 
+    /**
+     * Power of an output as last switched by pfx
+     * @param {string} display
+     * @param {string} output
+     * @returns {'on'|'off'|undefined} undefined when pfx never switched it
+     */
+    static getOutputPower(display, output) {
+        return outputPower.get(`${display}|${output}`);
+    }
+
+    /**
+     * Method used for per-output power, detected on first use when 'auto'
+     * @returns {Promise<string>} xrandr|wlr-randr|vcgencmd|dpms|cec
+     */
+    async detectPowerMethod() {
+        if (this.powerMethod) return this.powerMethod;
+        if (this.method !== 'auto') {
+            this.powerMethod = this.method;
+            return this.powerMethod;
+        }
+        const works = command => execAsync(command).then(() => true, () => false);
+        if (process.env.WAYLAND_DISPLAY && await works('wlr-randr')) {
+            this.powerMethod = 'wlr-randr';
+        } else if (await works(`DISPLAY=${this.display} xrandr --current`)) {
+            this.powerMethod = 'xrandr';
+        } else if (await works('vcgencmd display_power')) {
+            this.powerMethod = 'vcgencmd';
+        } else {
+            this.powerMethod = 'dpms';
+        }
+        this.logger.info(`Display power method: ${this.powerMethod}`);
+        return this.powerMethod;
+    }
+
+    /**
+     * Output name for a monitor index under the power method
+     * @param {number} index - Monitor index (target_monitor)
+     * @returns {Promise<string>}
+     */
+    async resolveOutput(index) {
+        if (this.output) return this.output;
+        const method = await this.detectPowerMethod();
+        if (method === 'cec') return this.cec.device;
+        let names;
+        if (method === 'wlr-randr') {
+            names = await this._wlrOutputs();
+        } else if (method === 'vcgencmd') {
+            names = VCGENCMD_DISPLAY_IDS.map((_, i) => `HDMI${i}`);
+        } else {
+            names = (await this.getDisplayInfo()).map(d => d.name);
+        }
+        if (index < 0 || index >= names.length) {
+            throw new Error(`Invalid monitor index: ${index}`);
+        }
+        return names[index];
+    }
+
     /**
      * Check if DPMS is available and functional
      */
@@ -321,47 +426,100 @@ class ScreenPowerManager {
     /**
      * Auto-wake displays if needed for media commands
      * Should be called before any media playback
+     * @returns {Promise<boolean>} true when a display was woken
      */
     async autoWakeForMedia(mediaType = 'unknown') {
-        if (this.isAsleep) {
+        if (!this.isAsleep) return false;
+        if (this.sleptMonitor !== null) {
+            // Only the output this manager put to sleep
+            this.logger.info(`Auto-waking display ${this.sleptOutput} for ${mediaType} playback`);
+            await this.wakeMonitor(this.sleptMonitor);
+        } else {
             this.logger.info(`Auto-waking displays for ${mediaType} playback`);
             // Wake all displays if global DPMS was used
             await this.wakeScreens();
         }
+        return true;
     }
 
     /**
-     * Put a specific display (monitor) to sleep by turning it off via xrandr
-     * @param {number} index - Monitor index from getDisplayInfo()
+     * Put a specific display (monitor) to sleep, leaving the other outputs on
+     * @param {number} index - Monitor index (target_monitor)
+     * @returns {Promise<string>} the output put to sleep
      */
     async sleepMonitor(index) {
-        const displays = await this.getDisplayInfo();
-        if (index < 0 || index >= displays.length) {
-            throw new Error(`Invalid monitor index: ${index}`);
+        const method = await this.detectPowerMethod();
+        if (method === 'dpms') {
+            await this.sleepScreens();
+            this.sleptMonitor = null;
+            return null;
+        }
+        const output = await this.resolveOutput(index);
+        this.logger.info(`Putting display ${output} to sleep via ${method}`);
+        if (method === 'xrandr') {
+            const current = (await this.getDisplayInfo()).find(d => d.name === output);
+            if (current && current.geometry) this.savedGeometry.set(output, current);
+            await execAsync(`DISPLAY=${this.display} xrandr --output ${output} --off`);
+        } else if (method === 'wlr-randr') {
+            await execAsync(`wlr-randr --output ${output} --off`);
+        } else if (method === 'cec') {
+            await this.cec.standby();
+        } else {
+            await execAsync(`vcgencmd display_power 0 ${VCGENCMD_DISPLAY_IDS[index]}`);
         }
-        const output = displays[index].name;
-        this.logger.info(`Putting display ${output} to sleep via xrandr`);
-        await execAsync(`DISPLAY=${this.display} xrandr --output ${output} --off`);
+        outputPower.set(`${this.display}|${output}`, 'off');
+        this.sleptMonitor = index;
+        this.sleptOutput = output;
         this.isAsleep = true;
+        return output;
     }
 
     /**
-     * Wake a specific display (monitor) by enabling it via xrandr
-     * @param {number} index - Monitor index from getDisplayInfo()
+     * Wake a specific display (monitor); under xrandr it gets back its previous mode
+     * and position
+     * @param {number} index - Monitor index (target_monitor)
+     * @returns {Promise<string>} the output woken
      */
     async wakeMonitor(index) {
-        const displays = await this.getDisplayInfo();
-        if (index < 0 || index >= displays.length) {
-            throw new Error(`Invalid monitor index: ${index}`);
+        const method = await this.detectPowerMethod();
+        if (method === 'dpms') {
+            await this.wakeScreens();
+            return null;
         }
-        const output = displays[index].name;
-        this.logger.info(`Waking display ${output} via xrandr`);
-        await execAsync(`DISPLAY=${this.display} xrandr --output ${output} --auto`);
-        
-        // After waking a monitor, ensure all displays have proper positioning
-        await this.ensureProperDisplayPositioning();
-        
+        const output = await this.resolveOutput(index);
+        this.logger.info(`Waking display ${output} via ${method}`);
+        if (method === 'xrandr') {
+            const saved = this.savedGeometry.get(output);
+            const placement = saved
+                ? `--mode ${saved.width}x${saved.height} --pos ${saved.x}x${saved.y}${saved.isPrimary ? ' --primary' : ''}`
+                : '--auto';
+            await execAsync(`DISPLAY=${this.display} xrandr --output ${output} ${placement}`);
+            // After waking a monitor, ensure all displays have proper positioning
+            await this.ensureProperDisplayPositioning();
+        } else if (method === 'wlr-randr') {
+            await execAsync(`wlr-randr --output ${output} --on`);
+        } else if (method === 'cec') {
+            await this.cec.powerOn();
+        } else {
+            await execAsync(`vcgencmd display_power 1 ${VCGENCMD_DISPLAY_IDS[index]}`);
+        }
+        outputPower.set(`${this.display}|${output}`, 'on');
+        this.sleptMonitor = null;
+        this.sleptOutput = null;
         this.isAsleep = false;
+        return output;
+    }
+
+    /**
+     * Output names listed by wlr-randr (unindented lines: NAME "description")
+     * @private
+     */
+    async _wlrOutputs() {
+        const { stdout } = await execAsync('wlr-randr');
+        return stdout.split('\n')
+            .map(line => line.match(/^(\S+)/))
+            .filter(Boolean)
+            .map(match => match[1]);
     }
 
     /**
@@ -389,7 +547,8 @@ class ScreenPowerManager {
         try {
             this.logger.info('Performing comprehensive monitor recovery...');
             
-            // First, wake all displays
+            // First, wake all displays (DPMS does not turn a switched-off output back on)
+            if (this.sleptMonitor !== null) await this.wakeMonitor(this.sleptMonitor);
             await this.wakeScreens();
             
             // Give displays time to initialize
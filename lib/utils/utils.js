@@ -109,36 +109,130 @@ class Utils {
 
     /**
      * Convert color format
-     * @param {string} color - Color in various formats
-     * @param {string} targetFormat - Target format ('rgb', 'hex', 'hsv')
+     * @param {string|Object|Array} color - '#RRGGBB', '#RGB', 'RRGGBB', 'rgb(r,g,b)', 'r,g,b', {r,g,b} or [r,g,b]
+     * @param {string} targetFormat - Target format ('rgb', 'hex', 'hsv', 'xy')
      * @returns {Object|string} Converted color
+     * @throws {Error} If the color cannot be parsed
      */
     static convertColor(color, targetFormat = 'rgb') {
-        // TODO: Implement color conversion
-        // Support for: hex (#RRGGBB), rgb(r,g,b), hsv(h,s,v), color names
-
-        if (targetFormat === 'hex') {
-            return color.startsWith('#') ? color : '#000000';
+        const rgb = this.parseColor(color);
+
+        switch (targetFormat) {
+            case 'hex':
+                return this.rgbToHex(rgb.r, rgb.g, rgb.b);
+            case 'hsv':
+                return this._rgbToHsv(rgb.r, rgb.g, rgb.b);
+            case 'xy':
+                return this.rgbToXy(rgb.r, rgb.g, rgb.b);
+            case 'rgb':
+            default:
+                return rgb;
         }
+    }
+
+    /**
+     * Parse a color value into 0-255 RGB components
+     * @param {string|Object|Array} color - See convertColor()
+     * @returns {{r:number,g:number,b:number}}
+     */
+    static parseColor(color) {
+        const clamp = (v) => Math.max(0, Math.min(255, Math.round(Number(v))));
+        const fromParts = (parts) => {
+            if (parts.length !== 3 || parts.some(p => p === '' || isNaN(Number(p)))) return null;
+            return { r: clamp(parts[0]), g: clamp(parts[1]), b: clamp(parts[2]) };
+        };
 
-        if (targetFormat === 'rgb') {
-            // Parse hex color
-            if (color.startsWith('#')) {
-                const hex = color.slice(1);
-                const r = parseInt(hex.slice(0, 2), 16);
-                const g = parseInt(hex.slice(2, 4), 16);
-                const b = parseInt(hex.slice(4, 6), 16);
-                return { r, g, b };
+        let rgb = null;
+        if (Array.isArray(color)) {
+            rgb = fromParts(color);
+        } else if (color && typeof color === 'object') {
+            rgb = fromParts([color.r, color.g, color.b]);
+        } else if (typeof color === 'string') {
+            const str = color.trim();
+            const fn = str.match(/^rgb\s*\(([^)]*)\)$/i);
+            if (fn) {
+                rgb = fromParts(fn[1].split(',').map(p => p.trim()));
+            } else if (str.includes(',')) {
+                rgb = fromParts(str.split(',').map(p => p.trim()));
+            } else {
+                let hex = str.replace(/^#/, '');
+                if (/^[0-9a-f]{3}$/i.test(hex)) {
+                    hex = hex.split('').map(c => c + c).join('');
+                }
+                if (/^[0-9a-f]{6}$/i.test(hex)) {
+                    rgb = {
+                        r: parseInt(hex.slice(0, 2), 16),
+                        g: parseInt(hex.slice(2, 4), 16),
+                        b: parseInt(hex.slice(4, 6), 16)
+                    };
+                }
             }
         }
 
-        if (targetFormat === 'hsv') {
-            // Convert RGB to HSV
-            const rgb = this.convertColor(color, 'rgb');
-            return this._rgbToHsv(rgb.r, rgb.g, rgb.b);
+        if (!rgb) {
+            throw new Error(`Invalid color: ${typeof color === 'object' ? JSON.stringify(color) : color}`);
+        }
+        return rgb;
+    }
+
+    /**
+     * Format RGB components as '#RRGGBB'
+     */
+    static rgbToHex(r, g, b) {
+        return '#' + [r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    /**
+     * Convert sRGB to CIE 1931 xy (as used by Hue and zigbee color lights).
+     * Applies sRGB gamma expansion and the Wide RGB D65 matrix.
+     * @returns {{x:number,y:number}} Coordinates rounded to 4 decimals
+     */
+    static rgbToXy(r, g, b) {
+        const expand = (c) => {
+            c /= 255;
+            return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        };
+        const red = expand(r);
+        const green = expand(g);
+        const blue = expand(b);
+
+        const X = red * 0.664511 + green * 0.154324 + blue * 0.162028;
+        const Y = red * 0.283881 + green * 0.668433 + blue * 0.047685;
+        const Z = red * 0.000088 + green * 0.072310 + blue * 0.986039;
+        const sum = X + Y + Z;
+
+        if (sum === 0) {
+            // Black has no chromaticity; use the D65 white point
+            return { x: 0.3127, y: 0.329 };
         }
+        const round = (v) => Math.round(v * 10000) / 10000;
+        return { x: round(X / sum), y: round(Y / sum) };
+    }
 
-        return color;
+    /**
+     * Convert CIE xy back to sRGB at full brightness (inverse of rgbToXy).
+     * @returns {{r:number,g:number,b:number}}
+     */
+    static xyToRgb(x, y) {
+        if (!y) return { r: 0, g: 0, b: 0 };
+        const Y = 1.0;
+        const X = (Y / y) * x;
+        const Z = (Y / y) * (1 - x - y);
+
+        let r = X * 1.656492 - Y * 0.354851 - Z * 0.255038;
+        let g = -X * 0.707196 + Y * 1.655397 + Z * 0.036152;
+        let b = X * 0.051713 - Y * 0.121364 + Z * 1.011530;
+
+        // Scale so the dominant channel is at full output before gamma compression
+        const max = Math.max(r, g, b, 1e-9);
+        const compress = (c) => {
+            c = Math.max(0, c / max);
+            return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        };
+        r = compress(r);
+        g = compress(g);
+        b = compress(b);
+        return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
     }
 
     /**
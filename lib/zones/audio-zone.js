@@ -70,12 +70,16 @@ class AudioZone extends BaseZone {
             lastSpeech: null,
             lastSoundEffect: null
         };
+        this._volumeBaseline = this._snapshotVolumes();
     }
 
     async initialize() {
         this.logger.info('Initializing audio zone...');
         await this.audioManager.initialize();
 
+        // Reapply volumes saved in the state file (state_file) over the pfx.ini values
+        this._restoreRuntimeState();
+
         this.mpvInstances.background = { status: 'idle', manager: this.audioManager };
         this.mpvInstances.speech = { status: 'idle', manager: this.audioManager };
 
@@ -198,6 +202,12 @@ class AudioZone extends BaseZone {
                 case 'setDuckingAdjustment':
                     await this._handleSetDuckingAdjustment(command);
                     break;
+                case 'resetVolumes': {
+                    const baseline = await this._resetVolumes();
+                    Object.assign(parameters, { volumes: baseline.baseVolumes, ducking_adjust: baseline.duckingAdjust });
+                    this.publishStatus();
+                    break;
+                }
                 case 'getStatus':
                 case 'getState':
                     this.publishStatus();
@@ -249,7 +259,7 @@ class AudioZone extends BaseZone {
             'playSpeech', 'pauseSpeech', 'resumeSpeech', 'stopSpeech', 'skipSpeech', 'clearSpeechQueue',
             'playSoundEffect', 'playEffect', 'playAudioFX',
             'duck', 'unduck',
-            'setVolume', 'getStatus', 'getState', 'stopAll', 'reboot', 'shutdown', 'killPfx'
+            'setVolume', 'resetVolumes', 'getStatus', 'getState', 'stopAll', 'reboot', 'shutdown', 'killPfx'
         ];
     }
 
@@ -556,6 +566,7 @@ class AudioZone extends BaseZone {
             this.currentState.backgroundMusic.volume = volume;
         }
         this.currentState.volume = volume;
+        this._recordRuntimeOverride({ volume });
         this.publishStatus();
         this.publishEvent({ volume_changed: volume });
     }
@@ -658,6 +669,22 @@ class AudioZone extends BaseZone {
     _setBackgroundVolume(volume) { if (this.currentState.backgroundMusic.playing) { this.audioManager.setBackgroundMusicVolume(volume); this.currentState.backgroundMusic.volume = volume; } }
     _getCurrentBackgroundVolume() { return this.currentState.backgroundMusic.volume || this.audioConfig.defaultVolume; }
 
+    async applyConfig(config, changedKeys) {
+        const applied = await super.applyConfig(config, changedKeys);
+        if (applied.includes('mediaDir') || applied.includes('mediaBasePath')) {
+            this.audioConfig.baseMediaPath = this._resolveDeviceMediaDir(this.config);
+        }
+        if (applied.includes('volume')) {
+            this.audioConfig.defaultVolume = this.currentState.volume;
+        }
+        if (applied.includes('maxVolume')) {
+            // mpv's --volume-max applies to players started from now on
+            this.audioConfig.maxVolume = config.maxVolume;
+            this.audioManager.maxVolume = config.maxVolume;
+        }
+        return applied;
+    }
+
     _resolveDeviceMediaDir(config) {
         const path = require('path');
         if (config.mediaDir && path.isAbsolute(config.mediaDir)) return config.mediaDir;
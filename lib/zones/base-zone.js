@@ -8,8 +8,9 @@
 const path = require('path');
 const Logger = require('../utils/logger');
 const Utils = require('../utils/utils');
+const correlation = require('../core/correlation');
 const DuckLifecycle = require('../audio/duck-lifecycle'); // PR-VOLUME Phase 3
-const { initZoneVolumeModel, CLAMP_ABS_MIN, CLAMP_ABS_MAX, CLAMP_DUCK_MIN, CLAMP_DUCK_MAX } = require('../audio/volume-model'); // PR-VOLUME Phase 4
+const { initZoneVolumeModel, normalizeBaseVolumes, normalizeDuckingAdjust, clamp, CLAMP_ABS_MIN, CLAMP_ABS_MAX, CLAMP_DUCK_MIN, CLAMP_DUCK_MAX } = require('../audio/volume-model'); // PR-VOLUME Phase 4
 
 class BaseZone {
     constructor(config, mqttClient) {
@@ -35,7 +36,8 @@ class BaseZone {
         this._baseBackgroundVolume = null;
 
         // PR-VOLUME Phase 3 lifecycle (new unified duck activation tracking)
-        this.duckLifecycle = new DuckLifecycle();
+        // Ducking shows in the zone state (isDucked), so trigger changes publish it
+        this.duckLifecycle = new DuckLifecycle(() => this._stateChanged());
 
         // PR-VOLUME Phase 4: Runtime mutable volume model (NOT yet used in playback path)
         // Initialized from processed device config provided to zone constructors.
@@ -49,6 +51,16 @@ class BaseZone {
             duckingAdjust: null
         };
 
+        // Runtime volume/ducking overrides, persisted when ZoneManager attaches a StateStore
+        this.stateStore = null;
+        this.runtimeOverrides = {};
+        // Index of the media directory, set by ZoneManager (see listMedia)
+        this.mediaIndex = null;
+        // ZoneManager's Scheduler; the zone's schedules are part of its state
+        this.scheduler = null;
+        // Configured volumes (set by subclasses once their config mapping is done) for resetVolumes
+        this._volumeBaseline = null;
+
         // MPV instance tracking
         this.mpvInstances = {
             media: null,      // For images/video (screen zones only)
@@ -63,9 +75,11 @@ class BaseZone {
             speech: `/tmp/mpv-${Utils.sanitizeFilename(config.name)}-speech.sock`
         };
 
-        // Status update interval (enabled for 10-second heartbeat)
+        // Safety-net status tick: state is published from the change paths (see _stateChanged),
+        // the tick only catches a change none of them reported
         this.statusInterval = null;
-        this.statusIntervalMs = 10000; // 10 seconds for regular heartbeat
+        this._stateCheckPending = false;
+        this.statusIntervalMs = 10000; // 10 seconds
         this.periodicStatusEnabled = true; // Enabled for automatic state updates
     }
 
@@ -177,6 +191,7 @@ class BaseZone {
         if (final > this.volumeModel.maxVolume) { final = this.volumeModel.maxVolume; warning_type = 'clamp_base_volume_high'; }
         this.volumeModel.baseVolumes[type] = final;
         this._volumeMutationMeta[type] = new Date().toISOString();
+        this._recordRuntimeOverride({ baseVolumes: { [type]: final } });
         const msg = warning_type ? `${type} base volume clamped to ${final} (requested ${requested})` : `${type} base volume set to ${final}`;
         return { ok: true, outcome: warning_type ? 'warning' : 'success', message: msg, warning_type, final, requested, type };
     }
@@ -219,10 +234,175 @@ class BaseZone {
         if (final < CLAMP_DUCK_MIN) { final = CLAMP_DUCK_MIN; warning_type = 'clamp_ducking_adjust_low'; }
         this.volumeModel.duckingAdjust = final;
         this._volumeMutationMeta.duckingAdjust = new Date().toISOString();
+        this._recordRuntimeOverride({ duckingAdjust: final });
         const msg = warning_type ? `ducking_adjust clamped to ${final} (requested ${requested})` : `ducking_adjust set to ${final}`;
         return { ok: true, outcome: warning_type ? 'warning' : 'success', message: msg, warning_type, final, requested };
     }
 
+    // ========================================================================
+    // Runtime volume state (state_file persistence and resetVolumes)
+    // ========================================================================
+
+    /**
+     * Current volumes in the shape kept as the configured baseline
+     */
+    _snapshotVolumes() {
+        return {
+            baseVolumes: { ...this.volumeModel.baseVolumes },
+            duckingAdjust: this.volumeModel.duckingAdjust,
+            volume: this.currentState.volume
+        };
+    }
+
+    /**
+     * Merge a runtime change into the overrides and write them to the state file
+     * @param {Object} patch - e.g. {baseVolumes: {speech: 90}} or {duckingAdjust: -20}
+     */
+    _recordRuntimeOverride(patch) {
+        const next = { ...this.runtimeOverrides, ...patch };
+        if (patch.baseVolumes) next.baseVolumes = { ...(this.runtimeOverrides.baseVolumes || {}), ...patch.baseVolumes };
+        this.runtimeOverrides = next;
+        this._persistRuntimeOverrides();
+    }
+
+    _persistRuntimeOverrides() {
+        if (this.stateStore) {
+            this.stateStore.setZone(this.config.name, this.runtimeOverrides);
+        }
+    }
+
+    /**
+     * Reapply overrides saved in the state file on top of the pfx.ini values.
+     * Called from initialize().
+     * @returns {Object} the overrides applied
+     */
+    _restoreRuntimeState() {
+        if (!this.stateStore) return {};
+        const saved = this.stateStore.getZone(this.config.name);
+        const restored = {};
+
+        for (const [type, value] of Object.entries(saved.baseVolumes || {})) {
+            const n = parseInt(value, 10);
+            if (this.volumeModel.baseVolumes[type] === undefined || isNaN(n)) continue;
+            this.volumeModel.baseVolumes[type] = clamp(n, CLAMP_ABS_MIN, this.volumeModel.maxVolume);
+            restored.baseVolumes = { ...(restored.baseVolumes || {}), [type]: this.volumeModel.baseVolumes[type] };
+        }
+        if (saved.duckingAdjust !== undefined && !isNaN(parseInt(saved.duckingAdjust, 10))) {
+            this.volumeModel.duckingAdjust = normalizeDuckingAdjust(saved.duckingAdjust);
+            restored.duckingAdjust = this.volumeModel.duckingAdjust;
+        }
+        if (saved.volume !== undefined && !isNaN(parseInt(saved.volume, 10))) {
+            this.currentState.volume = clamp(parseInt(saved.volume, 10), CLAMP_ABS_MIN, CLAMP_ABS_MAX);
+            restored.volume = this.currentState.volume;
+        }
+
+        this.runtimeOverrides = { ...saved, ...restored };
+        if (Object.keys(restored).length) {
+            this.logger.info(`Restored runtime volume state: ${JSON.stringify(restored)}`);
+        }
+        return restored;
+    }
+
+    /**
+     * Return volumes and ducking to the configured (pfx.ini) values and clear the
+     * zone's saved overrides.
+     * @returns {Promise<Object>} the baseline now in effect
+     */
+    async _resetVolumes() {
+        const baseline = this._volumeBaseline || this._snapshotVolumes();
+        this.volumeModel.baseVolumes = { ...baseline.baseVolumes };
+        this.volumeModel.duckingAdjust = baseline.duckingAdjust;
+        this.currentState.volume = baseline.volume;
+        for (const key of Object.keys(this._volumeMutationMeta)) {
+            this._volumeMutationMeta[key] = new Date().toISOString();
+        }
+        this.runtimeOverrides = {};
+        this._persistRuntimeOverrides();
+
+        if (typeof this._recomputeBackgroundAfterDuckChange === 'function') {
+            try {
+                await this._recomputeBackgroundAfterDuckChange();
+            } catch (error) {
+                this.logger.warn(`Background volume recompute after resetVolumes failed: ${error.message}`);
+            }
+        }
+        this.logger.info('Volumes reset to configured values');
+        return baseline;
+    }
+
+    /**
+     * Config keys a running zone can take from a reloaded pfx.ini without being restarted.
+     * Subclasses extend this with their own live keys.
+     */
+    getLiveConfigKeys() {
+        return ['baseVolumes', 'volume', 'duckingAdjust', 'maxVolume', 'speechDucking', 'videoDucking', 'mediaDir', 'mediaBasePath'];
+    }
+
+    /**
+     * Apply changed keys from a reloaded config (see ZoneManager.reloadConfig). Only volume
+     * types whose configured value changed are reset, so unrelated runtime setVolume
+     * changes survive a reload.
+     * @param {Object} config - New processed zone config
+     * @param {Array<string>} changedKeys - Keys that differ from the running config
+     * @returns {Promise<Array<string>>} keys applied
+     */
+    async applyConfig(config, changedKeys) {
+        const live = this.getLiveConfigKeys();
+        const applied = changedKeys.filter(k => live.includes(k));
+        const previousVolumes = this.config.baseVolumes || {};
+        for (const key of applied) this.config[key] = config[key];
+
+        // Reloaded values become the new baseline and replace saved overrides
+        const baseline = this._volumeBaseline || this._snapshotVolumes();
+        const overrides = { ...this.runtimeOverrides, baseVolumes: { ...(this.runtimeOverrides.baseVolumes || {}) } };
+        if (applied.includes('baseVolumes')) {
+            const next = normalizeBaseVolumes(config.baseVolumes);
+            for (const type of Object.keys(next)) {
+                if (next[type] === undefined || (config.baseVolumes || {})[type] === previousVolumes[type]) continue;
+                this.volumeModel.baseVolumes[type] = next[type];
+                this._volumeMutationMeta[type] = new Date().toISOString();
+                baseline.baseVolumes = { ...baseline.baseVolumes, [type]: next[type] };
+                delete overrides.baseVolumes[type];
+            }
+        }
+        if (applied.includes('duckingAdjust')) {
+            this.volumeModel.duckingAdjust = normalizeDuckingAdjust(config.duckingAdjust);
+            this._volumeMutationMeta.duckingAdjust = new Date().toISOString();
+            baseline.duckingAdjust = this.volumeModel.duckingAdjust;
+            delete overrides.duckingAdjust;
+        }
+        if (applied.includes('volume')) {
+            const volume = parseInt(config.volume, 10);
+            if (!isNaN(volume)) {
+                this.currentState.volume = clamp(volume, CLAMP_ABS_MIN, CLAMP_ABS_MAX);
+                baseline.volume = this.currentState.volume;
+                delete overrides.volume;
+            }
+        }
+        this._volumeBaseline = baseline;
+        if (!Object.keys(overrides.baseVolumes).length) delete overrides.baseVolumes;
+        if (JSON.stringify(overrides) !== JSON.stringify(this.runtimeOverrides)) {
+            this.runtimeOverrides = overrides;
+            this._persistRuntimeOverrides();
+        }
+        if (applied.includes('maxVolume')) {
+            this.volumeModel.maxVolume = clamp(config.maxVolume, CLAMP_ABS_MIN, CLAMP_ABS_MAX) ?? 150;
+        }
+
+        if (['baseVolumes', 'duckingAdjust', 'maxVolume'].some(k => applied.includes(k)) && typeof this._recomputeBackgroundAfterDuckChange === 'function') {
+            try {
+                await this._recomputeBackgroundAfterDuckChange();
+            } catch (error) {
+                this.logger.warn(`Background volume recompute after config reload failed: ${error.message}`);
+            }
+        }
+        if (applied.length) {
+            this.logger.info(`Applied reloaded config: ${applied.join(', ')}`);
+            this.publishStatus();
+        }
+        return applied;
+    }
+
     /**
      * Internal helper to build parameters payload for command outcome (sanitized)
      */
@@ -261,8 +441,10 @@ class BaseZone {
      * Publish MQTT message with specified type
      * @param {string} type - Message type: 'events', 'status', 'warning', 'error'
      * @param {Object} data - Message data
+     * @param {Object} [options]
+     * @param {boolean} [options.onlyIfChanged] - Skip a state message identical to the last one
      */
-    publishMessage(type, data) {
+    publishMessage(type, data, options = {}) {
         if (!this.mqttClient || !this.config.baseTopic) {
             return;
         }
@@ -292,15 +474,61 @@ class BaseZone {
             topicType = 'warnings';
         }
         const topic = `${this.config.baseTopic}/${topicType}`;
-        this.mqttClient.publish(topic, message);
+        if (type === 'status') {
+            // Retained, so a dashboard connecting mid-game sees the current state at once
+            if (this._isUnchangedState(message, options)) return;
+            correlation.publish(this.mqttClient, topic, message, type, { retain: true });
+        } else {
+            correlation.publish(this.mqttClient, topic, message, type);
+        }
 
         this.logger.debug(`Published ${type} message:`, message);
+        // Events (playback done, player restarts, queue progress) mostly follow a state change
+        if (type === 'events') this._stateChanged();
     }
 
     /**
-     * Publish status update
+     * Report that the zone state may have changed: publishes it (only if changed) once the
+     * current tick is over, so several changes in a row and an explicit publishStatus() in
+     * the same tick produce a single state message. Skipped once the zone is shut down,
+     * which keeps cleared retained state cleared.
+     * @protected
      */
-    publishStatus() {
+    _stateChanged() {
+        if (this._stateCheckPending) return;
+        this._stateCheckPending = true;
+        setImmediate(() => {
+            this._stateCheckPending = false;
+            if (!this.isInitialized) return;
+            try {
+                this.publishStatus({ onlyIfChanged: true });
+            } catch (error) {
+                this.logger.debug(`State publish failed: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Whether a state message matches the last one published (timestamp aside); records
+     * it as the last one otherwise. Only checked when options.onlyIfChanged is set.
+     * @protected
+     */
+    _isUnchangedState(message, options) {
+        const { timestamp, ...state } = message;
+        const fingerprint = JSON.stringify(state);
+        if (options.onlyIfChanged && fingerprint === this._lastStateFingerprint) {
+            return true;
+        }
+        this._lastStateFingerprint = fingerprint;
+        return false;
+    }
+
+    /**
+     * Publish status update (retained on {baseTopic}/state)
+     * @param {Object} [options]
+     * @param {boolean} [options.onlyIfChanged] - Skip if nothing changed since the last publish
+     */
+    publishStatus(options = {}) {
         // Build flattened status schema (Phase 5)
         const isDucked = this.getDuckActive() || (this._activeDucks && this._activeDucks.size > 0);
         // Background block
@@ -345,6 +573,7 @@ class BaseZone {
         // Assemble base payload
         const payload = {
             status: this.currentState.status,
+            volume: this.currentState.volume,
             isDucked,
             maxVolume: this.volumeModel.maxVolume,
             background,
@@ -353,12 +582,15 @@ class BaseZone {
             lastCommand: this.currentState.lastCommand || null,
             errors: this.currentState.errors || []
         };
+        if (this.scheduler) {
+            payload.schedules = this.scheduler.list(this.config.name);
+        }
         // ScreenZone will extend with video/browser by overriding publishStatus AFTER building base? Instead
         // we allow subclasses to post-process via _extendStatusPayload if they implement it.
         if (typeof this._extendStatusPayload === 'function') {
             try { this._extendStatusPayload(payload); } catch (e) { this.logger.debug('extendStatusPayload failed: ' + e.message); }
         }
-        this.publishMessage('status', payload);
+        this.publishMessage('status', payload, options);
     }
 
     /**
@@ -421,8 +653,6 @@ class BaseZone {
      * @protected
      */
     _resolveMediaPath(filename) {
-        const path = require('path');
-
         // Debug logging
         this.logger.debug(`_resolveMediaPath debug:`, {
             filename,
@@ -431,20 +661,30 @@ class BaseZone {
             'config.media_dir': this.config.media_dir
         });
 
+        const resolvedPath = BaseZone.resolveMediaPath(this.config, filename);
+        this.logger.debug(`Path resolved: ${resolvedPath}`);
+        return resolvedPath;
+    }
+
+    /**
+     * Resolve a media file against a zone config (merged with the global mediaBasePath),
+     * without a running zone (see MediaValidator)
+     * @param {Object} config - Zone config: mediaDir / media_dir, mediaBasePath
+     * @param {string} filename
+     * @returns {string} absolute path
+     */
+    static resolveMediaPath(config, filename) {
+        const path = require('path');
+
         // Use the processed mediaDir if available, otherwise build from config
-        if (this.config.mediaDir && path.isAbsolute(this.config.mediaDir)) {
+        if (config.mediaDir && path.isAbsolute(config.mediaDir)) {
             // mediaDir is already a complete absolute path (from _resolveDeviceMediaDir)
-            const resolvedPath = path.resolve(path.join(this.config.mediaDir, filename));
-            this.logger.debug(`Path resolved (absolute mediaDir): ${resolvedPath}`);
-            return resolvedPath;
-        } else {
-            // Fallback: build path from base + device dir
-            const mediaBasePath = this.config.mediaBasePath || '/opt/paradox/media';
-            const deviceMediaDir = this.config.mediaDir || this.config.media_dir || '';
-            const resolvedPath = path.resolve(path.join(mediaBasePath, deviceMediaDir, filename));
-            this.logger.debug(`Path resolved (fallback): ${resolvedPath}`);
-            return resolvedPath;
+            return path.resolve(path.join(config.mediaDir, filename));
         }
+        // Fallback: build path from base + device dir
+        const mediaBasePath = config.mediaBasePath || '/opt/paradox/media';
+        const deviceMediaDir = config.mediaDir || config.media_dir || '';
+        return path.resolve(path.join(mediaBasePath, deviceMediaDir, filename));
     }
 
     /**
@@ -551,8 +791,9 @@ class BaseZone {
             return; // Already started
         }
 
+        // State is published as it changes; the tick only catches changes nobody published
         this.statusInterval = setInterval(() => {
-            this.publishStatus();
+            this.publishStatus({ onlyIfChanged: true });
         }, this.statusIntervalMs);
 
         this.logger.debug('Started periodic status updates');
@@ -599,6 +840,7 @@ class BaseZone {
         this.logger.debug(`Applying ducking: ${duckId} at level ${level} units`);
         this._activeDucks.set(duckId, level);
         this._updateBackgroundVolume();
+        this._stateChanged();
     }
 
     /**
@@ -611,6 +853,7 @@ class BaseZone {
             this.logger.debug(`Removing ducking: ${duckId}`);
             this._activeDucks.delete(duckId);
             this._updateBackgroundVolume();
+            this._stateChanged();
         } else {
             this.logger.debug(`No ducking found for ID: ${duckId}`);
         }
@@ -10,6 +10,7 @@
 
 const { execSync } = require('child_process');
 const BaseZone = require('./base-zone');
+const correlation = require('../core/correlation');
 const MediaPlayerFactory = require('../media/media-player-factory');
 const ScreenPowerManager = require('../utils/screen-power-manager');
 const AudioManager = require('../media/audio-manager');
@@ -19,6 +20,9 @@ const { resolveEffectiveVolume } = require('../audio/resolve-effective-volume');
 const { VideoPlaybackTracker } = require('../media/video-playback-tracker');
 const { probeDurationSeconds } = require('../media/ffprobe-duration');
 
+// Zone master volume (setZoneVolume) before any runtime change
+const DEFAULT_ZONE_VOLUME = 80;
+
 class ScreenZone extends BaseZone {
     constructor(config, mqttClient, zoneManager) {
         super(config, mqttClient);
@@ -45,8 +49,13 @@ class ScreenZone extends BaseZone {
             zoneId: config.name || 'unknown'  // Add zone-specific identifier
         }, this);
 
-        // Screen power management
-        this.screenPowerManager = new ScreenPowerManager(this.display);
+        // Screen power management: sleep/wake switch only this zone's output
+        this.screenPowerManager = new ScreenPowerManager(this.display, {
+            method: config.displayPower || 'auto',
+            output: config.displayOutput || null,
+            cec: { tool: config.cecTool || 'auto', device: config.cecDevice, address: config.cecAddress }
+        });
+        this.screenOutput = config.displayOutput || null;
 
         // Window management for browser switching
         this.windowManager = new WindowManager(this.display);
@@ -88,7 +97,7 @@ class ScreenZone extends BaseZone {
             audioQueueLength: 0,
             speechQueueLength: 0,
             screenAwake: true,
-            zoneVolume: 80, // Default zone master volume
+            zoneVolume: DEFAULT_ZONE_VOLUME, // Default zone master volume
             focus: 'mpv',  // 'mpv' | 'chromium' | 'none'
             content: null, // current file/url being displayed
             browser: {
@@ -146,6 +155,37 @@ class ScreenZone extends BaseZone {
                 this.volumeModel.baseVolumes.video = this.volumeModel.baseVolumes.background;
             }
         }
+        this._volumeBaseline = this._snapshotVolumes();
+    }
+
+    getLiveConfigKeys() {
+        return [...super.getLiveConfigKeys(), 'videoQueueMax', 'defaultImage'];
+    }
+
+    async applyConfig(config, changedKeys) {
+        const applied = await super.applyConfig(config, changedKeys);
+        if (applied.includes('mediaDir') || applied.includes('mediaBasePath')) {
+            const mediaDir = this._resolveDeviceMediaDir(this.config);
+            this.zoneConfig.mediaDir = mediaDir;
+            this.audioManager.config.baseMediaPath = mediaDir;
+            if (this.mpvZoneManager && this.mpvZoneManager.config) this.mpvZoneManager.config.mediaDir = mediaDir;
+        }
+        if (applied.includes('videoQueueMax')) {
+            this.zoneConfig.videoQueueMax = config.videoQueueMax || 5;
+            if (this.mpvZoneManager && this.mpvZoneManager.config) this.mpvZoneManager.config.videoQueueMax = this.zoneConfig.videoQueueMax;
+        }
+        if (applied.includes('defaultImage')) {
+            this.defaultImage = config.defaultImage || 'default.png';
+        }
+        if (applied.includes('volume')) {
+            this.zoneConfig.defaultVolume = this.currentState.volume;
+        }
+        if (applied.includes('maxVolume')) {
+            // mpv's --volume-max applies to players started from now on
+            this.zoneConfig.maxVolume = config.maxVolume;
+            this.audioManager.maxVolume = config.maxVolume;
+        }
+        return applied;
     }
 
     // Helper duplicated (temporary) from audio-zone until consolidated into BaseZone
@@ -164,6 +204,7 @@ class ScreenZone extends BaseZone {
             // Initialize screen power management
             await this.screenPowerManager.disableScreenBlanking();
             await this.screenPowerManager.checkDpmsSupport();
+            await this._detectScreenOutput();
 
             // Initialize MPV Zone Manager for images/video
             this.mpvZoneManager = await this.mediaPlayerFactory.createZoneManager(this.zoneConfig);
@@ -213,6 +254,12 @@ class ScreenZone extends BaseZone {
                 });
             });
 
+            // Reapply volumes saved in the state file (state_file) over the pfx.ini values
+            const restored = this._restoreRuntimeState();
+            if (restored.zoneVolume !== undefined) {
+                await this.mpvZoneManager.setVolume(restored.zoneVolume);
+            }
+
             // Initialize audio system
             await this.audioManager.initialize();
             this.mpvInstances.background = {
@@ -381,6 +428,12 @@ class ScreenZone extends BaseZone {
                 case 'recoverScreens':
                     await this._recoverScreens();
                     break;
+                case 'cecStatus':
+                    Object.assign(parameters, await this._cecStatus());
+                    break;
+                case 'cecVolume':
+                    await this._cecVolume(command.action, command.steps || 1);
+                    break;
 
                 // Volume control
                 case 'setVolume':
@@ -395,6 +448,12 @@ class ScreenZone extends BaseZone {
                 case 'setDuckingAdjustment':
                     await this._handleSetDuckingAdjustment(command);
                     break;
+                case 'resetVolumes': {
+                    const baseline = await this._resetVolumes();
+                    Object.assign(parameters, { volumes: baseline.baseVolumes, ducking_adjust: baseline.duckingAdjust });
+                    this.publishStatus();
+                    break;
+                }
 
                 // Stop commands
                 case 'stopAll':
@@ -472,8 +531,9 @@ class ScreenZone extends BaseZone {
             'playAudio', 'playBackground', 'pauseBackground', 'resumeBackground', 'stopBackground',
             'playSpeech', 'pauseSpeech', 'resumeSpeech', 'skipSpeech', 'speechQueue', 'playAudioFX', 'playSoundEffect', 'stopAudio', 'stopSpeech',
             'sleepScreen', 'wakeScreen', 'recoverScreens',
+            ...(this.screenPowerManager && this.screenPowerManager.cec ? ['cecStatus', 'cecVolume'] : []),
             'reboot', 'shutdown', 'killPfx', 'restartPfx',
-            'setVolume', 'setZoneVolume', 'getStatus', 'getState', 'stopAll', 'pauseAll', 'resumeAll',
+            'setVolume', 'setZoneVolume', 'resetVolumes', 'getStatus', 'getState', 'stopAll', 'pauseAll', 'resumeAll',
             'enableBrowser', 'disableBrowser', 'showBrowser', 'hideBrowser', 'setBrowserUrl', 'setBrowserKeepAlive'
         ];
     }
@@ -579,7 +639,7 @@ class ScreenZone extends BaseZone {
             return; // Don't update state if file doesn't exist
         }
 
-        await this.screenPowerManager.autoWakeForMedia('image');
+        await this._autoWakeScreen('image');
 
         const fullPath = fileValidation.path;
 
@@ -671,7 +731,7 @@ class ScreenZone extends BaseZone {
         }
 
         // Wake screen early in the process to avoid timing conflicts
-        await this.screenPowerManager.autoWakeForMedia('video');
+        await this._autoWakeScreen('video');
 
         // Validate file exists before proceeding
         const fileValidation = await this._validateMediaFile(videoPath);
@@ -746,6 +806,7 @@ class ScreenZone extends BaseZone {
 
         // Update zone state
         this.currentState.currentVideo = videoPath;
+        this._currentVideoCorrelation = correlation.current(); // echoed on the done event
         this.currentState.currentImage = null;
         this.currentState.status = 'playing_video';
         this.mpvInstances.media.currentFile = videoPath;
@@ -863,8 +924,8 @@ class ScreenZone extends BaseZone {
             default: message = reason;
         }
 
-        // Emit unified final event
-        this.publishEvent({
+        // Emit unified final event (under the playVideo's correlation, whatever ended it)
+        correlation.run(this._currentVideoCorrelation, () => this.publishEvent({
             command: 'playVideo',
             file,
             done: true,
@@ -875,10 +936,11 @@ class ScreenZone extends BaseZone {
             loop_iterations: wasLooping ? loopIterations : undefined,
             queue_remaining: this.videoQueue.length,
             ts: new Date().toISOString()
-        });
+        }));
 
         // Reset current video state but retain last frame shown as image-equivalent
         this.currentState.currentVideo = null;
+        this._currentVideoCorrelation = undefined;
         this.currentState.status = 'showing_image';
 
         // Clear loop state
@@ -1055,7 +1117,7 @@ class ScreenZone extends BaseZone {
             return false;
         }
         if (this.screenPowerManager.shouldWakeForAudio(this.config.audioDevice)) {
-            await this.screenPowerManager.autoWakeForMedia('audio');
+            await this._autoWakeScreen('audio');
         }
         const options = {};
         let resolvedAudio = null;
@@ -1324,7 +1386,7 @@ class ScreenZone extends BaseZone {
         }
 
         // Sleep only the target monitor
-        await this.screenPowerManager.sleepMonitor(this.targetMonitor);
+        this.screenOutput = await this.screenPowerManager.sleepMonitor(this.targetMonitor) || this.screenOutput;
 
         this.currentState.screenAwake = false;
         this.currentState.status = 'screen_asleep';
@@ -1336,7 +1398,7 @@ class ScreenZone extends BaseZone {
 
     async _wakeScreen() {
         // Wake only the target monitor
-        await this.screenPowerManager.wakeMonitor(this.targetMonitor);
+        this.screenOutput = await this.screenPowerManager.wakeMonitor(this.targetMonitor) || this.screenOutput;
 
         // Restore default image if no media is currently playing
         if (!this.currentState.currentVideo && !this.currentState.currentAudio) {
@@ -1350,6 +1412,53 @@ class ScreenZone extends BaseZone {
         this.logger.info('Screen woken up');
     }
 
+    /**
+     * Output this zone's sleep/wake switches, for the state (null under DPMS)
+     * @private
+     */
+    async _detectScreenOutput() {
+        try {
+            const method = await this.screenPowerManager.detectPowerMethod();
+            if (method !== 'dpms') this.screenOutput = await this.screenPowerManager.resolveOutput(this.targetMonitor);
+        } catch (error) {
+            this.logger.warn(`Cannot determine the display output of monitor ${this.targetMonitor}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Wake this zone's display if it is asleep, before showing media
+     * @private
+     */
+    async _autoWakeScreen(mediaType) {
+        if (await this.screenPowerManager.autoWakeForMedia(mediaType)) {
+            this.currentState.screenAwake = true;
+            if (this.currentState.status === 'screen_asleep') this.currentState.status = 'idle';
+            this.publishStatus();
+        }
+    }
+
+    /**
+     * Ask the TV for its power state over HDMI-CEC
+     * @private
+     * @returns {Promise<Object>} outcome parameters
+     */
+    async _cecStatus() {
+        const cec = this.screenPowerManager.cec;
+        const power = await cec.getPowerStatus();
+        this.currentState.tvPower = power;
+        this.publishStatus();
+        return { power, tool: await cec.detectTool(), device: cec.device, address: cec.address };
+    }
+
+    /**
+     * Volume keys passed through to a TV that plays the audio itself
+     * @private
+     */
+    async _cecVolume(action, steps) {
+        await this.screenPowerManager.cec.volume(action, steps);
+        this.logger.info(`CEC volume ${action} x${steps}`);
+    }
+
     async _recoverScreens() {
         this.logger.info('Recovering all screens via screen power manager');
         await this.screenPowerManager.recoverAllMonitors();
@@ -1372,6 +1481,7 @@ class ScreenZone extends BaseZone {
         }
 
         this.currentState.volume = volume;
+        this._recordRuntimeOverride({ volume });
 
         // Set volume on audio manager
         await this.audioManager.setBackgroundMusicVolume(volume);
@@ -1489,12 +1599,33 @@ class ScreenZone extends BaseZone {
 
         // Update zone state
         this.currentState.zoneVolume = volume;
+        this._recordRuntimeOverride({ zoneVolume: volume });
 
         this.publishStatus();
         this.publishEvent({ zone_volume_changed: volume });
         this.logger.info(`Zone master volume set to: ${volume}`);
     }
 
+    _restoreRuntimeState() {
+        const restored = super._restoreRuntimeState();
+        const zoneVolume = parseInt(this.runtimeOverrides.zoneVolume, 10);
+        if (!isNaN(zoneVolume) && zoneVolume >= 0 && zoneVolume <= 200) {
+            this.currentState.zoneVolume = zoneVolume;
+            restored.zoneVolume = zoneVolume;
+        }
+        return restored;
+    }
+
+    async _resetVolumes() {
+        const zoneVolumeChanged = this.runtimeOverrides.zoneVolume !== undefined;
+        const baseline = await super._resetVolumes();
+        if (zoneVolumeChanged) {
+            this.currentState.zoneVolume = DEFAULT_ZONE_VOLUME;
+            if (this.mpvZoneManager) await this.mpvZoneManager.setVolume(DEFAULT_ZONE_VOLUME);
+        }
+        return baseline;
+    }
+
     // Phase 8 helper: recompute background volume when lifecycle duck triggers change
     async _recomputeBackgroundAfterDuckChange() {
         if (!this.currentState.backgroundMusic) return;
@@ -1660,7 +1791,7 @@ class ScreenZone extends BaseZone {
             const last = this.videoQueue[this.videoQueue.length - 1];
             if (last.kind === 'setImage') {
                 this.logger.debug('VIDEO_QUEUE: replacing trailing setImage with new setImage');
-                this.videoQueue[this.videoQueue.length - 1] = { kind, file: mediaPath, media_type: mediaType, enqueued_at: Date.now(), original: command };
+                this.videoQueue[this.videoQueue.length - 1] = { kind, file: mediaPath, media_type: mediaType, enqueued_at: Date.now(), original: command, correlation: correlation.current() };
                 this.currentState.videoQueueLength = this.videoQueue.length;
                 this.publishStatus();
                 if (!this.isProcessingVideoQueue) this._processVideoQueue();
@@ -1681,8 +1812,8 @@ class ScreenZone extends BaseZone {
             }
         }
 
-        // Append
-        this.videoQueue.push({ kind, file: mediaPath, media_type: mediaType, enqueued_at: Date.now(), original: command });
+        // Append (keeping the command's correlation context for when the item plays)
+        this.videoQueue.push({ kind, file: mediaPath, media_type: mediaType, enqueued_at: Date.now(), original: command, correlation: correlation.current() });
 
         // Size cap
         const max = this.zoneConfig.videoQueueMax || 5;
@@ -1723,14 +1854,14 @@ class ScreenZone extends BaseZone {
         this.publishStatus();
         try {
             if (kind === 'setImage') {
-                await this._handleSetImageQueue(file, media_type, original);
+                await correlation.run(item.correlation, () => this._handleSetImageQueue(file, media_type, original));
                 // setImage (including video first frame) completes immediately
                 this.isProcessingVideoQueue = false;
                 if (this.videoQueue.length > 0) this._processVideoQueue();
                 return;
             }
             if (kind === 'playVideo') {
-                await this._handlePlayVideoQueue(file, media_type, original);
+                await correlation.run(item.correlation, () => this._handlePlayVideoQueue(file, media_type, original));
                 if (media_type === 'video') {
                     // Wait for unified completion event path to clear isProcessing flag
                     return;
@@ -2654,6 +2785,17 @@ class ScreenZone extends BaseZone {
             socket_path: this.socketPaths.media,
             volume: this.volumeModel.baseVolumes.video
         };
+        payload.image = this.currentState.currentImage || null;
+        payload.screen_awake = this.currentState.screenAwake !== false;
+        payload.screen_power = {
+            output: this.screenOutput,
+            method: this.screenPowerManager.powerMethod || this.screenPowerManager.method,
+            power: payload.screen_awake ? 'on' : 'off'
+        };
+        if (this.screenPowerManager.cec) {
+            // As last reported by the TV (cecStatus)
+            payload.screen_power.tv_power = this.currentState.tvPower || null;
+        }
         // Browser block
         payload.browser = {
             enabled: !!(this.browserManager && this.browserManager.enabled),
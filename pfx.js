@@ -12,24 +12,42 @@ const fs = require('fs');
 const { spawn } = require('child_process');
 const minimist = require('minimist');
 const ZoneManager = require('./lib/core/zone-manager');
+const CueManager = require('./lib/core/cue-manager');
 const ConfigLoader = require('./lib/core/config-loader');
 const MqttClient = require('./lib/core/mqtt-client');
+const HttpApi = require('./lib/core/http-api');
+const MediaValidator = require('./lib/media/media-validator');
+const RotatingLogFile = require('./lib/utils/rotating-log-file');
 const Logger = require('./lib/utils/logger');
+const correlation = require('./lib/core/correlation');
 
 class PFxApplication {
     constructor() {
         this.logger = new Logger('PFx');
         this.config = null;
         this.zoneManager = null;
+        this.cueManager = null;
         this.mqttClient = null;
+        this.httpApi = null;
+        this.configPath = null;
+        this.logFile = null;
+        // Set once start() has brought up every component; cleared by shutdown()
+        this.running = false;
+        // Tail of the reload chain (reloads run one at a time)
+        this._reloading = Promise.resolve();
     }
 
     async start() {
         try {
             // Parse command line for --config/-c or positional argument
-            const argv = minimist(process.argv.slice(2));
+            const argv = minimist(process.argv.slice(2), { boolean: ['check', 'json', 'decode'], default: { decode: true } });
             const configFile = argv.config || argv.c || argv._[0] || 'pfx.ini';
             const configPath = path.resolve(configFile);
+            this.configPath = configPath;
+            // --check --json: stdout carries only the report; log lines go to stderr
+            if (argv.check && argv.json) {
+                console.log = console.error;
+            }
 
             // Load version first (needed for startup message)
             let version = '0.0.0';
@@ -53,60 +71,17 @@ class PFxApplication {
             // Load configuration
             this.config = await ConfigLoader.load(configPath);
 
-            // Set up file logging if log_directory is configured
-            let logStream = null;
-            if (this.config.global.log_directory) {
-                const logDir = path.resolve(this.config.global.log_directory);
-                fs.mkdirSync(logDir, { recursive: true });
-
-                // Clean up old logs on startup
-                const LogCleanup = require('./lib/utils/log-cleanup');
-                const cleanupResult = await LogCleanup.cleanup(logDir, {
-                    maxAgeDays: 30,
-                    maxSizeMB: 100,
-                    excludeFiles: ['pfx-latest.log']
-                });
-                if (cleanupResult.deleted > 0) {
-                    this.logger.info(`Cleaned up ${cleanupResult.deleted} old log files (kept ${cleanupResult.kept}, total ${cleanupResult.totalSize}MB)`);
-                }
-
-                // Create timestamped log file for this session
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
-                const logFile = path.join(logDir, `pfx-${timestamp}.log`);
-                logStream = fs.createWriteStream(logFile, { flags: 'a' });
-
-                // Also create/update the latest log symlink
-                const latestLogFile = path.join(logDir, 'pfx-latest.log');
-                try {
-                    if (fs.existsSync(latestLogFile)) {
-                        fs.unlinkSync(latestLogFile);
-                    }
-                    fs.symlinkSync(path.basename(logFile), latestLogFile);
-                } catch (err) {
-                    // Ignore symlink errors, just use timestamped file
-                }
+            // JSON log lines carry the zone, command and id of the command being handled
+            Logger.setContextProvider(correlation.logContext);
+            this._applyLogLevels(this.config.global);
 
-                // Redirect console output to log file
-                const origLog = console.log;
-                const origError = console.error;
-                const origWarn = console.warn;
-                console.log = (...args) => {
-                    origLog(...args);
-                    logStream.write(args.join(' ') + '\n');
-                };
-                console.error = (...args) => {
-                    origError(...args);
-                    logStream.write(args.join(' ') + '\n');
-                };
-                console.warn = (...args) => {
-                    origWarn(...args);
-                    logStream.write(args.join(' ') + '\n');
-                };
-
-                this.logger.info(`Logging to: ${logFile}`);
-            } else {
-                this.logger.info('File logging disabled (no log_directory configured)');
+            // --check: validate the referenced media and exit (non-zero on problems)
+            if (argv.check) {
+                await this.checkMedia(argv);
+                return;
             }
+
+            await this._setupLogging();
             this.logger.info(`Loaded configuration for ${Object.keys(this.config.devices).length} devices`);
 
             // Detect OS and log system information
@@ -153,14 +128,31 @@ class PFxApplication {
                 this.logger.warn('PulseAudio not available after initial wait, skipping combined sink setup');
             }
 
-            // Initialize MQTT client
+            // Initialize MQTT client; the zone manager registers its last-will before connecting
             this.mqttClient = new MqttClient(this.config.global);
+            this.zoneManager = new ZoneManager(this.config, this.mqttClient);
+            // Optional local HTTP/WebSocket API; tracks state from the start
+            if (this.config.global.httpEnabled) {
+                this.httpApi = new HttpApi(this.config.global, this.zoneManager, this.mqttClient);
+            }
             await this.mqttClient.connect();
 
             // Initialize zone manager
-            this.zoneManager = new ZoneManager(this.config, this.mqttClient);
             await this.zoneManager.initialize();
 
+            if (this.httpApi) {
+                await this.httpApi.start();
+            }
+
+            // Cues drive zones through the zone manager
+            this.cueManager = new CueManager(this.config, this.mqttClient, this.zoneManager);
+            await this.cueManager.initialize();
+
+            // reloadConfig on the device topic re-reads the INI file
+            this.zoneManager.setConfigReloader(() => this.reloadConfig());
+            // validateMedia checks the cues as currently defined, including MQTT-defined ones
+            this.zoneManager.setCueProvider(() => this.cueManager.cues.values());
+
             // Start cursor-hiding helper (unclutter) for relevant displays
             try {
                 await this._startUnclutter();
@@ -171,6 +163,7 @@ class PFxApplication {
             // Setup graceful shutdown
             this.setupShutdownHandlers();
 
+            this.running = true;
             console.log('****************************************');
             this.logger.info('Paradox Effects application started successfully');
             console.log('****************************************');
@@ -182,7 +175,104 @@ class PFxApplication {
         }
     }
 
+    /**
+     * Log levels and format from pfx.ini; LOG_LEVEL / LOG_FORMAT in the environment win
+     */
+    _applyLogLevels(global) {
+        Logger.configure({
+            level: process.env.LOG_LEVEL ? undefined : global.logLevel,
+            modules: global.logLevels,
+            format: process.env.LOG_FORMAT ? undefined : global.logFormat
+        });
+    }
+
+    /**
+     * Write console output to a rotating file when log_directory is configured, and
+     * turn non-Logger console output into JSON lines when log_format = json
+     */
+    async _setupLogging() {
+        const global = this.config.global;
+        if (global.log_directory) {
+            this.logFile = new RotatingLogFile(path.resolve(global.log_directory), { maxFileMB: global.logMaxFileMB });
+            // Clean up old logs on startup
+            const cleanupResult = await this.logFile.open();
+            if (cleanupResult.deleted > 0) {
+                this.logger.info(`Cleaned up ${cleanupResult.deleted} old log files (kept ${cleanupResult.kept}, total ${cleanupResult.totalSize}MB)`);
+            }
+        }
+
+        if (this.logFile || Logger.format === 'json') {
+            // Redirect console output to log file
+            const tee = (original, level) => (...args) => {
+                const line = Logger.formatLine(args.join(' '), level);
+                if (Logger.format === 'json') original(line);
+                else original(...args);
+                if (this.logFile) this.logFile.write(line);
+            };
+            console.log = tee(console.log, 'info');
+            console.error = tee(console.error, 'error');
+            console.warn = tee(console.warn, 'warn');
+        }
+
+        if (this.logFile) {
+            this.logger.info(`Logging to: ${this.logFile.file} (rotating at ${global.logMaxFileMB || 10}MB)`);
+        } else {
+            this.logger.info('File logging disabled (no log_directory configured)');
+        }
+    }
+
+    /**
+     * Preflight media check (--check): print the MediaValidator report and exit 0 when
+     * every file is present and decodable, 1 otherwise. --no-decode skips ffprobe,
+     * --manifest <file> replaces media_manifest, --json prints the raw report.
+     */
+    async checkMedia(argv) {
+        const validator = new MediaValidator(this.config, {
+            manifest: argv.manifest ? path.resolve(argv.manifest) : undefined,
+            decode: argv.decode !== false
+        });
+        const report = await validator.run();
+        if (argv.json) {
+            process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        } else {
+            console.log(MediaValidator.formatReport(report));
+        }
+        process.exit(report.ok ? 0 : 1);
+    }
+
+    /**
+     * Re-read the INI file and apply it to the running zones and cues
+     * (reloadConfig device command and SIGHUP). A reload requested while another
+     * runs waits for it, so each one diffs against the config the last one applied.
+     * @returns {Promise<Object>} reload report (see ZoneManager.reloadConfig)
+     */
+    reloadConfig() {
+        const reload = this._reloading.then(() => this._reloadConfig());
+        this._reloading = reload.catch(() => {});
+        return reload;
+    }
+
+    /** @private */
+    async _reloadConfig() {
+        this.logger.info(`Reloading configuration from ${this.configPath}`);
+        const next = await ConfigLoader.load(this.configPath);
+        const report = await this.zoneManager.reloadConfig(next);
+        report.cues = this.cueManager.reloadCues(next.cues);
+        if (report.applied.global && report.applied.global.some(k => k === 'logLevel' || k === 'logLevels')) {
+            // Runtime setLogLevel changes give way to the file's levels
+            this._applyLogLevels({ logLevel: next.global.logLevel, logLevels: next.global.logLevels });
+        }
+
+        const applied = Object.keys(report.applied);
+        this.logger.info(`Configuration reloaded: applied [${applied.join(', ')}], added [${report.added.join(', ')}], removed [${report.removed.join(', ')}], restarted [${report.restarted.map(r => r.zone).join(', ')}]`);
+        if (report.restart_required.length) {
+            this.logger.warn(`Restart pfx to apply: ${report.restart_required.join(', ')}`);
+        }
+        return report;
+    }
+
     async shutdown() {
+        this.running = false;
         console.log('****************************************');
         this.logger.info('PFX shutting down politely, which may take a few seconds.');
         console.log('****************************************');
@@ -194,10 +284,18 @@ class PFxApplication {
             this.logger.warn('Error stopping unclutter: ' + err.message);
         }
 
+        if (this.cueManager) {
+            await this.cueManager.shutdown();
+        }
+
         if (this.zoneManager) {
             await this.zoneManager.shutdown();
         }
 
+        if (this.httpApi) {
+            await this.httpApi.stop();
+        }
+
         if (this.mqttClient) {
             await this.mqttClient.disconnect();
         }
@@ -205,12 +303,24 @@ class PFxApplication {
         console.log('****************************************');
         this.logger.info('Application shutdown complete');
         console.log('****************************************');
+        if (this.logFile) {
+            await this.logFile.close();
+        }
         process.exit(0);
     }
 
     setupShutdownHandlers() {
         process.on('SIGINT', () => this.shutdown());
         process.on('SIGTERM', () => this.shutdown());
+        process.on('SIGHUP', () => {
+            if (!this.running) {
+                this.logger.warn('Ignoring SIGHUP: pfx is not fully started');
+                return;
+            }
+            this.reloadConfig()
+                .then(report => this.zoneManager.publishEvent({ config_reloaded: true, trigger: 'SIGHUP', ...report }))
+                .catch(error => this.logger.error('Config reload failed:', error.message));
+        });
         process.on('uncaughtException', (error) => {
             this.logger.error('Uncaught exception:', error);
             this.shutdown();
@@ -236,6 +346,8 @@ class PFxApplication {
             const displays = new Set();
             for (const deviceName of Object.keys(this.config.devices || {})) {
                 const dev = this.config.devices[deviceName];
+                // Lights and relays have no display
+                if (dev.type !== 'screen') continue;
                 const d = dev.display || dev.display_name || process.env.DISPLAY || ':0';
                 displays.add(d);
             }
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Pair pfx with a Philips Hue bridge and store the app key.
+ *
+ * Usage: node scripts/hue-pair.js [bridge_ip] [--key-file <path>]
+ *
+ * Without a bridge address the bridge is located via the Hue discovery service.
+ * Press the link button on the bridge, then run this within 30 seconds (the
+ * script keeps retrying for about a minute). The key is written to the same key
+ * file HueController reads at startup, so `username` can be left out of pfx.ini.
+ */
+
+const HueController = require('../lib/controllers/hue-controller');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const keyIdx = args.indexOf('--key-file');
+    const appKeyFile = keyIdx >= 0 ? args.splice(keyIdx, 2)[1] : undefined;
+    let bridgeIp = args[0];
+
+    if (!bridgeIp) {
+        const bridges = await HueController.discoverBridges();
+        if (!bridges.length) {
+            throw new Error('No Hue bridge found; pass its IP address');
+        }
+        bridgeIp = bridges[0].ip;
+        console.log(`Found bridge ${bridges[0].id} at ${bridgeIp}`);
+    }
+
+    const hue = new HueController({ bridgeIp, appKeyFile });
+    console.log('Press the link button on the bridge...');
+    const key = await hue.pair({ attempts: 30, intervalMs: 2000 });
+    console.log(`Paired. App key stored in ${hue.keyFile}: ${key}`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
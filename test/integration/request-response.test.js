@@ -0,0 +1,98 @@
+/**
+ * Integration Test for request/response commands over a real broker
+ * Uses ensureBroker() (local broker or embedded Aedes). Aedes speaks MQTT 3.1.1 only,
+ * so the reply topic is given in the payload (`response_topic`); the MQTT v5
+ * responseTopic property takes the same path (see test/unit/request-response.test.js).
+ */
+
+jest.unmock('mqtt');
+
+const mqttLib = require('mqtt');
+const { URL } = require('url');
+const MqttClient = require('../../lib/core/mqtt-client');
+const ZoneManager = require('../../lib/core/zone-manager');
+const { ensureBroker } = require('../utils/broker-helper');
+
+const skipAll = process.env.SKIP_INTEGRATION_TESTS === '1';
+const describeIntegration = skipAll ? describe.skip : describe;
+
+describeIntegration('Request/response over MQTT', () => {
+    let brokerControl;
+    let pfxClient;
+    let zoneManager;
+    let requester;
+
+    beforeAll(async () => {
+        brokerControl = await ensureBroker();
+        const u = new URL(brokerControl.url);
+        pfxClient = new MqttClient({
+            mqttServer: u.hostname,
+            mqttPort: parseInt(u.port, 10),
+            heartbeatTopic: 'test/rr/heartbeat',
+            heartbeatInterval: 60000,
+            mqttMaxAttempts: 1,
+            mqttConnectTimeoutMs: 1500,
+            mqttOverallTimeoutMs: 3000
+        });
+        await pfxClient.connect();
+
+        zoneManager = new ZoneManager({
+            global: { baseTopic: 'test/rr' },
+            devices: {
+                fog: { name: 'fog', type: 'relay', baseTopic: 'test/rr/fog', controller: 'mock', deviceId: 'fog1' }
+            }
+        }, pfxClient);
+        await zoneManager.initialize();
+
+        requester = mqttLib.connect(brokerControl.url, { connectTimeout: 1500 });
+        await new Promise((resolve, reject) => {
+            requester.once('connect', resolve);
+            requester.once('error', reject);
+        });
+        await new Promise(r => requester.subscribe('test/rr/replies/#', r));
+        // let pfx's subscriptions settle
+        await new Promise(r => setTimeout(r, 100));
+    });
+
+    afterAll(async () => {
+        if (zoneManager) await zoneManager.shutdown();
+        if (requester) await new Promise(r => requester.end(true, {}, r));
+        if (pfxClient) await pfxClient.disconnect();
+        if (brokerControl && brokerControl.usedEmbedded) await brokerControl.stop();
+    });
+
+    function request(topic, command, replyTopic) {
+        return new Promise((resolve, reject) => {
+            const received = [];
+            const onMessage = (t, payload) => {
+                if (t === replyTopic) received.push(JSON.parse(payload.toString()));
+            };
+            requester.on('message', onMessage);
+            requester.publish(topic, JSON.stringify({ ...command, response_topic: replyTopic }), err => err && reject(err));
+            // wait long enough to see a second reply if one were sent
+            setTimeout(() => {
+                requester.removeListener('message', onMessage);
+                resolve(received);
+            }, 400);
+        });
+    }
+
+    test('a command gets exactly one reply with outcome and state', async () => {
+        const replies = await request('test/rr/fog/commands', { command: 'turnOn', id: 'it-1' }, 'test/rr/replies/1');
+        expect(replies).toHaveLength(1);
+        expect(replies[0]).toMatchObject({ type: 'response', zone: 'fog', command: 'turnOn', outcome: 'success', correlation_id: 'it-1' });
+        expect(replies[0].state).toMatchObject({ state: 'on' });
+    });
+
+    test('failures carry the error type', async () => {
+        const replies = await request('test/rr/fog/commands', { command: 'setColor', color: '#fff' }, 'test/rr/replies/2');
+        expect(replies).toHaveLength(1);
+        expect(replies[0]).toMatchObject({ command: 'setColor', outcome: 'failed', error_type: 'unsupported_command' });
+    });
+
+    test('device topic commands are answered too', async () => {
+        const replies = await request('test/rr/pfx-device/commands', { command: 'stopAll' }, 'test/rr/replies/3');
+        expect(replies).toHaveLength(1);
+        expect(replies[0]).toMatchObject({ device: 'pfx-device', command: 'stopAll', outcome: 'success' });
+    });
+});
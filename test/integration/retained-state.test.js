@@ -0,0 +1,96 @@
+/**
+ * Integration Test for retained state and the last-will over a real broker
+ * Uses ensureBroker() (local broker or embedded Aedes).
+ */
+
+jest.unmock('mqtt');
+
+const mqttLib = require('mqtt');
+const { URL } = require('url');
+const MqttClient = require('../../lib/core/mqtt-client');
+const ZoneManager = require('../../lib/core/zone-manager');
+const { ensureBroker } = require('../utils/broker-helper');
+
+const skipAll = process.env.SKIP_INTEGRATION_TESTS === '1';
+const describeIntegration = skipAll ? describe.skip : describe;
+
+describeIntegration('Retained state and last-will over MQTT', () => {
+    let brokerControl;
+
+    beforeAll(async () => {
+        brokerControl = await ensureBroker();
+    });
+
+    afterAll(async () => {
+        if (brokerControl && brokerControl.usedEmbedded) await brokerControl.stop();
+    });
+
+    async function startPfx() {
+        const u = new URL(brokerControl.url);
+        const client = new MqttClient({
+            mqttServer: u.hostname,
+            mqttPort: parseInt(u.port, 10),
+            heartbeatTopic: 'test/rs/heartbeat',
+            heartbeatInterval: 60000,
+            mqttMaxAttempts: 1,
+            mqttConnectTimeoutMs: 1500,
+            mqttOverallTimeoutMs: 3000
+        });
+        const zoneManager = new ZoneManager({
+            global: { baseTopic: 'test/rs', deviceName: 'box' },
+            devices: {
+                fog: { name: 'fog', type: 'relay', baseTopic: 'test/rs/fog', controller: 'mock', deviceId: 'fog1' }
+            }
+        }, client);
+        await client.connect();
+        await zoneManager.initialize();
+        return { client, zoneManager };
+    }
+
+    /** Connect a fresh subscriber and collect what it receives (retained messages first) */
+    async function observe(topics, waitMs = 300) {
+        const observer = mqttLib.connect(brokerControl.url, { connectTimeout: 1500 });
+        await new Promise((resolve, reject) => {
+            observer.once('connect', resolve);
+            observer.once('error', reject);
+        });
+        const received = [];
+        observer.on('message', (topic, payload, packet) => received.push({ topic, payload: payload.toString(), retain: packet.retain }));
+        await new Promise(r => observer.subscribe(topics, r));
+        await new Promise(r => setTimeout(r, waitMs));
+        await new Promise(r => observer.end(true, {}, r));
+        return received;
+    }
+
+    test('a late subscriber gets the current state; clean shutdown clears it', async () => {
+        const { client, zoneManager } = await startPfx();
+        await zoneManager.getZone('fog').handleCommand({ command: 'turnOn' });
+        await new Promise(r => setTimeout(r, 100));
+
+        const late = await observe(['test/rs/fog/state', 'test/rs/box/state']);
+        const fog = late.find(m => m.topic === 'test/rs/fog/state');
+        expect(fog.retain).toBe(true);
+        expect(JSON.parse(fog.payload)).toMatchObject({ zone: 'fog', state: 'on' });
+        expect(JSON.parse(late.find(m => m.topic === 'test/rs/box/state').payload)).toMatchObject({ status: 'online', zones: { fog: 'online' } });
+
+        await zoneManager.shutdown();
+        await client.disconnect();
+
+        const after = await observe(['test/rs/fog/state', 'test/rs/box/state']);
+        expect(after.find(m => m.topic === 'test/rs/fog/state')).toBeUndefined();
+        expect(JSON.parse(after.find(m => m.topic === 'test/rs/box/state').payload)).toMatchObject({ status: 'offline', reason: 'shutdown' });
+    });
+
+    test('a dropped connection publishes the last-will', async () => {
+        const { client, zoneManager } = await startPfx();
+        client.isDisconnecting = true; // no reconnect after the drop
+        client.client.stream.destroy();
+        await new Promise(r => setTimeout(r, 200));
+
+        const seen = await observe(['test/rs/box/state']);
+        expect(JSON.parse(seen[0].payload)).toMatchObject({ device: 'box', status: 'offline', reason: 'connection_lost', zones: { fog: 'offline' } });
+
+        await zoneManager.shutdown();
+        await client.disconnect();
+    });
+});
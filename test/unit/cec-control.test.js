@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CecControl = require('../../lib/utils/cec-control');
+const ScreenPowerManager = require('../../lib/utils/screen-power-manager');
+const ScreenZone = require('../../lib/zones/screen-zone');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+    }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    lastState(topic) { return this.published.filter(p => p.topic === topic).pop().message; }
+}
+
+const CEC_CTL_OUTPUT = [
+    'Driver Info:',
+    '\tDriver Name                : vc4_hdmi',
+    'Physical Address             : 3.0.0.0',
+    'Logical Address Mask         : 0x0010',
+    '\tpwr-state: standby (0x01)'
+].join('\n');
+
+const CEC_CLIENT_OUTPUT = [
+    'opening a connection to the CEC adapter...',
+    'power status: on'
+].join('\n');
+
+describe('HDMI-CEC control', () => {
+    let dir;
+    let calls;
+    const savedPath = process.env.PATH;
+
+    // Fake CEC tools on PATH that log their arguments (and cec-client its stdin)
+    const fakeTool = (name, stdout) => {
+        fs.writeFileSync(path.join(dir, name),
+            `#!/bin/sh\nif [ "${name}" = cec-client ]; then read cmd; echo "${name} $* <<$cmd" >> "${calls}"; else echo "${name} $*" >> "${calls}"; fi\ncat <<'EOF'\n${stdout}\nEOF\n`,
+            { mode: 0o755 });
+    };
+    const invocations = () => (fs.existsSync(calls) ? fs.readFileSync(calls, 'utf8').trim().split('\n') : []);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-cec-'));
+        calls = path.join(dir, 'calls.log');
+        fakeTool('cec-ctl', CEC_CTL_OUTPUT);
+        fakeTool('cec-client', CEC_CLIENT_OUTPUT);
+        process.env.PATH = `${dir}:${savedPath}`;
+    });
+
+    afterEach(() => {
+        process.env.PATH = savedPath;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('cec-ctl powers the TV on as active source, reads its power and presses volume keys', async () => {
+        const cec = new CecControl({ device: '/dev/cec1' });
+
+        await cec.powerOn();
+        expect(await cec.detectTool()).toBe('cec-ctl');
+        expect(invocations()).toEqual(expect.arrayContaining([
+            'cec-ctl -d /dev/cec1 --playback -o pfx',
+            'cec-ctl -d /dev/cec1 --to 0 --image-view-on',
+            'cec-ctl -d /dev/cec1 --to 15 --active-source phys-addr=3.0.0.0'
+        ]));
+
+        expect(await cec.getPowerStatus()).toBe('standby');
+        await cec.volume('down', 2);
+        expect(invocations().filter(line => line.includes('ui-cmd=volume-down'))).toHaveLength(2);
+
+        await expect(cec.volume('louder')).rejects.toThrow('Unknown CEC volume action: louder');
+        expect(() => new CecControl({ device: '/dev/cec0; reboot' })).toThrow('Invalid CEC device');
+    });
+
+    test('cec-client is driven through single-command mode', async () => {
+        const cec = new CecControl({ tool: 'cec-client', address: 4 });
+
+        await cec.standby();
+        expect(await cec.getPowerStatus()).toBe('on');
+        await cec.volume('mute');
+        expect(invocations()).toEqual([
+            'cec-client -s -d 1 /dev/cec0 <<standby 4',
+            'cec-client -s -d 1 /dev/cec0 <<pow 4',
+            'cec-client -s -d 1 /dev/cec0 <<mute'
+        ]);
+    });
+
+    test('display_power = cec puts the TV in standby and reports it through cecStatus', async () => {
+        const mqtt = new StubMqttClient();
+        const zone = new ScreenZone({
+            name: 'lobby', type: 'screen', baseTopic: 'paradox/lobby', displayPower: 'cec', cecDevice: '/dev/cec0'
+        }, mqtt, null);
+        zone.isInitialized = true;
+
+        expect(zone.getSupportedCommands()).toEqual(expect.arrayContaining(['cecStatus', 'cecVolume']));
+
+        await zone.handleCommand({ command: 'sleepScreen' });
+        expect(invocations()).toContain('cec-ctl -d /dev/cec0 --to 0 --standby');
+        expect(ScreenPowerManager.getOutputPower(':0', '/dev/cec0')).toBe('off');
+
+        await zone.handleCommand({ command: 'cecStatus' });
+        expect(mqtt.lastState('paradox/lobby/events')).toMatchObject({
+            command: 'cecStatus',
+            outcome: 'success',
+            parameters: { power: 'standby', tool: 'cec-ctl', device: '/dev/cec0', address: 0 }
+        });
+        expect(mqtt.lastState('paradox/lobby/state').screen_power).toEqual({
+            output: '/dev/cec0', method: 'cec', power: 'off', tv_power: 'standby'
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const commandSchemas = require('../../lib/core/command-schemas');
+const ZoneManager = require('../../lib/core/zone-manager');
+const ScreenZone = require('../../lib/zones/screen-zone');
+const AudioZone = require('../../lib/zones/audio-zone');
+const LightDevice = require('../../lib/devices/light-device');
+const LightGroupDevice = require('../../lib/devices/light-group-device');
+const RelayDevice = require('../../lib/devices/relay-device');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message, options = {}) { this.published.push({ topic, message, options }); }
+    async send(topic, payload, properties = {}) { await this.handlers.get(topic)(topic, payload, properties); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+describe('Command schemas', () => {
+    test.each([
+        ['screen', ScreenZone],
+        ['audio', AudioZone],
+        ['light', LightDevice],
+        ['light_group', LightGroupDevice],
+        ['relay', RelayDevice]
+    ])('every %s command has a schema', (type, ZoneClass) => {
+        const schemas = commandSchemas.getSchemas(type);
+        const missing = ZoneClass.prototype.getSupportedCommands.call({}).filter(name => !schemas[name]);
+        expect(missing).toEqual([]);
+        expect(schemas.getCommandSchema).toBeDefined();
+    });
+
+    test('schemas carry the envelope fields and fix the command name', () => {
+        const schema = commandSchemas.getSchemas('screen').playVideo;
+        expect(schema).toMatchObject({ title: 'playVideo', type: 'object', required: ['command'] });
+        expect(schema.properties.command).toEqual({ const: 'playVideo' });
+        expect(Object.keys(schema.properties)).toEqual(expect.arrayContaining(['id', 'correlation_id', 'response_topic', 'file', 'volume']));
+        expect(commandSchemas.getSchemas('combined-audio')).toEqual(commandSchemas.getSchemas('audio'));
+        expect(commandSchemas.getSchemas('nope')).toBeUndefined();
+    });
+
+    test('rejections name the offending field', () => {
+        const v = (type, command) => commandSchemas.validate(type, command);
+        expect(v('screen', { command: 'playVideo', file: 'a.mp4', volume: 80, loop: true })).toBeNull();
+        expect(v('screen', { command: 'playVideo' })).toBe('file (or video): is required');
+        expect(v('screen', { command: 'playVideo', file: 'a.mp4', volume: 400, loop: 'yes' })).toBe('volume: must be <= 200; loop: must be boolean');
+        expect(v('audio', { command: 'playSpeech', audio: 7 })).toBe('audio: must be string');
+        expect(v('screen', { command: 'setBrowserUrl' })).toBe('url: is required');
+        expect(v('screen', { command: 'setVolume', volumes: { speech: 'loud' } })).toBe('volumes.speech: must be number');
+        expect(v('screen', { command: 'setVolume', type: 'speech', volume: 90 })).toBeNull();
+
+        // Numeric strings are accepted for number fields and converted
+        const stringly = { command: 'setVolume', volume: ' 80 ', volumes: { speech: '1.5e2' } };
+        expect(v('screen', stringly)).toBeNull();
+        expect(stringly).toEqual({ command: 'setVolume', volume: 80, volumes: { speech: 150 } });
+        expect(v('screen', { command: 'playVideo', file: '42', volume: '80%' })).toBe('volume: must be number');
+        expect(v('light_group', { command: 'setColor', color: '#ff0000', lights: [1] })).toBe('lights.0: must be string');
+        expect(v('relay', { command: 'pulse', duration: -5 })).toBe('duration: must be >= 0');
+        expect(v(commandSchemas.DEVICE, { command: 'stopAll', fadeTime: 'slow' })).toBe('fadeTime: must be number');
+    });
+
+    test('commands without a schema only get the shared parameter checks', () => {
+        expect(commandSchemas.validate('relay', { command: 'explode', extra: { any: 'thing' } })).toBeNull();
+        expect(commandSchemas.validate(undefined, { command: 'playSpeech', volume: 'loud' })).toBe('volume: must be number');
+    });
+});
+
+describe('Schema validation before dispatch', () => {
+    let mqtt;
+    let zm;
+
+    beforeEach(async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({
+            global: {},
+            devices: {
+                spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' }
+            }
+        }, mqtt);
+        await zm.initialize();
+    });
+
+    afterEach(async () => {
+        await zm.shutdown();
+    });
+
+    test('invalid parameters are rejected before the zone sees them', async () => {
+        const spot = zm.getZone('spot');
+        const handle = jest.spyOn(spot, 'handleCommand');
+
+        await mqtt.send('paradox/spot/commands', { command: 'setColor', brightness: 50, response_topic: 'ctl/r' });
+
+        expect(handle).not.toHaveBeenCalled();
+        expect(mqtt.events('paradox/spot/events').pop()).toMatchObject({ command_received: 'setColor', valid: false, error: 'validation_error', validation_error: 'color: is required' });
+        expect(mqtt.events('ctl/r')[0]).toMatchObject({ outcome: 'failed', error_type: 'validation_error', error_message: 'color: is required' });
+    });
+
+    test('getCommandSchema returns the zone schemas, or one of them', async () => {
+        await mqtt.send('paradox/spot/commands', { command: 'getCommandSchema' });
+        const all = mqtt.events('paradox/spot/events').pop();
+        expect(all).toMatchObject({ command: 'getCommandSchema', outcome: 'success', parameters: { type: 'light' } });
+        expect(Object.keys(all.parameters.schemas)).toEqual(Object.keys(commandSchemas.getSchemas('light')));
+
+        await mqtt.send('paradox/spot/commands', { command: 'getCommandSchema', name: 'setColor', response_topic: 'ctl/schema' });
+        const [reply] = mqtt.events('ctl/schema');
+        expect(reply).toMatchObject({ outcome: 'success' });
+        expect(Object.keys(reply.parameters.schemas)).toEqual(['setColor']);
+        expect(reply.parameters.schemas.setColor.required).toEqual(['command', 'color']);
+
+        await mqtt.send('paradox/spot/commands', { command: 'getCommandSchema', name: 'playVideo' });
+        expect(mqtt.events('paradox/spot/events').pop()).toMatchObject({ outcome: 'failed', error_type: 'unsupported_command' });
+    });
+
+    test('the device topic validates and describes its own commands', async () => {
+        await mqtt.send('paradox/pfx-device/commands', { command: 'getCommandSchema' });
+        const event = mqtt.events('paradox/pfx-device/events').pop();
+        expect(event).toMatchObject({ command: 'getCommandSchema', outcome: 'success', parameters: { type: 'device' } });
+        expect(event.parameters.schemas.reloadConfig).toBeDefined();
+
+        await mqtt.send('paradox/pfx-device/commands', { command: 'stopAll', fadeTime: -1 });
+        expect(mqtt.events('paradox/pfx-device/warnings').pop()).toMatchObject({ validation_error: 'fadeTime: must be >= 0' });
+    });
+});
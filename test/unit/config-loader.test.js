@@ -140,6 +140,83 @@ STATUS_TOPIC=Paradox/Room/TestLight/Status
             expect(device.deviceId).toBe('AX30F2');
         });
 
+        test('should process lowercase light_group and relay keys', async () => {
+            const mockConfig = `
+[global]
+MQTT_SERVER=localhost
+HEARTBEAT_TOPIC=Paradox/Devices
+
+[wash]
+type=light_group
+topic=paradox/stage/wash
+controller=hue
+lights=1, 2,3
+group_id=4
+default_transition=800
+
+[fog]
+type=relay
+topic=paradox/stage/fog
+controller=gpio
+pin=17
+active_low=true
+safe_mode=true
+max_on_time=30
+`;
+
+            fs.readFile.mockResolvedValue(mockConfig);
+
+            const config = await ConfigLoader.load('test.ini');
+            const group = config.devices.wash;
+            expect(group.controller).toBe('hue');
+            expect(group.deviceList).toEqual(['1', '2', '3']);
+            expect(group.groupId).toBe('4');
+            expect(group.defaultTransition).toBe(800);
+
+            const relay = config.devices.fog;
+            expect(relay.baseTopic).toBe('paradox/stage/fog');
+            expect(relay.pin).toBe(17);
+            expect(relay.activeLow).toBe(true);
+            expect(relay.safeMode).toBe(true);
+            expect(relay.maxOnTime).toBe(30);
+        });
+
+        test('should load cues from cues_file next to the INI file', async () => {
+            fs.readFile.mockImplementation(async (file) => {
+                if (file === '/etc/pfx/pfx.ini') {
+                    return '[global]\nMQTT_SERVER=localhost\nHEARTBEAT_TOPIC=paradox/hb\ncues_file=cues.json\ncue_topic=room1/cues\n';
+                }
+                if (file === '/etc/pfx/cues.json') {
+                    return JSON.stringify({ cues: { intro: { steps: [{ zone: 'spot', command: 'turnOn' }] } } });
+                }
+                throw new Error(`unexpected read ${file}`);
+            });
+
+            const config = await ConfigLoader.load('/etc/pfx/pfx.ini');
+            expect(config.global.cueTopic).toBe('room1/cues');
+            expect(config.cues.intro.steps).toHaveLength(1);
+        });
+
+        test('should read MQTT TLS and topic prefix settings', async () => {
+            fs.readFile.mockResolvedValue('[mqtt]\nbroker = mqtt.example.com\nprotocol = mqtts\nca_file = certs/ca.pem\n'
+                + 'cert_file = /etc/ssl/room1.pem\nkey_file = certs/room1.key\nreject_unauthorized = false\ntopic_prefix = /sites/a/\n\n'
+                + '[global]\nheartbeat_topic = paradox/hb\n');
+
+            const { global } = await ConfigLoader.load('/etc/pfx/pfx.ini');
+            expect(global).toMatchObject({
+                mqttProtocol: 'mqtts',
+                mqttPort: 8883,
+                mqttCaFile: '/etc/pfx/certs/ca.pem',
+                mqttCertFile: '/etc/ssl/room1.pem',
+                mqttKeyFile: '/etc/pfx/certs/room1.key',
+                mqttRejectUnauthorized: false,
+                mqttTopicPrefix: 'sites/a'
+            });
+
+            fs.readFile.mockResolvedValue('[mqtt]\nbroker = localhost\nprotocol = tcp\n\n[global]\nheartbeat_topic = paradox/hb\n');
+            await expect(ConfigLoader.load('pfx.ini')).rejects.toThrow('Invalid [mqtt] protocol: tcp');
+        });
+
         test('should handle file read errors', async () => {
             fs.readFile.mockRejectedValue(new Error('File not found'));
 
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/media/audio-manager');
+
+const ConfigLoader = require('../../lib/core/config-loader');
+const ZoneManager = require('../../lib/core/zone-manager');
+const CueManager = require('../../lib/core/cue-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+const GLOBAL = `[mqtt]
+broker = localhost
+base_topic = paradox
+
+[global]
+device_name = room1
+heartbeat_topic = paradox/heartbeat
+media_base_path = /opt/paradox/media
+`;
+
+const LOBBY = `[lobby]
+type = audio
+topic = paradox/lobby
+media_dir = lobby
+audio_device = default
+background_volume = 60
+speech_volume = 90
+ducking_adjust = -40
+`;
+
+const SPOT = `[spot]
+type = light
+topic = paradox/spot
+controller = mock
+device_id = 1
+`;
+
+const FOG = `[fog]
+type = relay
+topic = paradox/fog
+controller = mock
+device_id = fog1
+`;
+
+describe('Config reload', () => {
+    let dir;
+    let iniPath;
+    let mqtt;
+    let zm;
+
+    const write = text => fs.writeFileSync(iniPath, text);
+    const reload = async () => zm.reloadConfig(await ConfigLoader.load(iniPath));
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-reload-'));
+        iniPath = path.join(dir, 'pfx.ini');
+        write(GLOBAL + LOBBY + SPOT);
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager(await ConfigLoader.load(iniPath), mqtt);
+        await zm.initialize();
+    });
+
+    afterEach(async () => {
+        await zm.shutdown();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('volume, ducking and media path changes apply live and keep untouched runtime volumes', async () => {
+        const lobby = zm.getZone('lobby');
+        lobby.volumeModel.baseVolumes.speech = 70; // runtime setVolume
+
+        write(GLOBAL + LOBBY
+            .replace('background_volume = 60', 'background_volume = 45')
+            .replace('ducking_adjust = -40', 'ducking_adjust = -20\nvolume = 55')
+            .replace('media_dir = lobby', 'media_dir = lobby2') + SPOT);
+        const report = await reload();
+
+        expect(report.applied).toEqual({ lobby: expect.arrayContaining(['baseVolumes', 'duckingAdjust', 'volume', 'mediaDir']) });
+        expect(report.restarted).toEqual([]);
+        expect(zm.getZone('lobby')).toBe(lobby);
+        expect(lobby.volumeModel.baseVolumes).toMatchObject({ background: 45, speech: 70 });
+        expect(lobby.volumeModel.duckingAdjust).toBe(-20);
+        expect(lobby.audioConfig.baseMediaPath).toBe('/opt/paradox/media/lobby2');
+        expect(lobby.currentState.volume).toBe(55);
+
+        lobby.currentState.volume = 30; // runtime change
+        await lobby._resetVolumes();
+        expect(lobby.currentState.volume).toBe(55);
+    });
+
+    test('zones are added and removed, and device changes restart the zone', async () => {
+        const lobby = zm.getZone('lobby');
+        write(GLOBAL + LOBBY.replace('audio_device = default', 'audio_device = hdmi1') + FOG);
+        const report = await reload();
+
+        expect(report.added).toEqual(['fog']);
+        expect(report.removed).toEqual(['spot']);
+        expect(report.restarted).toEqual([{ zone: 'lobby', keys: ['audioDevice'] }]);
+        expect(zm.getZone('lobby')).not.toBe(lobby);
+        expect(zm.getZone('lobby').audioConfig.audioDevice).toBe('hdmi1');
+        expect(zm.getZone('spot')).toBeUndefined();
+        expect(mqtt.handlers.has('paradox/spot/commands')).toBe(false);
+
+        await mqtt.send('paradox/fog/commands', { command: 'turnOn' });
+        expect(zm.getZone('fog').controller.switches.get('fog1')).toBe('on');
+    });
+
+    test('global changes that need a restart are reported, not applied', async () => {
+        write(GLOBAL.replace('broker = localhost', 'broker = 10.0.0.5').replace('/opt/paradox/media', '/srv/media') + LOBBY + SPOT);
+        const report = await reload();
+
+        expect(report.restart_required).toEqual(['global.mqttServer']);
+        expect(report.applied.global).toEqual(['mediaBasePath']);
+        expect(report.applied.lobby).toEqual(['mediaBasePath']);
+        expect(zm.config.global.mqttServer).toBe('localhost');
+        expect(zm.getZone('lobby').audioConfig.baseMediaPath).toBe('/srv/media/lobby');
+    });
+
+    test('reloadConfig on the device topic reports what was applied; cues are reloaded', async () => {
+        fs.writeFileSync(path.join(dir, 'cues.json'), JSON.stringify({ a: [{ zone: 'spot', command: 'turnOn' }] }));
+        write(GLOBAL + 'cues_file = cues.json\n' + LOBBY + SPOT);
+        const cues = new CueManager(await ConfigLoader.load(iniPath), mqtt, zm);
+        await cues.initialize();
+        cues.defineCue('adhoc', [{ zone: 'spot', command: 'turnOff' }]);
+
+        fs.writeFileSync(path.join(dir, 'cues.json'), JSON.stringify({ b: [{ zone: 'spot', command: 'toggle' }] }));
+        write(GLOBAL + 'cues_file = cues.json\n' + LOBBY.replace('speech_volume = 90', 'speech_volume = 95') + SPOT);
+        zm.setConfigReloader(async () => {
+            const next = await ConfigLoader.load(iniPath);
+            const report = await zm.reloadConfig(next);
+            report.cues = cues.reloadCues(next.cues);
+            return report;
+        });
+
+        await mqtt.send('paradox/room1/commands', { command: 'reloadConfig' });
+        const outcome = mqtt.events('paradox/room1/events').pop();
+        expect(outcome).toMatchObject({
+            command: 'reloadConfig',
+            outcome: 'success',
+            message: 'Configuration reloaded',
+            parameters: { applied: { global: ['cuesFile'], lobby: ['baseVolumes'] }, cues: { defined: ['b'], removed: ['a'] } }
+        });
+        expect(cues.listCues().map(c => c.name).sort()).toEqual(['adhoc', 'b']);
+        await cues.shutdown();
+    });
+
+    test('a broken INI file leaves the running config alone', async () => {
+        write('[mqtt]\nbroker = localhost\n');
+        zm.setConfigReloader(async () => zm.reloadConfig(await ConfigLoader.load(iniPath)));
+        await mqtt.send('paradox/room1/commands', { command: 'reloadConfig' });
+        expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({ command: 'reloadConfig', outcome: 'failed', error_message: expect.stringMatching(/\[global\]/) });
+        expect(zm.zones.size).toBe(2);
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// no ffprobe here: durations unknown, completion is driven by the test
+jest.mock('../../lib/media/ffprobe-duration', () => ({
+    probeDurationSeconds: jest.fn().mockResolvedValue(null)
+}));
+
+const correlation = require('../../lib/core/correlation');
+const ZoneManager = require('../../lib/core/zone-manager');
+const ScreenZone = require('../../lib/zones/screen-zone');
+const AudioManager = require('../../lib/media/audio-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message, options = {}) { this.published.push({ topic, message, options }); }
+    async send(topic, payload, properties = {}) { await this.handlers.get(topic)(topic, payload, properties); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+class FakeZone {
+    constructor(name) {
+        this.config = { name, type: 'audio', baseTopic: `paradox/${name}` };
+        this.mqttClient = null;
+    }
+    getSupportedCommands() { return ['stopAll', 'explode']; }
+    async handleCommand(command) {
+        if (command.command === 'explode') throw new Error('boom');
+        this.publishCommandOutcome({ command: command.command, outcome: 'warning', warning_type: 'legacy', message: 'legacy warning' });
+        this.publishCommandOutcome({ command: command.command, outcome: 'success' });
+    }
+    publishCommandOutcome(options) { return require('../../lib/zones/base-zone').prototype.publishCommandOutcome.call(this, options); }
+    publishMessage(type, data) {
+        const topicType = type === 'warning' ? 'warnings' : type;
+        correlation.publish(this.mqttClient, `${this.config.baseTopic}/${topicType}`, { type, zone: this.config.name, ...data }, type);
+    }
+    async shutdown() { }
+}
+
+describe('Command correlation ids', () => {
+    let mqtt;
+    let zm;
+    let zone;
+
+    beforeEach(async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({ global: {}, devices: {} }, mqtt);
+        zone = new FakeZone('lobby');
+        zone.mqttClient = mqtt;
+        zone.logger = zm.logger;
+        zm.zones.set('lobby', zone);
+        await zm.initialize();
+    });
+
+    afterEach(async () => {
+        await zm.shutdown();
+    });
+
+    test('id is echoed on every outcome event and warning', async () => {
+        await mqtt.send('paradox/lobby/commands', { command: 'stopAll', id: 'req-1' });
+        const events = mqtt.events('paradox/lobby/events');
+        expect(events.map(e => [e.outcome, e.correlation_id])).toEqual([['warning', 'req-1'], ['success', 'req-1']]);
+        expect(mqtt.events('paradox/lobby/warnings')[0].correlation_id).toBe('req-1');
+
+        await mqtt.send('paradox/lobby/commands', JSON.stringify({ command: 'explode', correlation_id: 42 }));
+        expect(mqtt.events('paradox/lobby/events').pop()).toMatchObject({ error: 'execution_error', correlation_id: 42 });
+
+        await mqtt.send('paradox/lobby/commands', { command: 'stopAll' });
+        expect(mqtt.events('paradox/lobby/events').pop().correlation_id).toBeUndefined();
+    });
+
+    test('invalid ids are rejected; validation events still carry valid ones', async () => {
+        await mqtt.send('paradox/lobby/commands', { command: 'playVideo', id: { nested: true } });
+        expect(mqtt.events('paradox/lobby/events').pop()).toMatchObject({ valid: false, validation_error: 'Command id / correlation_id must be a string or number' });
+
+        await mqtt.send('paradox/lobby/commands', { command: 'setVolume', volume: 999, id: 'bad-vol' });
+        expect(mqtt.events('paradox/lobby/events').pop()).toMatchObject({ valid: false, correlation_id: 'bad-vol' });
+    });
+
+    test('device topic fan-out answers with the command id', async () => {
+        await mqtt.send('paradox/pfx-device/commands', { command: 'stopAll', id: 'all-1' });
+        expect(mqtt.events('paradox/lobby/events').pop().correlation_id).toBe('all-1');
+        expect(mqtt.events('paradox/pfx-device/events').pop()).toMatchObject({ command: 'stopAll', outcome: 'success', correlation_id: 'all-1' });
+    });
+
+    test('MQTT v5 response topic gets one reply with the correlation data', async () => {
+        const correlationData = Buffer.from('abc-123');
+        await mqtt.send('paradox/lobby/commands', { command: 'stopAll' }, { responseTopic: 'controller/replies', correlationData });
+
+        const replies = mqtt.published.filter(p => p.topic === 'controller/replies');
+        expect(replies).toHaveLength(1);
+        expect(replies[0].options.properties.correlationData).toBe(correlationData);
+        // legacy warning-then-success answers with the warning
+        expect(replies[0].message).toMatchObject({ type: 'response', zone: 'lobby', command: 'stopAll', outcome: 'warning', warning_type: 'legacy', correlation_id: 'abc-123' });
+    });
+});
+
+describe('Correlation on asynchronous completion events', () => {
+    test('queued videos report done with the id of the command that queued them', async () => {
+        const mqtt = new StubMqttClient();
+        const zone = new ScreenZone({ name: 'screen1', type: 'screen', baseTopic: 'paradox/screen1', mediaDir: '', mediaBasePath: '/tmp' }, mqtt, null);
+        zone.mpvZoneManager = { stop: async () => { }, loadMedia: async () => { }, play: async () => { }, pause: () => { } };
+        zone.screenPowerManager = { autoWakeForMedia: async () => { } };
+        zone._validateMediaFile = async file => ({ exists: true, path: path.join('/tmp', file) });
+        zone.mpvInstances.media = { status: 'idle', currentFile: null };
+        zone.isInitialized = true;
+
+        await correlation.run({ id: 'v1' }, () => zone.handleCommand({ command: 'playVideo', file: 'a.mp4', skipDucking: true }));
+        await correlation.run({ id: 'v2' }, () => zone.handleCommand({ command: 'playVideo', file: 'b.mp4', skipDucking: true }));
+
+        const playing = async file => {
+            for (let i = 0; i < 100 && zone.currentState.currentVideo !== file; i++) {
+                await new Promise(r => setTimeout(r, 20));
+            }
+        };
+        // End of file is detected outside any command context
+        await correlation.run(undefined, async () => {
+            await playing('a.mp4');
+            zone._completeCurrentVideo('natural_end');
+            await playing('b.mp4');
+            zone._completeCurrentVideo('natural_end');
+        });
+
+        const video = mqtt.events('paradox/screen1/events').filter(e => e.command === 'playVideo');
+        expect(video.map(e => [e.file, e.started ? 'started' : e.reason, e.correlation_id])).toEqual([
+            ['a.mp4', 'started', 'v1'],
+            ['a.mp4', 'natural_end', 'v1'],
+            ['b.mp4', 'started', 'v2'],
+            ['b.mp4', 'natural_end', 'v2']
+        ]);
+    });
+
+    test('speech done events carry the id of each queued playSpeech', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-corr-'));
+        const files = ['one.mp3', 'two.mp3'].map(f => path.join(dir, f));
+        files.forEach(f => fs.writeFileSync(f, ''));
+
+        const mqtt = new StubMqttClient();
+        const zone = { publishMessage: (type, data) => correlation.publish(mqtt, 'paradox/zone/events', { ...data }, type) };
+        const am = new AudioManager({ zoneId: 'corr' }, zone);
+        am.isInitialized = true;
+        am._sendMpvCommand = async (socket, { command }) => (command[0] === 'get_property' ? { data: 0.01 } : {});
+
+        try {
+            const first = correlation.run({ id: 's1' }, () => am.playSpeech(files[0]));
+            const second = correlation.run({ id: 's2' }, () => am.playSpeech(files[1]));
+            await Promise.all([first, second]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(mqtt.events('paradox/zone/events').map(e => [e.file, e.done, e.correlation_id])).toEqual([
+            ['one.mp3', true, 's1'],
+            ['two.mp3', true, 's2']
+        ]);
+    });
+});
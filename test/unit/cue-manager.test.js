@@ -0,0 +1,193 @@
+const ZoneManager = require('../../lib/core/zone-manager');
+const CueManager = require('../../lib/core/cue-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+/**
+ * Stand-in media zone: playVideo returns at once and publishes the `done` event
+ * `length` ms later, like ScreenZone does at end of file.
+ */
+class FakeScreenZone {
+    constructor(name) {
+        this.config = { name, type: 'screen', baseTopic: `paradox/${name}` };
+        this.commands = [];
+    }
+    publishMessage() { }
+    getSupportedCommands() { return ['playVideo', 'setImage']; }
+    async handleCommand(command) {
+        this.commands.push({ at: Date.now(), command });
+        if (command.command === 'playVideo') {
+            setTimeout(() => this.publishMessage('events', { command: 'playVideo', file: command.file, done: true, reason: 'natural_end' }), command.length || 50);
+        }
+    }
+    async shutdown() { }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+describe('CueManager', () => {
+    let mqtt;
+    let zm;
+    let cues;
+    let screen;
+
+    beforeEach(async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({
+            global: {},
+            devices: {
+                spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' },
+                fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1', defaultState: 'off' }
+            }
+        }, mqtt);
+        await zm.initialize();
+
+        screen = new FakeScreenZone('screen1');
+        zm._observeZoneEvents('screen1', screen);
+        zm.zones.set('screen1', screen);
+
+        cues = new CueManager({
+            global: { baseTopic: 'paradox' },
+            cues: {
+                intro: {
+                    description: 'Lights down, video, then fog',
+                    steps: [
+                        { zone: 'spot', command: 'setColor', color: '#FF0000', brightness: 20 },
+                        { zone: 'screen1', command: { command: 'playVideo', file: 'intro.mp4', length: 80 }, delay: 30 },
+                        { zone: 'fog', command: 'turnOn', after: 'previous' },
+                        { zone: 'spot', command: 'turnOff', after: 'previous', delay: 20, label: 'blackout' }
+                    ]
+                }
+            }
+        }, mqtt, zm);
+        await cues.initialize();
+    });
+
+    afterEach(async () => {
+        await cues.shutdown();
+        await zm.shutdown();
+    });
+
+    test('listCues publishes the cue list on the cue state topic', async () => {
+        await mqtt.send('paradox/cues/commands', { command: 'listCues' });
+        const state = mqtt.events('paradox/cues/state').pop();
+        expect(state.cues).toEqual([{ name: 'intro', description: 'Lights down, video, then fog', steps: 4, source: 'config', running: false }]);
+        expect(mqtt.events('paradox/cues/events').pop()).toMatchObject({ command: 'listCues', outcome: 'success' });
+    });
+
+    test('runCue fires steps on delay and after-previous triggers', async () => {
+        const t0 = Date.now();
+        await mqtt.send('paradox/cues/commands', { command: 'runCue', cue: 'intro' });
+        expect(mqtt.events('paradox/cues/events').find(e => e.command === 'runCue')).toMatchObject({ outcome: 'success', parameters: { run_id: 'intro#1' } });
+
+        await cues.runs.get('intro#1').finished;
+
+        const light = zm.getZone('spot').controller.lights.get('1');
+        expect(light.state).toBe('off');
+        expect(zm.getZone('fog').controller.switches.get('fog1')).toBe('on');
+
+        // video started after its 30 ms delay; fog waited for the video's done event
+        expect(screen.commands[0].at - t0).toBeGreaterThanOrEqual(25);
+        const events = mqtt.events('paradox/cues/events');
+        const order = events.filter(e => e.cue_step).map(e => `${e.step}:${e.state}`);
+        expect(order).toEqual(['1:started', '1:completed', '2:started', '2:completed', '3:started', '3:completed', '4:started', '4:completed']);
+        expect(events.find(e => e.cue_step && e.step === 4)).toMatchObject({ label: 'blackout', zone: 'spot', command: 'turnOff' });
+        const done = events.find(e => e.cue_completed);
+        expect(done).toMatchObject({ cue_completed: 'intro', run_id: 'intro#1' });
+        expect(done.duration_ms).toBeGreaterThanOrEqual(120);
+    });
+
+    test('stopCue cancels pending steps', async () => {
+        const run = cues.runCue('intro');
+        await sleep(50);
+        await mqtt.send('paradox/cues/commands', { command: 'stopCue', cue: 'intro' });
+        await run.finished;
+
+        expect(zm.getZone('fog').controller.switches.get('fog1')).toBe('off');
+        expect(mqtt.events('paradox/cues/events').find(e => e.cue_stopped)).toMatchObject({ cue_stopped: 'intro', reason: 'stopped' });
+    });
+
+    test('a running cue is not started twice unless restart is set', async () => {
+        const first = cues.runCue('intro');
+        await mqtt.send('paradox/cues/commands', { command: 'runCue', cue: 'intro' });
+        expect(mqtt.events('paradox/cues/events').filter(e => e.outcome).pop()).toMatchObject({ command: 'runCue', outcome: 'failed', error_message: expect.stringMatching(/already running/) });
+
+        await mqtt.send('paradox/cues/commands', { command: 'runCue', cue: 'intro', restart: true });
+        await first.finished;
+        expect(mqtt.events('paradox/cues/events').find(e => e.cue_stopped)).toMatchObject({ reason: 'restarted' });
+        await Promise.all(Array.from(cues.runs.values()).map(r => r.finished));
+    });
+
+    test('defineCue over MQTT; a failing step aborts the rest', async () => {
+        await mqtt.send('paradox/cues/commands', {
+            command: 'defineCue',
+            cue: 'broken',
+            steps: [
+                { zone: 'spot', command: 'turnOn' },
+                { zone: 'nowhere', command: 'turnOn', after: 'previous' },
+                { zone: 'fog', command: 'turnOn', after: 'previous' }
+            ]
+        });
+        const run = cues.runCue('broken');
+        await run.finished;
+
+        const events = mqtt.events('paradox/cues/events');
+        expect(events.find(e => e.cue_step && e.state === 'failed')).toMatchObject({ step: 2, error: 'Unknown zone or device: nowhere' });
+        expect(events.find(e => e.cue_failed)).toMatchObject({ cue_failed: 'broken', failed_steps: [2] });
+        expect(zm.getZone('fog').controller.switches.get('fog1')).toBe('off');
+    });
+
+    test('rejects invalid definitions and unknown cues', async () => {
+        expect(() => cues.defineCue('x', { steps: [] })).toThrow(/no steps/);
+        expect(() => cues.defineCue('x', [{ zone: 'spot' }])).toThrow(/step 1: command is required/);
+        expect(() => cues.defineCue('x', [{ zone: 'spot', command: 'turnOn', after: 'later' }])).toThrow(/after must be/);
+
+        await mqtt.send('paradox/cues/commands', { command: 'runCue', cue: 'missing' });
+        expect(mqtt.events('paradox/cues/events').pop()).toMatchObject({ outcome: 'failed', error_message: 'Unknown cue: missing' });
+
+        await mqtt.send('paradox/cues/commands', { command: 'playVideo' });
+        expect(mqtt.events('paradox/cues/events').pop()).toMatchObject({ outcome: 'failed', error_type: 'unsupported_command' });
+    });
+
+    test('unsupported step commands fail the step', async () => {
+        cues.defineCue('bad', [{ zone: 'fog', command: 'setColor', color: '#FFFFFF' }]);
+        await cues.runCue('bad').finished;
+        expect(mqtt.events('paradox/cues/events').find(e => e.cue_step && e.state === 'failed').error).toMatch(/not supported by fog/);
+    });
+
+    test('steps go through the zone command pipeline', async () => {
+        cues.defineCue('dim', [
+            { zone: 'spot', command: 'turnOn' },
+            { zone: 'spot', command: 'setBrightness', brightness: 'loud', after: 'previous' }
+        ]);
+        await mqtt.send('paradox/cues/commands', { command: 'runCue', cue: 'dim', id: 'show-1' });
+        await cues.runs.get('dim#1').finished;
+
+        const spotEvents = mqtt.events('paradox/spot/events');
+        expect(spotEvents.find(e => e.outcome)).toMatchObject({ command: 'turnOn', outcome: 'success', correlation_id: 'show-1' });
+        expect(spotEvents.find(e => e.valid === false)).toMatchObject({ command_received: 'setBrightness', error: 'validation_error' });
+        expect(mqtt.events('paradox/cues/events').find(e => e.cue_step && e.state === 'failed')).toMatchObject({ step: 2, error: expect.stringMatching(/brightness/) });
+    });
+
+    test('done waits time out after cue_step_timeout when the step sets none', async () => {
+        cues.config.global.cueStepTimeout = 0.1;
+        jest.spyOn(screen, 'handleCommand').mockResolvedValue();
+        cues.defineCue('stuck', [{ zone: 'screen1', command: 'playVideo', file: 'intro.mp4' }]);
+        await cues.runCue('stuck').finished;
+
+        expect(mqtt.events('paradox/cues/events').find(e => e.cue_step && e.state === 'failed')).toMatchObject({
+            error: 'playVideo on screen1 did not complete within 100ms'
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const ZoneManager = require('../../lib/core/zone-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+/** Stand-in media zone recording the commands it receives */
+class FakeMediaZone {
+    constructor(name, { fail = false } = {}) {
+        this.config = { name, type: 'screen', baseTopic: `paradox/${name}` };
+        this.commands = [];
+        this.fail = fail;
+    }
+    publishMessage() { }
+    getSupportedCommands() { return ['stopAll', 'pauseAll', 'resumeAll', 'reboot', 'restartPfx']; }
+    async handleCommand(command) {
+        this.commands.push(command);
+        if (this.fail) throw new Error('mpv not responding');
+    }
+    async shutdown() { }
+}
+
+describe('Device command topic', () => {
+    let mqtt;
+    let zm;
+    let screenA;
+    let screenB;
+    let actions;
+
+    beforeEach(async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({
+            global: { baseTopic: 'paradox', deviceName: 'room1' },
+            devices: {
+                spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' }
+            }
+        }, mqtt);
+        screenA = new FakeMediaZone('screenA');
+        screenB = new FakeMediaZone('screenB');
+        zm.zones.set('screenA', screenA);
+        zm.zones.set('screenB', screenB);
+        await zm.initialize();
+
+        actions = [];
+        for (const name of Object.keys(zm.systemActions)) {
+            zm.systemActions[name] = async params => { actions.push({ name, params }); };
+        }
+    });
+
+    afterEach(async () => {
+        await zm.shutdown();
+    });
+
+    test('subscribes to {base_topic}/{device_name}/commands', () => {
+        expect(mqtt.handlers.has('paradox/room1/commands')).toBe(true);
+    });
+
+    test('stopAll fans out to supporting zones and reports one aggregated outcome', async () => {
+        await mqtt.send('paradox/room1/commands', { command: 'stopAll', fadeTime: 2 });
+
+        expect(screenA.commands).toEqual([{ command: 'stopAll', fadeTime: 2 }]);
+        expect(screenB.commands).toEqual([{ command: 'stopAll', fadeTime: 2 }]);
+        const events = mqtt.events('paradox/room1/events');
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+            device: 'room1',
+            command: 'stopAll',
+            outcome: 'success',
+            parameters: {
+                fadeTime: 2,
+                zones: [
+                    { zone: 'screenA', outcome: 'success' },
+                    { zone: 'screenB', outcome: 'success' },
+                    { zone: 'spot', outcome: 'skipped' }
+                ]
+            }
+        });
+    });
+
+    test('per-zone failures make the aggregate a warning, or failed when every zone fails', async () => {
+        screenB.fail = true;
+        await mqtt.send('paradox/room1/commands', { command: 'pauseAll' });
+        let outcome = mqtt.events('paradox/room1/events').pop();
+        expect(outcome).toMatchObject({ outcome: 'warning', warning_type: 'partial_failure' });
+        expect(outcome.parameters.zones.find(z => z.zone === 'screenB')).toEqual({ zone: 'screenB', outcome: 'failed', error_message: 'mpv not responding' });
+        expect(mqtt.events('paradox/room1/warnings').pop()).toMatchObject({ command: 'pauseAll', outcome: 'warning' });
+
+        screenA.fail = true;
+        await mqtt.send('paradox/room1/commands', { command: 'resumeAll' });
+        outcome = mqtt.events('paradox/room1/events').pop();
+        expect(outcome).toMatchObject({ outcome: 'failed', error_type: 'execution_error', message: "Command 'resumeAll' ran on 0 of 2 zone(s)" });
+    });
+
+    test('process actions run once, not per zone', async () => {
+        await mqtt.send('paradox/room1/commands', { command: 'reboot' });
+        expect(actions).toEqual([{ name: 'reboot', params: {} }]);
+        expect(screenA.commands).toEqual([]);
+        expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({ command: 'reboot', outcome: 'success' });
+
+        zm.systemActions.restartPfx = async () => { throw new Error('cleanup failed'); };
+        await mqtt.send('paradox/room1/commands', { command: 'restartPfx' });
+        const outcomes = mqtt.events('paradox/room1/events').filter(e => e.command === 'restartPfx' && e.outcome);
+        expect(outcomes).toEqual([expect.objectContaining({ outcome: 'failed', error_message: 'cleanup failed' })]);
+    });
+
+    test('rejects zone-level and malformed commands', async () => {
+        await mqtt.send('paradox/room1/commands', { command: 'playVideo', file: 'a.mp4' });
+        expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({ outcome: 'failed', error_type: 'unsupported_command' });
+
+        await mqtt.send('paradox/room1/commands', '{not json');
+        expect(mqtt.events('paradox/room1/warnings').pop()).toMatchObject({ message: 'Invalid JSON format in command' });
+    });
+
+    test('a zone owning the device topic keeps it', async () => {
+        const other = new ZoneManager({
+            global: { baseTopic: 'paradox', deviceName: 'spot' },
+            devices: { spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' } }
+        }, mqtt);
+        await other.initialize();
+        expect(other.deviceCommandTopic).toBeNull();
+        await mqtt.send('paradox/spot/commands', { command: 'turnOn' });
+        expect(mqtt.events('paradox/spot/events').pop()).toMatchObject({ command: 'turnOn', outcome: 'success' });
+        await other.shutdown();
+    });
+});
@@ -0,0 +1,171 @@
+const ZoneManager = require('../../lib/core/zone-manager');
+const MqttClient = require('../../lib/core/mqtt-client');
+const RelayDevice = require('../../lib/devices/relay-device');
+const { GPIOController, MockRelayController } = RelayDevice;
+
+// Stub MQTT client: records subscriptions/publishes and lets tests inject commands
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+        this.unsubscribed = [];
+        this.zoneManager = null;
+    }
+    setZoneManager(zm) { this.zoneManager = zm; }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.unsubscribed.push(topic); this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) {
+        // MqttClient hands handlers the parsed JSON payload
+        await this.handlers.get(topic)(topic, payload);
+    }
+    last(topic) {
+        const msgs = this.published.filter(p => p.topic === topic);
+        return msgs.length ? msgs[msgs.length - 1].message : undefined;
+    }
+}
+
+function makeConfig() {
+    return {
+        global: { mediaBasePath: '/opt/paradox/media', logLevel: 'error' },
+        devices: {
+            spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1', defaultBrightness: 20 },
+            wash: { name: 'wash', type: 'light_group', baseTopic: 'paradox/wash', controller: 'mock', deviceList: ['1', '2', '3'] },
+            fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1', safeMode: true }
+        }
+    };
+}
+
+describe('Light / light_group / relay devices in ZoneManager', () => {
+    let mqtt;
+    let zm;
+
+    beforeEach(async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager(makeConfig(), mqtt);
+        await zm.initialize();
+    });
+
+    afterEach(async () => {
+        await zm.shutdown();
+    });
+
+    test('creates devices and subscribes to their command topics', () => {
+        expect(zm.zones.size).toBe(3);
+        expect([...mqtt.handlers.keys()].sort()).toEqual(['paradox/fog/commands', 'paradox/pfx-device/commands', 'paradox/spot/commands', 'paradox/wash/commands']);
+        expect(mqtt.last('paradox/spot/state').status).toBe('ready');
+        expect(mqtt.last('paradox/fog/state').state).toBe('off');
+    });
+
+    test('light command updates state and publishes a success outcome', async () => {
+        await mqtt.send('paradox/spot/commands', { command: 'setColor', color: '#FF0000', brightness: 60 });
+        const state = mqtt.last('paradox/spot/state');
+        expect(state.device_type).toBe('light');
+        expect(state.color).toBe('#FF0000');
+        expect(state.brightness).toBe(60);
+        expect(state.power).toBe('on');
+        const ev = mqtt.last('paradox/spot/events');
+        expect(ev.command).toBe('setColor');
+        expect(ev.outcome).toBe('success');
+
+        const light = zm.zones.get('spot').controller.lights.get('1');
+        expect(light).toMatchObject({ color: '#FF0000', brightness: 60, state: 'on' });
+    });
+
+    test('light group fans out to every light in device_list', async () => {
+        await mqtt.send('paradox/wash/commands', { command: 'turnOn', brightness: 40 });
+        const ctrl = zm.zones.get('wash').controller;
+        for (const id of ['1', '2', '3']) {
+            expect(ctrl.lights.get(id)).toMatchObject({ state: 'on', brightness: 40 });
+        }
+        expect(mqtt.last('paradox/wash/state').power).toBe('on');
+    });
+
+    test('setEffect runs engine effects on lights and none restores the previous state', async () => {
+        await mqtt.send('paradox/spot/commands', { command: 'setColor', color: '#0000FF', brightness: 50 });
+        await mqtt.send('paradox/spot/commands', { command: 'setEffect', effect: 'flame', parameters: { baseColor: '#FF4500', minInterval: 20, maxInterval: 30 } });
+        expect(mqtt.last('paradox/spot/state').effect).toBe('flame');
+        await new Promise(r => setTimeout(r, 80));
+
+        const light = zm.zones.get('spot').controller.lights.get('1');
+        expect(light.color).not.toBe('#0000FF');
+
+        await mqtt.send('paradox/spot/commands', { command: 'stopEffect' });
+        expect(light).toMatchObject({ color: '#0000FF', brightness: 50, state: 'on' });
+        expect(mqtt.last('paradox/spot/state').effect).toBeNull();
+    });
+
+    test('finite group effects publish effect_completed and restore the lights', async () => {
+        await mqtt.send('paradox/wash/commands', { command: 'setEffect', effect: 'blink', parameters: { durationOn: 20, durationOff: 20, count: 2 } });
+        await new Promise(r => setTimeout(r, 150));
+
+        const events = mqtt.published.filter(p => p.topic === 'paradox/wash/events').map(p => p.message);
+        expect(events.find(e => e.effect_completed)).toMatchObject({ effect: 'blink' });
+        expect(mqtt.last('paradox/wash/state').effect).toBeNull();
+        const ctrl = zm.zones.get('wash').controller;
+        for (const id of ['1', '2', '3']) {
+            expect(ctrl.lights.get(id).state).toBe('off');
+        }
+    });
+
+    test('relay toggles and reports state', async () => {
+        await mqtt.send('paradox/fog/commands', { command: 'turnOn' });
+        expect(mqtt.last('paradox/fog/state').state).toBe('on');
+        await mqtt.send('paradox/fog/commands', { command: 'toggle' });
+        expect(mqtt.last('paradox/fog/state').state).toBe('off');
+        expect(zm.zones.get('fog').controller.switches.get('fog1')).toBe('off');
+    });
+
+    test('unsupported command publishes a failed outcome', async () => {
+        await mqtt.send('paradox/fog/commands', { command: 'playVideo', file: 'x.mp4' });
+        const ev = mqtt.last('paradox/fog/events');
+        expect(ev.outcome).toBe('failed');
+        expect(ev.error_type).toBe('unsupported_command');
+    });
+
+    test('heartbeat summary includes devices', () => {
+        const summary = MqttClient.prototype._getZoneStatusSummary.call({ zoneManager: zm });
+        expect(summary.spot).toEqual({ type: 'light', status: 'ready', power: 'off' });
+        expect(summary.fog).toEqual({ type: 'relay', status: 'ready', power: 'off' });
+    });
+
+    test('shutdown turns safe-mode relays off and unsubscribes', async () => {
+        await mqtt.send('paradox/fog/commands', { command: 'turnOn' });
+        const relay = zm.zones.get('fog');
+        await zm.shutdown();
+        expect(relay.controller.switches.get('fog1')).toBe('off');
+        const fogStates = mqtt.published.filter(p => p.topic === 'paradox/fog/state').map(p => p.message);
+        expect(fogStates[fogStates.length - 2].status).toBe('offline');
+        // then the retained state is cleared
+        expect(mqtt.last('paradox/fog/state')).toBe('');
+        expect(mqtt.unsubscribed).toContain('paradox/fog/commands');
+    });
+});
+
+describe('Relay startup state', () => {
+    const relayConfig = extra => ({ name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1', ...extra });
+
+    test('only default_state switches the relay at startup; otherwise its state is read', async () => {
+        jest.spyOn(MockRelayController.prototype, 'getSwitchState').mockResolvedValue('on');
+        const untouched = new RelayDevice(relayConfig(), new StubMqttClient());
+        await untouched.initialize();
+        expect(untouched.controller.switches.size).toBe(0);
+        expect(untouched.currentState.state).toBe('on');
+
+        const driven = new RelayDevice(relayConfig({ defaultState: 'off' }), new StubMqttClient());
+        await driven.initialize();
+        expect(driven.controller.switches.get('fog1')).toBe('off');
+        expect(driven.currentState.state).toBe('off');
+
+        await untouched.shutdown();
+        await driven.shutdown();
+    });
+
+    test('GPIO relays read the pin level, honouring active_low', async () => {
+        const gpio = new GPIOController({ pin: 17, activeLow: true });
+        jest.spyOn(gpio, '_pinctrl').mockResolvedValue('17: op dh pn | hi // GPIO17 = output\n');
+        expect(await gpio.getSwitchState()).toBe('off');
+        gpio.activeLow = false;
+        expect(await gpio.getSwitchState()).toBe('on');
+    });
+});
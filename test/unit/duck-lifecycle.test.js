@@ -30,4 +30,16 @@ describe('DuckLifecycle', () => {
         expect(dl.active()).toBe(false);
         expect(dl.count()).toBe(0);
     });
+
+    test('onChange fires only when the triggers change', () => {
+        const onChange = jest.fn();
+        const dl = new DuckLifecycle(onChange);
+        dl.addTrigger('s1', 'speech');
+        dl.addTrigger('s1', 'speech');
+        dl.removeTrigger('missing');
+        expect(onChange).toHaveBeenCalledTimes(1);
+        dl.removeTrigger('s1');
+        dl.clear();
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
 });
@@ -0,0 +1,152 @@
+const EffectEngine = require('../../lib/effects/effect-engine');
+const { MockLightController } = require('../../lib/devices/light-device');
+
+/**
+ * Mock controller that records every call with the (fake) time it was made at
+ */
+class RecordingController extends MockLightController {
+    constructor() {
+        super();
+        this.calls = [];
+        this.t0 = Date.now();
+    }
+    record(method, args) {
+        this.calls.push({ at: Date.now() - this.t0, method, args });
+    }
+    async setLightColor(...args) { this.record('setLightColor', args); return super.setLightColor(...args); }
+    async setLightBrightness(...args) { this.record('setLightBrightness', args); return super.setLightBrightness(...args); }
+    async turnLightOn(...args) { this.record('turnLightOn', args); return super.turnLightOn(...args); }
+    async turnLightOff(...args) { this.record('turnLightOff', args); return super.turnLightOff(...args); }
+}
+
+describe('EffectEngine', () => {
+    let engine;
+    let ctrl;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        engine = new EffectEngine();
+        ctrl = new RecordingController();
+        ctrl.lights.set('1', { state: 'on', brightness: 40, color: '#0000FF' });
+    });
+
+    afterEach(async () => {
+        await engine.stopAllEffects({ restore: false });
+        jest.useRealTimers();
+    });
+
+    test('FADE interpolates color and brightness from the current state', async () => {
+        const done = jest.fn();
+        engine.on('effectCompleted', done);
+        await engine.startEffect('fade', ctrl, ['1'], { targetColor: '#FF0000', targetBrightness: 80, transitionDuration: 1000, stepInterval: 250 });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        const steps = ctrl.calls.filter(c => c.method === 'setLightColor').map(c => [c.at, c.args[1], c.args[2]]);
+        expect(steps).toEqual([
+            [0, '#0000FF', 40],
+            [250, '#4000BF', 50],
+            [500, '#800080', 60],
+            [750, '#BF0040', 70],
+            [1000, '#FF0000', 80]
+        ]);
+        expect(done).toHaveBeenCalledTimes(1);
+        expect(engine.getRunningEffects()).toEqual([]);
+    });
+
+    test('FADE from a color without a target fades back to the current color', async () => {
+        await engine.startEffect('fade', ctrl, ['1'], { fromColor: '#FF0000', transitionDuration: 500, stepInterval: 250 });
+        await jest.advanceTimersByTimeAsync(500);
+
+        const steps = ctrl.calls.filter(c => c.method === 'setLightColor').map(c => c.args[1]);
+        expect(steps).toEqual(['#FF0000', '#800080', '#0000FF']);
+    });
+
+    test('MORSE honors unit timing', async () => {
+        const unit = 100;
+        expect(engine._textToMorse('sos  hi')).toBe('... --- ... / .... ..');
+        expect(engine._morseTimeline('ET', unit)).toEqual([
+            { on: true, duration: 100 }, { on: false, duration: 300 }, { on: true, duration: 300 }
+        ]);
+        expect(engine._morseTimeline('E E', unit)[1]).toEqual({ on: false, duration: 700 });
+
+        await engine.startEffect('morse', ctrl, ['1'], { message: 'SOS', dotDuration: unit, targetColor: '#FFFFFF' });
+        await jest.advanceTimersByTimeAsync(3000);
+
+        const marks = ctrl.calls.filter(c => c.at < 2700).map(c => [c.at, c.method === 'turnLightOff' ? 'off' : 'on']);
+        // S: dots at 0, 200, 400; letter gap (3 units) -> O dashes at 800, 1200, 1600; S at 2200, 2400, 2600
+        expect(marks.filter(m => m[1] === 'on').map(m => m[0])).toEqual([0, 200, 400, 800, 1200, 1600, 2200, 2400, 2600]);
+        expect(marks.filter(m => m[1] === 'off').map(m => m[0])).toEqual([100, 300, 500, 1100, 1500, 1900, 2300, 2500]);
+        // then the light is put back as it was
+        expect(ctrl.calls.filter(c => c.method === 'setLightColor').pop()).toMatchObject({ at: 2700, args: ['1', '#0000FF', 40, 0] });
+        expect(engine.getRunningEffects()).toEqual([]);
+    });
+
+    test('FLAME flickers around the base color until stopped, then restores', async () => {
+        const id = await engine.startEffect('FLAME', ctrl, ['1'], { baseColor: '#FF8000', brightness: 80, intensity: 0.5, synced: true });
+        await jest.advanceTimersByTimeAsync(2000);
+
+        const frames = ctrl.calls.filter(c => c.method === 'setLightColor');
+        expect(frames.length).toBeGreaterThan(8);
+        for (const f of frames) {
+            const [, color, brightness] = f.args;
+            expect(color.slice(0, 3)).toBe('#FF');
+            expect(parseInt(color.slice(3, 5), 16)).toBeLessThanOrEqual(0x80);
+            expect(brightness).toBeGreaterThanOrEqual(40);
+            expect(brightness).toBeLessThanOrEqual(80);
+        }
+
+        await engine.stopEffect(id);
+        expect(ctrl.calls[ctrl.calls.length - 1]).toMatchObject({ method: 'setLightColor', args: ['1', '#0000FF', 40, 0] });
+        const count = ctrl.calls.length;
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(ctrl.calls.length).toBe(count);
+    });
+
+    test('stopEffect restores lights that were off', async () => {
+        ctrl.lights.set('2', { state: 'off', brightness: 0, color: null });
+        const id = await engine.startEffect('blink', ctrl, ['1', '2'], { durationOn: 100, durationOff: 100 });
+        await jest.advanceTimersByTimeAsync(250);
+        await engine.stopEffect(id);
+
+        expect(await ctrl.getLightStatus('1')).toMatchObject({ state: 'on', brightness: 40, color: '#0000FF' });
+        expect((await ctrl.getLightStatus('2')).state).toBe('off');
+    });
+
+    test('a new effect on the same lights keeps the original state for restore', async () => {
+        await engine.startEffect('disco', ctrl, ['1'], { triggerInterval: 100 });
+        const id = await engine.startEffect('flip', ctrl, ['1'], { colorList: ['#FF0000', '#00FF00'], durationOff: 0, durationOn: 100 });
+        expect(engine.getRunningEffects()).toEqual([id]);
+
+        await jest.advanceTimersByTimeAsync(150);
+        expect(ctrl.lights.get('1').color).toBe('#00FF00');
+        await engine.stopEffect(id);
+        expect(ctrl.lights.get('1')).toMatchObject({ color: '#0000FF', brightness: 40 });
+    });
+
+    test('frames are scheduled against the start time, not after slow calls', async () => {
+        const slow = new RecordingController();
+        const orig = slow.turnLightOn.bind(slow);
+        slow.turnLightOn = async (...args) => {
+            await new Promise(r => setTimeout(r, 60));
+            return orig(...args);
+        };
+        // The first frame itself is slow, so advance the clock while starting
+        const started = engine.startEffect('blink', slow, ['1'], { durationOn: 100, durationOff: 100, count: 3 });
+        await jest.advanceTimersByTimeAsync(1000);
+        await started;
+
+        // off phases at 100/300/500, then the (initially off) light is restored at 600
+        expect(slow.calls.filter(c => c.method === 'turnLightOff').map(c => c.at)).toEqual([100, 300, 500, 600]);
+    });
+
+    test('rejects unknown effects, bad parameters and unreachable lights', async () => {
+        await expect(engine.startEffect('sparkle', ctrl, ['1'], {})).rejects.toThrow(/Unknown effect type/);
+        await expect(engine.startEffect('flip', ctrl, ['1'], {})).rejects.toThrow(/colorList/);
+        await expect(engine.startEffect('fade', ctrl, ['1'], { targetColor: 'nope' })).rejects.toThrow(/Invalid color/);
+
+        ctrl.turnLightOn = async () => { throw new Error('unreachable'); };
+        await expect(engine.startEffect('blink', ctrl, ['1'], {})).rejects.toThrow(/could not drive any target/);
+        expect(engine.getRunningEffects()).toEqual([]);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+});
@@ -0,0 +1,144 @@
+const haDiscovery = require('../../lib/core/ha-discovery');
+const ZoneManager = require('../../lib/core/zone-manager');
+const ScreenZone = require('../../lib/zones/screen-zone');
+const AudioZone = require('../../lib/zones/audio-zone');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message, options = {}) { this.published.push({ topic, message, options }); }
+    discovery() { return this.published.filter(p => p.topic.startsWith('homeassistant/')); }
+}
+
+const options = { deviceName: 'room1', deviceTopic: 'paradox/room1' };
+const byTopic = configs => Object.fromEntries(configs.map(c => [c.topic, c.payload]));
+
+describe('Home Assistant discovery configs', () => {
+    test('screen zones get status, volumes, a display switch and transport buttons', () => {
+        const zone = new ScreenZone({ name: 'mirror', type: 'screen', baseTopic: 'paradox/mirror', maxVolume: 120 }, new StubMqttClient(), null);
+        const configs = byTopic(haDiscovery.zoneConfigs(zone, options));
+
+        expect(Object.keys(configs)).toEqual([
+            'homeassistant/sensor/pfx_room1/mirror_status/config',
+            'homeassistant/number/pfx_room1/mirror_volume/config',
+            'homeassistant/number/pfx_room1/mirror_background_volume/config',
+            'homeassistant/number/pfx_room1/mirror_speech_volume/config',
+            'homeassistant/number/pfx_room1/mirror_effects_volume/config',
+            'homeassistant/number/pfx_room1/mirror_video_volume/config',
+            'homeassistant/switch/pfx_room1/mirror_display/config',
+            'homeassistant/button/pfx_room1/mirror_stop_all/config',
+            'homeassistant/button/pfx_room1/mirror_pause_all/config',
+            'homeassistant/button/pfx_room1/mirror_resume_all/config',
+            'homeassistant/button/pfx_room1/mirror_skip_speech/config'
+        ]);
+
+        const speech = configs['homeassistant/number/pfx_room1/mirror_speech_volume/config'];
+        expect(speech).toMatchObject({
+            unique_id: 'pfx_room1_mirror_speech_volume',
+            state_topic: 'paradox/mirror/state',
+            value_template: '{{ value_json.speech.volume }}',
+            command_topic: 'paradox/mirror/commands',
+            command_template: '{"command":"setVolume","type":"speech","volume":{{ value | int }}}',
+            max: 120,
+            availability_topic: 'paradox/room1/state',
+            availability_template: '{{ value_json.zones["mirror"] | default(\'offline\') }}',
+            device: { identifiers: ['pfx_room1_mirror'], name: 'mirror', via_device: 'pfx_room1' }
+        });
+        expect(configs['homeassistant/switch/pfx_room1/mirror_display/config']).toMatchObject({
+            payload_on: '{"command":"wakeScreen"}',
+            payload_off: '{"command":"sleepScreen"}'
+        });
+        expect(configs['homeassistant/button/pfx_room1/mirror_stop_all/config']).toMatchObject({ payload_press: '{"command":"stopAll"}' });
+        expect(configs['homeassistant/sensor/pfx_room1/mirror_status/config'].command_topic).toBeUndefined();
+    });
+
+    test('audio zones only get the entities their commands support', () => {
+        const zone = new AudioZone({ name: 'lobby', type: 'combined-audio', baseTopic: 'paradox/lobby' }, new StubMqttClient(), null);
+        const topics = haDiscovery.zoneConfigs(zone, { ...options, prefix: 'ha' }).map(c => c.topic);
+        expect(topics).toContain('ha/number/pfx_room1/lobby_effects_volume/config');
+        expect(topics).toContain('ha/button/pfx_room1/lobby_skip_speech/config');
+        expect(topics.some(t => t.includes('video_volume') || t.includes('display') || t.includes('pause_all'))).toBe(false);
+    });
+
+    test('the state payload carries what the entities read', () => {
+        const client = new StubMqttClient();
+        const zone = new ScreenZone({ name: 'mirror', type: 'screen', baseTopic: 'paradox/mirror' }, client, null);
+        zone.publishStatus();
+        const state = client.published.find(p => p.topic === 'paradox/mirror/state').message;
+        expect(state).toMatchObject({ volume: 80, image: null, screen_awake: true, background: { volume: expect.any(Number) }, video: { volume: expect.any(Number) } });
+    });
+
+    test('lights and relays use their native HA types', () => {
+        const light = byTopic(haDiscovery.zoneConfigs({ config: { name: 'spot', type: 'light', baseTopic: 'paradox/spot' } }, options));
+        expect(light['homeassistant/light/pfx_room1/spot_light/config']).toMatchObject({
+            schema: 'template',
+            name: null,
+            command_topic: 'paradox/spot/commands',
+            state_topic: 'paradox/spot/state',
+            state_template: '{{ value_json.power }}'
+        });
+
+        const relay = byTopic(haDiscovery.zoneConfigs({ config: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog' } }, options));
+        expect(relay['homeassistant/switch/pfx_room1/fog_relay/config']).toMatchObject({
+            payload_on: '{"command":"turnOn"}',
+            payload_off: '{"command":"turnOff"}',
+            value_template: '{{ value_json.state }}',
+            state_on: 'on',
+            state_off: 'off'
+        });
+    });
+
+    test('topics in the configs are the broker topics under an MQTT topic prefix', () => {
+        const brokerTopic = topic => `sites/a/${topic}`;
+        const light = byTopic(haDiscovery.zoneConfigs({ config: { name: 'spot', type: 'light', baseTopic: 'paradox/spot' } }, { ...options, brokerTopic }));
+        expect(light['homeassistant/light/pfx_room1/spot_light/config']).toMatchObject({
+            command_topic: 'sites/a/paradox/spot/commands',
+            state_topic: 'sites/a/paradox/spot/state',
+            availability_topic: 'sites/a/paradox/room1/state'
+        });
+    });
+});
+
+describe('Home Assistant discovery publishing', () => {
+    const devices = {
+        fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' },
+        spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' }
+    };
+
+    test('is off unless enabled', async () => {
+        const client = new StubMqttClient();
+        const zm = new ZoneManager({ global: {}, devices }, client);
+        await zm.initialize();
+        await zm.shutdown();
+        expect(client.discovery()).toEqual([]);
+    });
+
+    test('publishes retained configs at startup and removes those of dropped zones', async () => {
+        const client = new StubMqttClient();
+        const zm = new ZoneManager({ global: { deviceName: 'room1', haDiscovery: true }, devices }, client);
+        await zm.initialize();
+        try {
+            const topics = client.discovery().map(p => p.topic);
+            expect(topics).toEqual(expect.arrayContaining([
+                'homeassistant/binary_sensor/pfx_room1/connectivity/config',
+                'homeassistant/switch/pfx_room1/fog_relay/config',
+                'homeassistant/light/pfx_room1/spot_light/config'
+            ]));
+            expect(client.discovery().every(p => p.options.retain === true)).toBe(true);
+
+            client.published = [];
+            await zm.reloadConfig({ global: { deviceName: 'room1', haDiscovery: true }, devices: { fog: devices.fog } });
+            expect(client.discovery().find(p => p.topic === 'homeassistant/light/pfx_room1/spot_light/config').message).toBe('');
+            expect(client.discovery().some(p => p.topic.includes('fog_') && p.message === '')).toBe(false);
+        } finally {
+            await zm.shutdown();
+        }
+        // Entities outlive a shutdown; availability marks them offline
+        expect(client.discovery().filter(p => p.message === '')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const HttpApi = require('../../lib/core/http-api');
+const ZoneManager = require('../../lib/core/zone-manager');
+const AudioZone = require('../../lib/zones/audio-zone');
+
+/** Stub client that reports publishes like MqttClient does, with the broker down */
+class StubMqttClient extends EventEmitter {
+    constructor() {
+        super();
+        this.published = [];
+    }
+    setZoneManager() { }
+    subscribe() { }
+    unsubscribe() { }
+    publish(topic, message, options = {}) {
+        this.emit('publish', topic, message, options);
+        this.published.push({ topic, message, options });
+    }
+}
+
+const devices = {
+    fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' },
+    spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' }
+};
+
+describe('HTTP API', () => {
+    let mqtt;
+    let zm;
+    let api;
+    let base;
+
+    async function start(global = {}) {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({ global: { deviceName: 'room1' }, devices }, mqtt);
+        api = new HttpApi({ httpPort: 0, httpHost: '127.0.0.1', ...global }, zm, mqtt);
+        await zm.initialize();
+        await api.start();
+        base = `http://127.0.0.1:${api.port}`;
+    }
+
+    const call = async (path, options = {}) => {
+        const res = await fetch(base + path, options);
+        return { status: res.status, body: await res.json() };
+    };
+    const post = (path, body, headers = {}) => call(path, {
+        method: 'POST',
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+
+    afterEach(async () => {
+        await api.stop();
+        await zm.shutdown();
+    });
+
+    test('GET endpoints return zones and their last state', async () => {
+        await start();
+        const list = await call('/api/zones');
+        expect(list.status).toBe(200);
+        expect(list.body.device).toBe('room1');
+        expect(list.body.zones.map(z => z.name)).toEqual(['fog', 'spot']);
+        expect(list.body.zones[0]).toMatchObject({ type: 'relay', topic: 'paradox/fog', state: { zone: 'fog', state: 'off' } });
+
+        expect((await call('/api/zones/spot/state')).body).toMatchObject({ zone: 'spot', power: 'off' });
+        expect((await call('/api/device/state')).body).toMatchObject({ device: 'room1', status: 'online' });
+        expect(await call('/api/zones/nope')).toMatchObject({ status: 404, body: { error: 'not_found' } });
+        expect((await call('/api/zones/fog/commands')).status).toBe(405);
+    });
+
+    test('commands run through the zone pipeline and answer with the reply', async () => {
+        await start();
+        const handle = jest.spyOn(zm, '_handleZoneCommand');
+
+        const ok = await post('/api/zones/fog/commands', { command: 'turnOn', id: 'tech-1' });
+        expect(ok.status).toBe(200);
+        expect(ok.body).toMatchObject({ zone: 'fog', type: 'response', command: 'turnOn', outcome: 'success', correlation_id: 'tech-1', state: { state: 'on' } });
+        expect(handle).toHaveBeenCalledTimes(1);
+        // The same events reach MQTT, carrying the id
+        expect(mqtt.published.find(p => p.topic === 'paradox/fog/events' && p.message.outcome === 'success').message.correlation_id).toBe('tech-1');
+
+        const invalid = await post('/api/zones/spot/commands', { command: 'setColor' });
+        expect(invalid).toMatchObject({ status: 400, body: { outcome: 'failed', error_type: 'validation_error', error_message: 'color: is required' } });
+
+        const malformed = await post('/api/zones/spot/commands', '{not json');
+        expect(malformed).toMatchObject({ status: 400, body: { outcome: 'failed', error_type: 'malformed_json' } });
+
+        // A cross-site form or text/plain fetch cannot send commands
+        const plain = await post('/api/zones/fog/commands', { command: 'turnOff' }, { 'Content-Type': 'text/plain' });
+        expect(plain).toMatchObject({ status: 415, body: { error: 'unsupported_media_type' } });
+        expect((await post('/api/device/commands', { command: 'stopAll' }, { 'Content-Type': 'application/x-www-form-urlencoded' })).status).toBe(415);
+        expect(handle).toHaveBeenCalledTimes(3);
+    });
+
+    test('device commands fan out and report rejections', async () => {
+        await start();
+        const reset = await post('/api/device/commands', { command: 'stopAll' });
+        expect(reset.body).toMatchObject({ device: 'room1', command: 'stopAll' });
+
+        const invalid = await post('/api/device/commands', { command: 'stopAll', fadeTime: -1 });
+        expect(invalid).toMatchObject({ status: 400, body: { outcome: 'failed', error_type: 'validation_error', error_message: 'fadeTime: must be >= 0' } });
+    });
+
+    test('a configured token is required', async () => {
+        await start({ httpToken: 's3cret' });
+        expect(await call('/api/zones')).toMatchObject({ status: 401, body: { error: 'unauthorized' } });
+        expect((await call('/api/zones', { headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+        expect((await call('/api/zones', { headers: { Authorization: 'Bearer s3cret' } })).status).toBe(200);
+        expect((await call('/api/zones?token=s3cret')).status).toBe(200);
+
+        const refused = new WebSocket(`ws://127.0.0.1:${api.port}/api/events`);
+        await expect(new Promise((resolve, reject) => { refused.on('open', resolve); refused.on('error', reject); })).rejects.toThrow(/401/);
+    });
+
+    test('binds to a non-loopback address only with a token', async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({ global: { deviceName: 'room1' }, devices }, mqtt);
+        api = new HttpApi({ httpPort: 0, httpHost: '0.0.0.0' }, zm, mqtt);
+        await expect(api.start()).rejects.toThrow('Refusing to serve the HTTP API on 0.0.0.0 without http_token');
+        expect(api.server).toBeNull();
+
+        await api.stop();
+        api = new HttpApi({ httpPort: 0 }, zm, mqtt);
+        await api.start();
+        expect(api.server.address().address).toBe('127.0.0.1');
+    });
+
+    test('without a token, only loopback hosts and the API\'s own origin are served', async () => {
+        await start();
+        // fetch will not send another Host header; a rebound DNS name would
+        const status = headers => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port: api.port, path: '/api/zones', headers }, res => {
+                res.resume();
+                resolve(res.statusCode);
+            }).on('error', reject);
+        });
+        expect(await status({ Host: `evil.example:${api.port}` })).toBe(403);
+        expect(await status({ Host: `localhost:${api.port}` })).toBe(200);
+
+        const own = `http://127.0.0.1:${api.port}`;
+        expect(await post('/api/zones/fog/commands', { command: 'turnOn' }, { Origin: 'http://evil.example' })).toMatchObject({ status: 403, body: { error: 'forbidden' } });
+        expect((await post('/api/zones/fog/commands', { command: 'turnOn' }, { Origin: own })).status).toBe(200);
+
+        const open = origin => new Promise((resolve, reject) => {
+            const ws = new WebSocket(`ws://127.0.0.1:${api.port}/api/events`, { origin });
+            ws.on('open', () => { ws.close(); resolve('open'); });
+            ws.on('error', reject);
+        });
+        await expect(open('http://evil.example')).rejects.toThrow(/403/);
+        await expect(open(own)).resolves.toBe('open');
+    });
+
+    test('serves the console page without a token, and lists zone media', async () => {
+        await start({ httpToken: 's3cret' });
+        const page = await fetch(`${base}/`);
+        expect(page.status).toBe(200);
+        expect(page.headers.get('content-type')).toMatch(/text\/html/);
+        expect(await page.text()).toContain('/api/events');
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-http-'));
+        try {
+            fs.mkdirSync(path.join(dir, 'music'));
+            fs.writeFileSync(path.join(dir, 'music', 'theme.mp3'), 'abc');
+            fs.writeFileSync(path.join(dir, 'intro.mp4'), '');
+            fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+            fs.writeFileSync(path.join(dir, '.hidden.png'), '');
+            zm.zones.set('lobby', new AudioZone({ name: 'lobby', type: 'audio', baseTopic: 'paradox/lobby', mediaDir: dir }, mqtt, null));
+
+            const auth = { headers: { Authorization: 'Bearer s3cret' } };
+            const media = await call('/api/zones/lobby/media', auth);
+            expect(media.body).toMatchObject({ zone: 'lobby', root: dir });
+            expect(media.body.files).toEqual([
+                { path: 'intro.mp4', type: 'video', size: 0, modified: expect.any(String), duration: null, width: null, height: null },
+                { path: 'music/theme.mp3', type: 'audio', size: 3, modified: expect.any(String), duration: null, width: null, height: null }
+            ]);
+            expect((await call('/api/zones/lobby/media?folder=music', auth)).body.files.map(f => f.path)).toEqual(['music/theme.mp3']);
+            expect((await call('/api/zones/lobby/media?type=video', auth)).body.files.map(f => f.path)).toEqual(['intro.mp4']);
+            expect((await call('/api/zones/fog/media', auth)).status).toBe(404);
+            expect((await call('/api/zones/lobby', auth)).body.commands).toContain('playBackground');
+        } finally {
+            zm.zones.delete('lobby');
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('the WebSocket streams current state, then everything published', async () => {
+        await start({ httpToken: 's3cret' });
+        const ws = new WebSocket(`ws://127.0.0.1:${api.port}/api/events?token=s3cret`);
+        const frames = [];
+        ws.on('message', data => frames.push(JSON.parse(data.toString())));
+        await new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+        await new Promise(r => setTimeout(r, 50));
+
+        expect(frames.filter(f => f.retained).map(f => f.topic)).toEqual(expect.arrayContaining(['paradox/fog/state', 'paradox/spot/state', 'paradox/room1/state']));
+
+        await post('/api/zones/fog/commands', { command: 'turnOn' }, { Authorization: 'Bearer s3cret' });
+        await new Promise(r => setTimeout(r, 50));
+        const live = frames.filter(f => !f.retained);
+        expect(live.find(f => f.topic === 'paradox/fog/events' && f.message.outcome === 'success')).toBeDefined();
+        expect(live.filter(f => f.topic === 'paradox/fog/state').pop().message.state).toBe('on');
+        ws.close();
+    });
+});
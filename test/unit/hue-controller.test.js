@@ -0,0 +1,190 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HueController = require('../../lib/controllers/hue-controller');
+
+/**
+ * Local stand-in for a Hue bridge (API v1 subset). Records every request and
+ * keeps light/group state so reads reflect earlier writes.
+ */
+function startFakeBridge() {
+    const bridge = {
+        linkButton: false,
+        username: 'test-app-key',
+        requests: [],
+        lights: {
+            1: { name: 'Spot', type: 'Extended color light', modelid: 'LCT015', uniqueid: 'aa', state: { on: false, bri: 1, xy: [0.3127, 0.329], reachable: true } },
+            2: { name: 'Wash', type: 'Extended color light', modelid: 'LCT015', uniqueid: 'bb', state: { on: false, bri: 1, xy: [0.3127, 0.329], reachable: false } }
+        },
+        groups: {
+            4: { name: 'Stage', lights: ['1', '2'], state: { any_on: false, all_on: false }, action: { on: false, bri: 1, xy: [0.3127, 0.329] } }
+        }
+    };
+
+    const reply = (res, body) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    bridge.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', c => { raw += c; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            bridge.requests.push({ method: req.method, url: req.url, body });
+            const parts = req.url.split('/').filter(Boolean); // api, user, resource, id, sub
+
+            if (req.method === 'POST' && req.url === '/api') {
+                if (!bridge.linkButton) {
+                    return reply(res, [{ error: { type: 101, address: '', description: 'link button not pressed' } }]);
+                }
+                return reply(res, [{ success: { username: bridge.username } }]);
+            }
+            if (parts[1] !== bridge.username) {
+                return reply(res, [{ error: { type: 1, address: '/', description: 'unauthorized user' } }]);
+            }
+            const [, , resource, id, sub] = parts;
+            if (resource === 'lights' && req.method === 'POST' && !id) {
+                return reply(res, [{ success: { '/lights': 'Searching for new devices' } }]);
+            }
+            if (id && !(bridge[resource] || {})[id] && !(resource === 'groups' && req.method === 'POST')) {
+                return reply(res, [{ error: { type: 3, address: `/${resource}/${id}`, description: 'resource not available' } }]);
+            }
+            if (resource === 'lights' && req.method === 'GET') {
+                return reply(res, id ? bridge.lights[id] : bridge.lights);
+            }
+            if (resource === 'lights' && req.method === 'PUT' && sub === 'state') {
+                Object.assign(bridge.lights[id].state, body);
+                return reply(res, Object.keys(body).map(k => ({ success: { [`/lights/${id}/state/${k}`]: body[k] } })));
+            }
+            if (resource === 'groups' && req.method === 'GET') {
+                return reply(res, bridge.groups[id]);
+            }
+            if (resource === 'groups' && req.method === 'PUT' && sub === 'action') {
+                Object.assign(bridge.groups[id].action, body);
+                return reply(res, [{ success: {} }]);
+            }
+            if (resource === 'groups' && req.method === 'POST') {
+                bridge.groups[7] = { name: body.name, lights: body.lights, state: {}, action: {} };
+                return reply(res, [{ success: { id: '7' } }]);
+            }
+            reply(res, [{ error: { type: 3, address: req.url, description: 'resource not available' } }]);
+        });
+    });
+
+    return new Promise(resolve => {
+        bridge.server.listen(0, '127.0.0.1', () => {
+            bridge.address = `127.0.0.1:${bridge.server.address().port}`;
+            resolve(bridge);
+        });
+    });
+}
+
+describe('HueController against a local stand-in bridge', () => {
+    let bridge;
+    let keyFile;
+
+    beforeEach(async () => {
+        bridge = await startFakeBridge();
+        keyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-hue-')), 'hue-keys.json');
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => bridge.server.close(resolve));
+        fs.rmSync(path.dirname(keyFile), { recursive: true, force: true });
+    });
+
+    test('initialize fails with a pairing hint while the link button is not pressed', async () => {
+        const hue = new HueController({ bridgeIp: bridge.address, appKeyFile: keyFile });
+        await expect(hue.initialize()).rejects.toThrow(/press the link button/);
+        expect(fs.existsSync(keyFile)).toBe(false);
+    });
+
+    test('pairs once, stores the app key and reuses it on the next start', async () => {
+        bridge.linkButton = true;
+        const first = new HueController({ bridgeIp: bridge.address, appKeyFile: keyFile });
+        await first.initialize();
+        expect(first.connected).toBe(true);
+        expect(JSON.parse(fs.readFileSync(keyFile, 'utf8'))[bridge.address]).toBe('test-app-key');
+
+        bridge.linkButton = false;
+        bridge.requests = [];
+        const second = new HueController({ bridgeIp: bridge.address, appKeyFile: keyFile });
+        await second.initialize();
+        expect(bridge.requests.some(r => r.method === 'POST' && r.url === '/api')).toBe(false);
+        expect(second.lights.size).toBe(2);
+    });
+
+    test('rejects an unauthorized app key', async () => {
+        const hue = new HueController({ bridgeIp: bridge.address, username: 'wrong', appKeyFile: keyFile });
+        await expect(hue.initialize()).rejects.toThrow(/unauthorized user/);
+    });
+
+    describe('with a paired controller', () => {
+        let hue;
+
+        beforeEach(async () => {
+            hue = new HueController({ bridgeIp: bridge.address, username: 'test-app-key', appKeyFile: keyFile });
+            await hue.initialize();
+            bridge.requests = [];
+        });
+
+        test('setLightColor sends xy, scaled brightness and transition', async () => {
+            await hue.setLightColor('1', '#FF0000', 50, 1500);
+            const req = bridge.requests[0];
+            expect(req.method).toBe('PUT');
+            expect(req.url).toBe('/api/test-app-key/lights/1/state');
+            expect(req.body).toEqual({ on: true, xy: [0.7006, 0.2993], bri: 127, transitiontime: 15 });
+        });
+
+        test('accepts rgb objects and brightness 0 turns the light off', async () => {
+            await hue.setLightColor('1', { r: 0, g: 0, b: 255 }, 0);
+            expect(bridge.requests[0].body.on).toBe(false);
+            expect(bridge.requests[0].body.xy).toEqual([0.1355, 0.0399]);
+        });
+
+        test('invalid colors are rejected before contacting the bridge', async () => {
+            await expect(hue.setLightColor('1', 'not-a-color', 50)).rejects.toThrow(/Invalid color/);
+            expect(bridge.requests).toHaveLength(0);
+        });
+
+        test('turnLightOn/turnLightOff and status reads', async () => {
+            await hue.turnLightOn('1', 100, 0);
+            expect(bridge.requests[0].body).toEqual({ on: true, bri: 254, transitiontime: 0 });
+            await hue.setLightColor('1', '#FF6400', null);
+
+            const status = await hue.getLightStatus('1');
+            expect(status).toMatchObject({ lightId: '1', name: 'Spot', state: 'on', brightness: 100, color: '#FF6400', reachable: true });
+
+            await hue.turnLightOff('1', 400);
+            expect(bridge.requests[bridge.requests.length - 1].body).toEqual({ on: false, transitiontime: 4 });
+            expect((await hue.getLightStatus('2')).reachable).toBe(false);
+        });
+
+        test('group actions and status', async () => {
+            await hue.setGroupColor('4', '#00FF00', 25, 300);
+            expect(bridge.requests[0].url).toBe('/api/test-app-key/groups/4/action');
+            expect(bridge.requests[0].body).toMatchObject({ on: true, bri: 64, transitiontime: 3 });
+
+            await hue.turnGroupOff('4');
+            const status = await hue.getGroupStatus('4');
+            expect(status).toMatchObject({ groupId: '4', name: 'Stage', lightCount: 2, brightness: 25 });
+
+            const created = await hue.createGroup('Corner', [1, 2]);
+            expect(created.groupId).toBe('7');
+            expect(bridge.requests[bridge.requests.length - 1].body).toEqual({ name: 'Corner', type: 'LightGroup', lights: ['1', '2'] });
+        });
+
+        test('discoverLights lists bridge lights and can trigger a search', async () => {
+            const lights = await hue.discoverLights({ search: true });
+            expect(bridge.requests[0]).toMatchObject({ method: 'POST', url: '/api/test-app-key/lights' });
+            expect(lights.map(l => l.id)).toEqual(['1', '2']);
+            expect(lights[1]).toMatchObject({ name: 'Wash', modelId: 'LCT015', reachable: false });
+        });
+
+        test('bridge errors surface with the Hue error type', async () => {
+            await expect(hue.getLightStatus('99')).rejects.toMatchObject({ code: 3 });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/media/ffprobe-duration', () => ({
+    probeDurationSeconds: jest.fn().mockResolvedValue(null)
+}));
+
+const Logger = require('../../lib/utils/logger');
+const RotatingLogFile = require('../../lib/utils/rotating-log-file');
+const correlation = require('../../lib/core/correlation');
+const ZoneManager = require('../../lib/core/zone-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+describe('Logger', () => {
+    let saved;
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        saved = { ...Logger.getLevels(), format: Logger.format };
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => { });
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+        Logger.configure({ level: saved.level, modules: saved.modules, format: saved.format });
+    });
+
+    test('module overrides apply to the module and its instances', () => {
+        Logger.configure({ level: 'warn', modules: { AudioManager: 'debug', MqttClient: 'bogus' } });
+
+        expect(Logger.levelFor('AudioManager')).toBe('debug');
+        expect(Logger.levelFor('audiomanager:lobby')).toBe('debug');
+        expect(Logger.levelFor('MqttClient')).toBe('warn');
+
+        new Logger('AudioManager:lobby').debug('shown');
+        new Logger('ZoneManager').info('hidden');
+        expect(logSpy).toHaveBeenCalledTimes(1);
+        expect(logSpy.mock.calls[0][0]).toContain('shown');
+    });
+
+    test('setLevel changes levels until reset with default', () => {
+        Logger.configure({ level: 'warn', modules: {} });
+
+        expect(Logger.setLevel('debug', 'ZoneManager')).toEqual({ level: 'warn', modules: { zonemanager: 'debug' } });
+        expect(Logger.setLevel('error')).toEqual({ level: 'error', modules: { zonemanager: 'debug' } });
+        expect(Logger.levelFor('ZoneManager:x')).toBe('debug');
+
+        expect(Logger.setLevel('default', 'ZoneManager').modules).toEqual({});
+        expect(Logger.setLevel('default').level).toBe('warn');
+        expect(() => Logger.setLevel('verbose')).toThrow('Unknown log level: verbose');
+    });
+
+    test('JSON lines carry the zone, command and correlation id being handled', async () => {
+        Logger.configure({ level: 'info', format: 'json' });
+        Logger.setContextProvider(correlation.logContext);
+        const logger = new Logger('AudioManager:lobby');
+
+        logger.info('outside', { volume: 80 });
+        await correlation.handleCommand({ identity: { zone: 'mirror' } }, { command: 'playVideo', id: 'abc-1' }, {}, async () => {
+            logger.info('Playing', 'intro.mp4');
+            logger.warn('Failed', new Error('boom'));
+        });
+
+        const [outside, playing] = logSpy.mock.calls.map(([line]) => JSON.parse(line));
+        const failed = JSON.parse(warnSpy.mock.calls[0][0]);
+        expect(outside).toEqual({ ts: expect.any(String), level: 'info', module: 'AudioManager', zone: 'lobby', msg: 'outside', data: { volume: 80 } });
+        expect(playing).toEqual({
+            ts: expect.any(String), level: 'info', module: 'AudioManager', zone: 'mirror', command: 'playVideo', correlation_id: 'abc-1', msg: 'Playing intro.mp4'
+        });
+        expect(failed).toMatchObject({ level: 'warn', command: 'playVideo', msg: 'Failed', error: { error: 'boom' } });
+        expect(Logger.formatLine('plain text', 'warn')).toEqual(expect.stringContaining('"level":"warn","module":"console","msg":"plain text"'));
+        expect(Logger.formatLine('{"a":1}')).toBe('{"a":1}');
+
+        Logger.configure({ format: 'text' });
+        expect(Logger.formatLine('plain text')).toBe('plain text');
+    });
+
+    test('setLogLevel on the device topic changes levels at runtime', async () => {
+        const mqtt = new StubMqttClient();
+        const zm = new ZoneManager({
+            global: { deviceName: 'room1', baseTopic: 'paradox' },
+            devices: { fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' } }
+        }, mqtt);
+        await zm.initialize();
+        try {
+            await mqtt.send('paradox/room1/commands', { command: 'setLogLevel', level: 'debug', module: 'AudioManager' });
+            expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({
+                command: 'setLogLevel',
+                outcome: 'success',
+                parameters: { level: saved.level, module: 'AudioManager', modules: { audiomanager: 'debug' } }
+            });
+            expect(Logger.levelFor('AudioManager:lobby')).toBe('debug');
+
+            await mqtt.send('paradox/room1/commands', { command: 'setLogLevel', level: 'loud' });
+            expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({ valid: false, error: 'validation_error' });
+        } finally {
+            await zm.shutdown();
+        }
+    });
+});
+
+describe('RotatingLogFile', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-logs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('starts a new file once the current one is full', async () => {
+        // ~100 bytes per file
+        const log = new RotatingLogFile(dir, { maxFileMB: 100 / (1024 * 1024) });
+        await log.open();
+        const first = log.file;
+
+        log.write('x'.repeat(60));
+        log.write('y'.repeat(60));
+        expect(log.rotations).toBe(1);
+        expect(log.file).not.toBe(first);
+        await log.close();
+
+        expect(fs.readFileSync(first, 'utf8')).toBe(`${'x'.repeat(60)}\n`);
+        expect(fs.readFileSync(log.file, 'utf8')).toBe(`${'y'.repeat(60)}\n`);
+        expect(fs.readlinkSync(path.join(dir, 'pfx-latest.log'))).toBe(path.basename(log.file));
+    });
+});
@@ -137,15 +137,28 @@ describe('Malformed MQTT Message Handling', () => {
             await zoneManager._handleZoneCommand('testZone', mockZone, invalidCommand);
             expect(mockZone.messages.length).toBeGreaterThanOrEqual(2);
             const warning = mockZone.messages.find(m => m.type === 'warning');
-            expect(warning.data.validation_error).toContain('Volume');
+            expect(warning.data.validation_error).toBe('volume: must be number');
         });
 
         test('should reject commands with volume out of range', async () => {
-            const invalidCommand = { Command: 'playSpeech', volume: 200 };
+            const invalidCommand = { Command: 'playSpeech', volume: 201 };
             await zoneManager._handleZoneCommand('testZone', mockZone, invalidCommand);
             expect(mockZone.messages.length).toBeGreaterThanOrEqual(2);
             const warning = mockZone.messages.find(m => m.type === 'warning');
-            expect(warning.data.validation_error).toContain('0 and 150');
+            expect(warning.data.validation_error).toBe('volume: must be <= 200');
+        });
+
+        test('should pass numeric string volumes on as numbers', async () => {
+            const handle = jest.spyOn(mockZone, 'handleCommand');
+            await zoneManager._handleZoneCommand('testZone', mockZone, { Command: 'playSpeech', volume: '80' });
+            expect(mockZone.messages.find(m => m.type === 'warning')).toBeUndefined();
+            expect(handle).toHaveBeenCalledWith(expect.objectContaining({ volume: 80 }));
+        });
+
+        test('should accept the documented maximum volume of 200', async () => {
+            const command = { Command: 'playSpeech', volume: 200 };
+            await zoneManager._handleZoneCommand('testZone', mockZone, command);
+            expect(mockZone.messages.find(m => m.type === 'warning')).toBeUndefined();
         });
     });
 
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/media/audio-manager');
+jest.mock('../../lib/media/ffprobe-duration', () => ({
+    probeDurationSeconds: jest.fn().mockResolvedValue(null),
+    probeMediaInfo: jest.fn(async (file) => (file.endsWith('.png')
+        ? { duration: null, width: 1920, height: 1080 }
+        : { duration: 12.5, width: file.endsWith('.mp4') ? 1280 : null, height: file.endsWith('.mp4') ? 720 : null })),
+    forget: jest.fn()
+}));
+
+const { probeMediaInfo, forget } = require('../../lib/media/ffprobe-duration');
+const MediaIndex = require('../../lib/media/media-index');
+const ZoneManager = require('../../lib/core/zone-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+const waitFor = async (check, timeoutMs = 3000) => {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeoutMs) throw new Error('timed out');
+        await new Promise(r => setTimeout(r, 20));
+    }
+};
+
+describe('MediaIndex', () => {
+    let dir;
+    let index;
+
+    beforeEach(() => {
+        probeMediaInfo.mockClear();
+        forget.mockClear();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-media-'));
+        fs.mkdirSync(path.join(dir, 'music'));
+        fs.mkdirSync(path.join(dir, 'clues', 'act1'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'music', 'theme.mp3'), 'abc');
+        fs.writeFileSync(path.join(dir, 'intro.mp4'), '');
+        fs.writeFileSync(path.join(dir, 'clues', 'act1', 'map.png'), 'png');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+        fs.writeFileSync(path.join(dir, '.hidden.png'), '');
+    });
+
+    afterEach(() => {
+        if (index) index.close();
+        index = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('indexes media files with type, size and probed duration and resolution', async () => {
+        index = await new MediaIndex(dir, { watch: false }).build();
+        await index.settled();
+
+        expect(index.list()).toEqual([
+            { path: 'clues/act1/map.png', type: 'image', size: 3, modified: expect.any(String), duration: null, width: 1920, height: 1080 },
+            { path: 'intro.mp4', type: 'video', size: 0, modified: expect.any(String), duration: 12.5, width: 1280, height: 720 },
+            { path: 'music/theme.mp3', type: 'audio', size: 3, modified: expect.any(String), duration: 12.5, width: null, height: null }
+        ]);
+        expect(probeMediaInfo).toHaveBeenCalledTimes(3);
+        expect(index.get('./music/theme.mp3').duration).toBe(12.5);
+        expect(index.get('Music/theme.mp3')).toBeUndefined();
+    });
+
+    test('filters by type and subfolder', async () => {
+        index = await new MediaIndex(dir, { probe: false, watch: false }).build();
+        expect(index.list({ type: 'audio' }).map(f => f.path)).toEqual(['music/theme.mp3']);
+        expect(index.list({ folder: 'clues' }).map(f => f.path)).toEqual(['clues/act1/map.png']);
+        expect(index.list({ folder: '/clues/act1/' }).map(f => f.path)).toEqual(['clues/act1/map.png']);
+        expect(index.list({ folder: 'clue' })).toEqual([]);
+        expect(index.list({ type: 'video', folder: 'music' })).toEqual([]);
+        expect(probeMediaInfo).not.toHaveBeenCalled();
+    });
+
+    test('follows changes, re-probing only changed files', async () => {
+        index = await new MediaIndex(dir, { debounceMs: 20 }).build();
+        await index.settled();
+        probeMediaInfo.mockClear();
+
+        fs.mkdirSync(path.join(dir, 'sfx'));
+        await waitFor(() => index.dirs.includes(path.join(dir, 'sfx')));
+        fs.writeFileSync(path.join(dir, 'sfx', 'door.wav'), 'wav');
+        fs.writeFileSync(path.join(dir, 'music', 'theme.mp3'), 'abcdef');
+        fs.rmSync(path.join(dir, 'intro.mp4'));
+
+        await waitFor(() => index.get('sfx/door.wav') && !index.get('intro.mp4') && index.get('music/theme.mp3').size === 6);
+        await index.settled();
+        expect(probeMediaInfo.mock.calls.map(([file]) => path.relative(dir, file)).sort()).toEqual(['music/theme.mp3', 'sfx/door.wav']);
+        expect(forget).toHaveBeenCalledWith(path.join(dir, 'music', 'theme.mp3'));
+        expect(index.get('clues/act1/map.png').width).toBe(1920);
+    });
+
+    test('a missing directory gives an empty index', async () => {
+        index = await new MediaIndex(path.join(dir, 'nope')).build();
+        expect(index.list()).toEqual([]);
+        expect(index.watchers.size).toBe(0);
+    });
+});
+
+describe('listMedia command', () => {
+    let dir;
+    let mqtt;
+    let zm;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-media-'));
+        fs.mkdirSync(path.join(dir, 'music'));
+        fs.writeFileSync(path.join(dir, 'music', 'theme.mp3'), 'abc');
+        fs.writeFileSync(path.join(dir, 'intro.mp4'), '');
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({
+            global: { deviceName: 'room1' },
+            devices: {
+                lobby: { name: 'lobby', type: 'audio', baseTopic: 'paradox/lobby', mediaDir: dir, audioDevice: 'default' },
+                fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' }
+            }
+        }, mqtt);
+        await zm.initialize();
+        await zm.getZone('lobby').mediaIndex.settled();
+    });
+
+    afterEach(async () => {
+        const index = zm.getZone('lobby') && zm.getZone('lobby').mediaIndex;
+        await zm.shutdown();
+        if (index) expect(index.closed).toBe(true);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('answers with the indexed files, filtered', async () => {
+        await mqtt.send('paradox/lobby/commands', { command: 'listMedia' });
+        const all = mqtt.events('paradox/lobby/events').pop();
+        expect(all).toMatchObject({ command: 'listMedia', outcome: 'success', parameters: { root: dir, count: 2, truncated: false } });
+        expect(all.parameters.files.map(f => f.path)).toEqual(['intro.mp4', 'music/theme.mp3']);
+        expect(all.parameters.files[0]).toMatchObject({ type: 'video', duration: 12.5, width: 1280, height: 720 });
+
+        await mqtt.send('paradox/lobby/commands', { command: 'listMedia', type: 'audio', folder: 'music/' });
+        expect(mqtt.events('paradox/lobby/events').pop()).toMatchObject({
+            outcome: 'success',
+            parameters: { type: 'audio', folder: 'music', count: 1, files: [{ path: 'music/theme.mp3' }] }
+        });
+
+        await mqtt.send('paradox/lobby/commands', { command: 'listMedia', type: 'text' });
+        expect(mqtt.events('paradox/lobby/events').pop()).toMatchObject({ valid: false, error: 'validation_error' });
+    });
+
+    test('zones without media reject it', async () => {
+        await mqtt.send('paradox/fog/commands', { command: 'listMedia' });
+        expect(mqtt.events('paradox/fog/events').pop()).toMatchObject({ command: 'listMedia', outcome: 'failed' });
+    });
+
+    test('the index follows media_dir changes on reload', async () => {
+        const other = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-media-'));
+        try {
+            fs.writeFileSync(path.join(other, 'hint.jpg'), '');
+            const before = zm.getZone('lobby').mediaIndex;
+            await zm.reloadConfig({
+                global: { deviceName: 'room1' },
+                devices: { lobby: { name: 'lobby', type: 'audio', baseTopic: 'paradox/lobby', mediaDir: other, audioDevice: 'default' } }
+            });
+            expect(before.closed).toBe(true);
+            expect(zm.getZone('lobby').mediaIndex.list().map(f => f.path)).toEqual(['hint.jpg']);
+        } finally {
+            fs.rmSync(other, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+jest.mock('../../lib/media/audio-manager');
+jest.mock('../../lib/media/ffprobe-duration', () => ({
+    probeDurationSeconds: jest.fn().mockResolvedValue(null),
+    probeMediaInfo: jest.fn().mockResolvedValue({ duration: null, width: null, height: null }),
+    probeDecode: jest.fn(async (file) => {
+        if (file.endsWith('broken.mp4')) throw new Error('moov atom not found');
+    }),
+    forget: jest.fn()
+}));
+
+const { probeDecode } = require('../../lib/media/ffprobe-duration');
+const MediaValidator = require('../../lib/media/media-validator');
+const ZoneManager = require('../../lib/core/zone-manager');
+const { normalizeCue } = require('../../lib/core/cue-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+describe('MediaValidator', () => {
+    let dir;
+    let config;
+
+    beforeEach(() => {
+        probeDecode.mockClear();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-check-'));
+        for (const zone of ['mirror', 'lobby']) fs.mkdirSync(path.join(dir, zone));
+        fs.mkdirSync(path.join(dir, 'mirror', 'act1'));
+        fs.writeFileSync(path.join(dir, 'mirror', 'default.png'), 'png');
+        fs.writeFileSync(path.join(dir, 'mirror', 'act1', 'Intro.mp4'), 'mp4');
+        fs.writeFileSync(path.join(dir, 'mirror', 'broken.mp4'), 'mp4');
+        fs.writeFileSync(path.join(dir, 'lobby', 'theme.mp3'), 'mp3');
+        fs.writeFileSync(path.join(dir, 'lobby', 'empty.wav'), '');
+        config = {
+            global: { mediaBasePath: dir },
+            devices: {
+                mirror: { name: 'mirror', type: 'screen', mediaDir: 'mirror', defaultImage: 'default.png' },
+                lobby: { name: 'lobby', type: 'audio', mediaDir: 'lobby' },
+                fog: { name: 'fog', type: 'relay' }
+            },
+            cues: {
+                opening: {
+                    steps: [
+                        { zone: 'mirror', command: 'playVideo', video: 'act1/intro.mp4' },
+                        { zone: 'lobby', command: { command: 'playBackground', file: 'theme.mp3' } },
+                        { zone: 'lobby', command: 'playSoundEffect', file: 'empty.wav' },
+                        { zone: 'fog', command: 'turnOn' },
+                        { zone: 'attic', command: 'playSpeech', file: 'hint.mp3' }
+                    ]
+                },
+                finale: { steps: [{ zone: 'mirror', command: 'playVideo', file: 'broken.mp4' }] }
+            }
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reports missing, unreadable and undecodable files per zone', async () => {
+        const report = await new MediaValidator(config).run();
+
+        expect(report).toMatchObject({ ok: false, checked: 5, missing: 1, unreadable: 1, undecodable: 1, decode: true });
+        expect(report.zones.mirror.root).toBe(path.join(dir, 'mirror'));
+        expect(report.zones.mirror.problems).toEqual([
+            {
+                file: 'act1/intro.mp4',
+                path: path.join(dir, 'mirror', 'act1', 'intro.mp4'),
+                problem: 'missing',
+                error: expect.stringContaining('not found'),
+                suggestion: 'act1/Intro.mp4',
+                sources: ['cue opening step 1']
+            },
+            expect.objectContaining({ file: 'broken.mp4', problem: 'undecodable', error: 'moov atom not found', sources: ['cue finale step 1'] })
+        ]);
+        expect(report.zones.lobby.problems).toEqual([expect.objectContaining({ file: 'empty.wav', problem: 'unreadable', error: 'Empty file' })]);
+        expect(report.issues).toEqual([{ source: 'cue opening step 5', error: 'Unknown zone: attic' }]);
+        // Only present, non-empty files are decoded
+        expect(probeDecode).toHaveBeenCalledTimes(3);
+    });
+
+    test('checks manifest files and can skip decoding', async () => {
+        const manifest = path.join(dir, 'manifest.json');
+        fs.writeFileSync(manifest, JSON.stringify({ lobby: ['theme.mp3', 'themes.mp3'], mirror: ['default.png'] }));
+        const report = await new MediaValidator({ ...config, cues: {} }, { manifest, decode: false }).run();
+
+        expect(report).toMatchObject({ ok: false, checked: 3, missing: 1, decode: false });
+        expect(report.zones.lobby.problems).toEqual([expect.objectContaining({ file: 'themes.mp3', suggestion: 'theme.mp3', sources: ['manifest'] })]);
+        expect(report.zones.mirror.problems).toEqual([]);
+        expect(probeDecode).not.toHaveBeenCalled();
+
+        fs.writeFileSync(manifest, '["theme.mp3"]');
+        const bad = await new MediaValidator({ ...config, cues: {} }, { manifest }).run();
+        expect(bad.issues).toEqual([{ source: 'manifest', error: expect.stringContaining('must map zone names') }]);
+    });
+
+    test('without ffprobe it still checks existence', async () => {
+        probeDecode.mockRejectedValueOnce(Object.assign(new Error('spawn ffprobe ENOENT'), { code: 'ENOENT' }));
+        const report = await new MediaValidator(config).run();
+        expect(report).toMatchObject({ decode: false, decode_skipped: 'ffprobe not found', missing: 1, undecodable: 0 });
+        expect(probeDecode).toHaveBeenCalledTimes(1);
+        expect(MediaValidator.formatReport(report)).toContain('MISSING act1/intro.mp4: ');
+        expect(MediaValidator.formatReport(report)).toContain('(did you mean act1/Intro.mp4?) [cue opening step 1]');
+    });
+
+    test('validateMedia on the device topic answers with the report', async () => {
+        const mqtt = new StubMqttClient();
+        const zm = new ZoneManager({ ...config, global: { ...config.global, deviceName: 'room1', baseTopic: 'paradox' } }, mqtt);
+        await zm.initialize();
+        try {
+            await mqtt.send('paradox/room1/commands', { command: 'validateMedia', decode: false });
+            expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({
+                command: 'validateMedia',
+                outcome: 'warning',
+                warning_type: 'media_problems',
+                parameters: { decode: false, ok: false, checked: 5, missing: 1, unreadable: 1 }
+            });
+
+            // Cues defined at runtime count; the config ones are replaced here
+            zm.setCueProvider(() => [normalizeCue('only', [{ zone: 'lobby', command: 'playBackground', file: 'theme.mp3' }])]);
+            await mqtt.send('paradox/room1/commands', { command: 'validateMedia' });
+            expect(mqtt.events('paradox/room1/events').pop()).toMatchObject({ outcome: 'success', parameters: { ok: true, checked: 2 } });
+        } finally {
+            await zm.shutdown();
+        }
+    });
+});
+
+describe('pfx.js --check', () => {
+    test('prints the report and exits non-zero on problems', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-check-'));
+        try {
+            fs.mkdirSync(path.join(dir, 'mirror'));
+            fs.writeFileSync(path.join(dir, 'pfx.ini'), [
+                '[mqtt]', 'broker = localhost', '',
+                '[global]', 'device_name = room1', 'heartbeat_topic = paradox/heartbeat', `media_base_path = ${dir}`, '',
+                '[mirror]', 'type = screen', 'topic = paradox/mirror', 'media_dir = mirror', 'default_image = title.png', ''
+            ].join('\n'));
+            const run = () => spawnSync(process.execPath, [path.join(__dirname, '..', '..', 'pfx.js'), '--check', '--no-decode', path.join(dir, 'pfx.ini')], { encoding: 'utf8', timeout: 20000 });
+
+            const failed = run();
+            expect(failed.status).toBe(1);
+            expect(failed.stdout).toContain('MISSING title.png');
+            expect(failed.stdout).toContain('1 file(s) checked: 1 missing, 0 unreadable, 0 undecodable. FAILED');
+
+            fs.writeFileSync(path.join(dir, 'mirror', 'title.png'), 'png');
+            const passed = run();
+            expect(passed.status).toBe(0);
+            expect(passed.stdout).toContain('mirror (');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -2,7 +2,11 @@
  * Unit Tests for MqttClient
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const MqttClient = require('../../lib/core/mqtt-client');
+const OutboundQueue = require('../../lib/core/outbound-queue');
 const mqtt = require('mqtt');
 
 describe('MqttClient', () => {
@@ -62,6 +66,36 @@ describe('MqttClient', () => {
             await expect(connectPromise).rejects.toThrow('overall connection timeout');
             jest.useRealTimers();
         });
+
+        test('should keep reconnecting after a drop past the attempt limit', async () => {
+            jest.useFakeTimers();
+            try {
+                const handler = event => mockMqttInstance.on.mock.calls.filter(call => call[0] === event).pop()[1];
+                const connectPromise = mqttClient.connect();
+                handler('connect')();
+                await connectPromise;
+
+                handler('close')();
+                expect(mqttClient.connected).toBe(false);
+                // mqttMaxAttempts is 1, but every failed reconnect is retried, backing off up to a minute
+                for (let attempt = 1; attempt <= 8; attempt++) {
+                    jest.advanceTimersByTime(attempt === 1 ? 2000 : Math.min(2000 * Math.pow(2, attempt - 2), 60000));
+                    expect(mqtt.connect).toHaveBeenCalledTimes(attempt + 1);
+                    handler('error')(new Error('ECONNREFUSED'));
+                }
+                // A reconnect attempt may also close without an error
+                jest.advanceTimersByTime(60000);
+                handler('close')();
+                jest.advanceTimersByTime(60000);
+                expect(mqtt.connect).toHaveBeenCalledTimes(11);
+
+                handler('connect')();
+                expect(mqttClient.connected).toBe(true);
+                expect(mqttClient.getQueueStats().reconnects).toBe(1);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
     });
 
     describe('subscribe', () => {
@@ -86,15 +120,20 @@ describe('MqttClient', () => {
 
             // Now verify subscription was registered by triggering a message
             mqttClient._handleMessage('test/topic', JSON.stringify({ test: 'data' }));
-            expect(handler).toHaveBeenCalledWith('test/topic', { test: 'data' });
+            expect(handler).toHaveBeenCalledWith('test/topic', { test: 'data' }, {});
         });
 
-        test('should throw error if not connected', () => {
+        test('should keep a handler subscribed while disconnected and subscribe it on reconnect', () => {
             mqttClient.connected = false;
+            const handler = jest.fn();
 
-            expect(() => {
-                mqttClient.subscribe('test/topic', jest.fn());
-            }).toThrow('MQTT client not connected');
+            mqttClient.subscribe('test/topic', handler);
+            expect(mockMqttInstance.subscribe).not.toHaveBeenCalled();
+
+            mockMqttInstance.on.mock.calls.find(call => call[0] === 'connect')[1]();
+            expect(mockMqttInstance.subscribe).toHaveBeenCalledWith('test/topic', expect.any(Function));
+            mqttClient._handleMessage('test/topic', '{"n":1}');
+            expect(handler).toHaveBeenCalledWith('test/topic', { n: 1 }, {});
         });
     });
 
@@ -131,6 +170,16 @@ describe('MqttClient', () => {
             );
         });
 
+        test('should send v5 properties only when connected with protocol version 5', () => {
+            const properties = { correlationData: Buffer.from('42') };
+            mqttClient.publish('reply/here', 'hello', { properties });
+            expect(mockMqttInstance.publish.mock.calls[0][2].properties).toBeUndefined();
+
+            mqttClient.config.mqttProtocolVersion = 5;
+            mqttClient.publish('reply/here', 'hello', { properties });
+            expect(mockMqttInstance.publish.mock.calls[1][2].properties).toBe(properties);
+        });
+
         test('should not publish if not connected', () => {
             mqttClient.connected = false;
 
@@ -165,7 +214,7 @@ describe('MqttClient', () => {
             const message = Buffer.from(JSON.stringify({ command: 'test' }));
             messageHandler('test/topic', message);
 
-            expect(handler).toHaveBeenCalledWith('test/topic', { command: 'test' });
+            expect(handler).toHaveBeenCalledWith('test/topic', { command: 'test' }, {});
         });
 
         test('should handle plain text messages', () => {
@@ -180,7 +229,18 @@ describe('MqttClient', () => {
             const message = Buffer.from('plain text');
             messageHandler('test/topic', message);
 
-            expect(handler).toHaveBeenCalledWith('test/topic', 'plain text');
+            expect(handler).toHaveBeenCalledWith('test/topic', 'plain text', {});
+        });
+
+        test('should pass MQTT v5 publish properties to the handler', () => {
+            const handler = jest.fn();
+            mqttClient.subscribe('test/topic', handler);
+            mockMqttInstance.subscribe.mock.calls[0][1](null);
+
+            const properties = { responseTopic: 'reply/here', correlationData: Buffer.from('42') };
+            messageHandler('test/topic', Buffer.from('{"command":"test"}'), { properties });
+
+            expect(handler).toHaveBeenCalledWith('test/topic', { command: 'test' }, properties);
         });
 
         test('should handle messages without registered handler', () => {
@@ -192,6 +252,162 @@ describe('MqttClient', () => {
         });
     });
 
+    describe('TLS and topic prefix', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-tls-'));
+            for (const name of ['ca.pem', 'client.pem', 'client.key']) fs.writeFileSync(path.join(dir, name), name);
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const connect = async (config) => {
+            mqttClient = new MqttClient({ ...mqttClient.config, ...config });
+            const connectPromise = mqttClient.connect();
+            mockMqttInstance.on.mock.calls.filter(call => call[0] === 'connect').pop()[1]();
+            await connectPromise;
+            return mqtt.connect.mock.calls[mqtt.connect.mock.calls.length - 1];
+        };
+
+        test('should connect over wss with the certificate files', async () => {
+            const [url, options] = await connect({
+                mqttProtocol: 'wss',
+                mqttPort: 443,
+                mqttWsPath: '/ws',
+                mqttCaFile: path.join(dir, 'ca.pem'),
+                mqttCertFile: path.join(dir, 'client.pem'),
+                mqttKeyFile: path.join(dir, 'client.key'),
+                mqttRejectUnauthorized: false,
+                mqttUsername: 'room1',
+                mqttPassword: 'secret'
+            });
+
+            expect(url).toBe('wss://localhost:443/ws');
+            expect(options).toMatchObject({ username: 'room1', password: 'secret', rejectUnauthorized: false });
+            expect(options.ca.toString()).toBe('ca.pem');
+            expect(options.cert.toString()).toBe('client.pem');
+            expect(options.key.toString()).toBe('client.key');
+        });
+
+        test('should fail to connect when a certificate file is missing', async () => {
+            mqttClient = new MqttClient({ ...mqttClient.config, mqttProtocol: 'mqtts', mqttCaFile: path.join(dir, 'nope.pem') });
+            await expect(mqttClient.connect()).rejects.toThrow(`Cannot read MQTT ca file ${path.join(dir, 'nope.pem')}`);
+        });
+
+        test('should keep every topic under the prefix', async () => {
+            mqttClient = new MqttClient({ ...mqttClient.config, mqttTopicPrefix: 'sites/a' });
+            mqttClient.setLastWill('paradox/room1/state', { status: 'offline' });
+            const [, options] = await connect({ mqttTopicPrefix: 'sites/a' });
+            expect(options).not.toHaveProperty('will');
+
+            mqttClient.setLastWill('paradox/room1/state', { status: 'offline' });
+            expect(mqttClient.lastWill.topic).toBe('sites/a/paradox/room1/state');
+
+            const handler = jest.fn();
+            mqttClient.subscribe('paradox/room1/commands', handler);
+            expect(mockMqttInstance.subscribe).toHaveBeenCalledWith('sites/a/paradox/room1/commands', expect.any(Function));
+            mockMqttInstance.subscribe.mock.calls[0][1](null);
+
+            const messageCallback = mockMqttInstance.on.mock.calls.filter(call => call[0] === 'message').pop()[1];
+            messageCallback('sites/a/paradox/room1/commands', Buffer.from('{"command":"stopAll"}'), {});
+            expect(handler).toHaveBeenCalledWith('paradox/room1/commands', { command: 'stopAll' }, {});
+
+            mqttClient.publish('paradox/room1/events', 'x');
+            mqttClient.publish('sites/a/replies/1', 'y');
+            expect(mockMqttInstance.publish.mock.calls.map(call => call[0])).toEqual(['sites/a/paradox/room1/events', 'sites/a/replies/1']);
+            expect(mqttClient.localTopic('sites/a/paradox/room1/events')).toBe('paradox/room1/events');
+        });
+    });
+
+    describe('offline queue', () => {
+        let connectCallback;
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+
+        beforeEach(async () => {
+            mockMqttInstance.publish.mockImplementation((topic, payload, options, callback) => callback());
+            const connectPromise = mqttClient.connect();
+            connectCallback = mockMqttInstance.on.mock.calls.find(call => call[0] === 'connect')[1];
+            connectCallback();
+            await connectPromise;
+        });
+
+        test('should send messages published while disconnected in order after reconnecting', async () => {
+            mqttClient.subscribe('pfx/commands', jest.fn());
+            mockMqttInstance.subscribe.mock.calls[0][1](null);
+            mqttClient.connected = false;
+
+            mqttClient.publish('pfx/events', { n: 1 });
+            mqttClient.publish('pfx/state', { status: 'playing' }, { retain: true });
+            mqttClient.publish('pfx/events', { n: 2 });
+            mqttClient.publish('pfx/state', { status: 'idle' }, { retain: true });
+            expect(mockMqttInstance.publish).not.toHaveBeenCalled();
+            expect(mqttClient.getQueueStats()).toEqual({ queued: 3, spilled: 0, dropped: 0, reconnects: 0 });
+
+            connectCallback();
+            await flush();
+
+            expect(mockMqttInstance.publish.mock.calls.map(([topic, payload]) => [topic, payload])).toEqual([
+                ['pfx/events', '{"n":1}'],
+                ['pfx/state', '{"status":"idle"}'],
+                ['pfx/events', '{"n":2}']
+            ]);
+            expect(mockMqttInstance.subscribe).toHaveBeenLastCalledWith('pfx/commands', expect.any(Function));
+            expect(mqttClient.getQueueStats()).toEqual({ queued: 0, spilled: 0, dropped: 0, reconnects: 1 });
+        });
+
+        test('should not resubscribe topics unsubscribed while disconnected', () => {
+            mqttClient.subscribe('pfx/zone1/commands', jest.fn());
+            mqttClient.subscribe('pfx/zone2/commands', jest.fn());
+            mockMqttInstance.subscribe.mock.calls.forEach(call => call[1](null));
+            mqttClient.connected = false;
+
+            mqttClient.unsubscribe('pfx/zone2/commands');
+            expect(mockMqttInstance.unsubscribe).not.toHaveBeenCalled();
+            mockMqttInstance.subscribe.mockClear();
+
+            connectCallback();
+            expect(mockMqttInstance.subscribe.mock.calls.map(call => call[0])).toEqual(['pfx/zone1/commands']);
+            expect(mqttClient.messageHandlers.has('pfx/zone2/commands')).toBe(false);
+        });
+
+        test('should not queue messages published with queue: false', async () => {
+            mqttClient.connected = false;
+            mqttClient.publish('zigbee2mqtt/bulb/set', { state: 'ON' }, { queue: false });
+            mqttClient.publish('pfx/events', { n: 1 });
+            expect(mqttClient.getQueueStats()).toMatchObject({ queued: 1, dropped: 0 });
+
+            connectCallback();
+            await flush();
+            expect(mockMqttInstance.publish.mock.calls.map(([topic]) => topic)).toEqual(['pfx/events']);
+
+            mqttClient.publish('zigbee2mqtt/bulb/set', { state: 'OFF' }, { queue: false });
+            expect(mockMqttInstance.publish).toHaveBeenLastCalledWith('zigbee2mqtt/bulb/set', '{"state":"OFF"}', expect.any(Object), expect.any(Function));
+        });
+
+        test('should count messages dropped once the queue is full', () => {
+            mqttClient.outbound.maxMessages = 2;
+            mqttClient.connected = false;
+            for (let n = 0; n < 5; n++) mqttClient.publish('pfx/events', { n });
+            expect(mqttClient.getQueueStats()).toMatchObject({ queued: 2, dropped: 3 });
+        });
+
+        test('should report the queue in the heartbeat', () => {
+            jest.useFakeTimers();
+            try {
+                mqttClient._startHeartbeat();
+                jest.advanceTimersByTime(1000);
+            } finally {
+                jest.useRealTimers();
+            }
+            const [topic, payload] = mockMqttInstance.publish.mock.calls[0];
+            expect(topic).toBe('test/heartbeat');
+            expect(JSON.parse(payload).mqtt).toEqual({ queued: 0, spilled: 0, dropped: 0, reconnects: 0 });
+        });
+    });
+
     describe('disconnect', () => {
         test('should disconnect from broker', async () => {
             mqttClient.client = mockMqttInstance;
@@ -213,3 +429,58 @@ describe('MqttClient', () => {
         });
     });
 });
+
+describe('OutboundQueue', () => {
+    let dir;
+    let file;
+    const entry = n => ({ topic: 'pfx/events', payload: `${n}`, options: { qos: 0, retain: false } });
+    const drain = queue => {
+        const payloads = [];
+        while (queue.size) payloads.push(queue.shift().payload);
+        return payloads;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-queue-'));
+        file = path.join(dir, 'outbound.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('spills overflow to disk and drains it in order', () => {
+        const queue = new OutboundQueue({ maxMessages: 2, file, maxFileMessages: 3 });
+        for (let n = 1; n <= 6; n++) queue.push(entry(n));
+
+        expect({ size: queue.size, spilled: queue.spilled, dropped: queue.dropped }).toEqual({ size: 5, spilled: 3, dropped: 1 });
+        expect(drain(queue)).toEqual(['1', '2', '3', '4', '5']);
+        expect(fs.existsSync(file)).toBe(false);
+    });
+
+    test('reads spilled messages back at most maxMessages at a time', () => {
+        const queue = new OutboundQueue({ maxMessages: 2, file });
+        for (let n = 1; n <= 7; n++) queue.push(entry(n));
+        expect(queue.spilled).toBe(5);
+
+        expect([queue.shift().payload, queue.shift().payload]).toEqual(['1', '2']);
+        expect(queue.shift().payload).toBe('3');
+        expect({ memory: queue.memory.length, spilled: queue.spilled }).toEqual({ memory: 1, spilled: 3 });
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(3);
+
+        queue.push(entry(8));
+        expect(drain(queue)).toEqual(['4', '5', '6', '7', '8']);
+        expect(fs.existsSync(file)).toBe(false);
+    });
+
+    test('keeps unsent messages for the next start', () => {
+        const queue = new OutboundQueue({ maxMessages: 2, file });
+        for (let n = 1; n <= 3; n++) queue.push(entry(n));
+        queue.persist();
+
+        const next = new OutboundQueue({ file });
+        expect(next.size).toBe(3);
+        next.push(entry(4));
+        expect(drain(next)).toEqual(['1', '2', '3', '4']);
+    });
+});
@@ -0,0 +1,95 @@
+const ZoneManager = require('../../lib/core/zone-manager');
+const CueManager = require('../../lib/core/cue-manager');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message, options = {}) { this.published.push({ topic, message, options }); }
+    async send(topic, payload, properties = {}) { await this.handlers.get(topic)(topic, payload, properties); }
+    replies(topic) { return this.published.filter(p => p.topic === topic); }
+}
+
+describe('Request/response replies', () => {
+    let mqtt;
+    let zm;
+
+    beforeEach(async () => {
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager({
+            global: {},
+            devices: {
+                fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' },
+                spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' }
+            }
+        }, mqtt);
+        await zm.initialize();
+    });
+
+    afterEach(async () => {
+        await zm.shutdown();
+    });
+
+    test('one reply with outcome and resulting state', async () => {
+        await mqtt.send('paradox/fog/commands', { command: 'turnOn', id: 'r1' }, { responseTopic: 'ctl/reply', correlationData: Buffer.from('c1') });
+
+        const replies = mqtt.replies('ctl/reply');
+        expect(replies).toHaveLength(1);
+        expect(replies[0].message).toMatchObject({ type: 'response', zone: 'fog', command: 'turnOn', outcome: 'success', correlation_id: 'r1' });
+        expect(replies[0].message.state).toMatchObject({ zone: 'fog', state: 'on' });
+        expect(replies[0].options.properties.correlationData.toString()).toBe('c1');
+
+        // the usual events are still published
+        expect(mqtt.published.find(p => p.topic === 'paradox/fog/events').message).toMatchObject({ command: 'turnOn', outcome: 'success', correlation_id: 'r1' });
+    });
+
+    test('response_topic in the payload works without MQTT v5', async () => {
+        await mqtt.send('paradox/fog/commands', { command: 'setColor', response_topic: 'ctl/plain' });
+        const [reply] = mqtt.replies('ctl/plain');
+        expect(reply.message).toMatchObject({ command: 'setColor', outcome: 'failed', error_type: 'unsupported_command' });
+        expect(reply.options).toEqual({});
+    });
+
+    test('rejected commands are answered with the validation error', async () => {
+        await mqtt.send('paradox/spot/commands', { command: 'setColor', volume: 400, response_topic: 'ctl/bad' });
+        expect(mqtt.replies('ctl/bad')[0].message).toMatchObject({ command: 'setColor', outcome: 'failed', error_type: 'validation_error' });
+
+        await mqtt.send('paradox/spot/commands', '{"command": ', { responseTopic: 'ctl/bad' });
+        expect(mqtt.replies('ctl/bad')[1].message).toMatchObject({ outcome: 'failed', error_type: 'malformed_json' });
+
+        await mqtt.send('paradox/spot/commands', { command: 'turnOn', response_topic: 'ctl/#' });
+        expect(mqtt.replies('ctl/#')).toHaveLength(0);
+    });
+
+    test('device topic replies with its own aggregate outcome', async () => {
+        zm.getZone('fog').getSupportedCommands = () => ['stopAll'];
+        zm.getZone('fog').handleCommand = async function () {
+            // zone failure outcome is published on the zone's topic, not counted for the device reply
+            this.publishCommandOutcome({ command: 'stopAll', outcome: 'failed', error_type: 'execution_error', error_message: 'stuck' });
+            throw new Error('stuck');
+        };
+        await mqtt.send('paradox/pfx-device/commands', { command: 'stopAll', response_topic: 'ctl/device' });
+
+        const replies = mqtt.replies('ctl/device');
+        expect(replies).toHaveLength(1);
+        expect(replies[0].message).toMatchObject({ device: 'pfx-device', command: 'stopAll', outcome: 'failed', error_type: 'execution_error' });
+        expect(replies[0].message.parameters.zones).toEqual([{ zone: 'fog', outcome: 'failed', error_message: 'stuck' }, { zone: 'spot', outcome: 'skipped' }]);
+    });
+
+    test('cue commands reply with the cue state', async () => {
+        const cues = new CueManager({ global: { baseTopic: 'paradox' }, cues: {} }, mqtt, zm);
+        await cues.initialize();
+        try {
+            await mqtt.send('paradox/cues/commands', { command: 'defineCue', cue: 'c', steps: [{ zone: 'fog', command: 'turnOn' }], response_topic: 'ctl/cue' });
+            const [reply] = mqtt.replies('ctl/cue');
+            expect(reply.message).toMatchObject({ command: 'defineCue', outcome: 'success' });
+            expect(reply.message.state.cues.map(c => c.name)).toEqual(['c']);
+        } finally {
+            await cues.shutdown();
+        }
+    });
+});
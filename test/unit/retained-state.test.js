@@ -0,0 +1,157 @@
+const mqtt = require('mqtt');
+const MqttClient = require('../../lib/core/mqtt-client');
+const ZoneManager = require('../../lib/core/zone-manager');
+const AudioZone = require('../../lib/zones/audio-zone');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+        this.lastWill = null;
+    }
+    setZoneManager() { }
+    setLastWill(topic, message) { this.lastWill = { topic, message }; }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message, options = {}) { this.published.push({ topic, message, options }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload, {}); }
+    on(topic) { return this.published.filter(p => p.topic === topic); }
+}
+
+const devices = {
+    fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' },
+    spot: { name: 'spot', type: 'light', baseTopic: 'paradox/spot', controller: 'mock', deviceId: '1' }
+};
+
+describe('Retained state', () => {
+    test('zone state is published retained on every change', async () => {
+        const client = new StubMqttClient();
+        const zm = new ZoneManager({ global: {}, devices }, client);
+        await zm.initialize();
+        try {
+            await client.send('paradox/fog/commands', { command: 'turnOn' });
+            const states = client.on('paradox/fog/state');
+            expect(states.length).toBeGreaterThan(0);
+            expect(states.every(s => s.options.retain === true)).toBe(true);
+            expect(states.pop().message.state).toBe('on');
+            // events stay unretained
+            expect(client.on('paradox/fog/events').every(e => !e.options.retain)).toBe(true);
+        } finally {
+            await zm.shutdown();
+        }
+    });
+
+    test('the periodic tick only republishes changed state', () => {
+        jest.useFakeTimers();
+        const client = new StubMqttClient();
+        const zone = new AudioZone({ name: 'lobby', type: 'audio', baseTopic: 'paradox/lobby' }, client, null);
+        try {
+            zone.publishStatus();
+            zone._startPeriodicStatus();
+            jest.advanceTimersByTime(zone.statusIntervalMs * 3);
+            expect(client.on('paradox/lobby/state')).toHaveLength(1);
+
+            zone.currentState.status = 'playing';
+            jest.advanceTimersByTime(zone.statusIntervalMs * 3);
+            const states = client.on('paradox/lobby/state');
+            expect(states).toHaveLength(2);
+            expect(states[1].message.status).toBe('playing');
+
+            // explicit publishes (command replies, getState) always go out
+            zone.publishStatus();
+            expect(client.on('paradox/lobby/state')).toHaveLength(3);
+        } finally {
+            zone._stopPeriodicStatus();
+            jest.useRealTimers();
+        }
+    });
+
+    test('playback and ducking changes publish state without waiting for the tick', async () => {
+        const client = new StubMqttClient();
+        const zone = new AudioZone({ name: 'lobby', type: 'audio', baseTopic: 'paradox/lobby' }, client, null);
+        zone.isInitialized = true;
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+        zone.publishStatus();
+
+        zone.duckLifecycle.addTrigger('speech-1', 'speech');
+        await flush();
+        let states = client.on('paradox/lobby/state');
+        expect(states).toHaveLength(2);
+        expect(states[1].message.isDucked).toBe(true);
+
+        // a done event with nothing else changed publishes no duplicate
+        zone.publishMessage('events', { command: 'playSpeech', done: true });
+        await flush();
+        expect(client.on('paradox/lobby/state')).toHaveLength(2);
+
+        zone.duckLifecycle.removeTrigger('speech-1');
+        zone.currentState.status = 'idle';
+        zone.publishMessage('events', { command: 'playSpeech', done: true });
+        await flush();
+        states = client.on('paradox/lobby/state');
+        expect(states).toHaveLength(3);
+        expect(states[2].message.isDucked).toBe(false);
+
+        // nothing is published for a zone that has shut down
+        zone.isInitialized = false;
+        zone.duckLifecycle.addTrigger('speech-2', 'speech');
+        await flush();
+        expect(client.on('paradox/lobby/state')).toHaveLength(3);
+    });
+});
+
+describe('Availability and last-will', () => {
+    test('the zone manager registers a last-will marking the device and its zones offline', () => {
+        const client = new StubMqttClient();
+        new ZoneManager({ global: { baseTopic: 'room', deviceName: 'box' }, devices }, client);
+        expect(client.lastWill).toEqual({
+            topic: 'room/box/state',
+            message: { device: 'box', type: 'status', status: 'offline', reason: 'connection_lost', zones: { fog: 'offline', spot: 'offline' } }
+        });
+    });
+
+    test('online after initialize; clean shutdown clears zone state and reports offline', async () => {
+        const client = new StubMqttClient();
+        const zm = new ZoneManager({ global: {}, devices }, client);
+        await zm.initialize();
+
+        const [online] = client.on('paradox/pfx-device/state');
+        expect(online.message).toMatchObject({ device: 'pfx-device', status: 'online', zones: { fog: 'online', spot: 'online' } });
+        expect(online.options.retain).toBe(true);
+
+        await zm.shutdown();
+        expect(client.on('paradox/fog/state').pop()).toEqual({ topic: 'paradox/fog/state', message: '', options: { retain: true, qos: 1 } });
+        expect(client.on('paradox/spot/state').pop().message).toBe('');
+        const offline = client.on('paradox/pfx-device/state').pop();
+        expect(offline.message).toMatchObject({ status: 'offline', reason: 'shutdown', zones: { fog: 'offline', spot: 'offline' } });
+        expect(offline.options.retain).toBe(true);
+    });
+
+    test('removed zones leave no retained state behind', async () => {
+        const client = new StubMqttClient();
+        const zm = new ZoneManager({ global: {}, devices }, client);
+        await zm.initialize();
+        try {
+            await zm.reloadConfig({ global: {}, devices: { fog: devices.fog } });
+            expect(client.on('paradox/spot/state').pop().message).toBe('');
+            expect(client.on('paradox/pfx-device/state').pop().message.zones).toEqual({ fog: 'online' });
+            expect(client.lastWill.message.zones).toEqual({ fog: 'offline' });
+        } finally {
+            await zm.shutdown();
+        }
+    });
+
+    test('MqttClient passes the last-will to the broker on connect', async () => {
+        const instance = { on: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn(), publish: jest.fn(), end: jest.fn() };
+        mqtt.connect.mockReturnValue(instance);
+        const client = new MqttClient({ mqttServer: 'localhost', mqttPort: 1883, heartbeatInterval: 1000, mqttMaxAttempts: 1 });
+        client.setLastWill('room/box/state', { status: 'offline' });
+
+        const connecting = client.connect();
+        instance.on.mock.calls.find(c => c[0] === 'connect')[1]();
+        await connecting;
+        clearInterval(client.heartbeatInterval);
+
+        expect(mqtt.connect.mock.calls.pop()[1].will).toEqual({ topic: 'room/box/state', payload: '{"status":"offline"}', qos: 1, retain: true });
+    });
+});
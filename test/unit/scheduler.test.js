@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Scheduler = require('../../lib/core/scheduler');
+const ZoneManager = require('../../lib/core/zone-manager');
+
+const { parseCron, nextCronTime, normalizeSchedule } = Scheduler;
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    messages(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+function makeConfig(schedule, stateFile) {
+    return {
+        global: { deviceName: 'room1', baseTopic: 'paradox', stateFile },
+        devices: { fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'mock', deviceId: 'fog1' } },
+        schedule
+    };
+}
+
+// Local time, so the expectations hold in any timezone
+const at = (y, mo, d, h, mi) => new Date(y, mo - 1, d, h, mi).getTime();
+
+describe('Cron expressions', () => {
+    test('ranges, steps, names and day-of-month or day-of-week', () => {
+        const weekdays = parseCron('30 9 * * mon-fri');
+        // Saturday 17 Oct 2026 -> Monday 19 Oct 09:30
+        expect(nextCronTime(weekdays, at(2026, 10, 17, 12, 0))).toBe(at(2026, 10, 19, 9, 30));
+
+        const quarter = parseCron('*/15 8-9 * * *');
+        expect(nextCronTime(quarter, at(2026, 10, 18, 8, 44))).toBe(at(2026, 10, 18, 8, 45));
+        expect(nextCronTime(quarter, at(2026, 10, 18, 9, 45))).toBe(at(2026, 10, 19, 8, 0));
+
+        // The 1st or any Sunday
+        const either = parseCron('0 0 1 * 0');
+        expect(nextCronTime(either, at(2026, 10, 18, 12, 0))).toBe(at(2026, 10, 25, 0, 0));
+        expect(nextCronTime(parseCron('@monthly'), at(2026, 10, 18, 12, 0))).toBe(at(2026, 11, 1, 0, 0));
+
+        expect(() => parseCron('0 24 * * *')).toThrow('Invalid hour "24"');
+        expect(() => parseCron('0 0 * *')).toThrow('expected 5 fields');
+    });
+
+    test('[schedule] lines carry the zone, command and JSON parameters', () => {
+        const job = normalizeSchedule('attract', '30 9 * * 1-6 lobby playVideo {"file": "attract.mp4", "loop": true}', 'config');
+        expect(job).toMatchObject({ zone: 'lobby', command: { command: 'playVideo', file: 'attract.mp4', loop: true }, at: null });
+        expect(job.cron.expression).toBe('30 9 * * 1-6');
+
+        expect(normalizeSchedule('warmup', 'in 2m lobby wakeScreen', 'config').at).toBeGreaterThan(Date.now() + 119000);
+        expect(() => normalizeSchedule('bad', '0 23 * * * lobby', 'config')).toThrow('Expected "<when> <zone> <command>');
+        expect(() => normalizeSchedule('never', { zone: 'lobby', action: 'sleepScreen', cron: '0 0 30 2 *' }, 'mqtt')).toThrow('never matches');
+    });
+});
+
+describe('Scheduler', () => {
+    let dir;
+    let zm;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-schedule-'));
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(at(2026, 10, 18, 22, 0));
+    });
+
+    afterEach(async () => {
+        if (zm) await zm.shutdown();
+        zm = null;
+        jest.useRealTimers();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('addSchedule runs the zone command after its delay and shows in zone state', async () => {
+        const mqtt = new StubMqttClient();
+        zm = new ZoneManager(makeConfig({ missed: 'skip', jobs: { fog_off: '0 23 * * * fog turnOff' } }), mqtt);
+        await zm.initialize();
+
+        await mqtt.send('paradox/room1/commands', { command: 'addSchedule', id: 'burst', zone: 'fog', action: { command: 'turnOn' }, delay: '10m' });
+        expect(mqtt.messages('paradox/room1/events').pop()).toMatchObject({
+            command: 'addSchedule',
+            outcome: 'success',
+            parameters: { schedule: { id: 'burst', zone: 'fog', next: new Date(at(2026, 10, 18, 22, 10)).toISOString(), source: 'mqtt' } }
+        });
+        expect(mqtt.messages('paradox/fog/state').pop().schedules.map(s => s.id)).toEqual(['burst', 'fog_off']);
+
+        await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+        expect(mqtt.messages('paradox/room1/events')).toContainEqual(expect.objectContaining({ schedule_fired: 'burst', zone: 'fog', command: 'turnOn' }));
+        expect(mqtt.messages('paradox/fog/state').pop()).toMatchObject({ state: 'on', schedules: [{ id: 'fog_off' }] });
+
+        await jest.advanceTimersByTimeAsync(50 * 60 * 1000);
+        expect(mqtt.messages('paradox/fog/state').pop()).toMatchObject({ state: 'off' });
+        expect(zm.scheduler.list('fog')[0]).toMatchObject({ id: 'fog_off', next: new Date(at(2026, 10, 19, 23, 0)).toISOString() });
+
+        await mqtt.send('paradox/room1/commands', { command: 'addSchedule', zone: 'fog', action: 'dance', delay: 1000 });
+        expect(mqtt.messages('paradox/room1/events').pop()).toMatchObject({ outcome: 'failed', error_message: "Command 'dance' is not supported by fog" });
+
+        await mqtt.send('paradox/room1/commands', { command: 'removeSchedule', id: 'fog_off' });
+        await mqtt.send('paradox/room1/commands', { command: 'listSchedules' });
+        expect(mqtt.messages('paradox/room1/events').pop()).toMatchObject({ command: 'listSchedules', parameters: { schedules: [] } });
+    });
+
+    test('runs do not carry the correlation_id of the command that added them', async () => {
+        // Fake timers do not carry AsyncLocalStorage context into their callbacks
+        jest.useRealTimers();
+        const mqtt = new StubMqttClient();
+        zm = new ZoneManager(makeConfig({ jobs: {} }), mqtt);
+        await zm.initialize();
+
+        await mqtt.send('paradox/room1/commands', { command: 'addSchedule', id: 'req-42', zone: 'fog', action: 'turnOn', delay: 20 });
+        expect(mqtt.messages('paradox/room1/events').pop()).toMatchObject({ command: 'addSchedule', outcome: 'success', correlation_id: 'req-42' });
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const fired = mqtt.messages('paradox/room1/events').find(e => e.schedule_fired);
+        expect(fired).toMatchObject({ schedule_fired: 'req-42', zone: 'fog' });
+        expect(fired.correlation_id).toBeUndefined();
+        expect(mqtt.messages('paradox/fog/events').pop()).toMatchObject({ command: 'turnOn', outcome: 'success' });
+        expect(mqtt.messages('paradox/fog/events').pop().correlation_id).toBeUndefined();
+    });
+
+    test('runs missed while pfx was down follow the missed policy', async () => {
+        const stateFile = path.join(dir, 'state.json');
+        // Down since 18:00; the 20:00 and 21:00 runs were missed
+        fs.writeFileSync(stateFile, JSON.stringify({
+            version: 1,
+            zones: {},
+            schedule: {
+                jobs: [{ id: 'late', zone: 'fog', action: { command: 'turnOn' }, at: new Date(at(2026, 10, 18, 19, 0)).toISOString(), missed: 'skip' }],
+                seen: { fog_on: new Date(at(2026, 10, 18, 18, 0)).toISOString(), late: new Date(at(2026, 10, 18, 18, 0)).toISOString() }
+            }
+        }));
+
+        const mqtt = new StubMqttClient();
+        zm = new ZoneManager(makeConfig({ missed: 'run', missedGrace: '3h', jobs: { fog_on: '0 20,21 * * * fog turnOn' } }, stateFile), mqtt);
+        await zm.initialize();
+
+        const events = mqtt.messages('paradox/room1/events');
+        expect(events).toContainEqual(expect.objectContaining({ schedule_missed: 'late', action: 'skip' }));
+        expect(events).toContainEqual(expect.objectContaining({
+            schedule_missed: 'fog_on', action: 'run', scheduled_for: new Date(at(2026, 10, 18, 21, 0)).toISOString()
+        }));
+        expect(events.filter(e => e.schedule_fired)).toEqual([expect.objectContaining({ schedule_fired: 'fog_on', missed: true })]);
+        expect(mqtt.messages('paradox/fog/state').pop()).toMatchObject({ state: 'on', schedules: [{ id: 'fog_on', last_run: expect.any(String) }] });
+
+        await zm.stateStore.save();
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8')).schedule;
+        expect(saved.jobs).toEqual([]);
+        expect(Date.parse(saved.seen.fog_on)).toBe(at(2026, 10, 18, 22, 0));
+    });
+});
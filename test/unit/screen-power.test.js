@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ScreenPowerManager = require('../../lib/utils/screen-power-manager');
+const ScreenZone = require('../../lib/zones/screen-zone');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+    }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    lastState(topic) { return this.published.filter(p => p.topic === topic).pop().message; }
+}
+
+const XRANDR_OUTPUT = [
+    'Screen 0: minimum 320 x 200, current 3200 x 1080, maximum 7680 x 7680',
+    'HDMI-1 connected primary 1920x1080+0+0 (normal left inverted right x axis y axis) 509mm x 286mm',
+    'HDMI-2 connected 1280x720+1920+0 (normal left inverted right x axis y axis) 310mm x 174mm'
+].join('\n');
+
+const WLR_OUTPUT = [
+    'HDMI-A-1 "Iiyama North America PL2492H (HDMI-A-1)"',
+    '  Enabled: yes',
+    'HDMI-A-2 "Dell Inc. P2419H (HDMI-A-2)"',
+    '  Enabled: yes'
+].join('\n');
+
+describe('Per-output screen power', () => {
+    let dir;
+    let calls;
+    const savedPath = process.env.PATH;
+    const savedWayland = process.env.WAYLAND_DISPLAY;
+
+    // Fake display tools on PATH that log their arguments
+    const fakeTool = (name, stdout) => {
+        fs.writeFileSync(path.join(dir, name), `#!/bin/sh\necho "${name} $*" >> "${calls}"\ncat <<'EOF'\n${stdout}\nEOF\n`, { mode: 0o755 });
+    };
+    const invocations = () => (fs.existsSync(calls) ? fs.readFileSync(calls, 'utf8').trim().split('\n') : []);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-power-'));
+        calls = path.join(dir, 'calls.log');
+        fakeTool('xrandr', XRANDR_OUTPUT);
+        fakeTool('wlr-randr', WLR_OUTPUT);
+        fakeTool('vcgencmd', 'display_power=0');
+        process.env.PATH = `${dir}:${savedPath}`;
+        delete process.env.WAYLAND_DISPLAY;
+    });
+
+    afterEach(() => {
+        process.env.PATH = savedPath;
+        if (savedWayland === undefined) delete process.env.WAYLAND_DISPLAY;
+        else process.env.WAYLAND_DISPLAY = savedWayland;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('xrandr switches only the zone output and restores its mode and position', async () => {
+        const left = new ScreenPowerManager(':0');
+        const right = new ScreenPowerManager(':0');
+
+        expect(await right.sleepMonitor(1)).toBe('HDMI-2');
+        expect(right.powerMethod).toBe('xrandr');
+        expect(invocations()).toContain('xrandr --output HDMI-2 --off');
+        expect(invocations().some(line => line.includes('HDMI-1 --off') || line.startsWith('xset'))).toBe(false);
+        expect(ScreenPowerManager.getOutputPower(':0', 'HDMI-2')).toBe('off');
+
+        // The other zone is unaffected and has nothing to wake
+        expect(await left.autoWakeForMedia('video')).toBe(false);
+
+        expect(await right.autoWakeForMedia('video')).toBe(true);
+        expect(invocations()).toContain('xrandr --output HDMI-2 --mode 1280x720 --pos 1920x0');
+        expect(ScreenPowerManager.getOutputPower(':0', 'HDMI-2')).toBe('on');
+        expect(right.getState()).toMatchObject({ isAsleep: false, method: 'xrandr' });
+    });
+
+    test('wlr-randr is used under Wayland and vcgencmd when configured', async () => {
+        process.env.WAYLAND_DISPLAY = 'wayland-1';
+        const wayland = new ScreenPowerManager(':0');
+        expect(await wayland.sleepMonitor(1)).toBe('HDMI-A-2');
+        await wayland.wakeMonitor(1);
+        expect(invocations()).toEqual(expect.arrayContaining(['wlr-randr --output HDMI-A-2 --off', 'wlr-randr --output HDMI-A-2 --on']));
+
+        const firmware = new ScreenPowerManager(':0', { method: 'vcgencmd' });
+        await firmware.sleepMonitor(1);
+        await firmware.wakeMonitor(1);
+        expect(invocations()).toEqual(expect.arrayContaining(['vcgencmd display_power 0 7', 'vcgencmd display_power 1 7']));
+
+        expect(() => new ScreenPowerManager(':0', { method: 'hdmi' })).toThrow('Unknown display power method: hdmi');
+        expect(() => new ScreenPowerManager(':0', { output: 'HDMI-1; reboot' })).toThrow('Invalid display output name');
+    });
+
+    test('screen zone state follows its output through sleep and auto-wake', async () => {
+        const mqtt = new StubMqttClient();
+        const zone = new ScreenZone({ name: 'right', type: 'screen', baseTopic: 'paradox/right', targetMonitor: 1 }, mqtt, null);
+
+        await zone._sleepScreen();
+        expect(mqtt.lastState('paradox/right/state')).toMatchObject({
+            status: 'screen_asleep',
+            screen_awake: false,
+            screen_power: { output: 'HDMI-2', method: 'xrandr', power: 'off' }
+        });
+
+        await zone._autoWakeScreen('image');
+        expect(mqtt.lastState('paradox/right/state')).toMatchObject({
+            screen_awake: true,
+            screen_power: { output: 'HDMI-2', power: 'on' }
+        });
+        expect(invocations()).toContain('xrandr --output HDMI-2 --mode 1280x720 --pos 1920x0');
+    });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../lib/media/audio-manager');
+
+const StateStore = require('../../lib/core/state-store');
+const ZoneManager = require('../../lib/core/zone-manager');
+const ScreenZone = require('../../lib/zones/screen-zone');
+
+class StubMqttClient {
+    constructor() {
+        this.published = [];
+        this.handlers = new Map();
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    publish(topic, message) { this.published.push({ topic, message }); }
+    async send(topic, payload) { await this.handlers.get(topic)(topic, payload); }
+    events(topic) { return this.published.filter(p => p.topic === topic).map(p => p.message); }
+}
+
+function makeConfig(stateFile) {
+    return {
+        global: { baseTopic: 'paradox', deviceName: 'room1', stateFile },
+        devices: {
+            lobby: {
+                name: 'lobby', type: 'audio', baseTopic: 'paradox/lobby', mediaDir: 'lobby', volume: 80, maxVolume: 150,
+                baseVolumes: { background: 60, speech: 90, effects: 100 }, duckingAdjust: -40
+            }
+        }
+    };
+}
+
+describe('StateStore', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-state-'));
+        file = path.join(dir, 'var', 'state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('writes through a temp file and reads back', async () => {
+        const store = new StateStore(file);
+        await store.load();
+        await store.setZone('lobby', { baseVolumes: { speech: 70 } });
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toMatchObject({ version: 1, zones: { lobby: { baseVolumes: { speech: 70 } } } });
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['state.json']);
+
+        const again = new StateStore(file);
+        await again.load();
+        expect(again.getZone('lobby')).toEqual({ baseVolumes: { speech: 70 } });
+
+        await again.setZone('lobby', {});
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).zones).toEqual({});
+    });
+
+    test('a corrupt state file is ignored', async () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{"zones": {"lobby": ');
+        const store = new StateStore(file);
+        await store.load();
+        expect(store.getZone('lobby')).toEqual({});
+    });
+});
+
+describe('Persisted zone volumes', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfx-state-'));
+        file = path.join(dir, 'state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('setVolume and setDuckingAdjustment survive a restart; resetVolumes returns to pfx.ini', async () => {
+        let mqtt = new StubMqttClient();
+        let zm = new ZoneManager(makeConfig(file), mqtt);
+        await zm.initialize();
+        await mqtt.send('paradox/lobby/commands', { command: 'setVolume', type: 'speech', volume: 120 });
+        await mqtt.send('paradox/lobby/commands', { command: 'setDuckingAdjustment', adjustValue: -15 });
+        await zm.stateStore.save();
+        await zm.shutdown();
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).zones.lobby).toEqual({ baseVolumes: { speech: 120 }, duckingAdjust: -15 });
+
+        // "restart"
+        mqtt = new StubMqttClient();
+        zm = new ZoneManager(makeConfig(file), mqtt);
+        await zm.initialize();
+        const lobby = zm.getZone('lobby');
+        expect(lobby.volumeModel.baseVolumes).toMatchObject({ background: 60, speech: 120, effects: 100 });
+        expect(lobby.volumeModel.duckingAdjust).toBe(-15);
+
+        await mqtt.send('paradox/lobby/commands', { command: 'resetVolumes' });
+        expect(lobby.volumeModel.baseVolumes).toMatchObject({ background: 60, speech: 90 });
+        expect(lobby.volumeModel.duckingAdjust).toBe(-40);
+        expect(mqtt.events('paradox/lobby/events').pop()).toMatchObject({
+            command: 'resetVolumes',
+            outcome: 'success',
+            parameters: { volumes: { background: 60, speech: 90, effects: 100 }, ducking_adjust: -40 }
+        });
+        await zm.stateStore.save();
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).zones).toEqual({});
+        await zm.shutdown();
+    });
+
+    test('without state_file nothing is written', async () => {
+        const mqtt = new StubMqttClient();
+        const zm = new ZoneManager(makeConfig(undefined), mqtt);
+        await zm.initialize();
+        await mqtt.send('paradox/lobby/commands', { command: 'setVolume', type: 'speech', volume: 120 });
+        expect(zm.stateStore).toBeNull();
+        expect(zm.getZone('lobby').runtimeOverrides).toEqual({ baseVolumes: { speech: 120 } });
+        expect(fs.readdirSync(dir)).toEqual([]);
+        await zm.shutdown();
+    });
+
+    test('screen zones also reset the zone master volume', async () => {
+        const zone = new ScreenZone({
+            name: 'mirror', type: 'screen', baseTopic: 'paradox/mirror', volume: 80, maxVolume: 150,
+            baseVolumes: { background: 70, speech: 90, effects: 100, video: 85 }, duckingAdjust: 0, mediaDir: '', mediaBasePath: '/opt/paradox/media'
+        }, new StubMqttClient(), null);
+        zone.mpvZoneManager = { setVolume: jest.fn().mockResolvedValue() };
+
+        await zone._handleSetVolumeModel({ volumes: { video: 40, background: 30 } });
+        await zone._setZoneVolume(120);
+        expect(zone.runtimeOverrides).toEqual({ baseVolumes: { video: 40, background: 30 }, zoneVolume: 120 });
+
+        await zone._resetVolumes();
+        expect(zone.volumeModel.baseVolumes).toEqual({ background: 70, speech: 90, effects: 100, video: 85 });
+        expect(zone.currentState.zoneVolume).toBe(80);
+        expect(zone.mpvZoneManager.setVolume).toHaveBeenLastCalledWith(80);
+        expect(zone.runtimeOverrides).toEqual({});
+    });
+});
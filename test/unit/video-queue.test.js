@@ -15,12 +15,14 @@
 
 // Lightweight logger mock
 jest.mock('../../lib/utils/logger', () => {
-    return jest.fn().mockImplementation(() => ({
+    const Logger = jest.fn().mockImplementation(() => ({
         info: jest.fn(),
         debug: jest.fn(),
         warn: jest.fn(),
         error: jest.fn()
     }));
+    Logger.setContextProvider = jest.fn();
+    return Logger;
 });
 
 // AudioManager mock (only minimal methods used by ScreenZone during initialize & validation)
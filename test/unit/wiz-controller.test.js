@@ -0,0 +1,157 @@
+const dgram = require('dgram');
+const WizController = require('../../lib/controllers/wiz-controller');
+
+/**
+ * Loopback fake WiZ bulb: answers setPilot/getPilot/registration like firmware does
+ * and can drop a number of incoming packets to simulate loss.
+ */
+class FakeBulb {
+    constructor({ address = '127.0.0.1', port = 0, mac }) {
+        this.address = address;
+        this.port = port;
+        this.mac = mac;
+        this.dropNext = 0;
+        this.received = [];
+        this.pilot = { state: false, dimming: 100, r: 255, g: 255, b: 255, sceneId: 0, speed: 100 };
+    }
+
+    start() {
+        this.socket = dgram.createSocket('udp4');
+        this.socket.on('message', (buf, rinfo) => this._onMessage(JSON.parse(buf.toString()), rinfo));
+        return new Promise(resolve => this.socket.bind(this.port, this.address, () => {
+            this.port = this.socket.address().port;
+            resolve(this);
+        }));
+    }
+
+    stop() {
+        return new Promise(resolve => this.socket.close(resolve));
+    }
+
+    _reply(obj, rinfo) {
+        this.socket.send(Buffer.from(JSON.stringify(obj)), rinfo.port, rinfo.address);
+    }
+
+    _onMessage(msg, rinfo) {
+        this.received.push(msg);
+        if (this.dropNext > 0) {
+            this.dropNext--;
+            return;
+        }
+        switch (msg.method) {
+            case 'setPilot':
+                if ('sceneId' in msg.params && !(msg.params.sceneId >= 0 && msg.params.sceneId <= 1000)) {
+                    return this._reply({ method: 'setPilot', env: 'pro', error: { code: -32602, message: 'Invalid params' } }, rinfo);
+                }
+                if ('r' in msg.params) this.pilot.sceneId = 0;
+                Object.assign(this.pilot, msg.params);
+                return this._reply({ method: 'setPilot', env: 'pro', result: { success: true } }, rinfo);
+            case 'getPilot':
+                return this._reply({ method: 'getPilot', env: 'pro', result: { mac: this.mac, rssi: -55, ...this.pilot } }, rinfo);
+            case 'registration':
+                return this._reply({ method: 'registration', env: 'pro', result: { mac: this.mac, success: true } }, rinfo);
+        }
+    }
+}
+
+describe('WizController against loopback fake bulbs', () => {
+    let bulb;
+    let wiz;
+
+    beforeEach(async () => {
+        bulb = await new FakeBulb({ mac: 'a8bb50112233' }).start();
+        wiz = new WizController({ port: bulb.port, broadcastAddress: '127.0.0.1', timeout: 100, retries: 2 });
+        await wiz.initialize();
+    });
+
+    afterEach(async () => {
+        await wiz.shutdown();
+        await bulb.stop();
+    });
+
+    test('setLightColor sends setPilot with rgb and dimming', async () => {
+        await wiz.setLightColor('127.0.0.1', '#FF6400', 50);
+        const msg = bulb.received[bulb.received.length - 1];
+        expect(msg).toEqual({ method: 'setPilot', params: { state: true, r: 255, g: 100, b: 0, dimming: 50 } });
+    });
+
+    test('color temperatures and brightness floor/zero', async () => {
+        await wiz.setLightColor('127.0.0.1', '2700K', 5);
+        expect(bulb.pilot).toMatchObject({ temp: 2700, dimming: 10, state: true });
+        await wiz.setLightBrightness('127.0.0.1', 0);
+        expect(bulb.pilot.state).toBe(false);
+    });
+
+    test('turn on/off and getLightStatus read back the pilot', async () => {
+        await wiz.turnLightOn('127.0.0.1', 80);
+        await wiz.setLightColor('127.0.0.1', { r: 0, g: 0, b: 255 }, null);
+        const status = await wiz.getLightStatus('127.0.0.1');
+        expect(status).toMatchObject({ state: 'on', brightness: 80, color: '#0000FF', mac: 'a8bb50112233', online: true });
+
+        await wiz.turnLightOff('127.0.0.1');
+        expect((await wiz.getLightStatus('127.0.0.1')).state).toBe('off');
+    });
+
+    test('scenes by name or id, and speed', async () => {
+        await wiz.setLightScene('127.0.0.1', 'Fireplace', 150);
+        expect(bulb.pilot).toMatchObject({ sceneId: 5, speed: 150 });
+        await wiz.setLightSpeed('127.0.0.1', 500);
+        expect(bulb.pilot.speed).toBe(200);
+        await wiz.setLightEffect('127.0.0.1', 'party', { speed: 40 });
+        expect(bulb.pilot).toMatchObject({ sceneId: 4, speed: 40 });
+        expect((await wiz.getLightStatus('127.0.0.1')).scene).toBe('party');
+        await expect(wiz.setLightScene('127.0.0.1', 'disco')).rejects.toThrow(/Unknown WiZ scene/);
+    });
+
+    test('retries when packets are lost', async () => {
+        bulb.dropNext = 2;
+        await wiz.turnLightOn('127.0.0.1', 30);
+        expect(bulb.received.filter(m => m.method === 'setPilot')).toHaveLength(3);
+        expect(bulb.pilot.dimming).toBe(30);
+    });
+
+    test('gives up after the configured retries', async () => {
+        bulb.dropNext = 10;
+        await expect(wiz.turnLightOff('127.0.0.1')).rejects.toThrow(/did not respond to setPilot after 3 attempts/);
+    });
+
+    test('bulb errors are reported', async () => {
+        await expect(wiz.setPilot('127.0.0.1', { sceneId: 5000 })).rejects.toThrow(/Invalid params/);
+    });
+
+    test('discovery builds a registry keyed by MAC and resolves MAC addresses', async () => {
+        // A second bulb on another loopback address, same port (as real bulbs share 38899)
+        const second = await new FakeBulb({ address: '127.0.0.2', port: bulb.port, mac: 'A8:BB:50:44:55:66' }).start();
+        wiz.broadcastAddress = '127.0.0.1';
+        try {
+            const found = await wiz.discoverLights({ durationMs: 150, repeats: 2 });
+            expect(found).toEqual([{ mac: 'a8bb50112233', ip: '127.0.0.1' }]);
+            expect(wiz.lights.get('a8bb50112233')).toMatchObject({ ip: '127.0.0.1', online: true });
+
+            await wiz.turnLightOn('A8:BB:50:11:22:33', 60);
+            expect(bulb.pilot.dimming).toBe(60);
+
+            // getPilot replies register bulbs too
+            await wiz.getLightStatus('127.0.0.2');
+            expect(wiz.lights.get('a8bb50445566')).toMatchObject({ ip: '127.0.0.2' });
+        } finally {
+            await second.stop();
+        }
+    });
+
+    test('overlapping discoveries share one broadcast run', async () => {
+        bulb.received = [];
+        const [first, second] = await Promise.all([
+            wiz.discoverLights({ durationMs: 100, repeats: 2 }),
+            wiz.turnLightOn('A8:BB:50:11:22:33', 40)
+        ]);
+        expect(first).toEqual([{ mac: 'a8bb50112233', ip: '127.0.0.1' }]);
+        expect(second).toMatchObject({ success: true, state: 'on' });
+        expect(bulb.received.filter(m => m.method === 'registration')).toHaveLength(2);
+        expect(bulb.pilot.dimming).toBe(40);
+    });
+
+    test('unknown MAC fails after discovery', async () => {
+        await expect(wiz.turnLightOn('00:11:22:33:44:55', 50)).rejects.toThrow(/not found/);
+    });
+});
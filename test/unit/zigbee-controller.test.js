@@ -0,0 +1,202 @@
+const ZigbeeController = require('../../lib/controllers/zigbee-controller');
+const ZoneManager = require('../../lib/core/zone-manager');
+
+/**
+ * In-memory MQTT client with retained messages, plus a minimal zigbee2mqtt stand-in
+ * that answers `/set` with a state update and bridge requests with responses.
+ */
+class FakeZ2mClient {
+    constructor() {
+        this.handlers = new Map();
+        this.retained = new Map();
+        this.published = [];
+        this.z2mState = {};
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) {
+        this.handlers.set(topic, handler);
+        if (this.retained.has(topic)) handler(topic, this.retained.get(topic));
+    }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    deliver(topic, msg, retain = false) {
+        if (retain) this.retained.set(topic, msg);
+        const h = this.handlers.get(topic);
+        if (h) h(topic, msg);
+    }
+    publish(topic, message) {
+        this.published.push({ topic, message });
+        const set = topic.match(/^zigbee2mqtt\/(.+)\/set$/);
+        if (set) {
+            const fn = set[1];
+            const { transition, ...rest } = message;
+            this.z2mState[fn] = { ...(this.z2mState[fn] || {}), ...rest, linkquality: 120 };
+            this.deliver(`zigbee2mqtt/${fn}`, this.z2mState[fn], true);
+        }
+        const req = topic.match(/^zigbee2mqtt\/bridge\/request\/(.+)$/);
+        if (req && !this.silent) {
+            const { transaction, ...data } = message;
+            const error = data.friendly_name === 'bad' ? 'Group already exists' : undefined;
+            this.deliver(`zigbee2mqtt/bridge/response/${req[1]}`, error
+                ? { status: 'error', error, transaction }
+                : { status: 'ok', data, transaction });
+        }
+    }
+    sets(fn) {
+        return this.published.filter(p => p.topic === `zigbee2mqtt/${fn}/set`).map(p => p.message);
+    }
+}
+
+const DEVICES = [
+    { friendly_name: 'Coordinator', type: 'Coordinator', ieee_address: '0x00' },
+    {
+        friendly_name: 'stage_bulb', type: 'Router', ieee_address: '0x0017880100000001', supported: true,
+        definition: {
+            model: '9290022166', vendor: 'Philips', description: 'Hue white and color ambiance E26/E27',
+            exposes: [
+                { type: 'light', features: [{ name: 'state', property: 'state' }, { name: 'brightness', property: 'brightness' }, { name: 'color_temp', property: 'color_temp' }, { name: 'color_xy', property: 'color' }] },
+                { type: 'numeric', name: 'linkquality', property: 'linkquality', access: 1 }
+            ]
+        },
+        endpoints: { 11: { clusters: { input: ['genOnOff', 'genLevelCtrl', 'lightingColorCtrl'], output: [] } } }
+    },
+    {
+        friendly_name: 'fog_plug', type: 'Router', ieee_address: '0x0017880100000002',
+        definition: {
+            model: 'E1603', vendor: 'IKEA', description: 'Control outlet',
+            exposes: [{ type: 'switch', features: [{ name: 'state', property: 'state' }] }]
+        },
+        endpoints: { 1: { clusters: { input: ['genOnOff'], output: [] } } }
+    },
+    {
+        friendly_name: 'door_sensor', type: 'EndDevice', ieee_address: '0x0017880100000003',
+        definition: { model: 'MCCGQ11LM', vendor: 'Xiaomi', description: 'Door sensor', exposes: [{ type: 'binary', name: 'contact', property: 'contact', access: 1 }, { type: 'numeric', name: 'battery', property: 'battery', access: 1 }] }
+    }
+];
+
+function makeClient() {
+    const client = new FakeZ2mClient();
+    client.retained.set('zigbee2mqtt/bridge/devices', DEVICES);
+    client.retained.set('zigbee2mqtt/bridge/groups', [{ id: 3, friendly_name: 'stage_wash', members: [] }]);
+    client.retained.set('zigbee2mqtt/bridge/state', { state: 'online' });
+    client.retained.set('zigbee2mqtt/fog_plug', { state: 'OFF', linkquality: 90 });
+    client.retained.set('zigbee2mqtt/fog_plug/availability', { state: 'online' });
+    return client;
+}
+
+describe('ZigbeeController (zigbee2mqtt)', () => {
+    let client;
+    let zb;
+
+    beforeEach(async () => {
+        client = makeClient();
+        zb = new ZigbeeController({ mqttClient: client, deviceId: 'stage_bulb', timeout: 200 });
+        await zb.initialize();
+    });
+
+    afterEach(async () => {
+        await zb.shutdown();
+    });
+
+    test('parses bridge/devices into a registry with capabilities', async () => {
+        const devices = await zb.discoverDevices();
+        expect(devices.map(d => d.friendlyName)).toEqual(['stage_bulb', 'fog_plug', 'door_sensor']);
+        const bulb = zb.devices.get('stage_bulb');
+        expect(bulb.capabilities).toMatchObject({ type: 'light', hasOnOff: true, hasBrightness: true, hasColor: true, hasTemperature: true, isSensor: false });
+        expect(bulb.capabilities.clusters).toContain('lightingColorCtrl');
+        expect(zb.devices.get('fog_plug').capabilities).toMatchObject({ type: 'switch', hasOnOff: true, hasColor: false });
+        expect(zb.devices.get('door_sensor').capabilities.isSensor).toBe(true);
+    });
+
+    test('light commands publish to <friendly_name>/set', async () => {
+        await zb.setLightColor('stage_bulb', '#ff6400', 50, 2000);
+        expect(client.sets('stage_bulb')[0]).toEqual({ state: 'ON', color: { hex: '#FF6400' }, brightness: 127, transition: 2 });
+
+        await zb.turnLightOff(undefined, 0);
+        expect(client.sets('stage_bulb')[1]).toEqual({ state: 'OFF', transition: 0 });
+    });
+
+    test('tracks device state from retained topics', async () => {
+        await zb.setLightColor('stage_bulb', '#FF6400', 100);
+        const status = await zb.getLightStatus('stage_bulb');
+        expect(status).toMatchObject({ state: 'on', brightness: 100, color: '#FF6400', reachable: true, linkQuality: 120 });
+
+        const plug = await zb.getDeviceStatus('fog_plug');
+        expect(plug).toMatchObject({ state: 'off', online: true, linkQuality: 90 });
+
+        client.deliver('zigbee2mqtt/fog_plug/availability', 'offline');
+        expect((await zb.getDeviceStatus('fog_plug')).online).toBe(false);
+    });
+
+    test('rejects commands a device cannot perform', async () => {
+        await expect(zb.setLightColor('fog_plug', '#FF0000', 50)).rejects.toThrow(/does not support color/);
+    });
+
+    test('addresses devices by IEEE address', async () => {
+        await zb.turnSwitchOn('0x0017880100000002');
+        expect(client.sets('fog_plug')[0]).toEqual({ state: 'ON' });
+    });
+
+    test('permit join and group management go through bridge requests', async () => {
+        await expect(zb.permitJoin(120)).resolves.toEqual({ success: true, duration: 120 });
+        const req = client.published.find(p => p.topic === 'zigbee2mqtt/bridge/request/permit_join');
+        expect(req.message).toMatchObject({ value: true, time: 120 });
+        expect(req.message.transaction).toBeTruthy();
+
+        await zb.createGroup('corner', ['stage_bulb', 'fog_plug']);
+        const members = client.published.filter(p => p.topic === 'zigbee2mqtt/bridge/request/group/members/add');
+        expect(members.map(m => m.message.device)).toEqual(['stage_bulb', 'fog_plug']);
+
+        await expect(zb.createGroup('bad', [])).rejects.toThrow(/Group already exists/);
+
+        await zb.turnGroupOn(3, 40);
+        expect(client.sets('stage_wash')[0]).toEqual({ state: 'ON', brightness: 102 });
+    });
+
+    test('bridge requests time out when zigbee2mqtt does not answer', async () => {
+        client.silent = true;
+        await expect(zb.permitJoin(0)).rejects.toThrow(/did not answer permit_join/);
+    });
+
+    test('controllers share one bridge subscription and release it on last shutdown', async () => {
+        const other = new ZigbeeController({ mqttClient: client, deviceId: 'fog_plug', timeout: 200 });
+        await other.initialize();
+        expect(other.bridge).toBe(zb.bridge);
+
+        await other.shutdown();
+        expect(client.handlers.has('zigbee2mqtt/bridge/devices')).toBe(true);
+        expect(client.handlers.has('zigbee2mqtt/fog_plug')).toBe(false);
+        expect(client.handlers.has('zigbee2mqtt/stage_bulb')).toBe(true);
+
+        await zb.shutdown();
+        expect(client.handlers.size).toBe(0);
+        zb = new ZigbeeController({ mqttClient: client }); // afterEach target
+    });
+});
+
+describe('light and relay devices with controller = zigbee', () => {
+    test('commands on pfx topics reach zigbee2mqtt and state comes back', async () => {
+        const client = makeClient();
+        const zm = new ZoneManager({
+            global: {},
+            devices: {
+                bulb: { name: 'bulb', type: 'light', baseTopic: 'paradox/bulb', controller: 'zigbee', friendlyName: 'stage_bulb', timeout: 200 },
+                fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'zigbee', deviceId: 'fog_plug', timeout: 200 }
+            }
+        }, client);
+        await zm.initialize();
+
+        await client.handlers.get('paradox/bulb/commands')('paradox/bulb/commands', { command: 'setColor', color: '#00FF00', brightness: 30 });
+        expect(client.sets('stage_bulb').pop()).toEqual({ state: 'ON', color: { hex: '#00FF00' }, brightness: 76, transition: 0.3 });
+
+        await client.handlers.get('paradox/bulb/commands')('paradox/bulb/commands', { command: 'getState' });
+        const state = client.published.filter(p => p.topic === 'paradox/bulb/state').pop().message;
+        expect(state).toMatchObject({ power: 'on', brightness: 30, color: '#00FF00', reachable: true });
+
+        await client.handlers.get('paradox/fog/commands')('paradox/fog/commands', { command: 'turnOn' });
+        expect(client.sets('fog_plug').pop()).toEqual({ state: 'ON' });
+        expect(client.z2mState.fog_plug.state).toBe('ON');
+
+        await zm.shutdown();
+        expect(client.handlers.size).toBe(0);
+    });
+});
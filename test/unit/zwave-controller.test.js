@@ -0,0 +1,203 @@
+const ZwaveController = require('../../lib/controllers/zwave-controller');
+const ZoneManager = require('../../lib/core/zone-manager');
+
+const CLIENT = 'zwave/_CLIENTS/ZWAVE_GATEWAY-zwave-js-ui';
+
+/**
+ * In-memory MQTT client plus a minimal zwave-js-ui stand-in: answers `api/<name>/set`
+ * on `api/<name>` and publishes value topics after writeValue, like the gateway does.
+ */
+class FakeGatewayClient {
+    constructor() {
+        this.handlers = new Map();
+        this.published = [];
+        this.failing = new Set();
+        this.nodes = [
+            {
+                id: 5, name: 'fog_relay', loc: 'stage', status: 'Alive', ready: true, lastActive: 1700000000000,
+                values: [
+                    { commandClass: 37, endpoint: 0, property: 'currentValue', value: false },
+                    { commandClass: 37, endpoint: 0, property: 'targetValue', value: false },
+                    { commandClass: 128, endpoint: 0, property: 'level', value: 87 }
+                ]
+            },
+            {
+                id: 7, name: 'house_dimmer', status: 'Alive', ready: true,
+                values: [
+                    { commandClass: 38, endpoint: 0, property: 'currentValue', value: 0 },
+                    { commandClass: 38, endpoint: 0, property: 'targetValue', value: 0 }
+                ]
+            }
+        ];
+    }
+    setZoneManager() { }
+    subscribe(topic, handler) { this.handlers.set(topic, handler); }
+    unsubscribe(topic) { this.handlers.delete(topic); }
+    deliver(topic, msg) {
+        const h = this.handlers.get(topic);
+        if (h) h(topic, msg);
+    }
+    publish(topic, message) {
+        this.published.push({ topic, message });
+        const api = topic.match(/^zwave\/_CLIENTS\/ZWAVE_GATEWAY-zwave-js-ui\/api\/(\w+)\/set$/);
+        if (!api || this.silent) return;
+        const name = api[1];
+        const reply = result => this.deliver(`${CLIENT}/api/${name}`, { success: true, message: 'Success zwave api call', result, args: message.args, origin: message });
+        if (this.failing.has(name)) {
+            return this.deliver(`${CLIENT}/api/${name}`, { success: false, message: `Unknown API ${name}`, args: message.args });
+        }
+        switch (name) {
+            case 'getNodes':
+                return reply(this.nodes);
+            case 'writeValue': {
+                const [valueId, value] = message.args;
+                reply(true);
+                let current = value;
+                if (valueId.commandClass === 38 && value === 255) current = 99;
+                return this.deliver(`zwave/${valueId.nodeId}/${valueId.commandClass}/${valueId.endpoint}/currentValue`, { time: Date.now(), value: current });
+            }
+            case 'pollValue':
+                return reply(21.5);
+            default:
+                return reply(undefined);
+        }
+    }
+    apiCalls(name) {
+        return this.published.filter(p => p.topic === `${CLIENT}/api/${name}/set`).map(p => p.message.args);
+    }
+}
+
+describe('ZwaveController (zwave-js-ui gateway)', () => {
+    let client;
+    let zw;
+
+    beforeEach(async () => {
+        client = new FakeGatewayClient();
+        zw = new ZwaveController({ mqttClient: client, nodeId: 5, timeout: 200 });
+        await zw.initialize();
+    });
+
+    afterEach(async () => {
+        await zw.shutdown();
+    });
+
+    test('loads nodes and cached values from getNodes', async () => {
+        expect(zw.nodes.get(5)).toMatchObject({ name: 'fog_relay', status: 'Alive', commandClasses: expect.arrayContaining([37, 128]) });
+        const status = await zw.getNodeStatus(5);
+        expect(status).toMatchObject({ nodeId: 5, status: 'Alive', isReady: true, isAlive: true, batteryLevel: 87 });
+    });
+
+    test('binary switch on/off goes through writeValue', async () => {
+        await zw.turnSwitchOn();
+        expect(client.apiCalls('writeValue')[0]).toEqual([{ nodeId: 5, commandClass: 37, endpoint: 0, property: 'targetValue' }, true]);
+        expect((await zw.getNodeValue(5, 37, 'currentValue')).value).toBe(true);
+
+        await zw.turnSwitchOff(5);
+        expect(client.apiCalls('writeValue')[1][1]).toBe(false);
+    });
+
+    test('multilevel switches dim on the 0-99 scale with transitions', async () => {
+        await zw.setLightBrightness(7, 50, 2000);
+        expect(client.apiCalls('writeValue')[0]).toEqual([{ nodeId: 7, commandClass: 38, endpoint: 0, property: 'targetValue' }, 50, { transitionDuration: '2s' }]);
+        expect(await zw.getLightStatus(7)).toMatchObject({ state: 'on', brightness: 51, reachable: true });
+
+        await zw.turnSwitchOn(7);
+        expect(client.apiCalls('writeValue')[1][1]).toBe(255);
+        await zw.turnLightOff(7);
+        expect((await zw.getLightStatus(7)).state).toBe('off');
+    });
+
+    test('caches values from gateway events and polls unknown values', async () => {
+        client.deliver(`zwave/_EVENTS/ZWAVE_GATEWAY-zwave-js-ui/node/value_updated`, {
+            data: [{ id: 5, name: 'fog_relay' }, { commandClass: 37, endpoint: 0, property: 'currentValue', newValue: true, prevValue: false }]
+        });
+        expect((await zw.getNodeValue(5, 37, 'currentValue')).value).toBe(true);
+
+        const temp = await zw.getNodeValue(5, 49, 'Air temperature');
+        expect(temp.value).toBe(21.5);
+        expect(client.apiCalls('pollValue')).toEqual([[{ nodeId: 5, commandClass: 49, endpoint: 0, property: 'Air temperature' }]]);
+    });
+
+    test('tracks node status topics', async () => {
+        client.deliver('zwave/5/status', { time: 1700000001000, value: false, status: 'Dead', nodeId: 5 });
+        expect(await zw.getNodeStatus(5)).toMatchObject({ status: 'Dead', isAlive: false });
+    });
+
+    test('network management requests', async () => {
+        await zw.includeNode();
+        expect(client.apiCalls('startInclusion')).toEqual([[0]]);
+        await zw.excludeNode();
+        expect(client.apiCalls('startExclusion')).toHaveLength(1);
+        await zw.excludeNode(7);
+        expect(client.apiCalls('removeFailedNode')).toEqual([[7]]);
+        await zw.refreshNodeInfo(5);
+        expect(client.apiCalls('refreshInfo')).toEqual([[5]]);
+
+        client.failing.add('beginRebuildingRoutes');
+        await zw.healNetwork();
+        expect(client.apiCalls('beginHealingNetwork')).toHaveLength(1);
+    });
+
+    test('gateway errors and timeouts are reported', async () => {
+        client.failing.add('writeValue');
+        await expect(zw.turnSwitchOn(5)).rejects.toThrow(/writeValue failed: Unknown API/);
+
+        client.silent = true;
+        await expect(zw.turnSwitchOff(5)).rejects.toThrow(/did not answer writeValue/);
+    });
+
+    test('late replies do not settle the wrong call', async () => {
+        client.silent = true;
+        await expect(zw.turnSwitchOn(5)).rejects.toThrow(/did not answer writeValue/);
+
+        const off = zw.turnSwitchOff(5);
+        const [valueId] = client.apiCalls('writeValue')[0];
+        // The timed-out turnSwitchOn is answered first, with a failure
+        client.deliver(`${CLIENT}/api/writeValue`, { success: false, message: 'Node 5 is dead', args: [valueId, true] });
+        client.deliver(`${CLIENT}/api/writeValue`, { success: true, result: true, args: [valueId, false] });
+        await expect(off).resolves.toMatchObject({ nodeId: 5, state: 'off' });
+    });
+
+    test('rejects color on nodes without Color Switch', async () => {
+        await expect(zw.setLightColor(7, '#FF0000', 50)).rejects.toThrow(/does not support color/);
+    });
+
+    test('controllers share one gateway and release it on last shutdown', async () => {
+        const other = new ZwaveController({ mqttClient: client, nodeId: 7, timeout: 200 });
+        await other.initialize();
+        expect(other.driver).toBe(zw.driver);
+
+        await other.shutdown();
+        expect(client.handlers.has('zwave/7/38/0/currentValue')).toBe(false);
+        expect(client.handlers.has('zwave/5/37/0/currentValue')).toBe(true);
+
+        await zw.shutdown();
+        expect(client.handlers.size).toBe(0);
+        zw = new ZwaveController({ mqttClient: client }); // afterEach target
+    });
+});
+
+describe('relay and light devices with controller = zwave', () => {
+    test('commands on pfx topics reach the gateway and state comes back', async () => {
+        const client = new FakeGatewayClient();
+        const zm = new ZoneManager({
+            global: {},
+            devices: {
+                fog: { name: 'fog', type: 'relay', baseTopic: 'paradox/fog', controller: 'zwave', nodeId: 5, timeout: 200 },
+                house: { name: 'house', type: 'light', baseTopic: 'paradox/house', controller: 'zwave', nodeId: 7, timeout: 200 }
+            }
+        }, client);
+        await zm.initialize();
+
+        await client.handlers.get('paradox/fog/commands')('paradox/fog/commands', { command: 'turnOn' });
+        expect(client.apiCalls('writeValue').pop()).toEqual([{ nodeId: 5, commandClass: 37, endpoint: 0, property: 'targetValue' }, true]);
+        const outcome = client.published.filter(p => p.topic === 'paradox/fog/events').pop().message;
+        expect(outcome).toMatchObject({ command: 'turnOn', outcome: 'success' });
+
+        await client.handlers.get('paradox/house/commands')('paradox/house/commands', { command: 'setBrightness', brightness: 40 });
+        expect(client.apiCalls('writeValue').pop()[1]).toBe(40);
+
+        await zm.shutdown();
+        expect(client.handlers.size).toBe(0);
+    });
+});